@@ -305,6 +305,11 @@
       _build.createHandler(grunt, arg1);
     });
 
+    grunt.registerTask('sign-package', 'Sign a built package: repo/PackageName:path/to/private.pem[:keyId]', function(arg1, arg2, arg3) {
+      grunt.log.writeln('Signing package...');
+      _build.signPackage(grunt, arg1, arg2, arg3);
+    });
+
     //
     // Register aliases
     //
@@ -7,3 +7,13 @@ CREATE TABLE IF NOT EXISTS `users` (
   `settings` text,
   PRIMARY KEY (`id`)
 ) ENGINE=MyISAM  DEFAULT CHARSET=latin1 AUTO_INCREMENT=1;
+
+CREATE TABLE IF NOT EXISTS `sessions` (
+  `id` varchar(64) NOT NULL,
+  `username` varchar(255) DEFAULT NULL,
+  `data` text NOT NULL,
+  `created` bigint(20) NOT NULL,
+  `accessed` bigint(20) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `username` (`username`)
+) ENGINE=MyISAM  DEFAULT CHARSET=latin1;
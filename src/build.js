@@ -27,7 +27,7 @@
  * @author  Anders Evenrud <andersevenrud@gmail.com>
  * @licence Simplified BSD License
  */
-(function(_path, _fs, _less) {
+(function(_path, _fs, _less, _crypto) {
   /*jshint latedef: false */
 
   'use strict';
@@ -1186,6 +1186,59 @@
     );
   }
 
+  /**
+   * Creates a signed manifest (`manifest.json` + `manifest.sig`) for a
+   * package so it can be verified by the client PackageManager on install.
+   *
+   * The signature is RSASSA-PKCS1-v1_5 with SHA-256 over the manifest file
+   */
+  function signPackage(grunt, arg, keyFile, keyId) {
+    if ( !arg || !keyFile ) {
+      throw new Error('You have to specify a package and a private key file');
+    }
+
+    var dir = _fs.existsSync(arg) ? _path.resolve(arg) : _path.join(PATHS.out_client_packages, arg);
+    if ( !_fs.existsSync(_path.join(dir, 'metadata.json')) ) {
+      throw new Error('Package not found (did you build it?): ' + dir);
+    }
+
+    var ignore = ['manifest.json', 'manifest.sig'];
+    var metadata = JSON.parse(readFile(_path.join(dir, 'metadata.json')).toString());
+    var files = {};
+
+    (function _scan(root) {
+      _fs.readdirSync(root).sort().forEach(function(iter) {
+        var path = _path.join(root, iter);
+        var rel = _path.relative(dir, path).replace(/\\/g, '/');
+        if ( _fs.statSync(path).isDirectory() ) {
+          _scan(path);
+        } else if ( ignore.indexOf(rel) < 0 ) {
+          files[rel] = _crypto.createHash('sha256').update(_fs.readFileSync(path)).digest('hex');
+        }
+      });
+    })(dir);
+
+    var manifest = JSON.stringify({
+      className: metadata.className,
+      version: metadata.version || '0.0.0',
+      files: files
+    }, null, 2);
+
+    var signer = _crypto.createSign('RSA-SHA256');
+    signer.update(manifest);
+
+    var signature = {
+      keyId: keyId || _path.basename(keyFile).replace(/\.[^\.]+$/, ''),
+      algorithm: 'RSASSA-PKCS1-v1_5',
+      signature: signer.sign(readFile(keyFile).toString(), 'base64')
+    };
+
+    writeFile(_path.join(dir, 'manifest.json'), manifest);
+    writeFile(_path.join(dir, 'manifest.sig'), JSON.stringify(signature, null, 2));
+
+    grunt.log.writeln('Signed ' + Object.keys(files).length + ' file(s) with key "' + signature.keyId + '"');
+  }
+
   function listPackages(grunt) {
     var packages = readPackageMetadata(grunt, null, true);
     var epackages = readPackageMetadata(grunt, null, false);
@@ -1933,6 +1986,7 @@
     createNginxConfig:        createNginxConfig,
     createPackage:            createPackage,
     createHandler:            createHandler,
+    signPackage:              signPackage,
 
     getConfig: generateBuildConfig,
     getConfigPath: getConfigPath,
@@ -1956,5 +2010,6 @@
 })(
   require('path'),
   require('node-fs-extra'),
-  require('less')
+  require('less'),
+  require('crypto')
 );
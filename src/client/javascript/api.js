@@ -163,6 +163,33 @@
     }
   };
 
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the process behind an application or window reference
+   */
+  function getProcessRef(appRef) {
+    var proc = (appRef instanceof OSjs.Core.Window) ? appRef._app : appRef;
+    return (proc instanceof OSjs.Core.Process) ? proc : null;
+  }
+
+  /**
+   * Checks if the caller of an API method has been granted given
+   * capability. Returns an error message if denied.
+   */
+  function checkCapability(appRef, capability) {
+    return OSjs.Core.getPackageManager().checkCallerCapability(appRef, capability);
+  }
+
+  /**
+   * Shows the error of a denied API method that has no callback
+   */
+  function showDenied(error) {
+    API.error(API._('DIALOG_PERMISSIONS_TITLE'), error);
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // LOCALE API METHODS
   /////////////////////////////////////////////////////////////////////////////
@@ -260,19 +287,31 @@
    *
    * The response is in form of: {httpCode, body}
    *
+   * If the server denies the request (see the `curl` server configuration)
+   * the error is a translated message and the response is in the form of:
+   * {code, message, url} where `code` is one of `ERR_CURL_URL`, `ERR_CURL_METHOD`,
+   * `ERR_CURL_HEADER`, `ERR_CURL_HOST`, `ERR_CURL_RATE` or `ERR_CURL_SIZE`.
+   *
    * @function curl
    * @memberof OSjs.API
    *
    * @param   {Object}    args      cURL Arguments (see docs)
    * @param   {Function}  callback  Callback function => fn(error, response)
+   * @param   {OSjs.Core.Application} [appRef]  Reference to an Application (checks the `network` permission)
    *
    * @link https://os.js.org/doc/tutorials/using-curl.html
    * @link https://os.js.org/doc/server/srcservernodenode_modulesosjsapijs.html#api-curl
    */
-  API.curl = function _apiCurl(args, callback) {
+  API.curl = function _apiCurl(args, callback, appRef) {
     args = args || {};
     callback = callback || {};
 
+    var denied = checkCapability(appRef, 'network');
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     var opts = args.body;
     if ( typeof opts === 'object' ) {
       console.warn('DEPRECATION WARNING', 'The \'body\' wrapper is no longer needed');
@@ -280,7 +319,21 @@
       opts = args;
     }
 
-    API.call('curl', opts, callback, args.options);
+    var proc = getProcessRef(appRef);
+    var finished = proc ? proc._trackRequest(opts) : null;
+
+    API.call('curl', opts, function(err, res) {
+      if ( finished ) {
+        finished(res);
+      }
+
+      if ( err && res && String(res.code).indexOf('ERR_CURL_') === 0 ) {
+        var reason = res.code === 'ERR_CURL_RATE' ? API._('ERR_CURL_RATE_FMT', res.retryAfter) : API._(res.code);
+        err = API._('ERR_CURL_DENIED_FMT', res.url, reason);
+      }
+
+      callback(err, res);
+    }, args.options);
   };
 
   /**
@@ -343,6 +396,7 @@
    *
    * @param   {OSjs.VFS.File}   file          The File reference (can also be a tuple with 'path' and 'mime')
    * @param   {Object}          launchArgs    Arguments to send to process launch function
+   * @param   {OSjs.Core.Process} [launchArgs.parent] The process that opened the file
    */
   API.open = function _apiOpen(file, launchArgs) {
     launchArgs = launchArgs || {};
@@ -355,6 +409,9 @@
     var wm = OSjs.Core.getWindowManager();
     var handler = OSjs.Core.getHandler();
     var args = {file: file};
+    if ( launchArgs.parent instanceof OSjs.Core.Process ) {
+      args.__parent__ = launchArgs.parent.__pid;
+    }
 
     function getApplicationNameByFile(file, forceList, callback) {
       if ( !(file instanceof OSjs.VFS.File) ) {
@@ -472,6 +529,7 @@
         args = data.args;
         args.__resume__ = true;
         args.__windows__ = data.windows || [];
+        args.__state__ = data.state;
       }
 
       args.__preload__ = {force: true};
@@ -494,6 +552,7 @@
    *
    * @param   {String}      name          Application Name
    * @param   {Object}      [args]          Launch arguments
+   * @param   {Number}      [args.__parent__] PID of the process launching this one
    * @param   {Function}    [ondone]        Callback on success
    * @param   {Function}    [onerror]       Callback on error
    * @param   {Function}    [onconstruct]   Callback on application init
@@ -638,16 +697,19 @@
         }
       }
 
-      Utils.asyncs(_hooks.onApplicationPreload, function(qi, i, n) {
-        qi(name, args, preloads, function(p) {
-          if ( p && (p instanceof Array) ) {
-            preloads = p;
-          }
-          n();
+      // Packages declaring permissions asks the user on first launch
+      packman.requestPermissions(name, function() {
+        Utils.asyncs(_hooks.onApplicationPreload, function(qi, i, n) {
+          qi(name, args, preloads, function(p) {
+            if ( p && (p instanceof Array) ) {
+              preloads = p;
+            }
+            n();
+          });
+        }, function() {
+          _createSplash();
+          cb();
         });
-      }, function() {
-        _createSplash();
-        cb();
       });
 
       API.triggerHook('onApplicationLaunch', [name, args]);
@@ -955,6 +1017,9 @@
     var map = [
       {match: 'application/pdf', icon: 'mimetypes/gnome-mime-application-pdf.png'},
       {match: 'application/zip', icon: 'mimetypes/folder_tar.png'},
+      {match: 'application/x-tar', icon: 'mimetypes/folder_tar.png'},
+      {match: 'application/gzip', icon: 'mimetypes/folder_tar.png'},
+      {match: 'application/x-compressed-tar', icon: 'mimetypes/folder_tar.png'},
       {match: 'application/x-python', icon: 'mimetypes/stock_script.png'},
       {match: 'application/x-lua', icon: 'mimetypes/stock_script.png'},
       {match: 'application/javascript', icon: 'mimetypes/stock_script.png'},
@@ -1180,8 +1245,17 @@
    * @function createNotification
    * @memberof OSjs.API
    * @see OSjs.Core.WindowManager#notification
+   *
+   * @param   {Object}                  opts        Notification options
+   * @param   {OSjs.Core.Application}   [appRef]    Reference to an Application (checks the `notifications` permission)
    */
-  API.createNotification = function _apiCreateNotification(opts) {
+  API.createNotification = function _apiCreateNotification(opts, appRef) {
+    var denied = checkCapability(appRef, 'notifications');
+    if ( denied ) {
+      showDenied(denied);
+      return null;
+    }
+
     var wm = OSjs.Core.getWindowManager();
     return wm.notification(opts);
   };
@@ -1501,10 +1575,21 @@
    * @memberof OSjs.API
    *
    * @param   {Mixed}       data      What data to set
+   * @param   {OSjs.Core.Application}   [appRef]    Reference to an Application (checks the `clipboard` permission)
+   *
+   * @return  {Boolean}
    */
-  API.setClipboard = function _apiSetClipboard(data) {
+  API.setClipboard = function _apiSetClipboard(data, appRef) {
     console.debug('OSjs.API.setClipboard()', data);
+
+    var denied = checkCapability(appRef, 'clipboard');
+    if ( denied ) {
+      showDenied(denied);
+      return false;
+    }
+
     _CLIPBOARD = data;
+    return true;
   };
 
   /**
@@ -1515,9 +1600,17 @@
    * @function getClipboard
    * @memberof OSjs.API
    *
+   * @param   {OSjs.Core.Application}   [appRef]    Reference to an Application (checks the `clipboard` permission)
+   *
    * @return  {Mixed}
    */
-  API.getClipboard = function _apiGetClipboard() {
+  API.getClipboard = function _apiGetClipboard(appRef) {
+    var denied = checkCapability(appRef, 'clipboard');
+    if ( denied ) {
+      showDenied(denied);
+      return null;
+    }
+
     return _CLIPBOARD;
   };
 
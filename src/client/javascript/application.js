@@ -162,6 +162,10 @@
 
       this.__settings.set(null, settings);
 
+      if ( this.__args.__state__ ) {
+        this._setSessionState(this.__args.__state__);
+      }
+
       focusLastWindow();
 
       this.__inited = true;
@@ -289,7 +293,10 @@
         wm.addWindow(w);
       }
 
-      if ( w._properties.start_focused ) {
+      // Restored windows only get focus if they had it when the session was saved
+      var restore = w._sessionRestore;
+      var focus = (restore && restore.state) ? restore.state.focused : true;
+      if ( w._properties.start_focused && focus ) {
         setTimeout(function() {
           w._focus();
         }, 5);
@@ -412,6 +419,30 @@
     return this.__windows;
   };
 
+  /**
+   * Gets the current resource usage of this application
+   *
+   * Also counts the windows and their event listeners.
+   *
+   * @function _getResourceUsage
+   * @memberof OSjs.Core.Application#
+   * @see OSjs.Core.Process#_getResourceUsage
+   *
+   * @return  {ProcessResourceUsage}
+   */
+  Application.prototype._getResourceUsage = function() {
+    var usage = Process.prototype._getResourceUsage.apply(this, arguments);
+
+    this.__windows.forEach(function(win) {
+      if ( win ) {
+        usage.windows++;
+        usage.listeners += win._evHandler ? win._evHandler.count() : 0;
+      }
+    });
+
+    return usage;
+  };
+
   /**
    * Get the "main" window
    *
@@ -447,17 +478,30 @@
    * @return  {Object}    the current session data
    */
   Application.prototype._getSessionData = function() {
-    var args = this.__args;
+    var args = {};
     var wins = this.__windows;
-    var data = {name: this.__pname, args: args, windows: []};
+
+    // Leave out what was given to us by the last restore
+    Object.keys(this.__args).forEach(function(k) {
+      if ( ['__resume__', '__windows__', '__state__', '__preload__'].indexOf(k) === -1 ) {
+        args[k] = this.__args[k];
+      }
+    }, this);
+
+    var data = {name: this.__pname, args: args, state: this._getSessionState(), windows: []};
 
     wins.forEach(function(win, i) {
       if ( win && win._properties.allow_session ) {
+        var maximized = win._state.maximized;
+
         data.windows.push({
           name      : win._name,
-          dimension : win._dimension,
-          position  : win._position,
-          state     : win._state
+          dimension : maximized ? win._lastDimension : win._dimension,
+          position  : maximized ? win._lastPosition : win._position,
+          state     : win._state,
+          workspace : win._workspace,
+          zIndex    : win._$element ? (parseInt(win._$element.style.zIndex, 10) || 0) : 0,
+          data      : win._getSessionState()
         });
       }
     });
@@ -465,6 +509,35 @@
     return data;
   };
 
+  /**
+   * Gets the state to store for this application when the session is saved
+   *
+   * Override this in your application. The state has to be serializable.
+   *
+   * @function _getSessionState
+   * @memberof OSjs.Core.Application#
+   *
+   * @return  {Object}    The state or 'null'
+   */
+  Application.prototype._getSessionState = function() {
+    return null;
+  };
+
+  /**
+   * Sets the state this application had when the session was saved
+   *
+   * Override this in your application. This is called on init
+   * before any windows are created.
+   *
+   * @function _setSessionState
+   * @memberof OSjs.Core.Application#
+   *
+   * @param   {Object}    state     The state from `_getSessionState()`
+   */
+  Application.prototype._setSessionState = function(state) {
+    // Implement in your application
+  };
+
   /**
    * Set a setting
    *
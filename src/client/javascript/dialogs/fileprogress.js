@@ -78,6 +78,10 @@
     this.scheme.find(this, 'Progress').set('progress', p);
   };
 
+  FileProgressDialog.prototype.setMessage = function(msg) {
+    this.scheme.find(this, 'Message').set('value', msg, true);
+  };
+
   FileProgressDialog.prototype._close = function(force) {
     if ( !force && this.busy  ) {
       return false;
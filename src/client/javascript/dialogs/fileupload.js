@@ -70,7 +70,11 @@
     var message = this.scheme.find(this, 'Message');
     var maxSize = API.getConfig('VFS.MaxUploadSize');
 
-    message.set('value', API._('DIALOG_UPLOAD_DESC', this.args.dest, maxSize), true);
+    if ( API.getConfig('VFS.ChunkedUploads') !== false ) {
+      message.set('value', API._('DIALOG_UPLOAD_DESC_CHUNKED', this.args.dest), true);
+    } else {
+      message.set('value', API._('DIALOG_UPLOAD_DESC', this.args.dest, maxSize), true);
+    }
 
     var input = this.scheme.find(this, 'File');
     if ( this.args.file ) {
@@ -116,7 +120,7 @@
       var desc = OSjs.API._('DIALOG_UPLOAD_MSG_FMT', file.name, file.type, fileSize, this.dest);
 
       progressDialog = API.createDialog('FileProgress', {
-        message: desc,
+        message: Utils.$escape(desc),
         dest: this.args.dest,
         filename: file.name,
         mime: file.type,
@@ -134,13 +138,14 @@
           error(err, ev);
           return;
         }
-        progressDialog._close();
+        progressDialog._close(true);
         self.onClose(ev, 'ok', file);
       }, {
         onprogress: function(ev) {
           if ( ev.lengthComputable ) {
             var p = Math.round(ev.loaded * 100 / ev.total);
             progressDialog.setProgress(p);
+            progressDialog.setMessage(Utils.$escape(desc) + '<br />' + Utils.$escape(OSjs.API._('DIALOG_UPLOAD_PROGRESS_FMT', Utils.humanFileSize(ev.loaded), Utils.humanFileSize(ev.total))));
           }
         }
       });
@@ -71,6 +71,175 @@
     return data;
   }
 
+  /**
+   * Tags the arguments of an API call with the package that made it, so the
+   * server can check the permissions the package has declared. Calls from
+   * the core are not tagged.
+   */
+  function tagCaller(args) {
+    var caller = OSjs.Core.getPackageManager ? OSjs.Core.getPackageManager().getCallingPackage() : null;
+    if ( caller === null ) {
+      return args;
+    }
+
+    caller = caller || '?';
+    if ( window.FormData && args instanceof window.FormData ) {
+      args.append('__caller', caller);
+      return args;
+    }
+
+    var result = {};
+    Object.keys(args).forEach(function(k) {
+      result[k] = args[k];
+    });
+    result.__caller = caller;
+    return result;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // SESSION HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the session data of all running applications
+   */
+  function getSessionData() {
+    var data = [];
+    API.getProcesses().forEach(function(proc, i) {
+      if ( proc && (proc instanceof OSjs.Core.Application) ) {
+        data.push(proc._getSessionData());
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Gets a file in the session recovery area
+   */
+  function getRecoveryFile(filename) {
+    var root = API.getConfig('SessionRecovery.path', 'home:///.session');
+    return new OSjs.VFS.File(Utils.pathJoin(root, filename), 'text/plain');
+  }
+
+  /**
+   * Moves unsaved buffers from the window states into the recovery area.
+   * The cache is used to skip writing buffers that did not change. A buffer
+   * is only replaced by a reference once it has been written, so buffers that
+   * failed to write stay in the window state.
+   */
+  var writeSessionBuffers = (function() {
+    var created = false;
+
+    function _mkdir(cb) {
+      if ( created ) {
+        cb();
+        return;
+      }
+
+      var root = API.getConfig('SessionRecovery.path', 'home:///.session');
+      OSjs.VFS.mkdir(new OSjs.VFS.File(root), function() {
+        created = true; // It is fine if it already existed
+        cb();
+      });
+    }
+
+    return function(data, cache, callback) {
+      var queue = [];
+
+      data.forEach(function(app, i) {
+        (app.windows || []).forEach(function(win, j) {
+          if ( win.data && typeof win.data.buffer === 'string' ) {
+            var filename = Utils.format('{0}-{1}-{2}.txt', app.name, i, j);
+            if ( cache[filename] === win.data.buffer ) {
+              win.recovery = filename;
+              delete win.data.buffer;
+            } else {
+              queue.push({filename: filename, buffer: win.data.buffer, win: win});
+            }
+          }
+        });
+      });
+
+      if ( !queue.length ) {
+        callback();
+        return;
+      }
+
+      _mkdir(function() {
+        Utils.asyncs(queue, function(entry, idx, next) {
+          OSjs.VFS.write(getRecoveryFile(entry.filename), entry.buffer, function(error) {
+            if ( error ) {
+              console.warn('Handler::writeSessionBuffers()', entry.filename, error);
+            } else {
+              cache[entry.filename] = entry.buffer;
+              entry.win.recovery = entry.filename;
+              delete entry.win.data.buffer;
+            }
+            next();
+          });
+        }, callback);
+      });
+    };
+  })();
+
+  /**
+   * Puts unsaved buffers from the recovery area back into the window states
+   */
+  function readSessionBuffers(data, callback) {
+    var queue = [];
+    data.forEach(function(app) {
+      (app.windows || []).forEach(function(win) {
+        if ( win.recovery ) {
+          queue.push(win);
+        }
+      });
+    });
+
+    Utils.asyncs(queue, function(win, idx, next) {
+      OSjs.VFS.read(getRecoveryFile(win.recovery), function(error, text) {
+        if ( error ) {
+          console.warn('Handler::readSessionBuffers()', win.recovery, error);
+        } else {
+          win.data = win.data || {};
+          win.data.buffer = text;
+        }
+        delete win.recovery;
+        next();
+      }, {type: 'text'});
+    }, function() {
+      callback(data);
+    });
+  }
+
+  /**
+   * Removes buffers from the recovery area that the saved session does not use
+   */
+  function removeStaleBuffers(callback) {
+    var keep = [];
+    (OSjs.Core.getSettingsManager().get('UserSession') || []).forEach(function(app) {
+      (app.windows || []).forEach(function(win) {
+        if ( win.recovery ) {
+          keep.push(win.recovery);
+        }
+      });
+    });
+
+    var root = API.getConfig('SessionRecovery.path', 'home:///.session');
+    OSjs.VFS.scandir(new OSjs.VFS.File(root), function(error, list) {
+      var stale = (list || []).filter(function(iter) {
+        return iter.type === 'file' && keep.indexOf(iter.filename) === -1;
+      });
+
+      Utils.asyncs(stale, function(iter, idx, next) {
+        OSjs.VFS.unlink(iter, function() {
+          next();
+        });
+      }, function() {
+        callback();
+      });
+    }, {backlink: false});
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // DEFAULT CONNECTION CODE
   /////////////////////////////////////////////////////////////////////////////
@@ -133,6 +302,14 @@
         var data = JSON.parse(ev.data);
         var idx = data._index;
 
+        // Messages pushed from the server
+        if ( typeof idx === 'undefined' ) {
+          if ( data.event ) {
+            self.onPush(data);
+          }
+          return;
+        }
+
         if ( self.wsqueue[idx] ) {
           delete data._index;
 
@@ -169,6 +346,22 @@
     this._wsRequest = {};
   };
 
+  /**
+   * When the server pushes a message
+   *
+   * VFS change notifications are broadcasted as `vfs:*` messages.
+   *
+   * @function onPush
+   * @memberof OSjs.Core.HandlerConnection#
+   *
+   * @param   {Object}    data      Message data
+   */
+  HandlerConnection.prototype.onPush = function(data) {
+    if ( data.event.match(/^vfs:/) && data.file ) {
+      API.message(data.event, new OSjs.VFS.File(data.file), {source: null, remote: true});
+    }
+  };
+
   /**
    * Makes a HTTP POST call
    *
@@ -285,7 +478,6 @@
     try {
       this.ws.send(JSON.stringify({
         _index: idx,
-        sid: Utils.getCookie('session'),
         path: '/' + path,
         args: args
       }));
@@ -440,6 +632,14 @@
      */
     this.connection = new HandlerConnection();
 
+    /**
+     * Crash recovery interval
+     * @name _recoveryInterval
+     * @memberof OSjs.Core.Handler#
+     * @type {Number}
+     */
+    this._recoveryInterval = null;
+
     _handlerInstance = this;
   };
 
@@ -483,6 +683,8 @@
   _Handler.prototype.destroy = function() {
     var self = this;
 
+    this._recoveryInterval = clearInterval(this._recoveryInterval);
+
     Utils.$unbind(window, 'offline');
     Utils.$unbind(window, 'online');
 
@@ -534,12 +736,14 @@
 
     var self = this;
 
-    function _finished() {
+    function _logout() {
       var opts = {};
       self.callAPI('logout', opts, function(response) {
         if ( response.result ) {
           self.loggedIn = false;
-          callback(true);
+          OSjs.VFS.Offline.logout(function() {
+            callback(true);
+          });
         } else {
           callback(false, 'An error occured: ' + (response.error || 'Unknown error'));
         }
@@ -548,6 +752,10 @@
       });
     }
 
+    function _finished() {
+      self.stopSessionRecovery(true, _logout);
+    }
+
     if ( save ) {
       this.saveSession(function() {
         _finished(true);
@@ -566,13 +774,75 @@
    * @param   {CallbackHandler}  callback      Callback function
    */
   _Handler.prototype.saveSession = function(callback) {
-    var data = [];
-    API.getProcesses().forEach(function(proc, i) {
-      if ( proc && (proc instanceof OSjs.Core.Application) ) {
-        data.push(proc._getSessionData());
-      }
+    var data = getSessionData();
+    writeSessionBuffers(data, {}, function() {
+      OSjs.Core.getSettingsManager().set('UserSession', null, data, callback);
     });
-    OSjs.Core.getSettingsManager().set('UserSession', null, data, callback);
+  };
+
+  /**
+   * Starts saving the session periodically for crash recovery
+   *
+   * The recovery session is marked as clean when the user signs out,
+   * otherwise it is offered on the next login.
+   *
+   * @function startSessionRecovery
+   * @memberof OSjs.Core.Handler#
+   */
+  _Handler.prototype.startSessionRecovery = function() {
+    var interval = API.getConfig('SessionRecovery.interval', 60);
+    if ( !API.getConfig('SessionRecovery.enabled', false) || !interval ) {
+      return;
+    }
+
+    var last = null;
+    var cache = {};
+
+    function _snapshot() {
+      var data = getSessionData();
+      writeSessionBuffers(data, cache, function() {
+        var json = JSON.stringify(data);
+        if ( json !== last ) {
+          last = json;
+          OSjs.Core.getSettingsManager().set('SessionRecovery', null, {
+            clean: false,
+            session: data
+          }, true, false);
+        }
+      });
+    }
+
+    clearInterval(this._recoveryInterval);
+    this._recoveryInterval = setInterval(_snapshot, interval * 1000);
+
+    _snapshot();
+  };
+
+  /**
+   * Stops the crash recovery
+   *
+   * @function stopSessionRecovery
+   * @memberof OSjs.Core.Handler#
+   *
+   * @param   {Boolean}          clean         Mark the session as ended cleanly
+   * @param   {Function}         callback      Callback function => fn()
+   */
+  _Handler.prototype.stopSessionRecovery = function(clean, callback) {
+    callback = callback || function() {};
+
+    this._recoveryInterval = clearInterval(this._recoveryInterval);
+
+    if ( !clean || !API.getConfig('SessionRecovery.enabled', false) ) {
+      callback();
+      return;
+    }
+
+    OSjs.Core.getSettingsManager().set('SessionRecovery', null, {
+      clean: true,
+      session: []
+    }, function() {
+      removeStaleBuffers(callback);
+    }, false);
   };
 
   /**
@@ -586,17 +856,41 @@
   _Handler.prototype.getLastSession = function(callback) {
     callback = callback || function() {};
 
-    var res = OSjs.Core.getSettingsManager().get('UserSession');
-    var list = [];
-    (res || []).forEach(function(iter, i) {
-      var args = iter.args;
-      args.__resume__ = true;
-      args.__windows__ = iter.windows || [];
+    var settings = OSjs.Core.getSettingsManager();
 
-      list.push({name: iter.name, args: args});
-    });
+    function _done(res) {
+      readSessionBuffers((res instanceof Array) ? res : [], function(res) {
+        // Buffers only the crash recovery used are written again by its next snapshot
+        removeStaleBuffers(function() {});
+
+        var list = [];
+        res.forEach(function(iter, i) {
+          var args = iter.args || {};
+          args.__resume__ = true;
+          args.__windows__ = iter.windows || [];
+          args.__state__ = iter.state;
 
-    callback(false, list);
+          list.push({name: iter.name, args: args});
+        });
+
+        callback(false, list);
+      });
+    }
+
+    // Offer the crash recovery if the last session did not end cleanly
+    var recovery = settings.get('SessionRecovery');
+    if ( recovery && recovery.clean === false && (recovery.session || []).length ) {
+      API.createDialog('Confirm', {
+        title: API._('DIALOG_SESSION_RECOVERY_TITLE'),
+        message: API._('DIALOG_SESSION_RECOVERY_MSG'),
+        buttons: ['yes', 'no']
+      }, function(ev, button) {
+        _done(button === 'yes' ? recovery.session : settings.get('UserSession'));
+      });
+      return;
+    }
+
+    _done(settings.get('UserSession'));
   };
 
   /**
@@ -703,7 +997,7 @@
    * @see OSjs.Core.API.call
    */
   _Handler.prototype.callAPI = function(method, args, cbSuccess, cbError, options) {
-    args = args || {};
+    args = tagCaller(args || {});
     options = Utils.mergeObject(this.getAPICallOptions(), options || {});
     cbSuccess = cbSuccess || function() {};
     cbError = cbError || function() {};
@@ -822,6 +1116,11 @@
   _Handler.prototype.onVFSRequest = function(vfsModule, vfsMethod, vfsArguments, callback) {
     // If you want to interrupt/hijack or modify somehow, just send the two arguments to the
     // callback: (error, result)
+    if ( this.offline && OSjs.VFS.Offline.isCacheable(vfsArguments[0]) ) {
+      OSjs.VFS.Offline.request(vfsMethod, vfsArguments, callback);
+      return;
+    }
+
     callback(/* continue normal behaviour */);
   };
 
@@ -843,14 +1142,21 @@
   _Handler.prototype.onVFSRequestCompleted = function(vfsModule, vfsMethod, vfsArguments, vfsError, vfsResult, callback) {
     // If you want to interrupt/hijack or modify somehow, just send the two arguments to the
     // callback: (error, result)
+    if ( !this.offline ) {
+      OSjs.VFS.Offline.update(vfsMethod, vfsArguments, vfsError, vfsResult);
+    }
+
     callback(/* continue normal behaviour */);
   };
 
   /**
    * When browser goes online
    *
+   * Changes made to cached files while off-line are synchronized.
+   *
    * @function onOnline
    * @memberof OSjs.Core.Handler#
+   * @see OSjs.VFS.Offline.synchronize
    */
   _Handler.prototype.onOnline = function() {
     console.warn('Handler::onOnline()', 'Going online...');
@@ -860,11 +1166,28 @@
     if ( wm ) {
       wm.notification({title: 'Warning!', message: 'You are On-line!'});
     }
+
+    OSjs.VFS.Offline.synchronize(function(error, count) {
+      if ( error ) {
+        console.warn('Handler::onOnline()', 'Synchronization failed', error);
+      }
+
+      wm = OSjs.Core.getWindowManager();
+      if ( wm && (error || count) ) {
+        wm.notification({
+          title: API._('LBL_OFFLINE_SYNC'),
+          message: error ? API._('MSG_OFFLINE_SYNC_FAILED_FMT', error) : API._('MSG_OFFLINE_SYNC_FMT', count)
+        });
+      }
+    });
   };
 
   /**
    * When browser goes offline
    *
+   * Requests to cached mountpoints are served by the off-line cache from
+   * this point.
+   *
    * @function onOffline
    * @memberof OSjs.Core.Handler#
    */
@@ -53,6 +53,7 @@
     this.hasClosingDialog = false;
     this.currentFile = file ? new VFS.File(file) : null;
     this.hasChanged = false;
+    this.recoveredData = null;
   }
 
   DefaultApplicationWindow.prototype = Object.create(Window.prototype);
@@ -116,9 +117,39 @@
       }
     }
 
+    // Unsaved contents from last session without a file
+    if ( !this.currentFile && this.recoveredData !== null ) {
+      this.showFile(null, this.recoveredData);
+      this.recoveredData = null;
+      this.hasChanged = true;
+    }
+
     return result;
   };
 
+  /**
+   * Stores unsaved text contents in the session
+   */
+  DefaultApplicationWindow.prototype._getSessionState = function() {
+    var opts = this._app ? this._app.defaultOptions : {};
+    if ( this.hasChanged && opts.readData && !opts.rawData ) {
+      var data = this.getFileData();
+      if ( typeof data === 'string' ) {
+        return {buffer: data};
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Restores unsaved text contents from the session
+   */
+  DefaultApplicationWindow.prototype._setSessionState = function(state) {
+    if ( state && typeof state.buffer === 'string' ) {
+      this.recoveredData = state.buffer;
+    }
+  };
+
   /**
    * On Drag-And-Drop Event
    */
@@ -146,6 +146,15 @@
 
     function onDone(result) {
       self._setArgument('file', file);
+
+      // Unsaved contents from last session replaces the file contents
+      if ( win.recoveredData !== null && typeof win.recoveredData !== 'undefined' ) {
+        win.showFile(file, win.recoveredData);
+        win.recoveredData = null;
+        win.hasChanged = true;
+        return;
+      }
+
       win.showFile(file, result);
     }
 
@@ -170,7 +179,7 @@
     }
 
     if ( this.defaultOptions.readData ) {
-      VFS.read(file, CallbackVFS, {type: this.defaultOptions.rawData ? 'binary' : 'text'});
+      VFS.read(file, CallbackVFS, {type: this.defaultOptions.rawData ? 'binary' : 'text'}, this);
     } else {
       VFS.url(file, CallbackVFS);
     }
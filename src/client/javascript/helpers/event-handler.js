@@ -134,6 +134,25 @@
     }
   };
 
+  /**
+   * Count registered event listeners
+   *
+   * @function count
+   * @memberof OSjs.Helpers.EventHandler#
+   *
+   * @param   {String}    [name]      Event name (if not given, all events are counted)
+   *
+   * @return {Number}
+   */
+  EventHandler.prototype.count = function(name) {
+    var self = this;
+    var names = typeof name === 'undefined' ? Object.keys(this.events) : [name];
+
+    return names.reduce(function(total, n) {
+      return total + (self.events[n] instanceof Array ? self.events[n].length : 0);
+    }, 0);
+  };
+
   /**
    * Fire an event
    *
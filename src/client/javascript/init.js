@@ -676,6 +676,8 @@
 
           initSession(config, function() {
             OSjs.API.triggerHook('onSessionLoaded');
+
+            handler.startSessionRecovery();
           });
         });
       }
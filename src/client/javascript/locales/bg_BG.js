@@ -374,7 +374,9 @@
     'LBL_INSTALL' : 'Èíñòàëèðàé',
     'LBL_UPDATE' : 'Àêòóàëèçèðàé',
     'LBL_REMOVE' : 'Ïðåìàõíè',
-    'LBL_SHOW_SIDEBAR' : 'покажи страничен бар'
+    'LBL_SHOW_SIDEBAR' : 'покажи страничен бар',
+    'LBL_RESTORE' : 'Възстанови',
+    'LBL_EMPTY_TRASH' : 'Изпразни кошчето'
   };
 
 })();
@@ -271,7 +271,9 @@
     'LBL_BACKGROUND_IMAGE' : 'Hintergrundbild',
     'LBL_BACKGROUND_COLOR' : 'Hintergrundfarbe',
     'LBL_UNORDERED_LIST'   : 'Unsortierte Liste',
-    'LBL_SHOW_SIDEBAR' : 'Seitenleiste anzeigen'
+    'LBL_SHOW_SIDEBAR' : 'Seitenleiste anzeigen',
+    'LBL_RESTORE' : 'Wiederherstellen',
+    'LBL_EMPTY_TRASH' : 'Papierkorb leeren'
   };
 
 })();
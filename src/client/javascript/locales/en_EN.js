@@ -77,6 +77,12 @@
     'WINDOW_CLOSE'    : 'Close',
     'WINDOW_ONTOP_ON' : 'Ontop (Enable)',
     'WINDOW_ONTOP_OFF': 'Ontop (Disable)',
+    'WINDOW_WORKSPACE': 'Move to workspace',
+    'WORKSPACE_NAME_FMT': 'Workspace {0}',
+
+    // Session
+    'DIALOG_SESSION_RECOVERY_TITLE' : 'Restore session',
+    'DIALOG_SESSION_RECOVERY_MSG'   : 'Your last session did not end properly. Do you want to restore it?',
 
     // Handler
     'TITLE_SIGN_OUT' : 'Sign out',
@@ -152,6 +158,8 @@
 
     'DIALOG_UPLOAD_TITLE'   : 'Upload Dialog',
     'DIALOG_UPLOAD_DESC'    : 'Upload file to **{0}**.<br />Maximum size: {1} bytes',
+    'DIALOG_UPLOAD_DESC_CHUNKED' : 'Upload file to **{0}**.',
+    'DIALOG_UPLOAD_PROGRESS_FMT' : '{0} of {1} uploaded',
     'DIALOG_UPLOAD_MSG_FMT' : 'Uploading \'{0}\' ({1} {2}) to {3}',
     'DIALOG_UPLOAD_MSG'     : 'Uploading file...',
     'DIALOG_UPLOAD_FAILED'  : 'Upload failed',
@@ -204,6 +212,8 @@
     'ERR_VFS_EXPECT_DST_FILE'  : 'Expects a destination file-object',
     'ERR_VFS_FILE_EXISTS'      : 'Destination already exists',
     'ERR_VFS_TARGET_NOT_EXISTS': 'Traget does not exist',
+    'ERR_VFS_COPY_INTO_SELF'   : 'You cannot copy a directory into itself',
+    'ERR_VFS_MOVE_INTO_SELF'   : 'You cannot move a directory into itself',
     'ERR_VFS_TRANSFER_FMT'     : 'An error occured while transfering between storage: {0}',
     'ERR_VFS_UPLOAD_NO_DEST'   : 'Cannot upload a file without a destination',
     'ERR_VFS_UPLOAD_NO_FILES'  : 'Cannot upload without any files defined',
@@ -212,6 +222,15 @@
     'ERR_VFS_DOWNLOAD_NO_FILE' : 'Cannot download a path without a path',
     'ERR_VFS_DOWNLOAD_FAILED'  : 'An error occured while downloading: {0}',
     'ERR_VFS_REMOTEREAD_EMPTY' : 'Response was empty',
+    'ERR_VFS_OFFLINE_NOT_CACHED'  : 'This item is not available off-line',
+    'ERR_VFS_OFFLINE_UNSUPPORTED' : 'This operation is not available off-line',
+    'LBL_OFFLINE_SYNC'            : 'Off-line changes',
+    'LBL_OFFLINE_COPY_FMT'        : '{0} (off-line copy)',
+    'MSG_OFFLINE_SYNC_FMT'        : '{0} change(s) made while off-line were synchronized',
+    'MSG_OFFLINE_SYNC_FAILED_FMT' : 'Failed to synchronize changes made while off-line: {0}',
+    'DIALOG_OFFLINE_CONFLICT_TITLE'    : 'Synchronization conflict',
+    'DIALOG_OFFLINE_CONFLICT_FMT'      : '"{0}" was changed on the server while you were off-line. Do you want to apply your change anyway?',
+    'DIALOG_OFFLINE_CONFLICT_WRITE_FMT': '"{0}" was changed on the server while you were off-line. Keep your version (Yes), the version on the server (No) or both (Cancel)?',
 
     'ERR_VFSMODULE_INVALID'            : 'Invalid VFS Module',
     'ERR_VFSMODULE_INVALID_FMT'        : 'Invalid VFS Module: {0}',
@@ -264,8 +283,14 @@
     'ERR_VFSMODULE_UNTRASH_FMT'    : 'Failed to move file out of trash: {0}',
     'ERR_VFSMODULE_EMPTYTRASH'     : 'Failed to empty trash',
     'ERR_VFSMODULE_EMPTYTRASH_FMT' : 'Failed to empty trash: {0}',
+    'ERR_VFSMODULE_WATCH'          : 'Failed to watch directory',
+    'ERR_VFSMODULE_WATCH_FMT'      : 'Failed to watch directory: {0}',
+    'ERR_VFSMODULE_ARCHIVE'        : 'Archive operation failed',
+    'ERR_VFSMODULE_ARCHIVE_FMT'    : 'Archive operation failed: {0}',
+    'ERR_VFSMODULE_ARCHIVE_INTERNAL': 'Archives are only supported on server storage',
     'ERR_VFSMODULE_FIND'           : 'Failed to search',
     'ERR_VFSMODULE_FIND_FMT'       : 'Failed to search: {0}',
+    'ERR_VFSMODULE_FIND_REGEX'     : 'Invalid or too long regular expression in search',
     'ERR_VFSMODULE_FREESPACE'      : 'Failed to get free space',
     'ERR_VFSMODULE_FREESPACE_FMT'  : 'Failed to get free space: {0}',
     'ERR_VFSMODULE_EXISTS'         : 'Failed to check if exists',
@@ -290,11 +315,41 @@
     'SEARCH_LOADING': 'Searching...',
     'SEARCH_NO_RESULTS': 'No results found',
 
+    //
+    // cURL
+    //
+    'ERR_CURL_DENIED_FMT': 'The request to {0} was denied: {1}',
+    'ERR_CURL_URL': 'Invalid or unsupported URL',
+    'ERR_CURL_METHOD': 'The HTTP method is not allowed',
+    'ERR_CURL_HEADER': 'A request header is not allowed',
+    'ERR_CURL_HOST': 'The host is not allowed',
+    'ERR_CURL_RATE_FMT': 'Too many requests, try again in {0} seconds',
+    'ERR_CURL_SIZE': 'The response is too large',
+
     //
     // PackageManager
     //
 
     'ERR_PACKAGE_EXISTS': 'Package installation directory already exists. Cannot continue!',
+    'ERR_PACKAGE_METADATA': 'The package does not contain a valid metadata.json file',
+    'ERR_PACKAGE_REPOSITORY': 'Invalid package repository index',
+    'ERR_PACKAGE_SYSTEM_FMT': 'Package "{0}" is a system package and cannot be modified',
+    'ERR_PACKAGE_VERSION_FMT': 'Package "{0}" version {1} is already installed (tried to install version {2})',
+    'ERR_PACKAGE_DEPENDENCY_FMT': 'Package "{0}" has unmet dependencies: {1}',
+    'ERR_PACKAGE_REQUIRED_FMT': 'Package "{0}" is required by: {1}',
+    'ERR_PACKAGE_NOT_INSTALLED_FMT': 'Package "{0}" is not installed',
+    'ERR_PACKAGE_SIGNATURE_FMT': 'Package "{0}" failed verification: {1}',
+    'ERR_PACKAGE_NOT_FOUND_FMT': 'No version of package "{0}" matching {1} was found in the repositories',
+    'ERR_PACKAGE_PERMISSION_FMT': 'Package "{0}" has not been granted the permission "{1}"',
+    'DIALOG_PERMISSIONS_TITLE': 'Application permissions',
+    'DIALOG_PERMISSIONS_MSG_FMT': '"{0}" requests permission to: {1}. Do you want to allow this?',
+    'LBL_CAPABILITY_VFS_READ_FMT': 'Read files in {0}',
+    'LBL_CAPABILITY_VFS_WRITE_FMT': 'Write files in {0}',
+    'LBL_CAPABILITY_VFS_ALL': 'all locations',
+    'LBL_CAPABILITY_NETWORK': 'Access the network',
+    'LBL_CAPABILITY_CLIPBOARD': 'Use the clipboard',
+    'LBL_CAPABILITY_NOTIFICATIONS': 'Show notifications',
+    'LBL_CAPABILITY_API': 'Use its server API',
 
     //
     // DefaultApplication
@@ -394,6 +449,8 @@
     'LBL_LINK'         : 'Link',
     'LBL_DISCONNECT'    : 'Disconnect',
     'LBL_APPLICATIONS'  : 'Applications',
+    'LBL_FILES'         : 'Files',
+    'LBL_WINDOWS'       : 'Windows',
     'LBL_ADD_FOLDER'    : 'Add folder',
     'LBL_INFORMATION'   : 'Information',
     'LBL_TEXT_COLOR'    : 'Text Color',
@@ -423,12 +480,16 @@
     'LBL_SHOW_HIDDENFILES' : 'Show hidden files',
     'LBL_SHOW_FILEEXTENSIONS' : 'Show file extensions',
     'LBL_MOUNT': 'Mount',
+    'LBL_CREATE_ARCHIVE': 'Create archive',
+    'LBL_ADD_TO_ARCHIVE': 'Add to archive',
     'LBL_DESCRIPTION': 'Description',
     'LBL_USERNAME': 'Username',
     'LBL_PASSWORD': 'Password',
     'LBL_HOST': 'Host',
     'LBL_NAMESPACE': 'Namespace',
-    'LBL_SEARCH': 'Search'
+    'LBL_SEARCH': 'Search',
+    'LBL_RESTORE': 'Restore',
+    'LBL_EMPTY_TRASH': 'Empty trash'
 
   };
 
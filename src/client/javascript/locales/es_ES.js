@@ -358,7 +358,9 @@
     'LBL_SHOW_COLUMNS' : 'Mostrar columnas',
     'LBL_MOVE' : 'Mover',
     'LBL_OPTIONS' : 'Opciones',
-    'LBL_OK' : 'OK'
+    'LBL_OK' : 'OK',
+    'LBL_RESTORE' : 'Restaurar',
+    'LBL_EMPTY_TRASH' : 'Vaciar papelera'
   };
 
 })();
@@ -401,7 +401,9 @@
     'LBL_SHOW_SIDEBAR' : 'نمايش نوار لغزنده',
     'LBL_SHOW_NAVIGATION' : 'نمايش ناوبري',
     'LBL_SHOW_HIDDENFILES' : 'نمايش فايل هاي مخفي',
-    'LBL_SHOW_FILEEXTENSIONS' : 'نمايش پسوند فايل'
+    'LBL_SHOW_FILEEXTENSIONS' : 'نمايش پسوند فايل',
+    'LBL_RESTORE' : 'بازیابی',
+    'LBL_EMPTY_TRASH' : 'خالی کردن سطل زباله'
   };
 
 })();
@@ -412,7 +412,9 @@
     'LBL_USERNAME': 'Nom d\'utilisateur',
     'LBL_PASSWORD': 'Mot de passe',
     'LBL_HOST': 'Hôte',
-    'LBL_NAMESPACE': 'Espace de nom'
+    'LBL_NAMESPACE': 'Espace de nom',
+    'LBL_RESTORE': 'Restaurer',
+    'LBL_EMPTY_TRASH': 'Vider la corbeille'
   };
 
 })();
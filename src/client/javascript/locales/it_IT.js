@@ -410,7 +410,9 @@
     'LBL_USERNAME': 'Nome utente',
     'LBL_PASSWORD': 'Password',
     'LBL_HOST': 'Host',
-    'LBL_NAMESPACE': 'Namespace'
+    'LBL_NAMESPACE': 'Namespace',
+    'LBL_RESTORE': 'Ripristina',
+    'LBL_EMPTY_TRASH': 'Svuota cestino'
 
   };
 
@@ -410,7 +410,9 @@
     'LBL_USERNAME': '사용자 이름',
     'LBL_PASSWORD': '비밀번호',
     'LBL_HOST': '호스트',
-    'LBL_NAMESPACE': '네임스페이스'
+    'LBL_NAMESPACE': '네임스페이스',
+    'LBL_RESTORE': '복원',
+    'LBL_EMPTY_TRASH': '휴지통 비우기'
 
   };
 
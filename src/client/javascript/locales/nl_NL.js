@@ -411,7 +411,9 @@
     'LBL_USERNAME': 'Gebruikersnaam',
     'LBL_PASSWORD': 'Wachtwoord',
     'LBL_HOST': 'Host',
-    'LBL_NAMESPACE': 'Namespace'
+    'LBL_NAMESPACE': 'Namespace',
+    'LBL_RESTORE': 'Herstellen',
+    'LBL_EMPTY_TRASH': 'Prullenbak legen'
 
   };
 
@@ -68,6 +68,32 @@
     'WINDOW_CLOSE'    : 'Lukk',
     'WINDOW_ONTOP_ON' : 'På topp (På)',
     'WINDOW_ONTOP_OFF': 'På topp (Av)',
+    'WINDOW_WORKSPACE': 'Flytt til arbeidsområde',
+    'WORKSPACE_NAME_FMT': 'Arbeidsområde {0}',
+
+    // Session
+    'DIALOG_SESSION_RECOVERY_TITLE' : 'Gjenopprett økt',
+    'DIALOG_SESSION_RECOVERY_MSG'   : 'Din forrige økt ble ikke avsluttet riktig. Vil du gjenopprette den?',
+
+    // Permissions
+    'DIALOG_PERMISSIONS_TITLE': 'Programtillatelser',
+    'DIALOG_PERMISSIONS_MSG_FMT': '"{0}" ber om tillatelse til å: {1}. Vil du tillate dette?',
+    'LBL_CAPABILITY_VFS_READ_FMT': 'Lese filer i {0}',
+    'LBL_CAPABILITY_VFS_WRITE_FMT': 'Skrive filer i {0}',
+    'LBL_CAPABILITY_VFS_ALL': 'alle steder',
+    'LBL_CAPABILITY_NETWORK': 'Bruke nettverket',
+    'LBL_CAPABILITY_CLIPBOARD': 'Bruke utklippstavlen',
+    'LBL_CAPABILITY_NOTIFICATIONS': 'Vise varsler',
+    'LBL_CAPABILITY_API': 'Bruke sitt server-API',
+
+    // cURL
+    'ERR_CURL_DENIED_FMT': 'Forespørselen til {0} ble avvist: {1}',
+    'ERR_CURL_URL': 'Ugyldig eller ikke støttet URL',
+    'ERR_CURL_METHOD': 'HTTP-metoden er ikke tillatt',
+    'ERR_CURL_HEADER': 'En header i forespørselen er ikke tillatt',
+    'ERR_CURL_HOST': 'Verten er ikke tillatt',
+    'ERR_CURL_RATE_FMT': 'For mange forespørsler, prøv igjen om {0} sekunder',
+    'ERR_CURL_SIZE': 'Svaret er for stort',
 
     // Handler
     'TITLE_SIGN_OUT' : 'Logg ut',
@@ -173,6 +199,15 @@
     'ERR_VFS_UPLOAD_CANCELLED': 'Fil-opplastingen ble avbrutt',
     'ERR_VFS_DOWNLOAD_NO_FILE': 'Kan ikke laste ned uten en sti',
     'ERR_VFS_DOWNLOAD_FAILED' : 'En feil oppstod under nedlasting: {0}',
+    'ERR_VFS_OFFLINE_NOT_CACHED'  : 'Dette er ikke tilgjengelig frakoblet',
+    'ERR_VFS_OFFLINE_UNSUPPORTED' : 'Denne operasjonen er ikke tilgjengelig frakoblet',
+    'LBL_OFFLINE_SYNC'            : 'Frakoblede endringer',
+    'LBL_OFFLINE_COPY_FMT'        : '{0} (frakoblet kopi)',
+    'MSG_OFFLINE_SYNC_FMT'        : '{0} endring(er) gjort frakoblet ble synkronisert',
+    'MSG_OFFLINE_SYNC_FAILED_FMT' : 'Kunne ikke synkronisere endringer gjort frakoblet: {0}',
+    'DIALOG_OFFLINE_CONFLICT_TITLE'    : 'Synkroniseringskonflikt',
+    'DIALOG_OFFLINE_CONFLICT_FMT'      : '"{0}" ble endret på serveren mens du var frakoblet. Vil du utføre endringen din likevel?',
+    'DIALOG_OFFLINE_CONFLICT_WRITE_FMT': '"{0}" ble endret på serveren mens du var frakoblet. Behold din versjon (Ja), versjonen på serveren (Nei) eller begge (Avbryt)?',
     'TOOLTIP_VFS_DOWNLOAD_NOTIFICATION': 'Last ned fil',
 
     'ERR_VFSMODULE_XHR_ERROR'    : 'XHR Feil',
@@ -317,6 +352,8 @@
     'LBL_BACKGROUND_COLOR' : 'Bakgrunnsfarge',
     'LBL_UNORDERED_LIST'   : 'Uordnet Liste',
     'LBL_SHOW_SIDEBAR' : 'Vis Sidebar',
-    'LBL_SEARCH': 'Søk'
+    'LBL_SEARCH': 'Søk',
+    'LBL_RESTORE': 'Gjenopprett',
+    'LBL_EMPTY_TRASH': 'Tøm papirkurv'
   };
 })();
@@ -374,7 +374,9 @@
     'LBL_INSTALL' : 'Instaluj',
     'LBL_UPDATE' : 'Aktualizuj',
     'LBL_REMOVE' : 'Usuń',
-    'LBL_SHOW_SIDEBAR' : 'Pokaż pasek'
+    'LBL_SHOW_SIDEBAR' : 'Pokaż pasek',
+    'LBL_RESTORE' : 'Przywróć',
+    'LBL_EMPTY_TRASH' : 'Opróżnij kosz'
   };
 
 })();
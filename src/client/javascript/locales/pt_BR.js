@@ -373,7 +373,9 @@
     'LBL_BUGREPORT' : 'Reportar Bug',
     'LBL_INSTALL' : 'Instalar',
     'LBL_UPDATE' : 'Atualizar',
-    'LBL_REMOVE' : 'Remover'
+    'LBL_REMOVE' : 'Remover',
+    'LBL_RESTORE' : 'Restaurar',
+    'LBL_EMPTY_TRASH' : 'Esvaziar lixeira'
   };
 
 })();
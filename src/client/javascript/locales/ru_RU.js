@@ -270,7 +270,9 @@
     'LBL_BACKGROUND_IMAGE' : 'Фоновое изображение',
     'LBL_BACKGROUND_COLOR' : 'Фоновый цвет',
     'LBL_UNORDERED_LIST'   : 'Неупорядоченный список',
-    'LBL_SHOW_SIDEBAR' : 'Отобразить боковую панель'
+    'LBL_SHOW_SIDEBAR' : 'Отобразить боковую панель',
+    'LBL_RESTORE' : 'Восстановить',
+    'LBL_EMPTY_TRASH' : 'Очистить корзину'
   };
 
 })();
@@ -374,7 +374,9 @@
     'LBL_INSTALL' : 'Inštalovať',
     'LBL_UPDATE' : 'Aktualizovať',
     'LBL_REMOVE' : 'Odstrániť',
-    'LBL_SHOW_SIDEBAR' : 'Ukáž bočnú lištu'
+    'LBL_SHOW_SIDEBAR' : 'Ukáž bočnú lištu',
+    'LBL_RESTORE' : 'Obnoviť',
+    'LBL_EMPTY_TRASH' : 'Vyprázdniť kôš'
   };
 
 })();
@@ -373,7 +373,9 @@
     'LBL_INSTALL' : 'Yükle',
     'LBL_UPDATE' : 'Güncelle',
     'LBL_REMOVE' : 'Kaldır',
-    'LBL_SHOW_SIDEBAR' : 'Kenar çubuğunu göster'
+    'LBL_SHOW_SIDEBAR' : 'Kenar çubuğunu göster',
+    'LBL_RESTORE' : 'Geri yükle',
+    'LBL_EMPTY_TRASH' : 'Çöpü boşalt'
   };
 
 })();
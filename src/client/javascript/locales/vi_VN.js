@@ -416,7 +416,9 @@
     'LBL_PASSWORD': 'Mật khẩu',
     'LBL_HOST': 'Host',
     'LBL_NAMESPACE': 'Namespace',
-    'LBL_SEARCH': 'Tìm kiếm'
+    'LBL_SEARCH': 'Tìm kiếm',
+    'LBL_RESTORE': 'Khôi phục',
+    'LBL_EMPTY_TRASH': 'Dọn sạch thùng rác'
   };
 
 })();
@@ -325,7 +325,9 @@
     // NEW
     //
     'LBL_STATUS' : '状态',
-    'LBL_READONLY' : '只读'
+    'LBL_READONLY' : '只读',
+    'LBL_RESTORE' : '恢复',
+    'LBL_EMPTY_TRASH' : '清空回收站'
   };
 
 })();
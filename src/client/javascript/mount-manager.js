@@ -42,6 +42,7 @@
    * @property {Boolean}    [visible=true]            If this is visible in the UIs
    * @property {Boolean}    [searchable=true]         If you can search for files in this module
    * @property {Boolean}    [internal=false]          If this is a internal module
+   * @property {String}     [trash]                   Path of the trash if this module has its own
    * @property {Function}   [mount]                   Method for mounting (INTERNAL)
    * @property {Function}   [unmount]                 Method for unmounting (INTERNAL)
    * @property {Function}   [enabled]                 Method for getting enabled state (INTERNAL)
@@ -293,6 +294,7 @@
           return MountManager._create({
             readOnly: opts.readOnly,
             name: opts.name,
+            transport: opts.transport,
             description: opts.description,
             visible: opts.visible,
             dynamic: true,
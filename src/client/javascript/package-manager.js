@@ -36,6 +36,269 @@
    * @typedef Metadata
    */
 
+  /**
+   * A package entry from a repository index
+   * @typedef RepositoryEntry
+   * @property {String}   className     Package name
+   * @property {String}   name          Display name
+   * @property {String}   version       Package version
+   * @property {String}   author        Package author
+   * @property {String}   download      Location of the ZIP file (URL or VFS path)
+   * @property {Object}   depends       Dependencies (package name => version range)
+   * @property {String}   repository    The repository this entry came from
+   */
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /*
+   * Normalizes the `depends` declaration of a package into a map
+   * of package name => version range. An array of names is also accepted.
+   */
+  function getDependencies(metadata) {
+    var result = {};
+    var depends = metadata ? metadata.depends : null;
+
+    if ( depends instanceof Array ) {
+      depends.forEach(function(name) {
+        result[name] = '*';
+      });
+    } else if ( depends && typeof depends === 'object' ) {
+      Object.keys(depends).forEach(function(name) {
+        result[name] = String(depends[name] || '*');
+      });
+    }
+
+    return result;
+  }
+
+  /*
+   * Normalizes the `permissions` declaration of a package into a list of
+   * capabilities. Returns `null` if the package does not declare any.
+   *
+   * {
+   *   "vfs": {"home": "rw", "*": "r"},
+   *   "network": true,
+   *   "clipboard": true,
+   *   "notifications": true,
+   *   "api": true
+   * }
+   *
+   * Becomes: vfs:home:read, vfs:home:write, vfs:*:read, network, clipboard, notifications, api
+   */
+  function getCapabilities(metadata) {
+    var permissions = metadata ? metadata.permissions : null;
+    if ( !permissions || typeof permissions !== 'object' ) {
+      return null;
+    }
+
+    var result = [];
+    var vfs = permissions.vfs || {};
+    Object.keys(vfs).forEach(function(mount) {
+      var mode = String(vfs[mount] || '');
+      if ( mode.indexOf('r') >= 0 ) {
+        result.push('vfs:' + mount + ':read');
+      }
+      if ( mode.indexOf('w') >= 0 ) {
+        result.push('vfs:' + mount + ':write');
+      }
+    });
+
+    ['network', 'clipboard', 'notifications', 'api'].forEach(function(k) {
+      if ( permissions[k] === true ) {
+        result.push(k);
+      }
+    });
+
+    return result;
+  }
+
+  /*
+   * Checks if a declared capability covers the requested one
+   */
+  function matchCapability(declared, capability) {
+    if ( declared === capability ) {
+      return true;
+    }
+
+    var d = declared.split(':');
+    var c = capability.split(':');
+    return d.length === 3 && c.length === 3 && d[0] === 'vfs' && c[0] === 'vfs' && d[1] === '*' && d[2] === c[2];
+  }
+
+  /*
+   * Finds the package whose scripts are in the current call stack.
+   * Returns `null` when called from the core scripts only, or `undefined`
+   * if the caller cannot be identified (no stack traces, or code that is
+   * neither a package nor a core script, ex: injected or evaluated code).
+   */
+  function getCallingPackage(packages, coreScripts) {
+    // V8 only keeps the last 10 frames by default
+    var limit = Error.stackTraceLimit;
+    Error.stackTraceLimit = Infinity;
+    var stack = (new Error()).stack;
+    Error.stackTraceLimit = limit;
+
+    if ( typeof stack !== 'string' ) {
+      return undefined;
+    }
+
+    var prefixes = Object.keys(packages).map(function(name) {
+      var path = API.getApplicationResource(name, '');
+      return path ? {name: name, path: '/' + path.replace(/^\/+/, '')} : null;
+    }).filter(function(p) {
+      return !!p;
+    });
+
+    var unknown = false;
+    var lines = stack.split('\n');
+    for ( var i = 0; i < lines.length; i++ ) {
+      for ( var j = 0; j < prefixes.length; j++ ) {
+        if ( lines[i].indexOf(prefixes[j].path) !== -1 ) {
+          return prefixes[j].name;
+        }
+      }
+
+      // Frames without a location are native code
+      var location = lines[i].match(/([^\s(@]+?)(:\d+){1,2}\)?\s*$/);
+      if ( location && coreScripts && coreScripts.indexOf(location[1]) === -1 ) {
+        unknown = true;
+      }
+    }
+
+    return unknown ? undefined : null;
+  }
+
+  /*
+   * Reads the `metadata.json` of an (unpacked) package directory
+   */
+  function readPackageMetadata(dir, cb) {
+    var file = new VFS.File(Utils.pathJoin(dir, 'metadata.json'), 'application/json');
+    VFS.read(file, function(error, resp) {
+      var meta = Utils.fixJSON(resp || '');
+      if ( error ) {
+        cb(error);
+      } else if ( !meta || typeof meta !== 'object' || !meta.className ) {
+        cb(API._('ERR_PACKAGE_METADATA'));
+      } else {
+        cb(false, meta);
+      }
+    }, {type: 'text'});
+  }
+
+  /*
+   * Removes a file or directory, ignoring any errors
+   */
+  function removePath(path, cb) {
+    var file = new VFS.File(path);
+    VFS.exists(file, function(error, exists) {
+      if ( error || !exists ) {
+        cb();
+        return;
+      }
+
+      VFS.unlink(file, function() {
+        cb();
+      });
+    });
+  }
+
+  /*
+   * Turns a repository index entry into a `RepositoryEntry`
+   */
+  function createRepositoryEntry(iter, repository, base) {
+    if ( !iter || typeof iter !== 'object' || !iter.download ) {
+      return null;
+    }
+
+    var download = String(iter.download);
+    if ( !download.match(/^([A-z0-9\-_]+)\:\//) && !download.match(/^\/\//) ) {
+      download = base.match(/^(https?|ftp)\:/) ? base.replace(/\/?$/, '/') + download.replace(/^(\.\/)?/, '') : Utils.pathJoin(base, download);
+    }
+
+    var className = iter.className;
+    var version = iter.version;
+    if ( !className ) {
+      className = Utils.filename(download).replace(/\.zip$/i, '').replace(/[\-_]v?\d+(\.\d+)*(\-[0-9A-Za-z\.\-]+)?$/, '');
+    }
+
+    return {
+      className: className,
+      name: iter.name || className,
+      version: String(version || '0.0.0'),
+      author: iter.author || '',
+      description: iter.description || '',
+      download: download,
+      depends: getDependencies(iter),
+      repository: repository
+    };
+  }
+
+  /*
+   * Reads a repository index over HTTP
+   */
+  function fetchRemoteRepository(url, cb) {
+    var src = url.match(/^\/\//) ? window.location.protocol + url : url;
+
+    API.curl({
+      url: src,
+      method: 'GET'
+    }, function(error, result) {
+      if ( error ) {
+        cb(error);
+        return;
+      }
+
+      cb(false, Utils.fixJSON(result.body), src.replace(/\/[^\/]*$/, ''));
+    });
+  }
+
+  /*
+   * Reads a directory based repository from the VFS.
+   *
+   * If the directory contains a `packages.json` index it is used, otherwise
+   * all `Name-1.0.0.zip` files in the directory are listed.
+   */
+  function fetchLocalRepository(path, cb) {
+    var dir = path.replace(/\/?packages\.json$/, '');
+    var index = new VFS.File(Utils.pathJoin(dir, 'packages.json'), 'application/json');
+
+    VFS.exists(index, function(error, exists) {
+      if ( error ) {
+        cb(error);
+        return;
+      }
+
+      if ( exists ) {
+        VFS.read(index, function(error, resp) {
+          cb(error, error ? null : Utils.fixJSON(resp || ''), dir);
+        }, {type: 'text'});
+        return;
+      }
+
+      VFS.scandir(new VFS.File(dir), function(error, list) {
+        if ( error ) {
+          cb(error);
+          return;
+        }
+
+        var result = (list || []).filter(function(iter) {
+          return iter.type === 'file' && iter.filename.match(/\.zip$/i);
+        }).map(function(iter) {
+          var m = iter.filename.replace(/\.zip$/i, '').match(/^(.*?)(?:[\-_]v?(\d+(?:\.\d+)*(?:\-[0-9A-Za-z\.\-]+)?))?$/);
+          return {
+            className: m[1],
+            version: m[2],
+            download: iter.path
+          };
+        });
+
+        cb(false, result, dir);
+      });
+    });
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // PACKAGE MANAGER
   /////////////////////////////////////////////////////////////////////////////
@@ -61,6 +324,7 @@
   var PackageManager = (function() {
     var blacklist = [];
     var packages = [];
+    var coreScripts = null;
     var uri = Utils.checkdir(API.getConfig('Connection.MetadataURI'));
 
     return Object.seal({
@@ -79,6 +343,15 @@
 
         console.debug('PackageManager::load()');
 
+        // Everything loaded before any packages is the core
+        if ( !coreScripts ) {
+          coreScripts = Array.prototype.slice.call(document.getElementsByTagName('script')).map(function(el) {
+            return el.src;
+          }).filter(function(src) {
+            return !!src;
+          });
+        }
+
         function loadMetadata(cb) {
           self._loadMetadata(function(err) {
             if ( err ) {
@@ -320,49 +593,679 @@
       },
 
       /**
-       * Installs a package by ZIP
+       * Installs (or upgrades) a package by ZIP
+       *
+       * The archive is extracted into a staging directory first, and the
+       * contained `metadata.json` is checked against what is already
+       * installed. A package is only replaced if the new version is newer,
+       * unless `options.force` is set.
+       *
+       * The server then verifies the package signature according to its
+       * signing policy, and moves the package into place if accepted.
        *
        * @function install
        * @memberof OSjs.Core.PackageManager#
        *
-       * @param {OSjs.VFS.File}   file        The ZIP file
-       * @param {Function}        cb          Callback function
+       * @param {OSjs.VFS.File}   file                              The ZIP file
+       * @param {Function}        cb                                Callback function => fn(error, metadata, verification)
+       * @param {Object}          [options]                         Options
+       * @param {Boolean}         [options.force=false]             Install even if the same or a newer version is installed
+       * @param {Boolean}         [options.ignoreDependencies=false] Install even if dependencies are not met
        */
-      install: function(file, cb) {
+      install: function(file, cb, options) {
+        options = options || {};
+
+        var self = this;
         var root = API.getConfig('PackageManager.UserPackages');
-        var dest = Utils.pathJoin(root, file.filename.replace(/\.zip$/i, ''));
+        var staging = Utils.pathJoin(root, '.staging', file.filename.replace(/\.zip$/i, ''));
 
-        function installFromZip() {
-          OSjs.Helpers.ZipArchiver.createInstance({}, function(error, instance) {
+        function _failed(error) {
+          removePath(staging, function() {
+            cb(error);
+          });
+        }
+
+        function _checkPackage(meta) {
+          var installed = packages[meta.className];
+          if ( installed ) {
+            if ( installed.scope !== 'user' ) {
+              return API._('ERR_PACKAGE_SYSTEM_FMT', meta.className);
+            }
+
+            if ( !options.force && Utils.compareVersion(meta.version, installed.version) <= 0 ) {
+              return API._('ERR_PACKAGE_VERSION_FMT', meta.className, installed.version || '0.0.0', meta.version || '0.0.0');
+            }
+          }
+
+          if ( !options.ignoreDependencies ) {
+            var missing = self.getMissingDependencies(meta).map(function(iter) {
+              return iter.name + ' (' + iter.range + ')';
+            });
+
+            if ( missing.length ) {
+              return API._('ERR_PACKAGE_DEPENDENCY_FMT', meta.className, missing.join(', '));
+            }
+          }
+
+          return false;
+        }
+
+        function _installStaged(meta) {
+          var installed = packages[meta.className];
+          var dest = Utils.pathJoin(root, installed ? installed.path : meta.className);
+
+          API.call('packageInstall', {path: staging, dest: dest}, function(error, verification) {
             if ( error ) {
-              cb(error);
+              _failed(verification ? API._('ERR_PACKAGE_SIGNATURE_FMT', meta.className, error) : error);
+              return;
+            }
+
+            self.generateUserMetadata(function() {
+              cb(false, meta, verification);
+            });
+          });
+        }
+
+        function _extract() {
+          OSjs.Helpers.ZipArchiver.createInstance({}, function(error, instance) {
+            if ( error || !instance ) {
+              cb(error || API._('ERR_PACKAGE_METADATA'));
               return;
             }
 
-            if ( instance ) {
-              instance.extract(file, dest, {
-                onprogress: function() {
-                },
-                oncomplete: function() {
-                  cb();
+            instance.extract(file, staging, {
+              onprogress: function() {
+              },
+              oncomplete: function(error) {
+                if ( error ) {
+                  _failed(error);
+                  return;
+                }
+
+                readPackageMetadata(staging, function(error, meta) {
+                  error = error || _checkPackage(meta);
+                  if ( error ) {
+                    _failed(error);
+                    return;
+                  }
+
+                  _installStaged(meta);
+                });
+              }
+            });
+          });
+        }
+
+        VFS.mkdir(new VFS.File(root), function() {
+          VFS.mkdir(new VFS.File(Utils.dirname(staging)), function() {
+            removePath(staging, _extract);
+          });
+        });
+      },
+
+      /**
+       * Uninstalls a user package
+       *
+       * Removes the package files and regenerates the user metadata.
+       * Fails if another package depends on it, unless `options.force` is set.
+       *
+       * @function uninstall
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}          name                    Package name
+       * @param {Function}        cb                      Callback function => fn(error, result)
+       * @param {Object}          [options]               Options
+       * @param {Boolean}         [options.force=false]   Uninstall even if other packages depends on it
+       */
+      uninstall: function(name, cb, options) {
+        options = options || {};
+
+        var self = this;
+        var pkg = packages[name];
+        if ( !pkg ) {
+          cb(API._('ERR_PACKAGE_NOT_INSTALLED_FMT', name));
+          return;
+        }
+        if ( pkg.scope !== 'user' ) {
+          cb(API._('ERR_PACKAGE_SYSTEM_FMT', name));
+          return;
+        }
+
+        var dependents = this.getDependents(name);
+        if ( dependents.length && !options.force ) {
+          cb(API._('ERR_PACKAGE_REQUIRED_FMT', name, dependents.join(', ')));
+          return;
+        }
+
+        var dir = new VFS.File(Utils.pathJoin(API.getConfig('PackageManager.UserPackages'), pkg.path));
+        VFS.unlink(dir, function(error) {
+          if ( error ) {
+            cb(error);
+            return;
+          }
+
+          self.generateUserMetadata(function() {
+            cb(false, true);
+          });
+        });
+      },
+
+      /**
+       * Gets the capabilities a package has declared in its `permissions`
+       *
+       * @function getCapabilities
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}    name      Package name
+       *
+       * @return {String[]} List of capabilities, or `null` if none was declared
+       */
+      getCapabilities: function(name) {
+        return getCapabilities(packages[name]);
+      },
+
+      /**
+       * Gets a human readable description of a capability
+       *
+       * @function getCapabilityLabel
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}    capability      Capability name
+       *
+       * @return {String}
+       */
+      getCapabilityLabel: function(capability) {
+        var m = capability.match(/^vfs:([^:]+):(read|write)$/);
+        if ( m ) {
+          var mount = m[1] === '*' ? API._('LBL_CAPABILITY_VFS_ALL') : m[1] + ':///';
+          return API._(m[2] === 'write' ? 'LBL_CAPABILITY_VFS_WRITE_FMT' : 'LBL_CAPABILITY_VFS_READ_FMT', mount);
+        }
+        return API._('LBL_CAPABILITY_' + capability.toUpperCase());
+      },
+
+      /**
+       * Gets the capabilities granted (or denied) by the user for a package
+       *
+       * @function getGrants
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}    name      Package name
+       *
+       * @return {Object} Map of capability => Boolean
+       */
+      getGrants: function(name) {
+        var grants = OSjs.Core.getSettingsManager().instance('Packages').get('grants', {});
+        return Utils.cloneObject(grants[name] || {});
+      },
+
+      /**
+       * Sets the capabilities granted (or denied) by the user for a package
+       *
+       * @function setGrants
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}      name        Package name
+       * @param {Object}      [grants]    Map of capability => Boolean (or null to reset)
+       * @param {Mixed}       [save=true] Boolean or callback function for saving
+       */
+      setGrants: function(name, grants, save) {
+        var pool = OSjs.Core.getSettingsManager().instance('Packages');
+        var list = pool.get('grants', {});
+        if ( grants ) {
+          list[name] = grants;
+        } else {
+          delete list[name];
+        }
+        pool.set('grants', list, typeof save === 'undefined' ? true : save);
+      },
+
+      /**
+       * Checks if a package is allowed to use a capability
+       *
+       * Packages without a `permissions` declaration are unrestricted if
+       * they are system packages, or if `PackageManager.Permissions.undeclared`
+       * is set to `allow`.
+       *
+       * @function checkCapability
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}    name          Package name
+       * @param {String}    capability    Capability, ex: `network` or `vfs:home:write`
+       *
+       * @return {Boolean}
+       */
+      checkCapability: function(name, capability) {
+        var pkg = packages[name];
+        if ( !pkg || API.getConfig('PackageManager.Permissions.enabled', true) === false ) {
+          return true;
+        }
+
+        var declared = getCapabilities(pkg);
+        if ( declared === null ) {
+          return pkg.scope !== 'user' || API.getConfig('PackageManager.Permissions.undeclared', 'deny') === 'allow';
+        }
+
+        var grants = this.getGrants(name);
+        return declared.some(function(c) {
+          return grants[c] === true && matchCapability(c, capability);
+        });
+      },
+
+      /**
+       * Gets the package whose scripts made the current call
+       *
+       * @function getCallingPackage
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @return {String} Package name, `null` for the core or `undefined` if the caller cannot be identified
+       */
+      getCallingPackage: function() {
+        return getCallingPackage(packages, coreScripts);
+      },
+
+      /**
+       * Checks if the caller of an API or VFS method is allowed to use a capability
+       *
+       * The caller is identified by the package scripts in the call stack, so
+       * a package cannot borrow the permissions of another process by passing
+       * it as `appRef`. When given, the `appRef` process has to be allowed too.
+       * Calls that cannot be identified are denied.
+       *
+       * @function checkCallerCapability
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {OSjs.Core.Process|OSjs.Core.Window}  [appRef]      Reference to calling process (or window)
+       * @param {String}                              capability    Capability, ex: `network` or `vfs:home:write`
+       *
+       * @return {String|Boolean} Error message if denied, otherwise `false`
+       */
+      checkCallerCapability: function(appRef, capability) {
+        if ( API.getConfig('PackageManager.Permissions.enabled', true) === false ) {
+          return false;
+        }
+
+        var proc = (appRef instanceof OSjs.Core.Window) ? appRef._app : appRef;
+        if ( !(proc instanceof OSjs.Core.Process) ) {
+          proc = null;
+        }
+
+        var caller = getCallingPackage(packages, coreScripts);
+        if ( typeof caller === 'undefined' ) {
+          return API._('ERR_PACKAGE_PERMISSION_FMT', '?', capability);
+        }
+
+        if ( caller && !this.checkCapability(caller, capability) ) {
+          return API._('ERR_PACKAGE_PERMISSION_FMT', packages[caller].name || caller, capability);
+        }
+
+        if ( proc && !proc._checkCapability(capability) ) {
+          return API._('ERR_PACKAGE_PERMISSION_FMT', proc.__label || proc.__pname, capability);
+        }
+
+        return false;
+      },
+
+      /**
+       * Asks the user to grant the capabilities a package has declared
+       * but not yet been granted or denied. Used on launch.
+       *
+       * @function requestPermissions
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}      name      Package name
+       * @param {Function}    cb        Callback function => fn()
+       */
+      requestPermissions: function(name, cb) {
+        var self = this;
+        var pkg = packages[name];
+        var declared = getCapabilities(pkg);
+        if ( !declared || !declared.length || API.getConfig('PackageManager.Permissions.enabled', true) === false ) {
+          cb();
+          return;
+        }
+
+        var grants = this.getGrants(name);
+        var pending = declared.filter(function(c) {
+          return typeof grants[c] !== 'boolean';
+        });
+
+        if ( !pending.length ) {
+          cb();
+          return;
+        }
+
+        API.createDialog('Confirm', {
+          title: API._('DIALOG_PERMISSIONS_TITLE'),
+          message: API._('DIALOG_PERMISSIONS_MSG_FMT', pkg.name || name, pending.map(function(c) {
+            return self.getCapabilityLabel(c);
+          }).join(', ')),
+          buttons: ['yes', 'no']
+        }, function(ev, button) {
+          pending.forEach(function(c) {
+            grants[c] = button === 'yes';
+          });
+
+          self.setGrants(name, grants);
+          cb();
+        });
+      },
+
+      /**
+       * Verifies the signature of an installed user package
+       *
+       * The package files are checked by the server every time, so the
+       * result reflects what is installed now.
+       * Status is one of: verified, unsigned, untrusted, invalid or unchecked.
+       *
+       * @function getVerification
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}      name      Package name
+       * @param {Function}    cb        Callback function => fn(error, result) with `{status, message, keyId}`, or `null` for system packages
+       */
+      getVerification: function(name, cb) {
+        var pkg = packages[name];
+        if ( !pkg || pkg.scope !== 'user' ) {
+          cb(false, null);
+          return;
+        }
+
+        var dir = Utils.pathJoin(API.getConfig('PackageManager.UserPackages'), pkg.path);
+        API.call('packageVerify', {path: dir}, cb);
+      },
+
+      /**
+       * Gets the dependencies of a package that are not installed, or
+       * installed with a version not satisfying the required range
+       *
+       * @function getMissingDependencies
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {Metadata}    metadata      Package metadata
+       *
+       * @return {Object[]} List of `{name, range, installed}`
+       */
+      getMissingDependencies: function(metadata) {
+        var depends = getDependencies(metadata);
+
+        return Object.keys(depends).filter(function(name) {
+          var installed = packages[name];
+          return !installed || !Utils.satisfiesVersion(installed.version, depends[name]);
+        }).map(function(name) {
+          return {
+            name: name,
+            range: depends[name],
+            installed: packages[name] ? (packages[name].version || '0.0.0') : null
+          };
+        });
+      },
+
+      /**
+       * Gets the names of all installed packages that depends on given package
+       *
+       * @function getDependents
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}    name      Package name
+       *
+       * @return {String[]}
+       */
+      getDependents: function(name) {
+        return Object.keys(packages).filter(function(i) {
+          return i !== name && getDependencies(packages[i]).hasOwnProperty(name);
+        });
+      },
+
+      /**
+       * Gets the list of configured repositories
+       *
+       * A repository is either a URL to a JSON index, or a VFS directory
+       * containing a `packages.json` index or a set of ZIP files.
+       *
+       * @function getRepositories
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @return {String[]}
+       */
+      getRepositories: function() {
+        var list = API.getConfig('PackageManager.Repositories', []);
+        return (list instanceof Array ? list : [list]).filter(function(iter) {
+          return typeof iter === 'string' && iter.length;
+        });
+      },
+
+      /**
+       * Fetches the package lists from all repositories
+       *
+       * Failing repositories does not abort the operation, but are reported
+       * in the third callback argument.
+       *
+       * @function fetchRepositories
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {Function}    cb      Callback function => fn(error, entries, failed)
+       */
+      fetchRepositories: function(cb) {
+        var result = [];
+        var failed = [];
+
+        Utils.asyncs(this.getRepositories(), function(repository, idx, next) {
+          var fetcher = repository.match(/^(https?\:)?\/\//) ? fetchRemoteRepository : fetchLocalRepository;
+
+          fetcher(repository, function(error, index, base) {
+            if ( !error && index && typeof index === 'object' && !(index instanceof Array) ) {
+              index = index.packages || Object.keys(index).map(function(k) {
+                return Utils.mergeObject({className: k}, index[k]);
+              });
+            }
+
+            if ( error || !(index instanceof Array) ) {
+              console.warn('PackageManager::fetchRepositories()', repository, error);
+              failed.push({repository: repository, error: error || API._('ERR_PACKAGE_REPOSITORY')});
+            } else {
+              index.forEach(function(iter) {
+                var entry = createRepositoryEntry(iter, repository, base);
+                if ( entry ) {
+                  result.push(entry);
                 }
               });
             }
+
+            next();
+          });
+        }, function() {
+          cb(false, result, failed);
+        });
+      },
+
+      /**
+       * Installs (or upgrades) a package from the repositories
+       *
+       * The newest version satisfying the range is picked, and any missing
+       * dependencies are resolved and installed first.
+       *
+       * @function installFromRepository
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}      name                  Package name
+       * @param {Function}    cb                    Callback function => fn(error, installed)
+       * @param {Object}      [options]             Options
+       * @param {String}      [options.version]     Version range
+       * @param {Boolean}     [options.force]       Reinstall even if same version is installed
+       */
+      installFromRepository: function(name, cb, options) {
+        options = options || {};
+
+        var self = this;
+        var root = API.getConfig('PackageManager.UserPackages');
+
+        function _find(list, n, range) {
+          return list.filter(function(iter) {
+            return iter.className === n && Utils.satisfiesVersion(iter.version, range);
+          }).sort(function(a, b) {
+            return Utils.compareVersion(b.version, a.version);
+          })[0];
+        }
+
+        function _resolve(list, n, range, plan, visited) {
+          if ( visited.indexOf(n) >= 0 ) {
+            return false;
+          }
+          visited.push(n);
+
+          var installed = packages[n];
+          if ( n !== name && installed && Utils.satisfiesVersion(installed.version, range) ) {
+            return false;
+          }
+
+          var entry = _find(list, n, range);
+          if ( !entry ) {
+            if ( n === name ) {
+              return API._('ERR_PACKAGE_NOT_FOUND_FMT', name, range || '*');
+            }
+            return API._('ERR_PACKAGE_DEPENDENCY_FMT', name, n + ' (' + (range || '*') + ')');
+          }
+
+          var depends = entry.depends;
+          var error = false;
+          Object.keys(depends).some(function(d) {
+            error = _resolve(list, d, depends[d], plan, visited);
+            return !!error;
           });
+
+          if ( !error ) {
+            plan.push(entry);
+          }
+          return error;
         }
 
-        VFS.mkdir(new VFS.File(root), function() {
-          VFS.exists(new VFS.File(dest), function(error, exists) {
+        function _installEntry(entry, done) {
+          var opts = {ignoreDependencies: true, force: entry.className === name ? options.force : false};
+
+          if ( !entry.download.match(/^(https?\:)?\/\//) ) {
+            self.install(new VFS.File(entry.download, 'application/zip'), done, opts);
+            return;
+          }
+
+          var src = entry.download.match(/^\/\//) ? window.location.protocol + entry.download : entry.download;
+          VFS.read(new VFS.File(src, 'application/zip'), function(error, ab) {
             if ( error ) {
-              cb(error);
-            } else {
-              if ( exists ) {
-                cb(API._('ERR_PACKAGE_EXISTS'));
+              done(error);
+              return;
+            }
+
+            var tmp = new VFS.File({
+              filename: Utils.filename(src),
+              type: 'file',
+              path: Utils.pathJoin(root, '.staging', Utils.filename(src)),
+              mime: 'application/zip'
+            });
+
+            VFS.mkdir(new VFS.File(root), function() {
+              VFS.mkdir(new VFS.File(Utils.dirname(tmp.path)), function() {
+                VFS.write(tmp, ab, function(error) {
+                  if ( error ) {
+                    done(error);
+                    return;
+                  }
+
+                  self.install(tmp, function(error, meta) {
+                    removePath(tmp.path, function() {
+                      done(error, meta);
+                    });
+                  }, opts);
+                });
+              });
+            });
+          });
+        }
+
+        this.fetchRepositories(function(error, list) {
+          if ( error ) {
+            cb(error);
+            return;
+          }
+
+          var plan = [];
+          error = _resolve(list, name, options.version || '*', plan, []);
+          if ( error ) {
+            cb(error);
+            return;
+          }
+
+          var installed = [];
+          var failed = false;
+          Utils.asyncs(plan, function(entry, idx, next) {
+            if ( failed ) {
+              next();
+              return;
+            }
+
+            _installEntry(entry, function(error) {
+              if ( error ) {
+                failed = error;
               } else {
-                installFromZip();
+                installed.push(entry.className);
+              }
+              next();
+            });
+          }, function() {
+            cb(failed, installed);
+          });
+        });
+      },
+
+      /**
+       * Gets all installed user packages that has a newer version
+       * available in the repositories
+       *
+       * @function getUpgrades
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {Function}    cb      Callback function => fn(error, entries)
+       */
+      getUpgrades: function(cb) {
+        this.fetchRepositories(function(error, list) {
+          if ( error ) {
+            cb(error);
+            return;
+          }
+
+          var result = {};
+          list.forEach(function(iter) {
+            var installed = packages[iter.className];
+            if ( installed && installed.scope === 'user' && Utils.compareVersion(iter.version, installed.version) > 0 ) {
+              if ( !result[iter.className] || Utils.compareVersion(iter.version, result[iter.className].version) > 0 ) {
+                result[iter.className] = iter;
               }
             }
           });
+
+          cb(false, Object.keys(result).map(function(k) {
+            return result[k];
+          }));
+        });
+      },
+
+      /**
+       * Upgrades an installed user package to the newest version
+       * available in the repositories
+       *
+       * @function upgrade
+       * @memberof OSjs.Core.PackageManager#
+       *
+       * @param {String}      name      Package name
+       * @param {Function}    cb        Callback function => fn(error, installed)
+       */
+      upgrade: function(name, cb) {
+        var pkg = packages[name];
+        if ( !pkg || pkg.scope !== 'user' ) {
+          cb(API._('ERR_PACKAGE_NOT_INSTALLED_FMT', name));
+          return;
+        }
+
+        this.installFromRepository(name, cb, {
+          version: '>' + (pkg.version || '0.0.0')
         });
       },
 
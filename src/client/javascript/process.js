@@ -53,6 +53,17 @@
    * @typedef ProcessEvent
    */
 
+  /**
+   * @property  {Number}    uptime      Milliseconds since the process was started
+   * @property  {Number}    windows     Number of open windows
+   * @property  {Number}    listeners   Number of registered event listeners
+   * @property  {Number}    requests    Total number of VFS/API requests
+   * @property  {Number}    pending     Number of VFS/API requests in progress
+   * @property  {Number}    sent        Bytes sent in requests (estimated)
+   * @property  {Number}    received    Bytes received in responses (estimated)
+   * @typedef ProcessResourceUsage
+   */
+
   /////////////////////////////////////////////////////////////////////////////
   // GLOBALS
   /////////////////////////////////////////////////////////////////////////////
@@ -71,6 +82,31 @@
     return false;
   }
 
+  /**
+   * Estimates the transfer size of request arguments or a response
+   */
+  function getDataSize(data) {
+    if ( data === null || typeof data === 'undefined' ) {
+      return 0;
+    } else if ( typeof data === 'string' ) {
+      return data.length;
+    } else if ( typeof data.byteLength === 'number' ) {
+      return data.byteLength;
+    } else if ( window.Blob && data instanceof window.Blob ) {
+      return data.size;
+    } else if ( data instanceof Array ) {
+      return data.reduce(function(total, iter) {
+        return total + getDataSize(iter);
+      }, 0);
+    }
+
+    try {
+      return JSON.stringify(data).length;
+    } catch ( e ) {}
+
+    return 0;
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // API METHODS
   /////////////////////////////////////////////////////////////////////////////
@@ -274,6 +310,29 @@
      */
     this.__destroyed = false;
 
+    /**
+     * Parent process ID (or -1 if launched directly). Set with the
+     * `__parent__` launch argument.
+     * @name __ppid
+     * @memberof OSjs.Core.Process#
+     * @type {Number}
+     */
+    this.__ppid = typeof this.__args.__parent__ === 'number' ? this.__args.__parent__ : -1;
+    delete this.__args.__parent__;
+
+    /**
+     * Request statistics
+     * @name __stats
+     * @memberof OSjs.Core.Process#
+     * @type {Object}
+     */
+    this.__stats = {
+      requests: 0,
+      pending: 0,
+      sent: 0,
+      received: 0
+    };
+
     this.__evHandler = new OSjs.Helpers.EventHandler(name, [
       'message', 'attention', 'hashchange', 'api', 'destroy', 'destroyWindow', 'vfs',
       'vfs:mount', 'vfs:unmount', 'vfs:mkdir', 'vfs:write', 'vfs:move',
@@ -410,7 +469,17 @@
   Process.prototype._api = function(method, args, callback, showLoading) {
     var self = this;
 
+    var denied = OSjs.Core.getPackageManager().checkCallerCapability(this, 'api');
+    if ( denied ) {
+      callback(denied);
+      return false;
+    }
+
+    var finished = this._trackRequest(args);
+
     function cb(err, res) {
+      finished(res);
+
       if ( self.__destroyed ) {
         console.warn('Process::_api()', 'INGORED RESPONSE: Process was closed');
         return;
@@ -428,6 +497,71 @@
     }, cb);
   };
 
+  /**
+   * Check if this process has been granted a capability
+   *
+   * Capabilities are declared in the `permissions` section of the package
+   * metadata and granted by the user on first launch.
+   *
+   * @function _checkCapability
+   * @memberof OSjs.Core.Process#
+   * @see OSjs.Core.PackageManager#checkCapability
+   *
+   * @param   {String}    capability    Capability name, ex: `network` or `vfs:home:write`
+   *
+   * @return  {Boolean}
+   */
+  Process.prototype._checkCapability = function(capability) {
+    return OSjs.Core.getPackageManager().checkCapability(this.__iter || this.__pname, capability);
+  };
+
+  /**
+   * Registers a VFS/API request made on behalf of this process
+   *
+   * @function _trackRequest
+   * @memberof OSjs.Core.Process#
+   *
+   * @param   {Mixed}     data      Request arguments
+   *
+   * @return  {Function}  Call this with the response when the request has completed
+   */
+  Process.prototype._trackRequest = function(data) {
+    var stats = this.__stats;
+    var done = false;
+
+    stats.requests++;
+    stats.pending++;
+    stats.sent += getDataSize(data);
+
+    return function(response) {
+      if ( !done ) {
+        done = true;
+        stats.pending = Math.max(0, stats.pending - 1);
+        stats.received += getDataSize(response);
+      }
+    };
+  };
+
+  /**
+   * Gets the current resource usage of this process
+   *
+   * @function _getResourceUsage
+   * @memberof OSjs.Core.Process#
+   *
+   * @return  {ProcessResourceUsage}
+   */
+  Process.prototype._getResourceUsage = function() {
+    return {
+      uptime: new Date() - this.__started,
+      windows: 0,
+      listeners: this.__evHandler ? this.__evHandler.count() : 0,
+      requests: this.__stats.requests,
+      pending: this.__stats.pending,
+      sent: this.__stats.sent,
+      received: this.__stats.received
+    };
+  };
+
   /**
    * Get a launch/session argument
    *
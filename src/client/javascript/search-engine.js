@@ -36,30 +36,40 @@
   /////////////////////////////////////////////////////////////////////////////
 
   /**
-   * Searches an object field for matches
+   * Ranks objects by a query on the server.
+   *
+   * All query terms has to match a word in one of the fields. The first
+   * field weighs the most. The values gets the `score` and `highlights`
+   * returned by the server.
    */
-  function search(list, query) {
-    var result = [];
-
-    list.forEach(function(obj) {
-      var found = false;
-
-      obj.fields.forEach(function(s) {
-        if ( found ) {
-          return;
-        }
+  function search(list, query, cb) {
+    if ( !list.length ) {
+      cb(false, []);
+      return;
+    }
 
-        var qry = String(query).toLowerCase();
-        var str = String(s).toLowerCase();
-        if ( str.indexOf(qry) !== -1 ) {
-          result.push(obj.value);
+    API.call('searchRank', {
+      query: query,
+      documents: list.map(function(obj) {
+        return {
+          fields: obj.fields,
+          title: obj.value.title,
+          description: obj.value.description
+        };
+      })
+    }, function(error, result) {
+      if ( error ) {
+        cb(error, []);
+        return;
+      }
 
-          found = true;
-        }
-      });
+      cb(false, (result || []).map(function(iter) {
+        var value = list[iter.index].value;
+        value.score = iter.score;
+        value.highlights = iter.highlights;
+        return value;
+      }));
     });
-
-    return result;
   }
 
   /**
@@ -103,15 +113,17 @@
     }
 
     return {
+      title: 'LBL_APPLICATIONS',
+      icon: 'categories/applications-other.png',
       search: function(q, args, settings, cb) {
         if ( settings.applications ) {
-          var results = search(query(), q);
-
-          if ( args.limit && results.length > args.dlimit ) {
-            results = results.splice(0, args.dlimit);
-          }
+          search(query(), q, function(error, results) {
+            if ( args.limit && results.length > args.limit ) {
+              results = results.splice(0, args.limit);
+            }
 
-          cb(false, results);
+            cb(error, results);
+          });
         } else {
           cb(false, []);
         }
@@ -126,46 +138,171 @@
 
   /**
    * Search VFS for files
+   *
+   * Paths on the internal server uses the server-side search index, everything
+   * else falls back to `VFS.find()` and is ranked on the server.
    */
-  var FilesystemModule = {
-    search: function(q, args, settings, cb) {
-      if ( !settings.files || !settings.paths ) {
-        cb(false, []);
+  var FilesystemModule = (function() {
+    function createResult(iter, highlights) {
+      return {
+        title: iter.filename,
+        description: iter.path,
+        icon: API.getFileIcon(new VFS.File(iter)),
+        score: iter.score || 0,
+        highlights: highlights || {title: [], description: []},
+        launch: {application: '', args: '', file: iter}
+      };
+    }
+
+    function find(paths, q, args, cb) {
+      var found = [];
+      if ( !paths.length ) {
+        cb(false, found);
         return;
       }
 
-      var found = [];
-      Utils.asyncs(settings.paths, function(e, i, n) {
-        VFS.find(e, {query: q, limit: (args.limit ? args.dlimit : 0), recursive: args.recursive}, function(error, result) {
+      Utils.asyncs(paths, function(e, i, n) {
+        VFS.find(e, {query: q, limit: args.limit, recursive: args.recursive}, function(error, result) {
           if ( error ) {
             console.warn(error);
           }
 
           if ( result ) {
-            var list = result.map(function(iter) {
-              return {
-                title: iter.filename,
-                description: iter.path,
-                icon: API.getFileIcon(new VFS.File(iter)),
-                launch: {application: '', args: '', file: iter}
-              };
-            });
-
-            found = found.concat(list);
+            found = found.concat(result.map(function(iter) {
+              return new SearchObject({
+                value: createResult(iter),
+                fields: [iter.filename, iter.path]
+              });
+            }));
           }
 
           n();
         });
       }, function() {
-        cb(false, found);
+        search(found, q, function(error, result) {
+          if ( error ) {
+            console.warn('FilesystemModule::find()', error);
+            result = found.map(function(obj) {
+              return obj.value;
+            });
+          }
+          cb(false, result);
+        });
       });
-    },
-    reindex: function(args, cb) {
-      cb(false, true);
-    },
-    destroy: function() {
     }
-  };
+
+    function query(paths, q, args, cb) {
+      if ( !paths.length ) {
+        cb(false, []);
+        return;
+      }
+
+      API.call('search', {query: q, paths: paths, limit: args.limit}, function(error, result) {
+        if ( error ) {
+          console.warn('FilesystemModule::query()', 'falling back to VFS.find()', error);
+          find(paths, q, args, cb);
+          return;
+        }
+
+        cb(false, (result || []).map(function(iter) {
+          return createResult(iter, {
+            title: iter.highlights.filename,
+            description: iter.highlights.path
+          });
+        }));
+      });
+    }
+
+    function getInternalPaths(settings) {
+      var mm = OSjs.Core.getMountManager();
+      return (settings.paths || []).filter(function(p) {
+        return mm.isInternal(p);
+      });
+    }
+
+    return {
+      title: 'LBL_FILES',
+      icon: 'places/folder.png',
+      search: function(q, args, settings, cb) {
+        if ( !settings.files || !settings.paths ) {
+          cb(false, []);
+          return;
+        }
+
+        var internal = getInternalPaths(settings);
+        var external = settings.paths.filter(function(p) {
+          return internal.indexOf(p) === -1;
+        });
+
+        query(internal, q, args, function(error, result) {
+          find(external, q, args, function(error, found) {
+            cb(false, result.concat(found));
+          });
+        });
+      },
+      reindex: function(args, cb) {
+        var paths = getInternalPaths(args.settings || {});
+        if ( !paths.length ) {
+          cb(false, true);
+          return;
+        }
+        API.call('reindex', {paths: paths}, cb);
+      },
+      destroy: function() {
+      }
+    };
+  })();
+
+  /**
+   * Search open windows
+   */
+  var WindowModule = (function() {
+    function query() {
+      var wm = OSjs.Core.getWindowManager();
+      if ( !wm ) {
+        return [];
+      }
+
+      return wm.getWindows().filter(function(win) {
+        return win && !win._destroyed;
+      }).map(function(win) {
+        return new SearchObject({
+          value: {
+            title: win._title,
+            description: win._name,
+            icon: win._icon,
+            launch: {
+              callback: function() {
+                win._restore(false, true);
+                win._focus();
+              }
+            }
+          },
+          fields: [
+            win._title,
+            win._name
+          ]
+        });
+      });
+    }
+
+    return {
+      title: 'LBL_WINDOWS',
+      icon: 'apps/preferences-system-windows.png',
+      search: function(q, args, settings, cb) {
+        if ( settings.windows === false ) {
+          cb(false, []);
+        } else {
+          search(query(), q, cb);
+        }
+      },
+      reindex: function(args, cb) {
+        cb(false, true);
+      },
+      destroy: function() {
+      }
+    };
+  })();
 
   /////////////////////////////////////////////////////////////////////////////
   // ENGINE
@@ -191,10 +328,11 @@
    */
   var SearchEngine = (function() {
 
-    var modules = [
-      ApplicationModule,
-      FilesystemModule
-    ];
+    var modules = {
+      applications: ApplicationModule,
+      windows: WindowModule,
+      files: FilesystemModule
+    };
 
     var settings = {};
     var inited = false;
@@ -233,11 +371,13 @@
       destroy: function() {
         console.debug('SearchEngine::destroy()');
 
-        modules.forEach(function(m) {
-          m.destroy();
+        Object.keys(modules).forEach(function(name) {
+          if ( typeof modules[name].destroy === 'function' ) {
+            modules[name].destroy();
+          }
         });
 
-        modules = [];
+        modules = {};
         settings = {};
       },
 
@@ -257,33 +397,46 @@
 
         args = Utils.argumentDefaults(args, {
           recursive: false,
-          limit: 0,
-          dlimit: 0
+          limit: 0
         });
 
-        if ( args.limit ) {
-          args.dlimit = args.limit;
-        }
+        Utils.asyncs(Object.keys(modules), function(name, index, next) {
+          console.debug('SearchEngine::search()', '=>', name);
 
-        Utils.asyncs(modules, function(module, index, next) {
-          console.debug('SearchEngine::search()', '=>', module);
+          var module = modules[name];
+          if ( !module ) {
+            next();
+            return;
+          }
 
-          if ( !args.limit || args.dlimit > 0 ) {
+          try {
             module.search(q, args, settings, function(err, res) {
               if ( err ) {
                 errors.push(err);
               } else {
-                args.dlimit -= res.length;
-
-                result = result.concat(res);
+                result = result.concat((res || []).map(function(iter) {
+                  iter.provider = name;
+                  iter.icon = iter.icon || (module.icon ? API.getIcon(module.icon) : null);
+                  return iter;
+                }));
               }
 
               next();
             });
-          } else {
-            cb(errors, result);
+          } catch ( e ) {
+            console.warn('SearchEngine::search()', name, e, e.stack);
+            errors.push(e.toString());
+            next();
           }
         }, function() {
+          result.sort(function(a, b) {
+            return (b.score || 0) - (a.score || 0);
+          });
+
+          if ( args.limit ) {
+            result = result.slice(0, args.limit);
+          }
+
           cb(errors, result);
         });
       },
@@ -291,7 +444,6 @@
       /**
        * Reindex databases
        *
-       * @TODO implement
        * @function reindex
        * @memberof OSjs.Core.SearchEngine#
        *
@@ -301,8 +453,18 @@
       reindex: function(args, cb) {
         var errors = [];
 
-        Utils.asyncs(modules, function(module, index, next) {
-          console.debug('SearchEngine::reindex()', '=>', module);
+        args = Utils.argumentDefaults(args, {
+          settings: settings
+        });
+
+        Utils.asyncs(Object.keys(modules), function(name, index, next) {
+          console.debug('SearchEngine::reindex()', '=>', name);
+
+          var module = modules[name];
+          if ( !module || typeof module.reindex !== 'function' ) {
+            next();
+            return;
+          }
 
           module.reindex(args, function(err, res) {
             if ( err ) {
@@ -315,6 +477,107 @@
         });
       },
 
+      /**
+       * Register a search module (provider)
+       *
+       * A module is an object with the following properties:
+       * <pre>
+       * title      String      Category title (locale key or string)
+       * icon       String      Default theme icon for results
+       * search     Function    fn(query, args, settings, callback) => callback(error, results)
+       * reindex    Function    (Optional) fn(args, callback) => callback(error, result)
+       * destroy    Function    (Optional) fn()
+       * </pre>
+       *
+       * Each result is an object with `title`, `description`, `icon` and
+       * a `launch` object. The launch object can contain `application` and
+       * `args`, a `file` or a `callback` function. Use `match()` to rank a
+       * list of objects on the server with the same method as the built-in
+       * modules.
+       *
+       * @example
+       * OSjs.Core.getSearchEngine().registerModule('MyPackage', {
+       *   title: 'My Documents',
+       *   search: function(q, args, settings, cb) {
+       *     cb(false, [{title: 'Foo', description: 'Bar', launch: {application: 'ApplicationMyPackage', args: {}}}]);
+       *   }
+       * });
+       *
+       * @function registerModule
+       * @memberof OSjs.Core.SearchEngine#
+       *
+       * @param   {String}      name      Unique module name
+       * @param   {Object}      module    Module object
+       *
+       * @return  {Boolean}
+       */
+      registerModule: function(name, module) {
+        if ( !name || !module || typeof module.search !== 'function' ) {
+          console.warn('SearchEngine::registerModule()', 'invalid module', name);
+          return false;
+        }
+
+        if ( modules[name] ) {
+          console.warn('SearchEngine::registerModule()', 'replacing module', name);
+        }
+
+        console.debug('SearchEngine::registerModule()', name);
+        modules[name] = module;
+
+        return true;
+      },
+
+      /**
+       * Unregister a search module
+       *
+       * @function unregisterModule
+       * @memberof OSjs.Core.SearchEngine#
+       *
+       * @param   {String}      name      Module name
+       */
+      unregisterModule: function(name) {
+        if ( modules[name] ) {
+          if ( typeof modules[name].destroy === 'function' ) {
+            modules[name].destroy();
+          }
+          delete modules[name];
+        }
+      },
+
+      /**
+       * Get a list of registered search modules
+       *
+       * @function getModules
+       * @memberof OSjs.Core.SearchEngine#
+       *
+       * @return  {Object[]}  List of `{name, title, icon}`
+       */
+      getModules: function() {
+        return Object.keys(modules).map(function(name) {
+          return {
+            name: name,
+            title: modules[name].title || name,
+            icon: modules[name].icon
+          };
+        });
+      },
+
+      /**
+       * Rank a list of results by a query
+       *
+       * @function match
+       * @memberof OSjs.Core.SearchEngine#
+       *
+       * @param   {Object[]}    list      List of `{value: <result>, fields: [<string>, ...]}`
+       * @param   {String}      q         Search query
+       * @param   {Function}    cb        Callback => fn(error, result) with the matching values sorted by score
+       */
+      match: function(list, q, cb) {
+        search(list.map(function(obj) {
+          return new SearchObject(obj);
+        }), q, cb);
+      },
+
       /**
        * Configure the Search Engine
        *
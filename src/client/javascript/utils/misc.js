@@ -409,6 +409,176 @@
     return '#' + color;
   };
 
+  /////////////////////////////////////////////////////////////////////////////
+  // VERSIONS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /*
+   * Parses a (partial) semver string. `given` is the number of
+   * numeric components that was actually specified.
+   */
+  function parseVersion(str) {
+    var m = String(str || '').trim().replace(/^v/i, '').match(/^(?:(\d+|[x\*])(?:\.(\d+|[x\*]))?(?:\.(\d+|[x\*]))?)?(?:-([0-9A-Za-z\.\-]+))?(?:\+[0-9A-Za-z\.\-]+)?$/i);
+    if ( !m ) {
+      return null;
+    }
+
+    var parts = [0, 0, 0];
+    var given = 0;
+    for ( var i = 0; i < 3; i++ ) {
+      if ( !m[i + 1] || !m[i + 1].match(/^\d+$/) ) {
+        break;
+      }
+      parts[i] = parseInt(m[i + 1], 10);
+      given++;
+    }
+
+    return {
+      parts: parts,
+      given: given,
+      pre: m[4] ? m[4].split('.') : []
+    };
+  }
+
+  function compareParsedVersions(a, b) {
+    var i;
+    for ( i = 0; i < 3; i++ ) {
+      if ( a.parts[i] !== b.parts[i] ) {
+        return a.parts[i] > b.parts[i] ? 1 : -1;
+      }
+    }
+
+    // A pre-release always has a lower precedence than the release
+    if ( !a.pre.length || !b.pre.length ) {
+      if ( a.pre.length === b.pre.length ) {
+        return 0;
+      }
+      return a.pre.length ? -1 : 1;
+    }
+
+    for ( i = 0; i < Math.max(a.pre.length, b.pre.length); i++ ) {
+      var x = a.pre[i];
+      var y = b.pre[i];
+      if ( typeof x === 'undefined' || typeof y === 'undefined' ) {
+        return typeof x === 'undefined' ? -1 : 1;
+      }
+
+      var nx = x.match(/^\d+$/) ? parseInt(x, 10) : x;
+      var ny = y.match(/^\d+$/) ? parseInt(y, 10) : y;
+      if ( nx !== ny ) {
+        if ( typeof nx !== typeof ny ) {
+          return typeof nx === 'number' ? -1 : 1;
+        }
+        return nx > ny ? 1 : -1;
+      }
+    }
+
+    return 0;
+  }
+
+  function bumpVersion(v, idx) {
+    var parts = v.parts.slice(0);
+    parts[idx]++;
+    for ( var i = idx + 1; i < 3; i++ ) {
+      parts[i] = 0;
+    }
+    return {parts: parts, given: 3, pre: []};
+  }
+
+  function testComparator(v, comparator) {
+    var m = comparator.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+    var op = m[1] || '=';
+    var r = parseVersion(m[2]);
+    if ( !r ) {
+      return false;
+    }
+
+    if ( r.given === 0 ) {
+      return op !== '<' && op !== '>';
+    }
+
+    var cmp = compareParsedVersions(v, r);
+    var partial = r.given < 3;
+    var upper;
+
+    if ( op === '^' ) {
+      upper = 0;
+      while ( upper < r.given - 1 && r.parts[upper] === 0 ) {
+        upper++;
+      }
+      return cmp >= 0 && compareParsedVersions(v, bumpVersion(r, upper)) < 0;
+    } else if ( op === '~' ) {
+      return cmp >= 0 && compareParsedVersions(v, bumpVersion(r, r.given > 1 ? 1 : 0)) < 0;
+    } else if ( op === '>' ) {
+      return partial ? compareParsedVersions(v, bumpVersion(r, r.given - 1)) >= 0 : cmp > 0;
+    } else if ( op === '>=' ) {
+      return cmp >= 0;
+    } else if ( op === '<' ) {
+      return cmp < 0;
+    } else if ( op === '<=' ) {
+      return partial ? compareParsedVersions(v, bumpVersion(r, r.given - 1)) < 0 : cmp <= 0;
+    }
+
+    if ( partial ) {
+      return cmp >= 0 && compareParsedVersions(v, bumpVersion(r, r.given - 1)) < 0;
+    }
+    return cmp === 0;
+  }
+
+  /**
+   * Compares two semver version strings
+   *
+   * Missing or invalid versions are treated as `0.0.0`
+   *
+   * @example
+   * Utils.compareVersion('1.2.0', '1.10.0'); // -> -1
+   *
+   * @function compareVersion
+   * @memberof OSjs.Utils
+   *
+   * @param   {String}    a         Version
+   * @param   {String}    b         Version to compare with
+   *
+   * @return  {Number}              -1 if a < b, 0 if equal and 1 if a > b
+   */
+  OSjs.Utils.compareVersion = function(a, b) {
+    var empty = {parts: [0, 0, 0], given: 0, pre: []};
+    return compareParsedVersions(parseVersion(a) || empty, parseVersion(b) || empty);
+  };
+
+  /**
+   * Checks if a version satisfies a semver range
+   *
+   * Supports exact and partial versions (`1.2`, `1.x`), the operators
+   * `=`, `<`, `<=`, `>`, `>=`, `^` and `~`, space separated
+   * comparators (AND) and `||` (OR). An empty range or `*` matches anything.
+   *
+   * @example
+   * Utils.satisfiesVersion('1.4.2', '^1.2.0'); // -> true
+   *
+   * @function satisfiesVersion
+   * @memberof OSjs.Utils
+   *
+   * @param   {String}    version   Version
+   * @param   {String}    range     Version range
+   *
+   * @return  {Boolean}
+   */
+  OSjs.Utils.satisfiesVersion = function(version, range) {
+    var v = parseVersion(version) || {parts: [0, 0, 0], given: 0, pre: []};
+
+    range = String(range || '').trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1');
+    if ( !range || range === 'latest' ) {
+      return true;
+    }
+
+    return range.split(/\s*\|\|\s*/).some(function(set) {
+      return set.split(/\s+/).every(function(comparator) {
+        return !comparator || testComparator(v, comparator);
+      });
+    });
+  };
+
   /////////////////////////////////////////////////////////////////////////////
   // ASYNC
   /////////////////////////////////////////////////////////////////////////////
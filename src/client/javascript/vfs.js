@@ -102,6 +102,8 @@
    *     GoogleDrive  google-drive:///    Google Drive Storage
    *     OneDrive     onedrive:///        Microsoft OneDrive (SkyDrive)
    *     Dropbox      dropbox:///         Dropbox Storage
+   *     LocalStorage localstorage:///    Browser LocalStorage
+   *     IndexedDB    indexeddb:///       Browser IndexedDB Storage
    *
    */
 
@@ -375,4 +377,150 @@
     }
   };
 
+  /**
+   * Convert ArrayBuffer to Base64 string
+   *
+   * @function abToBase64
+   * @memberof OSjs.VFS.Helpers
+   *
+   * @param   {ArrayBuffer}   arrayBuffer The ArrayBuffer
+   *
+   * @return  {String}
+   */
+  VFS.Helpers.abToBase64 = function abToBase64(arrayBuffer) {
+    var bytes = new Uint8Array(arrayBuffer);
+    var str = '';
+    var size = 0x8000;
+
+    for ( var i = 0; i < bytes.length; i += size ) {
+      str += String.fromCharCode.apply(null, bytes.subarray(i, i + size));
+    }
+
+    return window.btoa(str);
+  };
+
+  /**
+   * Calculate the CRC32 checksum of an ArrayBuffer
+   *
+   * @function crc32
+   * @memberof OSjs.VFS.Helpers
+   *
+   * @param   {ArrayBuffer}   arrayBuffer The ArrayBuffer
+   *
+   * @return  {String} Checksum as a hex string
+   */
+  VFS.Helpers.crc32 = (function() {
+    var table = null;
+
+    function createTable() {
+      var t = [];
+      var c, n, k;
+
+      for ( n = 0; n < 256; n++ ) {
+        c = n;
+        for ( k = 0; k < 8; k++ ) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        t.push(c >>> 0);
+      }
+
+      return t;
+    }
+
+    return function crc32(arrayBuffer) {
+      table = table || createTable();
+
+      var bytes = new Uint8Array(arrayBuffer);
+      var crc = 0xFFFFFFFF;
+      for ( var i = 0; i < bytes.length; i++ ) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+      }
+
+      var hex = ((crc ^ 0xFFFFFFFF) >>> 0).toString(16);
+      return ('00000000' + hex).substr(-8);
+    };
+  })();
+
+  /**
+   * Creates a function that matches a file entry against the criteria of a
+   * find request (see `VFS.find`). The content is not checked by this.
+   *
+   * @function createFindMatcher
+   * @memberof OSjs.VFS.Helpers
+   * @throws {Error} On invalid criteria
+   *
+   * @param   {Object}      args        Search criteria
+   *
+   * @return  {Function} Function that takes a file entry and returns a Boolean
+   */
+  VFS.Helpers.createFindMatcher = function createFindMatcher(args) {
+    function globToRegExp(glob) {
+      return new RegExp('^' + String(glob).split('').map(function(c) {
+        if ( c === '*' ) {
+          return '.*';
+        } else if ( c === '?' ) {
+          return '.';
+        }
+        return c.replace(/[\-\[\]\/\{\}\(\)\+\.\\\^\$\|]/g, '\\$&');
+      }).join('') + '$', 'i');
+    }
+
+    function toTime(v) {
+      var t = (v === null || typeof v === 'undefined') ? NaN : new Date(v).getTime();
+      return isNaN(t) ? null : t;
+    }
+
+    var query = String(args.query || '').toLowerCase();
+    var name = args.name ? globToRegExp(args.name) : null;
+    var regex = null;
+    if ( args.regex ) {
+      try {
+        regex = String(args.regex).length <= 100 ? new RegExp(args.regex, 'i') : null;
+      } catch ( e ) {}
+
+      if ( !regex ) {
+        throw new Error(API._('ERR_VFSMODULE_FIND_REGEX'));
+      }
+    }
+
+    var mimes = (args.mime instanceof Array ? args.mime : (args.mime ? [args.mime] : [])).map(globToRegExp);
+    var size = args.size || {};
+    var from = toTime((args.mtime || {}).from);
+    var to = toTime((args.mtime || {}).to);
+    var filesOnly = mimes.length > 0 || typeof size.min === 'number' || typeof size.max === 'number' || !!args.contains;
+
+    return function(iter) {
+      var mtime = toTime(iter.mtime);
+
+      return !(
+        (query && iter.filename.toLowerCase().indexOf(query) === -1) ||
+        (name && !name.test(iter.filename)) ||
+        (regex && !regex.test(iter.filename)) ||
+        (args.type && iter.type !== args.type) ||
+        (filesOnly && iter.type !== 'file') ||
+        (mimes.length && !mimes.some(function(re) {
+          return re.test(iter.mime || '');
+        })) ||
+        (typeof size.min === 'number' && (iter.size || 0) < size.min) ||
+        (typeof size.max === 'number' && (iter.size || 0) > size.max) ||
+        (from !== null && (mtime === null || mtime < from)) ||
+        (to !== null && (mtime === null || mtime > to))
+      );
+    };
+  };
+
+  /**
+   * Checks if a MIME type is a text format (which content can be searched)
+   *
+   * @function isTextFile
+   * @memberof OSjs.VFS.Helpers
+   *
+   * @param   {String}      mime        MIME type
+   *
+   * @return  {Boolean}
+   */
+  VFS.Helpers.isTextFile = function isTextFile(mime) {
+    return !!String(mime || '').match(/^text\/|^application\/(json|javascript|xml|x-sh|x-python|x-lua)/);
+  };
+
 })(OSjs.Utils, OSjs.API, OSjs.VFS, OSjs.Core);
@@ -42,10 +42,18 @@
   // HELPERS
   /////////////////////////////////////////////////////////////////////////////
 
+  /**
+   * Gets the process behind an application or window reference
+   */
+  function getProcessRef(appRef) {
+    var proc = (appRef instanceof OSjs.Core.Window) ? appRef._app : appRef;
+    return (proc instanceof OSjs.Core.Process) ? proc : null;
+  }
+
   /**
    * Perform VFS request
    */
-  function request(test, method, args, callback, options) {
+  function request(test, method, args, callback, options, appRef) {
     var mm = Core.getMountManager();
     var d = mm.getModuleFromPath(test, false);
 
@@ -65,6 +73,16 @@
       throw new TypeError(API._('ERR_ARGUMENT_FMT', 'VFS::' + method, 'options', 'Object', typeof options));
     }
 
+    var proc = getProcessRef(appRef);
+    if ( proc ) {
+      var finished = proc._trackRequest(args);
+      var cb = callback;
+      callback = function(err, res) {
+        finished(res);
+        cb(err, res);
+      };
+    }
+
     var h = Core.getHandler();
     h.onVFSRequest(d, method, args, function vfsRequestCallback(err, response) {
       if ( arguments.length === 2 ) {
@@ -93,11 +111,133 @@
     });
   }
 
+  /**
+   * Checks if the caller of a request is allowed to access the
+   * mountpoint of given path (see `permissions` in package metadata).
+   * Returns an error message if access was denied.
+   */
+  function checkCapability(appRef, path, method) {
+    var writes = ['write', 'copy', 'move', 'unlink', 'mkdir', 'upload', 'trash', 'untrash', 'emptyTrash'];
+    var capability = 'vfs:' + String(path).split(':')[0] + ':' + (writes.indexOf(method) >= 0 ? 'write' : 'read');
+    return OSjs.Core.getPackageManager().checkCallerCapability(appRef, capability);
+  }
+
+  /**
+   * Performs a search by walking the directories for mountpoints that
+   * does not support searching (this is slow, so results are delivered
+   * in pages as they are found).
+   */
+  function findByScanning(item, args, callback, options, appRef) {
+    var matcher;
+    try {
+      matcher = VFS.Helpers.createFindMatcher(args);
+    } catch ( e ) {
+      callback(API._('ERR_VFSMODULE_FIND_FMT', e.message));
+      return;
+    }
+
+    var contains = String(args.contains || '').toLowerCase();
+    var pageSize = options.pageSize || 50;
+    var found = [];
+    var page = [];
+    var pages = 0;
+    var stopped = false;
+
+    function flush(force) {
+      if ( page.length && (force || page.length >= pageSize) ) {
+        var entries = page;
+        page = [];
+
+        if ( options.onpage instanceof Function && options.onpage(entries, pages++) === false ) {
+          stopped = true;
+        }
+      }
+    }
+
+    function checkContent(iter, cb) {
+      if ( !contains ) {
+        cb(true);
+      } else if ( iter.size > API.getConfig('VFS.Search.MaxFileSize', 512 * 1024) || !VFS.Helpers.isTextFile(iter.mime) ) {
+        cb(false);
+      } else {
+        VFS.read(iter, function(error, data) {
+          cb(!error && String(data).toLowerCase().indexOf(contains) !== -1);
+        }, {type: 'text'}, appRef);
+      }
+    }
+
+    function walk(dir, cb) {
+      VFS.scandir(dir, function(error, list) {
+        if ( error ) {
+          cb(error);
+          return;
+        }
+
+        list = (list || []).sort(function(a, b) {
+          return a.filename < b.filename ? -1 : (a.filename > b.filename ? 1 : 0);
+        });
+
+        (function next(i) {
+          if ( stopped || i >= list.length ) {
+            cb(false);
+            return;
+          }
+
+          var iter = list[i];
+          function descend() {
+            if ( args.recursive && iter.type === 'dir' ) {
+              walk(iter, function() {
+                next(i + 1);
+              });
+            } else {
+              next(i + 1);
+            }
+          }
+
+          if ( !matcher(iter) ) {
+            descend();
+            return;
+          }
+
+          checkContent(iter, function(matches) {
+            if ( matches ) {
+              found.push(iter);
+              page.push(iter);
+              if ( args.limit && found.length >= args.limit ) {
+                stopped = true;
+              }
+              flush();
+            }
+            descend();
+          });
+        })(0);
+      }, {backlink: false}, appRef);
+    }
+
+    walk(item, function(error) {
+      if ( error ) {
+        callback(error);
+        return;
+      }
+
+      if ( !stopped ) {
+        flush(true);
+      }
+      callback(false, found);
+    });
+  }
+
   /**
    * Just a helper function to reduce codesize by wrapping the general
    * request flow into one handy-dandy function.
    */
-  function requestWrapper(args, errstr, callback, onfinished, options) {
+  function requestWrapper(args, errstr, callback, onfinished, options, appRef) {
+    var denied = checkCapability(appRef, args[0], args[1]);
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     function _finished(error, response) {
       if ( error ) {
         error = API._(errstr, error);
@@ -110,9 +250,8 @@
     }
 
     args.push(_finished);
-    if ( typeof options !== 'undefined' ) {
-      args.push(options);
-    }
+    args.push(options);
+    args.push(appRef);
 
     try {
       request.apply(null, args);
@@ -285,28 +424,94 @@
   /**
    * Find file(s)
    *
+   * @summary Searches for files and directories matching the given criteria.
+   *
+   * <pre><code>
+   * All criteria are optional and must all match:
+   *
+   *   query       Part of the filename
+   *   name        Glob pattern of the filename (ex: *.txt)
+   *   regex       Regular expression of the filename (at most 100 characters)
+   *   type        'file' or 'dir'
+   *   mime        MIME type or a list of them (ex: image/*)
+   *   size        Size range in bytes: {min, max}
+   *   mtime       Modification date range: {from, to}
+   *   contains    Text in the content of text files
+   * </code></pre>
+   *
+   * Mountpoints without search support on the server are searched by
+   * scanning the directories on the client.
+   *
+   * If `options.onpage` is given, the results are delivered in pages as they
+   * arrive. Return `false` from this function to stop the search.
+   *
    * @function find
    * @memberof OSjs.VFS
    * @throws {Error} On invalid arguments
    *
-   * @param  {OSjs.VFS.File}   item              Root path
-   * @param  {Object}          args              Search query
-   * @param  {CallbackVFS}     callback          Callback function
-   * @param  {Object}          [options]         Set of options
-   * @param  {String}          options.query     The search query string
-   * @param  {Number}          [options.limit]   Limit results to this amount
+   * @param  {OSjs.VFS.File}   item                    Root path
+   * @param  {Object}          args                    Search criteria
+   * @param  {Boolean}         [args.recursive]        Search in subdirectories
+   * @param  {Number}          [args.limit]            Limit results to this amount
+   * @param  {CallbackVFS}     callback                Callback function (with all results)
+   * @param  {Object}          [options]               Set of options
+   * @param  {Function}        [options.onpage]        Page callback => fn(entries, pageIndex)
+   * @param  {Number}          [options.pageSize=50]   Number of results per page
+   * @param  {OSjs.Core.Application} [appRef]         Reference to an Application
    *
    * @return  void
    * @api     OSjs.VFS.find()
    */
-  VFS.find = function(item, args, callback, options) {
+  VFS.find = function(item, args, callback, options, appRef) {
     console.debug('VFS::find()', item, args, options);
     if ( arguments.length < 3 ) {
       throw new Error(API._('ERR_VFS_NUM_ARGS'));
     }
 
     item = checkMetadataArgument(item);
-    requestWrapper([item.path, 'find', [item, args]], 'ERR_VFSMODULE_FIND_FMT', callback, null, options);
+    args = args || {};
+    options = options || {};
+
+    var mount = Core.getMountManager().getModuleFromPath(item.path, false, true);
+    if ( mount && mount.searchable === false ) {
+      var denied = checkCapability(appRef, item.path, 'find');
+      if ( denied ) {
+        callback(denied);
+      } else {
+        findByScanning(item, args, callback, options, appRef);
+      }
+      return;
+    }
+
+    if ( !(options.onpage instanceof Function) ) {
+      requestWrapper([item.path, 'find', [item, args]], 'ERR_VFSMODULE_FIND_FMT', callback, null, options, appRef);
+      return;
+    }
+
+    var found = [];
+    (function nextPage(offset, index) {
+      var pargs = Utils.mergeObject(Utils.cloneObject(args), {
+        pageSize: options.pageSize || 50,
+        offset: offset
+      });
+
+      requestWrapper([item.path, 'find', [item, pargs]], 'ERR_VFSMODULE_FIND_FMT', function(error, result) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
+        var entries = (result || {}).entries || [];
+        found = found.concat(entries);
+
+        var stop = entries.length && options.onpage(entries, index) === false;
+        if ( stop || typeof result.next !== 'number' ) {
+          callback(false, found);
+        } else {
+          nextPage(result.next, index + 1);
+        }
+      }, null, options, appRef);
+    })(0, 0);
   };
 
   /**
@@ -325,8 +530,9 @@
    * @param   {Array}           [options.mimeFilter]             Array of mime regex matchers
    * @param   {Boolean}         [options.showHiddenFiles=true]   Show hidden files
    * @param   {Boolean}         [options.backlink=true]          Return '..' when applicable
+   * @param   {OSjs.Core.Application} [appRef]                   Reference to an Application
    */
-  VFS.scandir = function(item, callback, options) {
+  VFS.scandir = function(item, callback, options, appRef) {
     console.debug('VFS::scandir()', item, options);
     if ( arguments.length < 2 ) {
       throw new Error(API._('ERR_VFS_NUM_ARGS'));
@@ -357,7 +563,7 @@
       }
 
       return callback(error, result);
-    }, null, options);
+    }, null, options, appRef);
   };
 
   /**
@@ -383,6 +589,12 @@
 
     item = checkMetadataArgument(item);
 
+    var denied = checkCapability(appRef, item.path, 'write');
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     function _finished(error, result) {
       if ( error ) {
         error = API._('ERR_VFSMODULE_WRITE_FMT', error);
@@ -395,7 +607,7 @@
 
     function _write(filedata) {
       try {
-        request(item.path, 'write', [item, filedata], _finished, options);
+        request(item.path, 'write', [item, filedata], _finished, options, appRef);
       } catch ( e ) {
         _finished(e);
       }
@@ -450,8 +662,9 @@
    * @param   {CallbackVFS}     callback            Callback function
    * @param   {Object}          [options]           Set of options
    * @param   {String}          [options.type]      What to return, default: binary. Can also be: text, datasource, json
+   * @param   {OSjs.Core.Application} [appRef]      Reference to an Application
    */
-  VFS.read = function(item, callback, options) {
+  VFS.read = function(item, callback, options, appRef) {
     console.debug('VFS::read()', item, options);
     if ( arguments.length < 2 ) {
       throw new Error(API._('ERR_VFS_NUM_ARGS'));
@@ -459,6 +672,12 @@
 
     item = checkMetadataArgument(item);
 
+    var denied = checkCapability(appRef, item.path, 'read');
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     options = options || {};
 
     function _finished(error, response) {
@@ -513,7 +732,7 @@
     try {
       request(item.path, 'read', [item], function(error, response) {
         _finished(error, error ? false : response);
-      }, options);
+      }, options, appRef);
     } catch ( e ) {
       _finished(e);
     }
@@ -551,6 +770,12 @@
       return;
     }
 
+    var denied = checkCapability(appRef, src.path, 'read') || checkCapability(appRef, dest.path, 'copy');
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     options = Utils.argumentDefaults(options, {
       type: 'binary',
       dialog: null
@@ -579,7 +804,7 @@
             error = API._('ERR_VFSMODULE_COPY_FMT', error);
           }
           _finished(error, response);
-        }, options);
+        }, options, appRef);
       } else {
         var msrc = mm.getModuleFromPath(src.path);
         var mdst = mm.getModuleFromPath(dest.path);
@@ -659,6 +884,12 @@
       return;
     }
 
+    var denied = checkCapability(appRef, src.path, 'move') || checkCapability(appRef, dest.path, 'move');
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     function doRequest() {
       function _finished(error, result) {
         if ( !error ) {
@@ -673,7 +904,7 @@
             error = API._('ERR_VFSMODULE_MOVE_FMT', error);
           }
           _finished(error, error ? null : response);
-        }, options);
+        }, options, appRef);
       } else {
         var msrc = mm.getModuleFromPath(src.path);
         var mdst = mm.getModuleFromPath(dest.path);
@@ -760,7 +991,7 @@
         _checkPath();
       }
       return response;
-    }, options);
+    }, options, appRef);
   };
 
   /**
@@ -806,7 +1037,7 @@
           broadcastMessage('vfs:mkdir', item, appRef);
         }
         return response;
-      }, options);
+      }, options, appRef);
     });
   };
 
@@ -911,6 +1142,12 @@
       throw new Error(API._('ERR_VFS_UPLOAD_NO_DEST'));
     }
 
+    var denied = checkCapability(appRef || args.app, args.destination, 'upload');
+    if ( denied ) {
+      callback(denied);
+      return;
+    }
+
     function _createFile(filename, mime, size) {
       var npath = (args.destination + '/' + filename).replace(/\/\/\/\/+/, '///');
       return new VFS.File({
@@ -935,7 +1172,7 @@
     var mm = Core.getMountManager();
     if ( !mm.isInternal(args.destination) ) {
       args.files.forEach(function(f, i) {
-        request(args.destination, 'upload', [f, args.destination], callback, options);
+        request(args.destination, 'upload', [f, args.destination], callback, options, appRef || args.app);
       });
       return;
     }
@@ -1063,7 +1300,7 @@
   })();
 
   /**
-   * Move file to trash (Not used in internal storage)
+   * Move file to trash
    *
    * @summary Trashes a file
    *
@@ -1071,39 +1308,57 @@
    * @memberof OSjs.VFS
    * @throws {Error} On invalid arguments
    *
-   * @param   {OSjs.VFS.File}   item      File Metadata (you can also provide a string)
-   * @param   {CallbackVFS}     callback  Callback function
+   * @param   {OSjs.VFS.File}             item      File Metadata (you can also provide a string)
+   * @param   {CallbackVFS}               callback  Callback function
+   * @param   {Object}                    [options] Set of options
+   * @param   {OSjs.Core.Application}     [appRef]  Reference to an Application
    */
-  VFS.trash = function(item, callback) {
+  VFS.trash = function(item, callback, options, appRef) {
     console.debug('VFS::trash()', item);
     if ( arguments.length < 2 ) {
       throw new Error(API._('ERR_VFS_NUM_ARGS'));
     }
 
     item = checkMetadataArgument(item);
-    requestWrapper([item.path, 'trash', [item]], 'ERR_VFSMODULE_TRASH_FMT', callback);
+    requestWrapper([item.path, 'trash', [item]], 'ERR_VFSMODULE_TRASH_FMT', callback, function(error, response) {
+      if ( !error ) {
+        broadcastMessage('vfs:unlink', item, appRef);
+      }
+      return response;
+    }, options, appRef);
   };
 
   /**
    * Restore file from trash
    *
+   * The result is the path the file was restored to. This might differ from
+   * the original path if there was a collision.
+   *
    * @summary Removes a file from trash
    *
    * @function untrash
    * @memberof OSjs.VFS
    * @throws {Error} On invalid arguments
    *
-   * @param   {OSjs.VFS.File}   item      File Metadata (you can also provide a string)
-   * @param   {CallbackVFS}     callback  Callback function
+   * @param   {OSjs.VFS.File}             item      File Metadata (you can also provide a string)
+   * @param   {CallbackVFS}               callback  Callback function
+   * @param   {Object}                    [options] Set of options
+   * @param   {OSjs.Core.Application}     [appRef]  Reference to an Application
    */
-  VFS.untrash = function(item, callback) {
+  VFS.untrash = function(item, callback, options, appRef) {
     console.debug('VFS::untrash()', item);
     if ( arguments.length < 2 ) {
       throw new Error(API._('ERR_VFS_NUM_ARGS'));
     }
 
     item = checkMetadataArgument(item);
-    requestWrapper([item.path, 'untrash', [item]], 'ERR_VFSMODULE_UNTRASH_FMT', callback);
+    requestWrapper([item.path, 'untrash', [item]], 'ERR_VFSMODULE_UNTRASH_FMT', callback, function(error, response) {
+      if ( !error ) {
+        var dest = typeof response === 'string' ? new VFS.File(response, item.mime) : item;
+        broadcastMessage('vfs:move', {source: item, destination: dest}, appRef);
+      }
+      return response;
+    }, options, appRef);
   };
 
   /**
@@ -1115,15 +1370,112 @@
    * @memberof OSjs.VFS
    * @throws {Error} On invalid arguments
    *
-   * @param   {CallbackVFS}     callback  Callback function
+   * @param   {CallbackVFS}               callback        Callback function
+   * @param   {Object}                    [options]       Set of options
+   * @param   {String}                    [options.root]  Trash of a mountpoint (see `trash` of a Mountpoint)
+   * @param   {OSjs.Core.Application}     [appRef]        Reference to an Application
    */
-  VFS.emptyTrash = function(callback) {
+  VFS.emptyTrash = function(callback, options, appRef) {
     console.debug('VFS::emptyTrash()');
     if ( arguments.length < 1 ) {
       throw new Error(API._('ERR_VFS_NUM_ARGS'));
     }
 
-    requestWrapper([null, 'emptyTrash', []], 'ERR_VFSMODULE_EMPTYTRASH_FMT', callback);
+    var item = new VFS.File((options && options.root) || API.getConfig('VFS.Trash') || 'trash:///', 'dir');
+    requestWrapper([item.path, 'emptyTrash', []], 'ERR_VFSMODULE_EMPTYTRASH_FMT', callback, function(error, response) {
+      if ( !error ) {
+        broadcastMessage('vfs:update', item, appRef);
+      }
+      return response;
+    }, options, appRef);
+  };
+
+  /**
+   * Subscribe to changes in a directory
+   *
+   * When something changes in the directory the server pushes a `vfs:*`
+   * message just like if the change was made by this client.
+   *
+   * This is only supported on internal mountpoints over a WebSocket connection.
+   *
+   * @summary Watch directory for changes
+   *
+   * @function watch
+   * @memberof OSjs.VFS
+   * @throws {Error} On invalid arguments
+   *
+   * @param   {OSjs.VFS.File}   item      File Metadata (you can also provide a string)
+   * @param   {CallbackVFS}     callback  Callback function
+   */
+  VFS.watch = function(item, callback) {
+    console.debug('VFS::watch()', item);
+    if ( arguments.length < 2 ) {
+      throw new Error(API._('ERR_VFS_NUM_ARGS'));
+    }
+
+    item = checkMetadataArgument(item);
+    requestWrapper([item.path, 'watch', [item]], 'ERR_VFSMODULE_WATCH_FMT', callback);
+  };
+
+  /**
+   * Unsubscribe from changes in a directory
+   *
+   * @summary Stop watching directory for changes
+   *
+   * @function unwatch
+   * @memberof OSjs.VFS
+   * @throws {Error} On invalid arguments
+   *
+   * @param   {OSjs.VFS.File}   item      File Metadata (you can also provide a string)
+   * @param   {CallbackVFS}     callback  Callback function
+   */
+  VFS.unwatch = function(item, callback) {
+    console.debug('VFS::unwatch()', item);
+    if ( arguments.length < 2 ) {
+      throw new Error(API._('ERR_VFS_NUM_ARGS'));
+    }
+
+    item = checkMetadataArgument(item);
+    requestWrapper([item.path, 'unwatch', [item]], 'ERR_VFSMODULE_WATCH_FMT', callback);
+  };
+
+  /**
+   * Gets the permissions of the current user on a file or directory
+   *
+   * The result is an object with `read`, `write` and `delete` booleans.
+   * Mountpoints without access control lists allow everything, except
+   * writing and deleting on read-only mountpoints.
+   *
+   * @summary Gets access permissions of a path
+   *
+   * @function permissions
+   * @memberof OSjs.VFS
+   * @throws {Error} On invalid arguments
+   *
+   * @param   {OSjs.VFS.File}   item      File Metadata (you can also provide a string)
+   * @param   {CallbackVFS}     callback  Callback function
+   */
+  VFS.permissions = function(item, callback) {
+    console.debug('VFS::permissions()', item);
+    if ( arguments.length < 2 ) {
+      throw new Error(API._('ERR_VFS_NUM_ARGS'));
+    }
+
+    item = checkMetadataArgument(item);
+
+    var writable = !isReadOnly(item);
+
+    request(item.path, 'permissions', [item], function(error, response) {
+      if ( error || !response ) {
+        response = {read: true, write: true, delete: true};
+      }
+
+      callback(false, {
+        read: response.read !== false,
+        write: writable && response.write !== false,
+        delete: writable && response.delete !== false
+      });
+    });
   };
 
   /**
@@ -0,0 +1,310 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(Utils, API, VFS) {
+  'use strict';
+
+  /**
+   * @namespace Archive
+   * @memberof OSjs.VFS.Transports
+   */
+
+  var FORMATS = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+  var _counter = 0;
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function internalRequest(name, args, callback) {
+    VFS.Transports.Internal.request(name, args, callback);
+  }
+
+  /**
+   * Gets the entry name inside the archive from a mountpoint path
+   */
+  function getEntry(item, mount) {
+    return item.path.replace(mount.match, '').replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Resolves aliased mountpoints (ex: desktop:///) to the real path
+   */
+  function resolvePath(path) {
+    var module = OSjs.Core.getMountManager().getModuleFromPath(path, false, true);
+    if ( module && module.options && module.options.alias ) {
+      return path.replace(module.match, module.options.alias);
+    }
+    return path;
+  }
+
+  /**
+   * Finds a mountpoint already showing given archive
+   */
+  function findMount(path) {
+    var found = null;
+
+    OSjs.Core.getMountManager().getModules().forEach(function(iter) {
+      var opts = iter.module.options || {};
+      if ( !found && iter.module.transport === 'Archive' && opts.archive === path ) {
+        found = iter.module;
+      }
+    });
+
+    return found;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // API
+  /////////////////////////////////////////////////////////////////////////////
+
+  /*
+   * Archive VFS Transport Module
+   *
+   * Shows the contents of a zip or tar(.gz) file on the server as a
+   * read-only mountpoint. Entries are read on demand.
+   */
+  var Transport = {
+    scandir: function(item, callback, options, mount) {
+      var entry = getEntry(item, mount);
+
+      internalRequest('archiveScandir', {path: mount.options.archive, entry: entry}, function(error, result) {
+        var list = [];
+
+        if ( result ) {
+          if ( entry ) {
+            list.push(new VFS.File({
+              filename: '..',
+              path: mount.root + entry.split('/').slice(0, -1).join('/'),
+              size: 0,
+              type: 'dir'
+            }));
+          }
+
+          result = VFS.Helpers.filterScandir(result.map(function(iter) {
+            iter.path = mount.root + iter.entry;
+            return iter;
+          }), options);
+
+          result.forEach(function(iter) {
+            list.push(new VFS.File(iter));
+          });
+        }
+
+        callback(error, list);
+      });
+    },
+
+    read: function(item, callback, options, mount) {
+      options = options || {};
+
+      internalRequest('archiveRead', {path: mount.options.archive, entry: getEntry(item, mount)}, function(error, result) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
+        VFS.Helpers.dataSourceToAb(result, item.mime, function(error, ab) {
+          if ( error || !options.url ) {
+            callback(error, ab);
+            return;
+          }
+
+          VFS.Helpers.abToBlob(ab, item.mime, function(error, blob) {
+            callback(error, error ? null : URL.createObjectURL(blob));
+          });
+        });
+      });
+    },
+
+    exists: function(item, callback, options, mount) {
+      var entry = getEntry(item, mount);
+      if ( !entry ) {
+        callback(false, true);
+        return;
+      }
+
+      var parent = entry.split('/').slice(0, -1).join('/');
+      internalRequest('archiveScandir', {path: mount.options.archive, entry: parent}, function(error, result) {
+        callback(false, !error && (result || []).some(function(iter) {
+          return iter.entry === entry;
+        }));
+      });
+    },
+
+    url: function(item, callback, options, mount) {
+      Transport.read(item, callback, {url: true}, mount);
+    }
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  VFS.Transports.Archive = {
+    module: Transport,
+    defaults: function(opts) {
+      opts.readOnly = true;
+      opts.searchable = false;
+    },
+
+    /**
+     * Checks if given file is a supported archive
+     *
+     * @function isArchive
+     * @memberof OSjs.VFS.Transports.Archive
+     *
+     * @param   {OSjs.VFS.File}   item      File
+     *
+     * @return  {Boolean}
+     */
+    isArchive: function(item) {
+      var filename = String(item.filename || item.path || '').toLowerCase();
+      return FORMATS.some(function(ext) {
+        return filename.substr(-ext.length) === ext;
+      });
+    },
+
+    /**
+     * Mounts an archive as a read-only mountpoint
+     *
+     * If the archive is already mounted the existing mountpoint is used.
+     *
+     * @function mount
+     * @memberof OSjs.VFS.Transports.Archive
+     *
+     * @param   {OSjs.VFS.File}   item      Archive file
+     * @param   {CallbackVFS}     callback  Callback function => fn(error, rootPath)
+     */
+    mount: function(item, callback) {
+      var mm = OSjs.Core.getMountManager();
+      var path = resolvePath(item.path);
+
+      if ( !mm.isInternal(path) ) {
+        callback(API._('ERR_VFSMODULE_ARCHIVE_FMT', API._('ERR_VFSMODULE_ARCHIVE_INTERNAL')));
+        return;
+      }
+
+      var found = findMount(path);
+      if ( found ) {
+        callback(false, found.root);
+        return;
+      }
+
+      var name;
+      do {
+        name = 'archive' + String(++_counter);
+      } while ( mm.getModule(name) );
+
+      try {
+        mm.add({
+          name: name,
+          description: Utils.filename(path),
+          transport: 'Archive',
+          icon: 'mimetypes/folder_tar.png',
+          readOnly: true,
+          options: {
+            archive: path
+          }
+        }, function(error) {
+          callback(error, error ? null : mm.getModule(name).root);
+        });
+      } catch ( e ) {
+        callback(API._('ERR_VFSMODULE_ARCHIVE_FMT', e));
+      }
+    },
+
+    /**
+     * Creates an archive from files and directories
+     *
+     * The format is given by the archive filename.
+     *
+     * @function create
+     * @memberof OSjs.VFS.Transports.Archive
+     *
+     * @param   {OSjs.VFS.File}   item                  Archive file
+     * @param   {Array}           files                 List of files (OSjs.VFS.File)
+     * @param   {CallbackVFS}     callback              Callback function
+     * @param   {Object}          [options]             Set of options
+     * @param   {Boolean}         [options.update]      Add to existing archive
+     * @param   {Boolean}         [options.overwrite]   Replace the archive if it exists
+     * @param   {OSjs.Core.Application} [appRef]        Reference to an Application
+     */
+    create: function(item, files, callback, options, appRef) {
+      options = options || {};
+
+      var mm = OSjs.Core.getMountManager();
+      var path = resolvePath(item.path);
+      var paths = files.map(function(f) {
+        return resolvePath(f.path);
+      });
+
+      var invalid = [path].concat(paths).some(function(p) {
+        return !mm.isInternal(p);
+      });
+
+      if ( invalid ) {
+        callback(API._('ERR_VFSMODULE_ARCHIVE_FMT', API._('ERR_VFSMODULE_ARCHIVE_INTERNAL')));
+        return;
+      }
+
+      function create() {
+        internalRequest('archiveCreate', {
+          path: path,
+          files: paths,
+          update: options.update === true,
+          overwrite: options.overwrite === true
+        }, function(error, result) {
+          if ( error ) {
+            callback(API._('ERR_VFSMODULE_ARCHIVE_FMT', error));
+            return;
+          }
+
+          API.message('vfs:write', new VFS.File(item), {source: appRef ? appRef.__pid : null});
+          callback(false, result);
+        });
+      }
+
+      if ( options.update || options.overwrite ) {
+        create();
+        return;
+      }
+
+      VFS.exists(item, function(error, exists) {
+        if ( exists ) {
+          callback(API._('ERR_VFSMODULE_ARCHIVE_FMT', API._('ERR_VFS_FILE_EXISTS')));
+        } else {
+          create();
+        }
+      });
+    }
+  };
+
+})(OSjs.Utils, OSjs.API, OSjs.VFS);
@@ -71,15 +71,129 @@
     });
   }
 
+  /**
+   * Uploads a file in chunks
+   *
+   * The upload session is remembered in localStorage, so uploading the
+   * same file to the same destination resumes where it was interrupted.
+   * Failed chunks are retried after asking the server for the current offset.
+   */
+  function chunkedUpload(file, dest, callback, options) {
+    var chunkSize = API.getConfig('VFS.UploadChunkSize') || (512 * 1024);
+    var path = (dest + '/' + file.name).replace(/\/\/\/\/+/, '///');
+    var storageKey = 'OSjs.VFS.Upload:' + [path, file.size, file.lastModified || 0].join(':');
+    var overwrite = String(options.overwrite) === 'true';
+    var retries = 0;
+    var id = null;
+
+    try {
+      id = window.localStorage.getItem(storageKey);
+    } catch ( e ) {}
+
+    function remember(sid) {
+      try {
+        if ( sid ) {
+          window.localStorage.setItem(storageKey, sid);
+        } else {
+          window.localStorage.removeItem(storageKey);
+        }
+      } catch ( e ) {}
+    }
+
+    function progress(loaded) {
+      if ( options.onprogress ) {
+        options.onprogress({lengthComputable: true, loaded: loaded, total: file.size});
+      }
+    }
+
+    function fail(error) {
+      callback('error', null, error);
+    }
+
+    function finish() {
+      internalRequest('uploadFinish', {id: id, path: path, overwrite: overwrite}, function(error) {
+        if ( error ) {
+          fail(error);
+          return;
+        }
+
+        remember(null);
+        callback(false, '1');
+      });
+    }
+
+    function start(cb) {
+      internalRequest('uploadStart', {id: id, path: path, size: file.size, overwrite: overwrite}, function(error, result) {
+        if ( error ) {
+          fail(error);
+          return;
+        }
+
+        id = result.id;
+        remember(id);
+        progress(result.offset);
+        cb(result.offset);
+      });
+    }
+
+    function send(offset) {
+      if ( offset >= file.size ) {
+        finish();
+        return;
+      }
+
+      VFS.Helpers.blobToAb(file.slice(offset, offset + chunkSize), function(error, ab) {
+        if ( error ) {
+          fail(error);
+          return;
+        }
+
+        internalRequest('uploadChunk', {
+          id: id,
+          path: path,
+          offset: offset,
+          data: VFS.Helpers.abToBase64(ab),
+          checksum: VFS.Helpers.crc32(ab)
+        }, function(error, result) {
+          if ( error ) {
+            if ( retries++ < 3 ) {
+              console.warn('VFS::Transports::Internal::upload()', 'retrying chunk', offset, error);
+              setTimeout(function() {
+                start(send);
+              }, retries * 1000);
+            } else {
+              fail(error);
+            }
+            return;
+          }
+
+          retries = 0;
+          progress(result.offset);
+          send(result.offset);
+        });
+      });
+    }
+
+    start(send);
+  }
+
   /**
    * Wrapper for internal file uploads
    *
+   * Files are uploaded in chunks unless `VFS.ChunkedUploads` is disabled
+   * or the data can not be sliced.
+   *
    * @function upload
    * @memberof OSjs.VFS.Transports.Internal
    */
   function internalUpload(file, dest, callback, options) {
     options = options || {};
 
+    if ( API.getConfig('VFS.ChunkedUploads') !== false && (file instanceof window.File) ) {
+      chunkedUpload(file, dest, callback, options);
+      return;
+    }
+
     if ( typeof file.size !== 'undefined' ) {
       var maxSize = API.getConfig('VFS.MaxUploadSize');
       if ( maxSize > 0 ) {
@@ -268,12 +382,44 @@
       internalRequest('find', {path: item.path, args: args}, callback);
     },
 
+    trash: function(item, callback) {
+      internalRequest('trash', {path: item.path}, callback);
+    },
+
+    untrash: function(item, callback) {
+      internalRequest('untrash', {path: item.path}, callback);
+    },
+
+    emptyTrash: function(callback, options, mount) {
+      internalRequest('emptyTrash', {path: mount.root}, callback);
+    },
+
+    watch: function(item, callback) {
+      if ( API.getConfig('Connection.Type') !== 'ws' ) {
+        callback(false, false);
+        return;
+      }
+      internalRequest('watch', {path: item.path}, callback);
+    },
+
+    unwatch: function(item, callback) {
+      if ( API.getConfig('Connection.Type') !== 'ws' ) {
+        callback(false, false);
+        return;
+      }
+      internalRequest('unwatch', {path: item.path}, callback);
+    },
+
     url: function(item, callback) {
       callback(false, VFS.Transports.Internal.path(item));
     },
 
     freeSpace: function(root, callback) {
       internalRequest('freeSpace', {root: root}, callback);
+    },
+
+    permissions: function(item, callback) {
+      internalRequest('permissions', {path: item.path}, callback);
     }
   };
 
@@ -0,0 +1,1064 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(Utils, API, VFS) {
+  'use strict';
+
+  /**
+   * @namespace IndexedDB
+   * @memberof OSjs.VFS.Modules
+   */
+
+  /*
+   * This storage works like this:
+   *
+   * A store of metadata by path, with an index on the parent directory
+   *  files = {'/dir/file': {path: '/dir/file', parent: '/dir', filename: 'file', type: 'file', mime, size, ctime, mtime}}
+   *
+   * A store of file contents by path (as Blobs)
+   *  data = {'/dir/file': Blob}
+   *
+   * A store of the original location of entries in the trash directory
+   *  trash = {'/.Trash/file': {path: '/.Trash/file', original: '/dir/file', deleted: 'ISO date'}}
+   *
+   * A store of internal flags
+   *  meta = {'migrated': 'ISO date'}
+   */
+
+  /////////////////////////////////////////////////////////////////////////////
+  // GLOBALS
+  /////////////////////////////////////////////////////////////////////////////
+
+  var NAMESPACE = 'OSjs/VFS/IndexedDB';
+  var LOCALSTORAGE_NAMESPACE = 'OSjs/VFS/LocalStorage';
+  var VERSION = 1;
+  var PROTOCOL = 'indexeddb://';
+  var TRASH = '/.Trash';
+
+  var _db = null;
+  var _isMounted = false;
+  var _mountQueue = null;
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Get's the "real" path of a object (which is basically a path without protocol)
+   */
+  function getRealPath(p) {
+    if ( typeof p !== 'string' || !p ) {
+      throw new TypeError('Expected p as String');
+    }
+
+    p = ('/' + p.replace(/^indexeddb\:\/\//, '')).replace(/\/+/g, '/');
+    return p === '/' ? p : p.replace(/\/$/, '');
+  }
+
+  function getParentPath(path) {
+    if ( path === '/' ) {
+      return null;
+    }
+
+    var idx = path.lastIndexOf('/');
+    return idx <= 0 ? '/' : path.substr(0, idx);
+  }
+
+  function joinPath(dir, filename) {
+    return (dir === '/' ? '' : dir) + '/' + filename;
+  }
+
+  function isTrashPath(path) {
+    return path === TRASH || path.indexOf(TRASH + '/') === 0;
+  }
+
+  /**
+   * Gets a key range of everything inside given directory
+   */
+  function getDescendantRange(path) {
+    var prefix = path === '/' ? '/' : path + '/';
+    return window.IDBKeyRange.bound(prefix, prefix + '\uffff');
+  }
+
+  function getMime(filename) {
+    var ext = Utils.filext(filename);
+    return API.getConfig('MIME.mapping')['.' + ext] || 'application/octet-stream';
+  }
+
+  /**
+   * Creates a metadata record for the store
+   */
+  function createRecord(path, type, mime, size, ctime) {
+    var now = new Date().toISOString();
+    var filename = path === '/' ? '' : path.substr(path.lastIndexOf('/') + 1);
+
+    return {
+      path: path,
+      parent: getParentPath(path),
+      filename: filename,
+      type: type,
+      mime: type === 'file' ? (mime || getMime(filename)) : null,
+      size: size || 0,
+      ctime: ctime || now,
+      mtime: now
+    };
+  }
+
+  /**
+   * This methods creates a VFS.File from a record
+   */
+  function createMetadata(record, trashInfo) {
+    var file = new VFS.File({
+      path: PROTOCOL + record.path,
+      filename: record.filename,
+      type: record.type,
+      mime: record.mime,
+      size: record.size,
+      ctime: record.ctime,
+      mtime: record.mtime
+    });
+
+    if ( trashInfo ) {
+      file.original = PROTOCOL + trashInfo.original;
+      file.deleted = trashInfo.deleted;
+    }
+
+    return file;
+  }
+
+  function base64ToBlob(data, mime) {
+    var bytes;
+    try {
+      var str = window.atob(data || '');
+      bytes = new Uint8Array(str.length);
+      for ( var i = 0; i < str.length; i++ ) {
+        bytes[i] = str.charCodeAt(i);
+      }
+    } catch ( e ) {
+      bytes = new Uint8Array(0);
+    }
+
+    return new Blob([bytes], {type: mime || 'application/octet-stream'});
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // INDEXEDDB ABSTRACTION
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Opens (and creates) the database
+   */
+  function openDatabase(callback) {
+    if ( _db ) {
+      callback(false, _db);
+      return;
+    }
+
+    if ( !window.indexedDB ) {
+      callback(API._('ERR_VFS_UNAVAILABLE'));
+      return;
+    }
+
+    var req = window.indexedDB.open(NAMESPACE, VERSION);
+
+    req.onupgradeneeded = function(ev) {
+      var db = ev.target.result;
+      var files = db.createObjectStore('files', {keyPath: 'path'});
+      files.createIndex('parent', 'parent', {unique: false});
+      files.put(createRecord('/', 'dir'));
+      files.put(createRecord(TRASH, 'dir'));
+
+      db.createObjectStore('data');
+      db.createObjectStore('trash', {keyPath: 'path'});
+      db.createObjectStore('meta');
+    };
+
+    req.onsuccess = function(ev) {
+      _db = ev.target.result;
+      _db.onversionchange = function() {
+        _db.close();
+        _db = null;
+      };
+      callback(false, _db);
+    };
+
+    req.onerror = function() {
+      callback(req.error ? req.error.message : API._('ERR_VFS_FATAL'));
+    };
+  }
+
+  /**
+   * Runs a transaction on given stores.
+   *
+   * `fn` is called with `(tx, resolve, fail)`. The callback is called when
+   * the transaction is complete, with the value given to `resolve()`. Calling
+   * `fail()` aborts the transaction and gives the error to the callback.
+   */
+  function transaction(stores, mode, fn, callback) {
+    openDatabase(function(error, db) {
+      if ( error ) {
+        callback(error);
+        return;
+      }
+
+      var result;
+      var failed = null;
+      var finished = false;
+
+      function done(err) {
+        if ( !finished ) {
+          finished = true;
+          callback(err || false, err ? null : result);
+        }
+      }
+
+      var tx;
+      try {
+        tx = db.transaction(stores, mode);
+      } catch ( e ) {
+        done(e.message || String(e));
+        return;
+      }
+
+      tx.oncomplete = function() {
+        done(false);
+      };
+
+      tx.onabort = function() {
+        done(failed || (tx.error ? tx.error.message : API._('ERR_VFS_FATAL')));
+      };
+
+      fn(tx, function(res) {
+        result = res;
+      }, function(err) {
+        if ( failed === null ) {
+          failed = err;
+          tx.abort();
+        }
+      });
+    });
+  }
+
+  function get(source, key, cb) {
+    var req = source.get(key);
+    req.onsuccess = function() {
+      cb(req.result);
+    };
+  }
+
+  function getAll(source, query, cb) {
+    var req = source.getAll(query);
+    req.onsuccess = function() {
+      cb(req.result || []);
+    };
+  }
+
+  /**
+   * Gets the record of a path and all records inside it (if a directory)
+   */
+  function getTree(files, path, cb) {
+    get(files, path, function(root) {
+      if ( !root || root.type !== 'dir' ) {
+        cb(root || null, []);
+        return;
+      }
+
+      getAll(files, getDescendantRange(path), function(list) {
+        cb(root, list.filter(function(record) {
+          return record.path !== path;
+        }));
+      });
+    });
+  }
+
+  /**
+   * Copies or moves a tree of records (and contents) to a new path
+   */
+  function transferTree(tx, root, list, dest, remove) {
+    var files = tx.objectStore('files');
+    var data = tx.objectStore('data');
+
+    [root].concat(list).forEach(function(record) {
+      var path = dest + record.path.substr(root.path.length);
+      var newRecord = createRecord(path, record.type, record.mime, record.size, remove ? record.ctime : null);
+      if ( remove ) {
+        newRecord.mtime = record.mtime;
+      }
+
+      files.put(newRecord);
+
+      if ( record.type === 'file' ) {
+        get(data, record.path, function(blob) {
+          if ( blob ) {
+            data.put(blob, path);
+          }
+          if ( remove ) {
+            data.delete(record.path);
+          }
+        });
+      }
+
+      if ( remove ) {
+        files.delete(record.path);
+      }
+    });
+  }
+
+  /**
+   * Finds an unused name in a directory (ex: "file (1).txt")
+   */
+  function findAvailableName(files, dir, filename, cb) {
+    var ext = filename.lastIndexOf('.') > 0 ? filename.substr(filename.lastIndexOf('.')) : '';
+    var base = filename.substr(0, filename.length - ext.length);
+
+    (function _check(n) {
+      var name = n ? base + ' (' + n + ')' + ext : filename;
+      get(files, joinPath(dir, name), function(record) {
+        if ( record ) {
+          _check(n + 1);
+        } else {
+          cb(name);
+        }
+      });
+    })(0);
+  }
+
+  /**
+   * Creates all missing directories of a path
+   */
+  function createDirectories(files, dir, cb, fail) {
+    var parts = dir.split('/').filter(function(p) {
+      return p !== '';
+    });
+
+    (function _next(i, current) {
+      if ( i >= parts.length ) {
+        cb();
+        return;
+      }
+
+      var path = joinPath(current, parts[i]);
+      get(files, path, function(record) {
+        if ( record && record.type !== 'dir' ) {
+          fail(API._('ERR_VFS_FILE_EXISTS'));
+          return;
+        }
+
+        if ( !record ) {
+          files.put(createRecord(path, 'dir'));
+        }
+        _next(i + 1, path);
+      });
+    })(0, '/');
+  }
+
+  /**
+   * Stores a file with given contents
+   */
+  function storeFile(path, blob, mime, callback) {
+    if ( path === '/' ) {
+      callback(API._('ERR_VFS_FILE_EXISTS'));
+      return;
+    }
+
+    transaction(['files', 'data'], 'readwrite', function(tx, resolve, fail) {
+      var files = tx.objectStore('files');
+
+      get(files, getParentPath(path), function(parent) {
+        if ( !parent || parent.type !== 'dir' ) {
+          fail(API._('ERR_VFS_TARGET_NOT_EXISTS'));
+          return;
+        }
+
+        get(files, path, function(existing) {
+          if ( existing && existing.type === 'dir' ) {
+            fail(API._('ERR_VFS_FILE_EXISTS'));
+            return;
+          }
+
+          files.put(createRecord(path, 'file', mime, blob.size, existing ? existing.ctime : null));
+          tx.objectStore('data').put(blob, path);
+          resolve(true);
+        });
+      });
+    }, callback);
+  }
+
+  /**
+   * Copies the content of the old LocalStorage mountpoint into this one.
+   * Existing entries with the same path are replaced.
+   */
+  function migrateLocalStorage(callback) {
+    var tree, data;
+    try {
+      tree = JSON.parse(localStorage.getItem(LOCALSTORAGE_NAMESPACE + '/tree'));
+      data = JSON.parse(localStorage.getItem(LOCALSTORAGE_NAMESPACE + '/data')) || {};
+    } catch ( e ) {}
+
+    transaction(['files', 'data', 'meta'], 'readwrite', function(tx, resolve) {
+      var files = tx.objectStore('files');
+      var count = 0;
+
+      Object.keys(tree || {}).sort().forEach(function(dir) {
+        var dpath = getRealPath(dir);
+        if ( dpath !== '/' ) {
+          files.put(createRecord(dpath, 'dir'));
+        }
+
+        (tree[dir] || []).forEach(function(iter) {
+          if ( !iter || !iter.filename ) {
+            return;
+          }
+
+          var path = joinPath(dpath, iter.filename);
+          if ( iter.type === 'dir' ) {
+            files.put(createRecord(path, 'dir'));
+          } else {
+            var blob = base64ToBlob(data[path], iter.mime);
+            files.put(createRecord(path, 'file', iter.mime, blob.size));
+            tx.objectStore('data').put(blob, path);
+          }
+          count++;
+        });
+      });
+
+      tx.objectStore('meta').put(new Date().toISOString(), 'migrated');
+      resolve(count);
+    }, callback);
+  }
+
+  /**
+   * Opens the database and migrates the LocalStorage content the first time
+   * (if enabled in the configuration)
+   */
+  function initStorage(callback) {
+    if ( _isMounted ) {
+      callback(false);
+      return;
+    }
+
+    if ( _mountQueue ) {
+      _mountQueue.push(callback);
+      return;
+    }
+
+    _mountQueue = [callback];
+
+    function mounted(error) {
+      var queue = _mountQueue;
+      _mountQueue = null;
+
+      if ( !error ) {
+        _isMounted = true;
+        API.message('vfs:mount', 'IndexedDB', {source: null});
+      }
+
+      queue.forEach(function(cb) {
+        cb(error);
+      });
+    }
+
+    openDatabase(function(error) {
+      if ( error || !API.getConfig('VFS.IndexedDB.MigrateLocalStorage') ) {
+        mounted(error);
+        return;
+      }
+
+      transaction(['meta'], 'readonly', function(tx, resolve) {
+        get(tx.objectStore('meta'), 'migrated', resolve);
+      }, function(error, migrated) {
+        if ( error || migrated || !localStorage.getItem(LOCALSTORAGE_NAMESPACE + '/tree') ) {
+          mounted(error);
+          return;
+        }
+
+        migrateLocalStorage(function(error, count) {
+          if ( error ) {
+            console.warn('OSjs.VFS.Modules.IndexedDB::initStorage()', 'LocalStorage migration failed', error);
+          } else {
+            console.info('OSjs.VFS.Modules.IndexedDB::initStorage()', 'Migrated', count, 'entries from LocalStorage');
+          }
+          mounted(false);
+        });
+      });
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // API
+  /////////////////////////////////////////////////////////////////////////////
+
+  var IndexedDBStorage = {
+
+    scandir: function(item, callback, options) {
+      var path = getRealPath(item.path);
+
+      transaction(['files', 'trash'], 'readonly', function(tx, resolve, fail) {
+        var files = tx.objectStore('files');
+
+        get(files, path, function(dir) {
+          if ( !dir || dir.type !== 'dir' ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          getAll(files.index('parent'), path, function(list) {
+            if ( path !== TRASH ) {
+              resolve(list.map(function(record) {
+                return createMetadata(record);
+              }));
+              return;
+            }
+
+            getAll(tx.objectStore('trash'), null, function(infos) {
+              var map = {};
+              infos.forEach(function(info) {
+                map[info.path] = info;
+              });
+
+              resolve(list.map(function(record) {
+                return createMetadata(record, map[record.path]);
+              }));
+            });
+          });
+        });
+      }, function(error, list) {
+        if ( !error && path !== '/' ) {
+          list.unshift({
+            size: 0,
+            mime: null,
+            type: 'dir',
+            filename: '..',
+            path: Utils.dirname(item.path)
+          });
+        }
+        callback(error, list);
+      });
+    },
+
+    read: function(item, callback, options) {
+      options = options || {};
+
+      var path = getRealPath(item.path);
+
+      transaction(['files', 'data'], 'readonly', function(tx, resolve, fail) {
+        get(tx.objectStore('files'), path, function(record) {
+          if ( !record || record.type !== 'file' ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          get(tx.objectStore('data'), path, function(blob) {
+            resolve(blob || new Blob([], {type: record.mime}));
+          });
+        });
+      }, function(error, blob) {
+        if ( error ) {
+          callback(error);
+        } else if ( options.url ) {
+          callback(false, URL.createObjectURL(blob));
+        } else {
+          VFS.Helpers.blobToAb(blob, callback);
+        }
+      });
+    },
+
+    write: function(file, data, callback, options) {
+      var path = getRealPath(file.path);
+      var mime = file.mime || getMime(path);
+
+      try {
+        storeFile(path, new Blob([data || ''], {type: mime}), mime, callback);
+      } catch ( e ) {
+        callback(e);
+      }
+    },
+
+    unlink: function(src, callback) {
+      var path = getRealPath(src.path);
+      if ( path === '/' || path === TRASH ) {
+        callback(API._('ERR_VFS_UNAVAILABLE'));
+        return;
+      }
+
+      transaction(['files', 'data', 'trash'], 'readwrite', function(tx, resolve, fail) {
+        getTree(tx.objectStore('files'), path, function(root, list) {
+          if ( !root ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          [root].concat(list).forEach(function(record) {
+            tx.objectStore('files').delete(record.path);
+            tx.objectStore('data').delete(record.path);
+            tx.objectStore('trash').delete(record.path);
+          });
+          resolve(true);
+        });
+      }, callback);
+    },
+
+    copy: function(src, dest, callback) {
+      var spath = getRealPath(src.path);
+      var dpath = getRealPath(dest.path);
+
+      if ( dpath === spath || dpath.indexOf(spath === '/' ? '/' : spath + '/') === 0 ) {
+        callback(API._('ERR_VFS_COPY_INTO_SELF'));
+        return;
+      }
+
+      transaction(['files', 'data'], 'readwrite', function(tx, resolve, fail) {
+        var files = tx.objectStore('files');
+
+        getTree(files, spath, function(root, list) {
+          if ( !root ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          get(files, getParentPath(dpath), function(parent) {
+            if ( !parent || parent.type !== 'dir' ) {
+              fail(API._('ERR_VFS_TARGET_NOT_EXISTS'));
+              return;
+            }
+
+            get(files, dpath, function(existing) {
+              if ( existing ) {
+                fail(API._('ERR_VFS_FILE_EXISTS'));
+                return;
+              }
+
+              transferTree(tx, root, list, dpath, false);
+              resolve(true);
+            });
+          });
+        });
+      }, callback);
+    },
+
+    move: function(src, dest, callback) {
+      var spath = getRealPath(src.path);
+      var dpath = getRealPath(dest.path);
+
+      if ( spath === '/' || spath === TRASH ) {
+        callback(API._('ERR_VFS_UNAVAILABLE'));
+        return;
+      }
+
+      if ( dpath === spath || dpath.indexOf(spath + '/') === 0 ) {
+        callback(API._('ERR_VFS_MOVE_INTO_SELF'));
+        return;
+      }
+
+      transaction(['files', 'data', 'trash'], 'readwrite', function(tx, resolve, fail) {
+        var files = tx.objectStore('files');
+
+        getTree(files, spath, function(root, list) {
+          if ( !root ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          get(files, getParentPath(dpath), function(parent) {
+            if ( !parent || parent.type !== 'dir' ) {
+              fail(API._('ERR_VFS_TARGET_NOT_EXISTS'));
+              return;
+            }
+
+            get(files, dpath, function(existing) {
+              if ( existing ) {
+                fail(API._('ERR_VFS_FILE_EXISTS'));
+                return;
+              }
+
+              transferTree(tx, root, list, dpath, true);
+              tx.objectStore('trash').delete(spath);
+              resolve(true);
+            });
+          });
+        });
+      }, callback);
+    },
+
+    exists: function(item, callback) {
+      var path = getRealPath(item.path);
+
+      transaction(['files'], 'readonly', function(tx, resolve) {
+        get(tx.objectStore('files'), path, function(record) {
+          resolve(!!record);
+        });
+      }, callback);
+    },
+
+    fileinfo: function(item, callback) {
+      var path = getRealPath(item.path);
+
+      transaction(['files'], 'readonly', function(tx, resolve, fail) {
+        get(tx.objectStore('files'), path, function(record) {
+          if ( record ) {
+            resolve(createMetadata(record));
+          } else {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+          }
+        });
+      }, callback);
+    },
+
+    mkdir: function(dir, callback) {
+      var path = getRealPath(dir.path);
+      if ( path === '/' ) {
+        callback(API._('ERR_VFS_FILE_EXISTS'));
+        return;
+      }
+
+      transaction(['files'], 'readwrite', function(tx, resolve, fail) {
+        var files = tx.objectStore('files');
+
+        get(files, getParentPath(path), function(parent) {
+          if ( !parent || parent.type !== 'dir' ) {
+            fail(API._('ERR_VFS_TARGET_NOT_EXISTS'));
+            return;
+          }
+
+          get(files, path, function(existing) {
+            if ( existing ) {
+              fail(API._('ERR_VFS_FILE_EXISTS'));
+              return;
+            }
+
+            files.put(createRecord(path, 'dir'));
+            resolve(true);
+          });
+        });
+      }, callback);
+    },
+
+    upload: function(file, dest, callback) {
+      var path = getRealPath(Utils.pathJoin(dest, file.name));
+
+      IndexedDBStorage.exists({path: path}, function(err, exists) {
+        if ( err || exists ) {
+          callback(err || API._('ERR_VFS_FILE_EXISTS'));
+        } else {
+          storeFile(path, file, file.type || getMime(path), callback);
+        }
+      });
+    },
+
+    url: function(item, callback) {
+      IndexedDBStorage.read(item, callback, {url: true});
+    },
+
+    find: function(item, args, callback) {
+      args = args || {};
+
+      var root = getRealPath(item.path);
+      var contains = String(args.contains || '').toLowerCase();
+      var pageSize = args.pageSize > 0 ? args.pageSize : 0;
+      var offset = pageSize ? Math.max(0, parseInt(args.offset, 10) || 0) : 0;
+
+      var matcher;
+      try {
+        matcher = VFS.Helpers.createFindMatcher(args);
+      } catch ( e ) {
+        callback(e.message);
+        return;
+      }
+
+      var found = [];
+      var matched = 0;
+      var more = false;
+
+      function finished() {
+        if ( pageSize ) {
+          callback(false, {
+            entries: found,
+            offset: offset,
+            next: more ? offset + found.length : null
+          });
+        } else {
+          callback(false, found);
+        }
+      }
+
+      // Returns false when the search should stop
+      function collect(record) {
+        matched++;
+        if ( args.limit && matched > args.limit ) {
+          return false;
+        } else if ( pageSize && found.length >= pageSize ) {
+          more = true;
+          return false;
+        } else if ( matched > offset ) {
+          found.push(createMetadata(record));
+        }
+        return true;
+      }
+
+      function checkContent(record, cb) {
+        if ( record.size > API.getConfig('VFS.Search.MaxFileSize', 512 * 1024) || !VFS.Helpers.isTextFile(record.mime) ) {
+          cb(false);
+          return;
+        }
+
+        transaction(['data'], 'readonly', function(tx, resolve) {
+          get(tx.objectStore('data'), record.path, resolve);
+        }, function(error, blob) {
+          if ( error || !blob ) {
+            cb(false);
+            return;
+          }
+
+          var reader = new FileReader();
+          reader.onerror = function() {
+            cb(false);
+          };
+          reader.onloadend = function() {
+            cb(String(reader.result || '').toLowerCase().indexOf(contains) !== -1);
+          };
+          reader.readAsText(blob);
+        });
+      }
+
+      transaction(['files'], 'readonly', function(tx, resolve) {
+        var files = tx.objectStore('files');
+        if ( args.recursive ) {
+          getAll(files, getDescendantRange(root), resolve);
+        } else {
+          getAll(files.index('parent'), root, resolve);
+        }
+      }, function(error, list) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
+        // The trash is only searched when asked for
+        list = list.filter(function(record) {
+          return record.path !== root && (isTrashPath(root) || !isTrashPath(record.path)) && matcher(record);
+        });
+
+        if ( !contains ) {
+          list.every(collect);
+          finished();
+          return;
+        }
+
+        (function _next(i) {
+          if ( i >= list.length ) {
+            finished();
+            return;
+          }
+
+          checkContent(list[i], function(result) {
+            if ( result && !collect(list[i]) ) {
+              finished();
+            } else {
+              _next(i + 1);
+            }
+          });
+        })(0);
+      });
+    },
+
+    trash: function(item, callback) {
+      var path = getRealPath(item.path);
+      if ( path === '/' || isTrashPath(path) ) {
+        callback(API._('ERR_VFS_UNAVAILABLE'));
+        return;
+      }
+
+      transaction(['files', 'data', 'trash'], 'readwrite', function(tx, resolve, fail) {
+        var files = tx.objectStore('files');
+
+        getTree(files, path, function(root, list) {
+          if ( !root ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          createDirectories(files, TRASH, function() {
+            findAvailableName(files, TRASH, root.filename, function(name) {
+              var dest = joinPath(TRASH, name);
+
+              transferTree(tx, root, list, dest, true);
+              tx.objectStore('trash').put({
+                path: dest,
+                original: path,
+                deleted: new Date().toISOString()
+              });
+
+              resolve(true);
+            });
+          }, fail);
+        });
+      }, callback);
+    },
+
+    untrash: function(item, callback) {
+      var path = getRealPath(item.path);
+
+      transaction(['files', 'data', 'trash'], 'readwrite', function(tx, resolve, fail) {
+        var files = tx.objectStore('files');
+
+        get(tx.objectStore('trash'), path, function(info) {
+          if ( !info ) {
+            fail(API._('ERR_VFSMODULE_NOSUCH'));
+            return;
+          }
+
+          getTree(files, path, function(root, list) {
+            if ( !root ) {
+              fail(API._('ERR_VFSMODULE_NOSUCH'));
+              return;
+            }
+
+            var dir = getParentPath(info.original);
+            createDirectories(files, dir, function() {
+              findAvailableName(files, dir, info.original.substr(info.original.lastIndexOf('/') + 1), function(name) {
+                var dest = joinPath(dir, name);
+
+                transferTree(tx, root, list, dest, true);
+                tx.objectStore('trash').delete(path);
+
+                resolve(PROTOCOL + dest);
+              });
+            }, fail);
+          });
+        });
+      }, callback);
+    },
+
+    emptyTrash: function(callback) {
+      transaction(['files', 'data', 'trash'], 'readwrite', function(tx, resolve) {
+        var range = getDescendantRange(TRASH);
+
+        tx.objectStore('files').delete(range);
+        tx.objectStore('data').delete(range);
+        tx.objectStore('trash').clear();
+
+        resolve(true);
+      }, callback);
+    },
+
+    freeSpace: function(root, callback) {
+      if ( !window.navigator.storage || !window.navigator.storage.estimate ) {
+        callback(false, -1);
+        return;
+      }
+
+      window.navigator.storage.estimate().then(function(estimate) {
+        callback(false, Math.max(0, estimate.quota - estimate.usage));
+      }, function(error) {
+        callback(error && error.message ? error.message : String(error));
+      });
+    },
+
+    migrate: function(callback) {
+      migrateLocalStorage(callback);
+    }
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // WRAPPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function makeRequest(name, args, callback, options) {
+    callback = callback || function() {};
+
+    initStorage(function(error) {
+      if ( error ) {
+        callback(error);
+        return;
+      }
+
+      var ref = IndexedDBStorage[name];
+      if ( !ref ) {
+        callback(API._('ERR_VFSMODULE_INVALID_METHOD_FMT', name));
+        return;
+      }
+
+      var fargs = (args || []).slice(0);
+      fargs.push(callback);
+      fargs.push(options || {});
+
+      try {
+        ref.apply(ref, fargs);
+      } catch ( e ) {
+        callback(e.message || e);
+      }
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Browser IndexedDB VFS Module
+   *
+   * Files are stored as Blobs, so the size is only limited by the storage
+   * quota of the browser. Set `VFS.IndexedDB.MigrateLocalStorage` to copy
+   * the content of the LocalStorage mountpoint the first time this is mounted.
+   * This can also be done later with the `migrate` request of this module.
+   */
+  OSjs.Core.getMountManager()._add({
+    readOnly: false,
+    name: 'IndexedDB',
+    transport: 'IndexedDB',
+    description: API.getConfig('VFS.IndexedDB.Options.description', 'IndexedDB'),
+    visible: true,
+    searchable: true,
+    trash: PROTOCOL + TRASH,
+    unmount: function(cb) {
+      cb = cb || function() {};
+      _isMounted = false;
+      API.message('vfs:unmount', 'IndexedDB', {source: null});
+      cb(false, true);
+    },
+    mounted: function() {
+      return _isMounted;
+    },
+    enabled: function() {
+      try {
+        if ( API.getConfig('VFS.IndexedDB.Enabled') ) {
+          return !!window.indexedDB;
+        }
+      } catch ( e ) {
+        console.warn('OSjs.VFS.Modules.IndexedDB::enabled()', e, e.stack);
+      }
+      return false;
+    },
+    root: PROTOCOL + '/',
+    icon: API.getConfig('VFS.IndexedDB.Options.icon', 'devices/harddrive.png'),
+    match: /^indexeddb\:\/\//,
+    request: makeRequest
+  });
+
+})(OSjs.Utils, OSjs.API, OSjs.VFS);
@@ -489,7 +489,7 @@
       }
 
       if ( src.type === 'dir' && src.path === Utils.dirname(dest.path) ) {
-        callback('You cannot copy a directory into itself'); // FIXME
+        callback(API._('ERR_VFS_COPY_INTO_SELF'));
         return;
       }
 
@@ -654,6 +654,8 @@
    *
    * This is *experimental* at best. It involves making a real-ish filesystemwhich
    * I don't have much experience in :P This is why it is disabled by default!
+   *
+   * Use the IndexedDB module instead, which can migrate the content of this one.
    */
   OSjs.Core.getMountManager()._add({
     readOnly: false,
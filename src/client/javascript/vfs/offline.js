@@ -0,0 +1,1106 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(Utils, API, VFS) {
+  'use strict';
+
+  /**
+   * @namespace Offline
+   * @memberof OSjs.VFS
+   */
+
+  /*
+   * The off-line cache works like this:
+   *
+   * While on-line, the results of successful requests to the cached
+   * mountpoints (only home:// by default) are recorded:
+   *  entries = {'home:///dir': {path, type: 'dir', list: [metadata], accessed}}
+   *  entries = {'home:///dir/file': {path, type: 'file', metadata, etag, accessed}}
+   *  data    = {'home:///dir/file': ArrayBuffer}
+   *
+   * While off-line, reads are served from these stores. Changes are applied
+   * to the cache (the entries are marked as dirty) and added to a queue that is
+   * replayed in order when the browser goes on-line again:
+   *  queue = {id: 1, method: 'write', path, type, args: [metadata], data, base, username}
+   *
+   * Every user gets a separate database, and the cached files are removed on
+   * logout. Queued changes are only replayed for the user that made them.
+   *
+   * `base` is the ETag of the file as the server last reported it. If it
+   * does not match the ETag of the file on the server when the queue is
+   * replayed, the file was changed by someone else and the user has to
+   * resolve the conflict.
+   */
+
+  /////////////////////////////////////////////////////////////////////////////
+  // GLOBALS
+  /////////////////////////////////////////////////////////////////////////////
+
+  var NAMESPACE = 'OSjs/VFS/Offline';
+  var VERSION = 1;
+
+  var _db = null;
+  var _dbName = null;
+  var _synchronizing = false;
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function getConfig(key, defaultValue) {
+    return API.getConfig('VFS.Offline.' + key, defaultValue);
+  }
+
+  function getUsername() {
+    var handler = OSjs.Core.getHandler();
+    return handler ? handler.getUserData().username : null;
+  }
+
+  /**
+   * Normalizes a path so it can be used as a key (no trailing slashes)
+   */
+  function normalizePath(p) {
+    var parts = String(p).split('://');
+    var path = ('/' + (parts[1] || '')).replace(/\/+/g, '/');
+    if ( path !== '/' ) {
+      path = path.replace(/\/$/, '');
+    }
+    return parts[0] + '://' + path;
+  }
+
+  function getParentPath(p) {
+    var parts = p.split('://');
+    if ( parts[1] === '/' ) {
+      return null;
+    }
+
+    var idx = parts[1].lastIndexOf('/');
+    return parts[0] + '://' + (idx <= 0 ? '/' : parts[1].substr(0, idx));
+  }
+
+  /**
+   * Gets a key range of everything inside given directory
+   */
+  function getDescendantRange(path) {
+    var prefix = path.replace(/\/$/, '') + '/';
+    return window.IDBKeyRange.bound(prefix, prefix + '\uffff');
+  }
+
+  /**
+   * Creates a weak ETag from metadata (same as the server does from stats)
+   */
+  function createETag(metadata) {
+    var mtime = metadata && metadata.mtime ? new Date(metadata.mtime).getTime() : NaN;
+    if ( isNaN(mtime) ) {
+      return null;
+    }
+    return 'W/"' + Number(metadata.size || 0).toString(16) + '-' + mtime.toString(16) + '"';
+  }
+
+  /**
+   * Creates a plain object out of a VFS.File (so it can be stored)
+   */
+  function serialize(item, overrides) {
+    var result = {};
+    ['path', 'filename', 'type', 'mime', 'size', 'ctime', 'mtime', 'id'].forEach(function(k) {
+      var value = item[k];
+      if ( typeof value !== 'undefined' && value !== null ) {
+        result[k] = value instanceof Date ? value.toISOString() : value;
+      }
+    });
+
+    Object.keys(overrides || {}).forEach(function(k) {
+      result[k] = overrides[k];
+    });
+
+    if ( result.path ) {
+      result.path = normalizePath(result.path);
+      result.filename = result.filename || Utils.filename(result.path);
+    }
+
+    return result;
+  }
+
+  function toArrayBuffer(data) {
+    if ( data instanceof ArrayBuffer ) {
+      return data;
+    }
+    return typeof data === 'string' && !data.length ? new ArrayBuffer(0) : null;
+  }
+
+  /**
+   * Gets the path used for the "keep both" resolution of a conflict
+   */
+  function getCopyPath(path) {
+    var filename = Utils.filename(path);
+    var idx = filename.lastIndexOf('.');
+    var ext = idx > 0 ? filename.substr(idx) : '';
+    var name = API._('LBL_OFFLINE_COPY_FMT', filename.substr(0, filename.length - ext.length)) + ext;
+
+    return Utils.pathJoin(getParentPath(path), name);
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // INDEXEDDB ABSTRACTION
+  /////////////////////////////////////////////////////////////////////////////
+
+  function closeDatabase() {
+    if ( _db ) {
+      _db.close();
+    }
+    _db = null;
+    _dbName = null;
+  }
+
+  /**
+   * Opens (and creates) the database
+   */
+  function openDatabase(callback) {
+    var username = getUsername();
+    var name = NAMESPACE + '/' + username;
+
+    if ( _db && _dbName === name ) {
+      callback(false, _db);
+      return;
+    }
+
+    if ( !window.indexedDB || !username ) {
+      callback(API._('ERR_VFS_UNAVAILABLE'));
+      return;
+    }
+
+    closeDatabase();
+
+    var req = window.indexedDB.open(name, VERSION);
+
+    req.onupgradeneeded = function(ev) {
+      var db = ev.target.result;
+      var entries = db.createObjectStore('entries', {keyPath: 'path'});
+      entries.createIndex('accessed', 'accessed', {unique: false});
+
+      db.createObjectStore('data');
+      db.createObjectStore('queue', {keyPath: 'id', autoIncrement: true});
+    };
+
+    req.onsuccess = function(ev) {
+      _db = ev.target.result;
+      _dbName = name;
+      _db.onversionchange = function() {
+        closeDatabase();
+      };
+      callback(false, _db);
+    };
+
+    req.onerror = function() {
+      callback(req.error ? req.error.message : API._('ERR_VFS_FATAL'));
+    };
+  }
+
+  /**
+   * Runs a transaction on given stores.
+   *
+   * `fn` is called with `(tx, resolve, fail)`. The callback is called when
+   * the transaction is complete, with the value given to `resolve()`. Calling
+   * `fail()` aborts the transaction and gives the error to the callback.
+   */
+  function transaction(stores, mode, fn, callback) {
+    callback = callback || function() {};
+
+    openDatabase(function(error, db) {
+      if ( error ) {
+        callback(error);
+        return;
+      }
+
+      var result;
+      var failed = null;
+      var finished = false;
+
+      function done(err) {
+        if ( !finished ) {
+          finished = true;
+          callback(err || false, err ? null : result);
+        }
+      }
+
+      var tx;
+      try {
+        tx = db.transaction(stores, mode);
+      } catch ( e ) {
+        done(e.message || String(e));
+        return;
+      }
+
+      tx.oncomplete = function() {
+        done(false);
+      };
+
+      tx.onabort = function() {
+        done(failed || (tx.error ? tx.error.message : API._('ERR_VFS_FATAL')));
+      };
+
+      fn(tx, function(res) {
+        result = res;
+      }, function(err) {
+        if ( failed === null ) {
+          failed = err;
+          tx.abort();
+        }
+      });
+    });
+  }
+
+  function get(source, key, cb) {
+    var req = source.get(key);
+    req.onsuccess = function() {
+      cb(req.result);
+    };
+  }
+
+  function getAll(source, query, cb) {
+    var req = source.getAll(query);
+    req.onsuccess = function() {
+      cb(req.result || []);
+    };
+  }
+
+  /**
+   * Gets the metadata of a path, either from its own entry or from the
+   * cached listing of the parent directory
+   */
+  function getMetadata(entries, path, cb) {
+    get(entries, path, function(entry) {
+      if ( entry && entry.type === 'file' ) {
+        cb(entry.metadata, entry, true);
+        return;
+      }
+
+      var parent = getParentPath(path);
+      if ( !parent ) {
+        cb(entry ? {path: path, filename: '', type: 'dir'} : null, entry, !!entry);
+        return;
+      }
+
+      get(entries, parent, function(dir) {
+        var found = (dir && dir.list || []).filter(function(iter) {
+          return iter.filename !== '..' && normalizePath(iter.path) === path;
+        })[0];
+
+        if ( !found && entry ) {
+          found = {path: path, filename: Utils.filename(path), type: 'dir'};
+        }
+
+        cb(found || null, entry, !!(found || dir));
+      });
+    });
+  }
+
+  /**
+   * Replaces (or removes when `metadata` is null) an item in the cached
+   * listing of its parent directory
+   */
+  function updateListing(entries, path, metadata, cb) {
+    cb = cb || function() {};
+
+    var parent = getParentPath(path);
+    if ( !parent ) {
+      cb();
+      return;
+    }
+
+    get(entries, parent, function(dir) {
+      if ( !dir || dir.type !== 'dir' ) {
+        cb();
+        return;
+      }
+
+      dir.list = dir.list.filter(function(iter) {
+        return iter.filename === '..' || normalizePath(iter.path) !== path;
+      });
+
+      if ( metadata ) {
+        dir.list.push(metadata);
+      }
+
+      entries.put(dir).onsuccess = function() {
+        cb();
+      };
+    });
+  }
+
+  /**
+   * Removes a path (and everything inside it) from the cache
+   */
+  function removeTree(tx, path) {
+    var entries = tx.objectStore('entries');
+    var data = tx.objectStore('data');
+
+    entries.delete(path);
+    data.delete(path);
+    entries.delete(getDescendantRange(path));
+    data.delete(getDescendantRange(path));
+  }
+
+  /**
+   * Moves a path (and everything inside it) to a new location in the cache
+   */
+  function moveTree(tx, src, dest) {
+    var entries = tx.objectStore('entries');
+    var data = tx.objectStore('data');
+
+    function rebase(p) {
+      p = normalizePath(p);
+      return p === src || p.indexOf(src + '/') === 0 ? dest + p.substr(src.length) : p;
+    }
+
+    function moveEntry(entry) {
+      var path = rebase(entry.path);
+      entries.delete(entry.path);
+
+      entry.path = path;
+      entry.dirty = true;
+      if ( entry.type === 'dir' ) {
+        entry.list = entry.list.map(function(iter) {
+          return iter.filename === '..' ? iter : serialize(iter, {path: rebase(iter.path)});
+        });
+      } else {
+        entry.metadata = serialize(entry.metadata, {path: path, filename: Utils.filename(path)});
+      }
+
+      entries.put(entry);
+    }
+
+    function moveData(from) {
+      get(data, from, function(ab) {
+        if ( ab ) {
+          data.put(ab, rebase(from));
+          data.delete(from);
+        }
+      });
+    }
+
+    get(entries, src, function(entry) {
+      if ( entry ) {
+        moveEntry(entry);
+      }
+    });
+    moveData(src);
+
+    getAll(entries, getDescendantRange(src), function(list) {
+      list.forEach(moveEntry);
+    });
+
+    var req = data.getAllKeys(getDescendantRange(src));
+    req.onsuccess = function() {
+      (req.result || []).forEach(moveData);
+    };
+  }
+
+  /**
+   * Removes the least recently used entries when the cache is full.
+   * Entries with changes that are not synchronized are never removed.
+   */
+  function evict() {
+    var max = getConfig('MaxEntries', 200);
+
+    transaction(['entries', 'data'], 'readwrite', function(tx) {
+      var entries = tx.objectStore('entries');
+      var req = entries.count();
+
+      req.onsuccess = function() {
+        var remove = req.result - max;
+        if ( remove <= 0 ) {
+          return;
+        }
+
+        entries.index('accessed').openCursor().onsuccess = function(ev) {
+          var cursor = ev.target.result;
+          if ( !cursor || remove <= 0 ) {
+            return;
+          }
+
+          if ( !cursor.value.dirty ) {
+            tx.objectStore('data').delete(cursor.value.path);
+            cursor.delete();
+            remove--;
+          }
+          cursor.continue();
+        };
+      };
+    }, function(error) {
+      if ( error ) {
+        console.warn('OSjs.VFS.Offline::evict()', error);
+      }
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // ON-LINE CACHING
+  /////////////////////////////////////////////////////////////////////////////
+
+  function storeListing(item, list) {
+    var path = normalizePath(item.path);
+
+    transaction(['entries', 'data'], 'readwrite', function(tx) {
+      var entries = tx.objectStore('entries');
+
+      entries.put({
+        path: path,
+        type: 'dir',
+        list: list.map(function(iter) {
+          return serialize(iter);
+        }),
+        accessed: Date.now()
+      });
+
+      // Forget the contents of files that has changed on the server
+      list.forEach(function(iter) {
+        if ( iter.type !== 'file' ) {
+          return;
+        }
+
+        var p = normalizePath(iter.path);
+        get(entries, p, function(entry) {
+          if ( entry && !entry.dirty && entry.etag !== createETag(iter) ) {
+            entries.delete(p);
+            tx.objectStore('data').delete(p);
+          }
+        });
+      });
+    }, function(error) {
+      if ( !error ) {
+        evict();
+      }
+    });
+  }
+
+  function storeFile(item, data) {
+    var ab = toArrayBuffer(data);
+    if ( !ab || ab.byteLength > getConfig('MaxFileSize', 5242880) ) {
+      return;
+    }
+
+    var path = normalizePath(item.path);
+    var metadata = serialize(item, {type: 'file', size: ab.byteLength});
+    var etag = createETag(metadata);
+
+    transaction(['entries', 'data'], 'readwrite', function(tx) {
+      tx.objectStore('entries').put({
+        path: path,
+        type: 'file',
+        metadata: metadata,
+        etag: etag,
+        accessed: Date.now()
+      });
+      tx.objectStore('data').put(ab, path);
+    }, function(error) {
+      if ( error ) {
+        return;
+      }
+
+      // The ETag is needed to find conflicts, so ask the server
+      if ( !etag ) {
+        VFS.fileinfo(new VFS.File(path), function() {});
+      }
+      evict();
+    });
+  }
+
+  function updateFileinfo(item, info) {
+    var path = normalizePath(item.path);
+
+    transaction(['entries'], 'readwrite', function(tx) {
+      var entries = tx.objectStore('entries');
+      get(entries, path, function(entry) {
+        if ( entry && entry.type === 'file' && !entry.dirty ) {
+          entry.metadata = serialize(info, {path: path});
+          entry.etag = createETag(info);
+          entries.put(entry);
+        }
+      });
+    });
+  }
+
+  /**
+   * Forgets paths that was changed while on-line, including the
+   * listings of their parent directories
+   */
+  function invalidate(paths) {
+    transaction(['entries', 'data'], 'readwrite', function(tx) {
+      paths.forEach(function(p) {
+        var path = normalizePath(p);
+        var parent = getParentPath(path);
+
+        removeTree(tx, path);
+        if ( parent ) {
+          tx.objectStore('entries').delete(parent);
+        }
+      });
+    });
+  }
+
+  /**
+   * Forgets the cached listing of the parent directory of a path
+   */
+  function forgetListing(path) {
+    var parent = getParentPath(normalizePath(path));
+    if ( parent ) {
+      transaction(['entries'], 'readwrite', function(tx) {
+        tx.objectStore('entries').delete(parent);
+      });
+    }
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // OFF-LINE REQUESTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Adds a change to the queue and applies it to the cache
+   */
+  function queueChange(method, args, data, apply, callback) {
+    var path = normalizePath(args[0].path);
+
+    transaction(['entries', 'data', 'queue'], 'readwrite', function(tx, resolve, fail) {
+      var entries = tx.objectStore('entries');
+
+      getMetadata(entries, path, function(metadata, entry) {
+        var type = (metadata || args[0]).type || 'file';
+        var op = {
+          method: method,
+          path: path,
+          type: type,
+          args: args.map(function(iter) {
+            return serialize(iter);
+          }),
+          base: type === 'file' ? (entry ? entry.etag : createETag(metadata)) : null,
+          queued: new Date().toISOString(),
+          username: getUsername()
+        };
+
+        if ( data ) {
+          op.data = data;
+        }
+
+        tx.objectStore('queue').add(op);
+        apply(tx, entries, op, entry);
+        resolve(true);
+      });
+    }, callback);
+  }
+
+  var OfflineRequests = {
+    scandir: function(item, callback) {
+      transaction(['entries'], 'readonly', function(tx, resolve, fail) {
+        get(tx.objectStore('entries'), normalizePath(item.path), function(entry) {
+          if ( !entry || entry.type !== 'dir' ) {
+            fail(API._('ERR_VFS_OFFLINE_NOT_CACHED'));
+            return;
+          }
+
+          resolve(entry.list.map(function(iter) {
+            return new VFS.File(iter);
+          }));
+        });
+      }, callback);
+    },
+
+    read: function(item, callback) {
+      transaction(['data'], 'readonly', function(tx, resolve, fail) {
+        get(tx.objectStore('data'), normalizePath(item.path), function(ab) {
+          if ( !ab ) {
+            fail(API._('ERR_VFS_OFFLINE_NOT_CACHED'));
+            return;
+          }
+          resolve(ab);
+        });
+      }, callback);
+    },
+
+    url: function(item, callback) {
+      OfflineRequests.read(item, function(error, ab) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+        callback(false, window.URL.createObjectURL(new Blob([ab], {type: item.mime || 'application/octet-stream'})));
+      });
+    },
+
+    exists: function(item, callback) {
+      transaction(['entries'], 'readonly', function(tx, resolve, fail) {
+        getMetadata(tx.objectStore('entries'), normalizePath(item.path), function(metadata, entry, known) {
+          if ( !known ) {
+            fail(API._('ERR_VFS_OFFLINE_NOT_CACHED'));
+            return;
+          }
+          resolve(!!metadata);
+        });
+      }, callback);
+    },
+
+    fileinfo: function(item, callback) {
+      transaction(['entries'], 'readonly', function(tx, resolve, fail) {
+        getMetadata(tx.objectStore('entries'), normalizePath(item.path), function(metadata) {
+          if ( !metadata ) {
+            fail(API._('ERR_VFS_OFFLINE_NOT_CACHED'));
+            return;
+          }
+          resolve(metadata);
+        });
+      }, callback);
+    },
+
+    write: function(item, data, callback) {
+      var ab = toArrayBuffer(data);
+      if ( !ab ) {
+        callback(API._('ERR_VFS_OFFLINE_UNSUPPORTED'));
+        return;
+      }
+
+      queueChange('write', [item], ab, function(tx, entries, op) {
+        var metadata = serialize(item, {
+          type: 'file',
+          size: ab.byteLength,
+          mtime: op.queued
+        });
+
+        entries.put({
+          path: op.path,
+          type: 'file',
+          metadata: metadata,
+          etag: op.base,
+          dirty: true,
+          accessed: Date.now()
+        });
+        tx.objectStore('data').put(ab, op.path);
+        updateListing(entries, op.path, metadata);
+      }, callback);
+    },
+
+    unlink: function(item, callback) {
+      queueChange('unlink', [item], null, function(tx, entries, op) {
+        removeTree(tx, op.path);
+        updateListing(entries, op.path, null);
+      }, callback);
+    },
+
+    trash: function(item, callback) {
+      queueChange('trash', [item], null, function(tx, entries, op) {
+        removeTree(tx, op.path);
+        updateListing(entries, op.path, null);
+      }, callback);
+    },
+
+    move: function(src, dest, callback) {
+      if ( !VFS.Offline.isCacheable(dest) ) {
+        callback(API._('ERR_VFS_OFFLINE_UNSUPPORTED'));
+        return;
+      }
+
+      queueChange('move', [src, dest], null, function(tx, entries, op, entry) {
+        var path = normalizePath(dest.path);
+        getMetadata(entries, op.path, function(metadata) {
+          updateListing(entries, op.path, null, function() {
+            updateListing(entries, path, serialize(metadata || src, {
+              path: path,
+              filename: Utils.filename(path)
+            }));
+          });
+        });
+        moveTree(tx, op.path, path);
+      }, callback);
+    },
+
+    mkdir: function(item, callback) {
+      queueChange('mkdir', [item], null, function(tx, entries, op) {
+        entries.put({
+          path: op.path,
+          type: 'dir',
+          list: [],
+          dirty: true,
+          accessed: Date.now()
+        });
+        updateListing(entries, op.path, serialize(item, {type: 'dir'}));
+      }, callback);
+    }
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // SYNCHRONIZATION
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Checks a queued change against the server.
+   *
+   * Results in 'ok', 'gone' (nothing to do) or 'conflict'
+   */
+  function inspectChange(op, touched, callback) {
+    function checkDestination(state) {
+      if ( op.method !== 'move' || state !== 'ok' || touched[op.args[1].path] ) {
+        callback(state);
+        return;
+      }
+
+      VFS.exists(new VFS.File(op.args[1]), function(error, exists) {
+        callback(exists ? 'conflict' : state);
+      });
+    }
+
+    if ( op.method === 'mkdir' ) {
+      VFS.exists(new VFS.File(op.args[0]), function(error, exists) {
+        callback(exists ? 'gone' : 'ok');
+      });
+      return;
+    }
+
+    if ( touched[op.path] ) {
+      checkDestination('ok');
+      return;
+    }
+
+    VFS.fileinfo(new VFS.File(op.args[0]), function(error, info) {
+      var current = error ? null : createETag(info);
+
+      if ( op.method !== 'write' && error ) {
+        callback('gone');
+      } else if ( op.type === 'file' && current !== op.base ) {
+        callback('conflict');
+      } else {
+        checkDestination('ok');
+      }
+    });
+  }
+
+  /**
+   * Asks the user how to resolve a conflict.
+   *
+   * Results in 'mine', 'server' or 'both'. Closing the dialog of a write
+   * keeps both versions, so nothing is lost.
+   */
+  function resolveConflict(op, callback) {
+    var filename = Utils.filename(op.path);
+    var write = op.method === 'write';
+
+    API.createDialog('Confirm', {
+      title: API._('DIALOG_OFFLINE_CONFLICT_TITLE'),
+      message: API._(write ? 'DIALOG_OFFLINE_CONFLICT_WRITE_FMT' : 'DIALOG_OFFLINE_CONFLICT_FMT', filename),
+      buttons: write ? ['yes', 'no', 'cancel'] : ['yes', 'no']
+    }, function(ev, button) {
+      if ( button === 'yes' ) {
+        callback('mine');
+      } else if ( button === 'no' ) {
+        callback('server');
+      } else {
+        callback(write ? 'both' : 'server');
+      }
+    });
+  }
+
+  /**
+   * Performs a queued change on the server
+   */
+  function applyChange(op, resolution, callback) {
+    var item = new VFS.File(op.args[0]);
+
+    if ( resolution === 'server' ) {
+      invalidate([op.path]);
+      callback(false);
+      return;
+    }
+
+    if ( op.method === 'write' ) {
+      if ( resolution === 'both' ) {
+        item = new VFS.File(getCopyPath(op.path), item.mime);
+      }
+      VFS.write(item, op.data, callback);
+    } else if ( op.method === 'move' ) {
+      var dest = new VFS.File(op.args[1]);
+      if ( resolution === 'mine' ) {
+        VFS.unlink(dest, function() {
+          VFS.move(item, dest, callback);
+        });
+      } else {
+        VFS.move(item, dest, callback);
+      }
+    } else if ( op.method === 'unlink' || op.method === 'trash' || op.method === 'mkdir' ) {
+      VFS[op.method](item, callback);
+    } else {
+      callback(false);
+    }
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  VFS.Offline = {
+    /**
+     * Checks if given file is on a mountpoint that is cached for off-line use
+     *
+     * @function isCacheable
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {(OSjs.VFS.File|String)}  item      File or path
+     *
+     * @return  {Boolean}
+     */
+    isCacheable: function(item) {
+      var path = typeof item === 'string' ? item : (item ? item.path : null);
+      if ( typeof path !== 'string' || !window.indexedDB || !getConfig('Enabled', false) ) {
+        return false;
+      }
+
+      var protocol = path.split('://')[0];
+      return getConfig('Mountpoints', ['home']).indexOf(protocol) >= 0;
+    },
+
+    /**
+     * Serves a VFS request from the cache while off-line.
+     *
+     * Reads are served from the cache, and writes, moves and deletes are
+     * applied to the cache and queued for `synchronize()`. Other
+     * operations are not available.
+     *
+     * @function request
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {String}      method      VFS Method Name
+     * @param   {Array}       args        VFS Method Arguments
+     * @param   {CallbackVFS} callback    Callback function
+     */
+    request: function(method, args, callback) {
+      if ( !OfflineRequests[method] ) {
+        callback(API._('ERR_VFS_OFFLINE_UNSUPPORTED'), null);
+        return;
+      }
+
+      OfflineRequests[method].apply(null, args.concat([function(error, result) {
+        callback(error || false, error ? null : result);
+      }]));
+    },
+
+    /**
+     * Records the result of a VFS request made while on-line
+     *
+     * @function update
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {String}      method      VFS Method Name
+     * @param   {Array}       args        VFS Method Arguments
+     * @param   {String}      error       VFS Response Error
+     * @param   {Mixed}       result      VFS Response Result
+     */
+    update: function(method, args, error, result) {
+      var item = args[0];
+      if ( error || !VFS.Offline.isCacheable(item) ) {
+        return;
+      }
+
+      if ( method === 'scandir' && result instanceof Array ) {
+        storeListing(item, result);
+      } else if ( method === 'read' ) {
+        storeFile(item, result);
+      } else if ( method === 'write' ) {
+        // The file gets a new ETag on the server, which is fetched afterwards
+        storeFile(serialize(item, {mtime: null}), args[1]);
+        forgetListing(item.path);
+      } else if ( method === 'fileinfo' && result ) {
+        updateFileinfo(item, result);
+      } else if ( ['unlink', 'trash', 'untrash', 'mkdir', 'move', 'copy'].indexOf(method) >= 0 ) {
+        var paths = method === 'copy' ? [] : [item.path];
+        if ( method === 'move' || method === 'copy' ) {
+          paths.push(args[1].path);
+        }
+
+        invalidate(paths.filter(function(iter) {
+          return VFS.Offline.isCacheable(iter);
+        }));
+      }
+    },
+
+    /**
+     * Replays the changes made while off-line in order.
+     *
+     * Conflicts (the file was changed on the server in the meantime, found
+     * by comparing ETags) are resolved by the user in a dialog. Stops at the
+     * first failing change and leaves it (and the rest) in the queue.
+     *
+     * @function synchronize
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {Function}  [callback]    Callback function => fn(error, count)
+     */
+    synchronize: function(callback) {
+      callback = callback || function() {};
+
+      if ( _synchronizing || !getConfig('Enabled', false) ) {
+        callback(false, 0);
+        return;
+      }
+
+      transaction(['queue'], 'readwrite', function(tx, resolve) {
+        var username = getUsername();
+        var store = tx.objectStore('queue');
+
+        // Changes made by someone else are never replayed
+        getAll(store, null, function(list) {
+          resolve(list.filter(function(op) {
+            if ( op.username !== username ) {
+              store.delete(op.id);
+              return false;
+            }
+            return true;
+          }));
+        });
+      }, function(error, queue) {
+        if ( error || !queue.length ) {
+          callback(error, 0);
+          return;
+        }
+
+        _synchronizing = true;
+
+        var touched = {};
+
+        function done(err, count) {
+          _synchronizing = false;
+          callback(err, count);
+        }
+
+        (function next(i) {
+          if ( i >= queue.length ) {
+            done(false, i);
+            return;
+          }
+
+          if ( OSjs.Core.getHandler().offline ) {
+            done(API._('ERR_VFS_OFFLINE_UNSUPPORTED'), i);
+            return;
+          }
+
+          var op = queue[i];
+
+          function finished(err) {
+            if ( err ) {
+              done(err, i);
+              return;
+            }
+
+            touched[op.path] = true;
+            if ( op.method === 'move' ) {
+              touched[op.args[1].path] = true;
+            }
+
+            transaction(['queue'], 'readwrite', function(tx) {
+              tx.objectStore('queue').delete(op.id);
+            }, function() {
+              next(i + 1);
+            });
+          }
+
+          inspectChange(op, touched, function(state) {
+            if ( state === 'gone' ) {
+              finished(false);
+            } else if ( state === 'conflict' ) {
+              resolveConflict(op, function(resolution) {
+                applyChange(op, resolution, finished);
+              });
+            } else {
+              applyChange(op, 'mine', finished);
+            }
+          });
+        })(0);
+      });
+    },
+
+    /**
+     * Gets the changes that are waiting to be synchronized
+     *
+     * @function getQueue
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {Function}  callback      Callback function => fn(error, list)
+     */
+    getQueue: function(callback) {
+      transaction(['queue'], 'readonly', function(tx, resolve) {
+        getAll(tx.objectStore('queue'), null, function(list) {
+          resolve(list.map(function(op) {
+            return {id: op.id, method: op.method, path: op.path, queued: op.queued};
+          }));
+        });
+      }, callback);
+    },
+
+    /**
+     * Removes everything from the cache, including changes that are not
+     * synchronized yet
+     *
+     * @function clear
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {Function}  [callback]    Callback function => fn(error)
+     */
+    clear: function(callback) {
+      transaction(['entries', 'data', 'queue'], 'readwrite', function(tx) {
+        tx.objectStore('entries').clear();
+        tx.objectStore('data').clear();
+        tx.objectStore('queue').clear();
+      }, callback);
+    },
+
+    /**
+     * Removes the cached files and listings of the current user and closes
+     * the database. Changes that are not synchronized yet are kept until the
+     * same user logs in again.
+     *
+     * @function logout
+     * @memberof OSjs.VFS.Offline
+     *
+     * @param   {Function}  [callback]    Callback function => fn(error)
+     */
+    logout: function(callback) {
+      callback = callback || function() {};
+
+      if ( !getConfig('Enabled', false) ) {
+        callback(false);
+        return;
+      }
+
+      transaction(['entries', 'data'], 'readwrite', function(tx) {
+        tx.objectStore('entries').clear();
+        tx.objectStore('data').clear();
+      }, function(error) {
+        closeDatabase();
+        callback(error);
+      });
+    }
+  };
+
+})(OSjs.Utils, OSjs.API, OSjs.VFS);
@@ -197,6 +197,47 @@
     win._$element.setAttribute('data-media', n);
   }
 
+  /**
+   * Restores the window state and stacking order from a saved session
+   */
+  function restoreSessionState(win, restore) {
+    var wm = OSjs.Core.getWindowManager();
+    var state = restore.state || {};
+
+    // Do not switch workspace or steal focus while restoring
+    win._restoring = true;
+    if ( state.ontop && win._properties.allow_ontop ) {
+      win._state.ontop = true;
+    }
+    if ( state.maximized ) {
+      win._maximize(true);
+    } else if ( state.minimized ) {
+      win._minimize(true);
+    }
+    win._restoring = false;
+
+    if ( !wm || !win._$element ) {
+      return;
+    }
+
+    if ( win._state.focused && win._workspace !== wm.getWorkspace() ) {
+      win._blur();
+    }
+
+    // Put the window below the restored windows that were above it
+    if ( typeof restore.zIndex === 'number' ) {
+      win._$element.style.zIndex = getNextZindex(win._state.ontop);
+
+      wm.getWindows().filter(function(w) {
+        return w && w !== win && w._$element && w._sessionRestore && w._sessionRestore.zIndex > restore.zIndex;
+      }).sort(function(a, b) {
+        return a._sessionRestore.zIndex - b._sessionRestore.zIndex;
+      }).forEach(function(w) {
+        w._$element.style.zIndex = getNextZindex(w._state.ontop);
+      });
+    }
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // WINDOW
   /////////////////////////////////////////////////////////////////////////////
@@ -382,6 +423,22 @@
        */
       this._restored = false;
 
+      /**
+       * The session entry this Window was restored from
+       * @name _sessionRestore
+       * @memberof OSjs.Core.Window#
+       * @type {Object}
+       */
+      this._sessionRestore = null;
+
+      /**
+       * If Window is currently applying its restored session state
+       * @name _restoring
+       * @memberof OSjs.Core.Window#
+       * @type {Boolean}
+       */
+      this._restoring = false;
+
       /**
        * If Window is finished loading
        * @name _loaded
@@ -462,6 +519,14 @@
        */
       this._dimension     = {w:opts.width, h:opts.height};
 
+      /**
+       * Workspace index (set by WindowManager when added)
+       * @name _workspace
+       * @memberof OSjs.Core.Window#
+       * @type {Number}
+       */
+      this._workspace = null;
+
       /**
        * Children
        * @name _children
@@ -627,9 +692,13 @@
                 dimension.w = restore.dimension.w;
                 dimension.h = restore.dimension.h;
               }
+              if ( typeof restore.workspace === 'number' ) {
+                self._workspace = restore.workspace;
+              }
 
               console.info('RESTORED FROM SESSION', restore);
               self._restored = true;
+              self._sessionRestore = restore;
             }
           });
         }
@@ -686,6 +755,10 @@
   Window.prototype.init = function(_wm, _app, _scheme) {
     var self = this;
 
+    if ( this._sessionRestore && this._sessionRestore.data ) {
+      this._setSessionState(this._sessionRestore.data);
+    }
+
     // Create DOM
 
     this._$element = document.createElement('application-window');
@@ -868,6 +941,8 @@
       } else if ( this._state.minimized ) {
         this._minimize(true);
       }
+    } else if ( this._sessionRestore ) {
+      restoreSessionState(this, this._sessionRestore);
     }
 
     this._emit('inited');
@@ -1428,10 +1503,14 @@
 
     this._toggleAttentionBlink(false);
 
+    var wm = OSjs.Core.getWindowManager();
+    if ( wm && !this._restoring && typeof this._workspace === 'number' && this._workspace !== wm.getWorkspace() ) {
+      wm.setWorkspace(this._workspace);
+    }
+
     this._$element.style.zIndex = getNextZindex(this._state.ontop);
     this._$element.setAttribute('data-focused', 'true');
 
-    var wm = OSjs.Core.getWindowManager();
     var win = wm ? wm.getCurrentWindow() : null;
     if ( win && win._wid !== this._wid ) {
       win._blur();
@@ -1929,6 +2008,7 @@
     console.debug(this._name, '>', 'Window::_onWindowIconClick()');
 
     var self = this;
+    var wm = OSjs.Core.getWindowManager();
     var control = [
       [this._properties.allow_minimize, function() {
         return {
@@ -1986,6 +2066,27 @@
           }
         };
       }],
+      [wm && wm.getWorkspaceCount() > 1, function() {
+        var menu = [];
+        for ( var i = 0; i < wm.getWorkspaceCount(); i++ ) {
+          if ( i !== self._workspace ) {
+            menu.push({
+              title: wm.getWorkspaceName(i),
+              onClick: (function(index) {
+                return function() {
+                  wm.moveWindowToWorkspace(self, index);
+                };
+              })(i)
+            });
+          }
+        }
+
+        return {
+          title: API._('WINDOW_WORKSPACE'),
+          icon: API.getIcon('places/desktop.png'),
+          menu: menu
+        };
+      }],
       [this._properties.allow_close, function() {
         return {
           title: API._('WINDOW_CLOSE'),
@@ -2051,6 +2152,41 @@
     }
   };
 
+  //
+  // Session
+  //
+
+  /**
+   * Gets the state to store for this Window when the session is saved
+   *
+   * Override this in your Window. The state has to be serializable.
+   * A `buffer` string in the state is treated as unsaved contents and
+   * is stored in the session recovery area instead of the settings.
+   *
+   * @function _getSessionState
+   * @memberof OSjs.Core.Window#
+   *
+   * @return  {Object}      The state or 'null'
+   */
+  Window.prototype._getSessionState = function() {
+    return null;
+  };
+
+  /**
+   * Sets the state this Window had when the session was saved
+   *
+   * Override this in your Window. This is called before the Window is
+   * rendered, so the state should be applied when you build the UI.
+   *
+   * @function _setSessionState
+   * @memberof OSjs.Core.Window#
+   *
+   * @param   {Object}    state     The state from `_getSessionState()`
+   */
+  Window.prototype._setSessionState = function(state) {
+    // Implement in your Window
+  };
+
   //
   // Getters
   //
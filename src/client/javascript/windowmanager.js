@@ -32,6 +32,19 @@
 
   var _WM;             // Running Window Manager process
 
+  /////////////////////////////////////////////////////////////////////////////
+  // WORKSPACES
+  /////////////////////////////////////////////////////////////////////////////
+
+  /*
+   * Hides windows that do not belong to the current workspace
+   */
+  function updateWorkspaceState(win, current) {
+    if ( win && win._$element ) {
+      win._$element.setAttribute('data-workspace-hidden', String(win._workspace !== current));
+    }
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // WINDOW MOVEMENT BEHAVIOUR
   /////////////////////////////////////////////////////////////////////////////
@@ -198,6 +211,7 @@
 
       if ( current.moved ) {
         if ( action === 'move' ) {
+          _WM.onWindowDrag(ev, win, mousePosition, 'stop');
           win._onChange('move', true);
           win._emit('moved', [win._position.x, win._position.y]);
         } else if ( action === 'resize' ) {
@@ -221,6 +235,13 @@
         return;
       }
 
+      // The window manager might change the window when a drag begins
+      if ( action === 'move' && !current.moved ) {
+        if ( _WM.onWindowDrag(ev, win, mousePosition, 'start') ) {
+          current = new BehaviourState(win, action, mousePosition);
+        }
+      }
+
       var result;
       var dx = mousePosition.x - current.startX;
       var dy = mousePosition.y - current.startY;
@@ -242,6 +263,10 @@
         }
       }
 
+      if ( action === 'move' ) {
+        _WM.onWindowDrag(ev, win, mousePosition, 'move');
+      }
+
       current.moved = true;
     }
 
@@ -425,6 +450,7 @@
     this._settings       = OSjs.Core.getSettingsManager().instance(name, settings);
     this._currentWin     = null;
     this._lastWin        = null;
+    this._workspace      = 0;
     this._mouselock      = true;
     this._stylesheet     = null;
     this._sessionLoaded  = false;
@@ -551,6 +577,10 @@
     }
     console.debug('WindowManager::addWindow()');
 
+    if ( typeof w._workspace !== 'number' || w._workspace < 0 || w._workspace >= this.getWorkspaceCount() ) {
+      w._workspace = this._workspace;
+    }
+
     try {
       w.init(this, w._app, w._scheme);
     } catch ( e ) {
@@ -560,6 +590,8 @@
     //attachWindowEvents(w, this);
     createWindowBehaviour(w, this);
 
+    updateWorkspaceState(w, this._workspace);
+
     this._windows.push(w);
     w._inited();
 
@@ -699,6 +731,42 @@
     // Implement in your WM
   };
 
+  /**
+   * When a Window is dragged by the user
+   *
+   * <pre><code>
+   *   start      Before the first movement. Return true if the window was changed
+   *   move       After each movement
+   *   stop       When the window was released
+   * </code></pre>
+   *
+   * @function onWindowDrag
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @param   {Event}                  ev             DOM Event
+   * @param   {OSjs.Core.Window}       win            The window
+   * @param   {Object}                 mousePosition  Mouse position
+   * @param   {String}                 state          Drag state
+   *
+   * @return  {Boolean}
+   */
+  WindowManager.prototype.onWindowDrag = function(ev, win, mousePosition, state) {
+    // Implement in your WM
+    return false;
+  };
+
+  /**
+   * When the current workspace was changed
+   *
+   * @function onWorkspaceChange
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @param   {Number}   index          Workspace index
+   */
+  WindowManager.prototype.onWorkspaceChange = function(index) {
+    // Implement in your WM
+  };
+
   /**
    * When orientation of device has changed
    *
@@ -1024,12 +1092,141 @@
    * @function getWindows
    * @memberof OSjs.Core.WindowManager#
    *
+   * @param     {Number}    [workspace]        Only windows in this workspace
+   *
    * @return    {OSjs.Core.Window[]}           List of all Windows
    */
-  WindowManager.prototype.getWindows = function() {
+  WindowManager.prototype.getWindows = function(workspace) {
+    if ( typeof workspace === 'number' ) {
+      return this._windows.filter(function(w) {
+        return w && w._workspace === workspace;
+      });
+    }
     return this._windows;
   };
 
+  /**
+   * Gets the number of workspaces
+   *
+   * @function getWorkspaceCount
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @return  {Number}
+   */
+  WindowManager.prototype.getWorkspaceCount = function() {
+    return Math.max(1, parseInt(this.getSetting('workspaces'), 10) || 1);
+  };
+
+  /**
+   * Gets the current workspace index
+   *
+   * @function getWorkspace
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @return  {Number}
+   */
+  WindowManager.prototype.getWorkspace = function() {
+    return this._workspace;
+  };
+
+  /**
+   * Gets the display name of a workspace
+   *
+   * @function getWorkspaceName
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @param   {Number}    index       Workspace index
+   *
+   * @return  {String}
+   */
+  WindowManager.prototype.getWorkspaceName = function(index) {
+    return API._('WORKSPACE_NAME_FMT', index + 1);
+  };
+
+  /**
+   * Switches to another workspace
+   *
+   * Windows in other workspaces are hidden, and the top-most window
+   * in the new workspace gets focus.
+   *
+   * @function setWorkspace
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @param   {Number}    index       Workspace index
+   *
+   * @return  {Boolean}               If the workspace was changed
+   */
+  WindowManager.prototype.setWorkspace = function(index) {
+    var count = this.getWorkspaceCount();
+    index = ((index % count) + count) % count;
+    if ( index === this._workspace ) {
+      return false;
+    }
+
+    console.debug('WindowManager::setWorkspace()', index);
+
+    this._workspace = index;
+
+    var current = this.getCurrentWindow();
+    if ( current && current._workspace !== index ) {
+      current._blur();
+    }
+
+    var top = null;
+    var topIndex = -1;
+    this._windows.forEach(function(win) {
+      if ( win ) {
+        updateWorkspaceState(win, index);
+
+        if ( win._workspace === index && !win._state.minimized && win._$element ) {
+          var zIndex = parseInt(win._$element.style.zIndex, 10) || 0;
+          if ( zIndex > topIndex ) {
+            top = win;
+            topIndex = zIndex;
+          }
+        }
+      }
+    });
+
+    this.onWorkspaceChange(index);
+
+    if ( top && !this.getCurrentWindow() ) {
+      top._focus();
+    }
+
+    return true;
+  };
+
+  /**
+   * Moves a window to another workspace
+   *
+   * @function moveWindowToWorkspace
+   * @memberof OSjs.Core.WindowManager#
+   *
+   * @param   {OSjs.Core.Window}    win         The window
+   * @param   {Number}              index       Workspace index
+   *
+   * @return  {Boolean}                         On success
+   */
+  WindowManager.prototype.moveWindowToWorkspace = function(win, index) {
+    if ( !win || win._destroyed || index < 0 || index >= this.getWorkspaceCount() ) {
+      return false;
+    }
+
+    console.debug('WindowManager::moveWindowToWorkspace()', win._wid, index);
+
+    win._workspace = index;
+    updateWorkspaceState(win, this._workspace);
+
+    if ( index !== this._workspace && win._state.focused ) {
+      win._blur();
+    }
+
+    win._onChange('workspace');
+
+    return true;
+  };
+
   /**
    * Gets current Window
    *
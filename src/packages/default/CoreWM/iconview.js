@@ -108,6 +108,7 @@
     //this.$element.setAttribute('no-selection', 'true');
     this.$element.id = 'CoreWMDesktopIconView';
     this.shortcutCache = [];
+    this.watchedPath = null;
 
     GUI.Elements['gui-icon-view'].build(this.$element);
 
@@ -163,6 +164,29 @@
     this.dialog = null;
 
     this.shortcutCache = [];
+
+    this.watchPath(null);
+  };
+
+  DesktopIconView.prototype.watchPath = function(dir) {
+    function _noop() {}
+
+    if ( dir === this.watchedPath ) {
+      return;
+    }
+
+    try {
+      if ( this.watchedPath ) {
+        VFS.unwatch(this.watchedPath, _noop);
+      }
+      if ( dir ) {
+        VFS.watch(dir, _noop);
+      }
+    } catch ( e ) {
+      console.warn('DesktopIconView::watchPath()', e);
+    }
+
+    this.watchedPath = dir;
   };
 
   DesktopIconView.prototype.blur = function() {
@@ -193,6 +217,8 @@
     var desktopPath = OSjs.Core.getWindowManager().getSetting('desktopPath');
     var shortcutPath = Utils.pathJoin(desktopPath, '.shortcuts.json');
 
+    this.watchPath(desktopPath);
+
     VFS.read(shortcutPath, function(e, r) {
       var entries = [];
 
@@ -179,6 +179,8 @@
       'Your panel has no items. Go to settings to reset default or modify manually\n(This error may occur after upgrades of OS.js)' : 'Ditt panel har ingen objekter. Gå til instillinger for å nullstille eller modifisere manuelt\n(Denne feilen kan oppstå etter en oppdatering av OS.js)',
       'Create shortcut' : 'Lag snarvei',
       'Set as wallpaper' : 'Sett som bakgrunn',
+      'Set as workspace wallpaper' : 'Sett som bakgrunn for arbeidsområdet',
+      'Reset workspace wallpaper' : 'Nullstill bakgrunn for arbeidsområdet',
       'An error occured while creating PanelItem: {0}' : 'En feil oppstod under lasting av PanelItem: {0}',
       'Show Icons' : 'Vis Ikoner',
       'Hide Icons' : 'Skjul Ikoner',
@@ -62,6 +62,7 @@
     this.scheme           = null;
     this.panels           = [];
     this.switcher         = null;
+    this.tiling           = null;
     this.iconView         = null;
     this.$themeLink       = null;
     this.$themeScript     = null;
@@ -99,9 +100,13 @@
           win._maximize();
         }
       },
-      WINDOW_RESTORE: function(ev, win) {
+      WINDOW_RESTORE: function(ev, win, wm) {
         if ( win ) {
-          win._restore();
+          if ( wm.tiling && wm.tiling.isTiled(win) ) {
+            wm.tiling.restore(win);
+          } else {
+            win._restore();
+          }
         }
       },
       WINDOW_MOVE_LEFT: function(ev, win) {
@@ -123,9 +128,55 @@
         if ( win ) {
           win._moveTo('bottom');
         }
+      },
+      WINDOWS_TILE: function(ev, win, wm) {
+        wm.arrangeWindows('tile');
+      },
+      WINDOWS_CASCADE: function(ev, win, wm) {
+        wm.arrangeWindows('cascade');
+      },
+      WORKSPACE_NEXT: function(ev, win, wm) {
+        wm.setWorkspace(wm.getWorkspace() + 1);
+      },
+      WORKSPACE_PREV: function(ev, win, wm) {
+        wm.setWorkspace(wm.getWorkspace() - 1);
+      },
+      WINDOW_WORKSPACE_NEXT: function(ev, win, wm) {
+        if ( win ) {
+          var index = (wm.getWorkspace() + 1) % wm.getWorkspaceCount();
+          wm.moveWindowToWorkspace(win, index);
+          win._focus();
+        }
+      },
+      WINDOW_WORKSPACE_PREV: function(ev, win, wm) {
+        if ( win ) {
+          var count = wm.getWorkspaceCount();
+          var index = (wm.getWorkspace() + count - 1) % count;
+          wm.moveWindowToWorkspace(win, index);
+          win._focus();
+        }
       }
     };
 
+    // Tile the current window to halves and quarters of the screen
+    var self = this;
+    ['left', 'right', 'top', 'bottom', 'topleft', 'topright', 'bottomleft', 'bottomright'].forEach(function(layout) {
+      self.hotkeyMap['WINDOW_TILE_' + layout.toUpperCase()] = function(ev, win, wm) {
+        if ( win && wm.tiling ) {
+          wm.tiling.tile(win, layout);
+        }
+      };
+    });
+
+    // Switch directly to a workspace
+    for ( var i = 0; i < 9; i++ ) {
+      this.hotkeyMap['WORKSPACE_' + String(i + 1)] = (function(index) {
+        return function(ev, win, wm) {
+          wm.setWorkspace(Math.min(index, wm.getWorkspaceCount() - 1));
+        };
+      })(i);
+    }
+
     this._$notifications    = document.createElement('corewm-notifications');
     this._$notifications.setAttribute('role', 'log');
 
@@ -232,6 +283,7 @@
 
     initScheme(function() {
       self.initSwitcher();
+      self.initTiling();
       self.initDesktop();
       self.initPanels();
       self.initIconView();
@@ -258,6 +310,9 @@
     if ( this.switcher ) {
       this.switcher.destroy();
     }
+    if ( this.tiling ) {
+      this.tiling.destroy();
+    }
     if ( this.scheme ) {
       this.scheme.destroy();
     }
@@ -277,6 +332,7 @@
     this.$themeScript = Utils.$remove(this.$themeScript);
     this.$animationLink = Utils.$remove(this.$animationLink);
     this.switcher = null;
+    this.tiling = null;
     this.iconView = null;
     this.scheme = null;
 
@@ -315,6 +371,10 @@
     this.switcher = new OSjs.Applications.CoreWM.WindowSwitcher();
   };
 
+  CoreWM.prototype.initTiling = function() {
+    this.tiling = new OSjs.Applications.CoreWM.WindowTiling(this);
+  };
+
   CoreWM.prototype.initDesktop = function() {
     var self = this;
 
@@ -556,6 +616,10 @@
       this.applySettings({wallpaper: data.path}, false, true);
     };
 
+    var _applyWorkspaceWallpaper = function(data) {
+      this.setWorkspaceWallpaper(data.path);
+    };
+
     var _createShortcut = function(data) {
       if ( this.iconView ) {
         this.iconView.addShortcut(data, this, true);
@@ -564,17 +628,34 @@
 
     var _openMenu = function(data) {
       var pos = {x: ev.clientX, y: ev.clientY};
-      OSjs.API.createMenu([{
-        title: OSjs.Applications.CoreWM._('Create shortcut'),
-        onClick: function() {
-          _createShortcut.call(self, data);
-        }
-      }, {
+      var menu = [];
+
+      if ( self.iconView ) {
+        menu.push({
+          title: OSjs.Applications.CoreWM._('Create shortcut'),
+          onClick: function() {
+            _createShortcut.call(self, data);
+          }
+        });
+      }
+
+      menu.push({
         title: OSjs.Applications.CoreWM._('Set as wallpaper'),
         onClick: function() {
           _applyWallpaper.call(self, data);
         }
-      }], pos);
+      });
+
+      if ( self.getWorkspaceCount() > 1 ) {
+        menu.push({
+          title: OSjs.Applications.CoreWM._('Set as workspace wallpaper'),
+          onClick: function() {
+            _applyWorkspaceWallpaper.call(self, data);
+          }
+        });
+      }
+
+      OSjs.API.createMenu(menu, pos);
     };
 
     if ( item ) {
@@ -582,7 +663,7 @@
       if ( item.type === 'file' ) {
         if ( data && data.mime ) {
           if ( data.mime.match(/^image/) ) {
-            if ( this.iconView ) {
+            if ( this.iconView || this.getWorkspaceCount() > 1 ) {
               _openMenu(data);
             } else {
               _applyWallpaper.call(this, data);
@@ -651,6 +732,40 @@
     }
   };
 
+  CoreWM.prototype.onWindowDrag = function(ev, win, mousePosition, state) {
+    if ( this.tiling ) {
+      return this.tiling.onDrag(win, mousePosition, state);
+    }
+    return false;
+  };
+
+  CoreWM.prototype.onWorkspaceChange = function(index) {
+    var self = this;
+
+    this.panels.forEach(function(panel) {
+      if ( panel ) {
+        var workspaces = panel.getItem(OSjs.Applications.CoreWM.PanelItems.Workspaces);
+        if ( workspaces ) {
+          workspaces.update();
+        }
+
+        var windowList = panel.getItem(OSjs.Applications.CoreWM.PanelItems.WindowList);
+        if ( windowList ) {
+          self._windows.forEach(function(win) {
+            if ( win ) {
+              windowList.update('workspace', win);
+            }
+          });
+        }
+      }
+    });
+
+    var wallpapers = this.getSetting('workspaceWallpapers') || [];
+    if ( wallpapers.some(Boolean) ) {
+      this.setBackground(this._settings.get());
+    }
+  };
+
   CoreWM.prototype.showSettings = function(category) {
     OSjs.API.launch('ApplicationSettings', {category: category});
   };
@@ -674,6 +789,10 @@
         this.iconView.blur();
       }
     }
+
+    if ( ev === 'close' && this.tiling ) {
+      this.tiling.forget(win);
+    }
   };
 
   CoreWM.prototype.notification = (function() {
@@ -843,6 +962,12 @@
     var menu = [
       {title: OSjs.Applications.CoreWM._('Open settings'), onClick: function(ev) {
         self.showSettings();
+      }},
+      {title: OSjs.Applications.CoreWM._('Tile windows'), onClick: function(ev) {
+        self.arrangeWindows('tile');
+      }},
+      {title: OSjs.Applications.CoreWM._('Cascade windows'), onClick: function(ev) {
+        self.arrangeWindows('cascade');
       }}
     ];
 
@@ -862,6 +987,15 @@
       });
     }
 
+    if ( (this.getSetting('workspaceWallpapers') || [])[this.getWorkspace()] ) {
+      menu.push({
+        title: OSjs.Applications.CoreWM._('Reset workspace wallpaper'),
+        onClick: function(ev) {
+          self.setWorkspaceWallpaper(null);
+        }
+      });
+    }
+
     API.createMenu(menu, ev);
   };
 
@@ -887,6 +1021,17 @@
         }
         this._settings.set(null, settings, save, triggerWatch);
       }
+
+      // Move windows out of removed workspaces
+      var count = this.getWorkspaceCount();
+      this._windows.forEach(function(win) {
+        if ( win && win._workspace >= count ) {
+          self.moveWindowToWorkspace(win, count - 1);
+        }
+      });
+      if ( this._workspace >= count ) {
+        this.setWorkspace(count - 1);
+      }
     }
 
     var keys = this._settings.get('hotkeys');
@@ -901,6 +1046,27 @@
     return true;
   };
 
+  /**
+   * Sets (or resets) the wallpaper of the current workspace
+   */
+  CoreWM.prototype.setWorkspaceWallpaper = function(path) {
+    var wallpapers = (this.getSetting('workspaceWallpapers') || []).slice(0);
+    for ( var i = 0; i < this.getWorkspaceCount(); i++ ) {
+      wallpapers[i] = wallpapers[i] || null;
+    }
+    wallpapers[this.getWorkspace()] = path || null;
+    this.applySettings({workspaceWallpapers: wallpapers}, false, true);
+  };
+
+  /**
+   * Arranges all windows, either by 'tile' or 'cascade'
+   */
+  CoreWM.prototype.arrangeWindows = function(mode) {
+    if ( this.tiling ) {
+      this.tiling.arrange(mode);
+    }
+  };
+
   CoreWM.prototype.themeAction = function(action, args) {
     args = args || [];
     if ( OSjs.Applications.CoreWM.CurrentTheme ) {
@@ -925,7 +1091,7 @@
       document.body.style.fontFamily = settings.fontFamily;
     }
 
-    var name = settings.wallpaper;
+    var name = (settings.workspaceWallpapers || [])[this.getWorkspace()] || settings.wallpaper;
     var type = settings.background;
 
     var className = 'color';
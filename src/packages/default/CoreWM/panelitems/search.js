@@ -34,6 +34,34 @@
   // Search Settings Dialog
   /////////////////////////////////////////////////////////////////////////////
 
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Appends text to a node with the given [start, end] ranges highlighted
+   */
+  function appendHighlighted(root, str, ranges) {
+    str = String(str || '');
+
+    var offset = 0;
+    (ranges || []).forEach(function(r) {
+      if ( r[0] > offset ) {
+        root.appendChild(document.createTextNode(str.substring(offset, r[0])));
+      }
+
+      var mark = document.createElement('mark');
+      mark.appendChild(document.createTextNode(str.substring(r[0], r[1])));
+      root.appendChild(mark);
+
+      offset = r[1];
+    });
+
+    if ( offset < str.length ) {
+      root.appendChild(document.createTextNode(str.substring(offset)));
+    }
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // ITEM
   /////////////////////////////////////////////////////////////////////////////
@@ -54,6 +82,7 @@
     this.hookId = -1;
     this.currentIndex = -1;
     this.currentCount = 0;
+    this.currentResults = [];
   }
 
   PanelItemSearch.prototype = Object.create(PanelItem.prototype);
@@ -141,7 +170,7 @@
 
     Utils.$bind(ul, 'click', function(ev) {
       var target = ev.target;
-      if ( target.tagName === 'LI' ) {
+      if ( target.tagName === 'LI' && target.hasAttribute('data-index') ) {
         self.launch(target);
       }
     });
@@ -192,6 +221,13 @@
   };
 
   PanelItemSearch.prototype.launch = function(target) {
+    var result = this.currentResults[parseInt(target.getAttribute('data-index'), 10)];
+    if ( result && typeof result.launch.callback === 'function' ) {
+      result.launch.callback(result);
+      this.hide();
+      return;
+    }
+
     var launch = target.getAttribute('data-launch');
     var args = JSON.parse(target.getAttribute('data-args'));
     var file = target.getAttribute('data-file');
@@ -279,37 +315,76 @@
       this.$message.style.display = 'block';
     }
 
+    var groups = {};
     list.forEach(function(l) {
-      var img = document.createElement('img');
-      img.src = l.icon;
-
-      var title = document.createElement('div');
-      title.className = 'Title';
-      title.appendChild(document.createTextNode(l.title));
-
-      var description = document.createElement('div');
-      description.className = 'Message';
-      description.appendChild(document.createTextNode(l.description));
-
-      var node = document.createElement('li');
-      node.setAttribute('data-launch', l.launch.application);
-      node.setAttribute('data-args', JSON.stringify(l.launch.args));
-      if ( l.launch.file ) {
-        node.setAttribute('data-file', l.launch.file.path);
-        node.setAttribute('data-mime', l.launch.file.mime);
-        node.setAttribute('data-type', l.launch.file.type);
+      var name = l.provider || '';
+      if ( !groups[name] ) {
+        groups[name] = [];
+      }
+      groups[name].push(l);
+    });
+
+    var self = this;
+    var providers = OSjs.Core.getSearchEngine().getModules();
+    Object.keys(groups).forEach(function(name) {
+      var found = providers.some(function(p) {
+        return p.name === name;
+      });
+
+      if ( !found ) {
+        providers.push({name: name, title: name});
+      }
+    });
+
+    this.currentResults = [];
+
+    providers.forEach(function(p) {
+      if ( !groups[p.name] ) {
+        return;
       }
 
-      node.appendChild(img);
-      node.appendChild(title);
-      node.appendChild(description);
-      root.appendChild(node);
+      var header = document.createElement('li');
+      header.className = 'Category';
+      header.setAttribute('data-provider', p.name);
+      header.appendChild(document.createTextNode(API._(p.title)));
+      root.appendChild(header);
+
+      groups[p.name].forEach(function(l) {
+        var img = document.createElement('img');
+        img.src = l.icon;
+
+        var title = document.createElement('div');
+        title.className = 'Title';
+        appendHighlighted(title, l.title, l.highlights ? l.highlights.title : null);
+
+        var description = document.createElement('div');
+        description.className = 'Message';
+        appendHighlighted(description, l.description, l.highlights ? l.highlights.description : null);
+
+        var node = document.createElement('li');
+        node.setAttribute('data-index', String(self.currentResults.length));
+        node.setAttribute('data-provider', p.name);
+        node.setAttribute('data-launch', l.launch.application || '');
+        node.setAttribute('data-args', JSON.stringify(l.launch.args || {}));
+        if ( l.launch.file ) {
+          node.setAttribute('data-file', l.launch.file.path);
+          node.setAttribute('data-mime', l.launch.file.mime);
+          node.setAttribute('data-type', l.launch.file.type);
+        }
+
+        node.appendChild(img);
+        node.appendChild(title);
+        node.appendChild(description);
+        root.appendChild(node);
+
+        self.currentResults.push(l);
+      });
     });
   };
 
   PanelItemSearch.prototype.updateSelection = function() {
     var root = this.$box.querySelector('ul');
-    var child = root.children[this.currentIndex];
+    var child = root.querySelectorAll('li[data-index]')[this.currentIndex];
 
     root.querySelectorAll('li').forEach(function(el) {
       Utils.$removeClass(el, 'active');
@@ -352,7 +427,7 @@
     }
 
     var root = this.$box.querySelector('ul');
-    var child = root.children[this.currentIndex];
+    var child = root.querySelectorAll('li[data-index]')[this.currentIndex];
     if ( child ) {
       this.launch(child);
     }
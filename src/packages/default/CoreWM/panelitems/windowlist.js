@@ -34,6 +34,14 @@
   // ITEM
   /////////////////////////////////////////////////////////////////////////////
 
+  function isInWorkspace(win) {
+    var wm = OSjs.Core.getWindowManager();
+    if ( wm && typeof win._workspace === 'number' ) {
+      return win._workspace === wm.getWorkspace();
+    }
+    return true;
+  }
+
   function WindowListEntry(win, className) {
 
     var el = document.createElement('li');
@@ -104,6 +112,9 @@
     if ( win._state.focused ) {
       el.className += ' Focused';
     }
+    if ( !isInWorkspace(win) ) {
+      el.style.display = 'none';
+    }
 
     this.$element = el;
     this.id = win._wid;
@@ -170,6 +181,10 @@
           el.className = el.className.replace(/\s?Attention/, '');
         }
       });
+    } else if ( ev === 'workspace' ) {
+      _change(cn, function(el) {
+        el.style.display = isInWorkspace(win) ? '' : 'none';
+      });
     } else if ( ev === 'close' ) {
       return false;
     }
@@ -0,0 +1,95 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(CoreWM, Panel, PanelItem, Utils, API, GUI, VFS) {
+  'use strict';
+
+  /////////////////////////////////////////////////////////////////////////////
+  // ITEM
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * PanelItem: Workspaces
+   */
+  function PanelItemWorkspaces() {
+    PanelItem.apply(this, ['PanelItemWorkspaces']);
+  }
+
+  PanelItemWorkspaces.prototype = Object.create(PanelItem.prototype);
+  PanelItemWorkspaces.constructor = PanelItem;
+
+  PanelItemWorkspaces.Name = 'Workspaces'; // Static name
+  PanelItemWorkspaces.Description = 'Switch between workspaces'; // Static description
+  PanelItemWorkspaces.Icon = 'places/desktop.png'; // Static icon
+
+  PanelItemWorkspaces.prototype.init = function() {
+    var root = PanelItem.prototype.init.apply(this, arguments);
+    this.update();
+    return root;
+  };
+
+  PanelItemWorkspaces.prototype.update = function() {
+    var wm = OSjs.Core.getWindowManager();
+    if ( !this._$container || !wm ) {
+      return;
+    }
+
+    Utils.$empty(this._$container);
+
+    var current = wm.getWorkspace();
+    var count = wm.getWorkspaceCount();
+
+    for ( var i = 0; i < count; i++ ) {
+      var el = document.createElement('li');
+      el.title = wm.getWorkspaceName(i);
+      el.className = i === current ? 'Active' : '';
+      el.setAttribute('role', 'button');
+      el.setAttribute('aria-label', el.title);
+      el.appendChild(document.createTextNode(String(i + 1)));
+
+      Utils.$bind(el, 'click', (function(index) {
+        return function() {
+          wm.setWorkspace(index);
+        };
+      })(i));
+
+      this._$container.appendChild(el);
+    }
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  OSjs.Applications                                    = OSjs.Applications || {};
+  OSjs.Applications.CoreWM                             = OSjs.Applications.CoreWM || {};
+  OSjs.Applications.CoreWM.PanelItems                  = OSjs.Applications.CoreWM.PanelItems || {};
+  OSjs.Applications.CoreWM.PanelItems.Workspaces       = PanelItemWorkspaces;
+
+})(OSjs.Applications.CoreWM.Class, OSjs.Applications.CoreWM.Panel, OSjs.Applications.CoreWM.PanelItem, OSjs.Utils, OSjs.API, OSjs.GUI, OSjs.VFS);
@@ -71,10 +71,25 @@
       Utils.$empty(this.$switcher);
     }
 
-    var container, image, label, iter;
-    for ( var i = 0; i < wm._windows.length; i++ ) {
-      iter = wm._windows[i];
-      if ( iter ) {
+    var self = this;
+    var count = wm.getWorkspaceCount();
+    var container, image, label;
+
+    // Windows are grouped by workspace, starting with the current one
+    for ( var n = 0; n < count; n++ ) {
+      var workspace = (wm.getWorkspace() + n) % count;
+      var list = wm.getWindows(workspace);
+
+      if ( count > 1 && list.length ) {
+        container             = document.createElement('div');
+        container.className   = 'Workspace';
+        container.appendChild(document.createTextNode(wm.getWorkspaceName(workspace)));
+        this.$switcher.appendChild(container);
+
+        height += 32;
+      }
+
+      list.forEach(function(iter) {
         container       = document.createElement('div');
 
         image           = document.createElement('img');
@@ -85,19 +100,19 @@
 
         container.appendChild(image);
         container.appendChild(label);
-        this.$switcher.appendChild(container);
+        self.$switcher.appendChild(container);
 
         height += 32; // FIXME: We can automatically calculate this
 
         if ( win && win._wid === iter._wid ) {
-          index = i;
+          index = items.length;
         }
 
         items.push({
           element: container,
           win: iter
         });
-      }
+      });
     }
 
     if ( !this.$switcher.parentNode ) {
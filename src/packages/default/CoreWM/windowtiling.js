@@ -0,0 +1,349 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(WindowManager, Window, GUI, Utils, API, VFS) {
+  'use strict';
+
+  var SNAP_EDGE = 10;       // Distance from the edge that triggers snapping
+  var SNAP_CORNER = 60;     // Distance from a corner that snaps to a quarter
+  var CASCADE_OFFSET = 30;
+  var CASCADE_SIZE = 0.6;
+
+  /**
+   * Layouts as fractions of the window space
+   */
+  var LAYOUTS = {
+    left: {x: 0, y: 0, w: 0.5, h: 1},
+    right: {x: 0.5, y: 0, w: 0.5, h: 1},
+    top: {x: 0, y: 0, w: 1, h: 0.5},
+    bottom: {x: 0, y: 0.5, w: 1, h: 0.5},
+    topleft: {x: 0, y: 0, w: 0.5, h: 0.5},
+    topright: {x: 0.5, y: 0, w: 0.5, h: 0.5},
+    bottomleft: {x: 0, y: 0.5, w: 0.5, h: 0.5},
+    bottomright: {x: 0.5, y: 0.5, w: 0.5, h: 0.5}
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function getFrame(wm) {
+    var frame = {margin: 0, border: 0};
+    var theme = wm.getStyleTheme(true);
+    if ( theme && theme.style && theme.style.window ) {
+      frame.margin = theme.style.window.margin || 0;
+      frame.border = theme.style.window.border || 0;
+    }
+    return frame;
+  }
+
+  /**
+   * Gets the outer rectangle of an area (in fractions) of the window space
+   */
+  function getArea(space, area) {
+    var left = space.left + Math.round(space.width * area.x);
+    var top = space.top + Math.round(space.height * area.y);
+
+    return {
+      left: left,
+      top: top,
+      width: space.left + Math.round(space.width * (area.x + area.w)) - left,
+      height: space.top + Math.round(space.height * (area.y + area.h)) - top
+    };
+  }
+
+  /**
+   * Converts an outer rectangle to window position and dimension (like a maximized window)
+   */
+  function getWindowRect(wm, rect) {
+    var frame = getFrame(wm);
+    return {
+      x: rect.left + frame.border,
+      y: rect.top + frame.border,
+      w: rect.width - (frame.border * 2),
+      h: rect.height - frame.margin - (frame.border * 2)
+    };
+  }
+
+  function setWindowRect(win, rect) {
+    win._move(rect.x, rect.y);
+    win._resize(rect.w, rect.h, true);
+    win._emit('resized', [rect.w, rect.h]);
+    win._onChange('resize', true);
+  }
+
+  function canArrange(win) {
+    return win && !win._destroyed && !win._state.minimized && win._properties.allow_move && win._properties.allow_resize;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // Window Tiling
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Snaps windows to edges of the window space and arranges windows.
+   *
+   * Tiled windows remember their previous position and size, which is
+   * restored when they are dragged away or restored.
+   */
+  var WindowTiling = function(wm) {
+    this.wm = wm;
+    this.$preview = null;
+    this.layout = null;
+    this.lastRects = {};
+  };
+
+  WindowTiling.prototype.destroy = function() {
+    this.hidePreview();
+    this.lastRects = {};
+  };
+
+  /**
+   * Gets the layout for the mouse position when dragging a window, if any
+   */
+  WindowTiling.prototype.getSnapLayout = function(pos) {
+    var space = this.wm.getWindowSpace(true);
+    var right = space.left + space.width;
+    var bottom = space.top + space.height;
+
+    var atLeft = pos.x <= space.left + SNAP_EDGE;
+    var atRight = pos.x >= right - SNAP_EDGE;
+    var atTop = pos.y <= space.top + SNAP_EDGE;
+    var atBottom = pos.y >= bottom - SNAP_EDGE;
+    var nearTop = pos.y <= space.top + SNAP_CORNER;
+    var nearBottom = pos.y >= bottom - SNAP_CORNER;
+    var nearLeft = pos.x <= space.left + SNAP_CORNER;
+    var nearRight = pos.x >= right - SNAP_CORNER;
+
+    if ( atLeft || atRight ) {
+      var side = atLeft ? 'left' : 'right';
+      if ( nearTop ) {
+        return 'top' + side;
+      } else if ( nearBottom ) {
+        return 'bottom' + side;
+      }
+      return side;
+    }
+
+    if ( atTop || atBottom ) {
+      var edge = atTop ? 'top' : 'bottom';
+      if ( nearLeft ) {
+        return edge + 'left';
+      } else if ( nearRight ) {
+        return edge + 'right';
+      }
+      return edge;
+    }
+
+    return null;
+  };
+
+  WindowTiling.prototype.showPreview = function(layout) {
+    if ( layout === this.layout ) {
+      return;
+    }
+
+    this.layout = layout;
+    if ( !layout ) {
+      this.hidePreview();
+      return;
+    }
+
+    if ( !this.$preview ) {
+      this.$preview = document.createElement('corewm-snap-preview');
+      document.body.appendChild(this.$preview);
+    }
+
+    var rect = getArea(this.wm.getWindowSpace(), LAYOUTS[layout]);
+    this.$preview.style.left = String(rect.left) + 'px';
+    this.$preview.style.top = String(rect.top) + 'px';
+    this.$preview.style.width = String(rect.width) + 'px';
+    this.$preview.style.height = String(rect.height) + 'px';
+  };
+
+  WindowTiling.prototype.hidePreview = function() {
+    this.layout = null;
+    this.$preview = Utils.$remove(this.$preview);
+  };
+
+  /**
+   * Handles window dragging (see `WindowManager::onWindowDrag()`)
+   */
+  WindowTiling.prototype.onDrag = function(win, pos, state) {
+    if ( state === 'start' ) {
+      return this.restore(win, pos);
+    }
+
+    var enabled = this.wm.getSetting('windowEdgeSnap') && win._properties.allow_resize;
+
+    if ( state === 'move' ) {
+      this.showPreview(enabled ? this.getSnapLayout(pos) : null);
+    } else if ( state === 'stop' ) {
+      var layout = this.layout;
+      this.hidePreview();
+      if ( enabled && layout ) {
+        this.tile(win, layout);
+      }
+    }
+
+    return false;
+  };
+
+  WindowTiling.prototype.isTiled = function(win) {
+    return !!(win && this.lastRects[win._wid]);
+  };
+
+  /**
+   * Tiles a window to one of the layouts
+   */
+  WindowTiling.prototype.tile = function(win, layout) {
+    if ( !canArrange(win) || !LAYOUTS[layout] ) {
+      return false;
+    }
+
+    if ( win._state.maximized ) {
+      win._restore(true, false);
+    }
+
+    this.remember(win);
+    setWindowRect(win, getWindowRect(this.wm, getArea(this.wm.getWindowSpace(), LAYOUTS[layout])));
+    win._focus();
+
+    return true;
+  };
+
+  WindowTiling.prototype.remember = function(win) {
+    if ( !this.lastRects[win._wid] ) {
+      this.lastRects[win._wid] = {
+        x: win._position.x,
+        y: win._position.y,
+        w: win._dimension.w,
+        h: win._dimension.h
+      };
+    }
+  };
+
+  WindowTiling.prototype.forget = function(win) {
+    if ( win ) {
+      delete this.lastRects[win._wid];
+    }
+  };
+
+  /**
+   * Restores the size of a tiled window. When a mouse position is given
+   * (dragging) the window is placed under the cursor, otherwise it is put
+   * back where it was.
+   */
+  WindowTiling.prototype.restore = function(win, pos) {
+    var last = win ? this.lastRects[win._wid] : null;
+    if ( !last ) {
+      return false;
+    }
+
+    this.forget(win);
+
+    var rect = {x: last.x, y: last.y, w: last.w, h: last.h};
+    if ( pos ) {
+      var ratio = (pos.x - win._position.x) / win._dimension.w;
+      rect.x = Math.round(pos.x - (last.w * ratio));
+      rect.y = win._position.y;
+    }
+
+    setWindowRect(win, rect);
+    return true;
+  };
+
+  /**
+   * Arranges all windows in the window space.
+   *
+   * <pre><code>
+   *   tile       In a grid
+   *   cascade    Overlapping, from the top left corner
+   * </code></pre>
+   */
+  WindowTiling.prototype.arrange = function(mode) {
+    var self = this;
+    var wm = this.wm;
+    var space = wm.getWindowSpace();
+    var windows = wm.getWindows().filter(canArrange);
+    var count = windows.length;
+
+    if ( !count ) {
+      return;
+    }
+
+    var cols = Math.ceil(Math.sqrt(count));
+    var rows = Math.ceil(count / cols);
+
+    windows.forEach(function(win, i) {
+      if ( win._state.maximized ) {
+        win._restore(true, false);
+      }
+
+      var rect;
+      if ( mode === 'cascade' ) {
+        self.forget(win);
+
+        var offset = (i * CASCADE_OFFSET) % Math.max(CASCADE_OFFSET, Math.round(space.height * (1 - CASCADE_SIZE)));
+        rect = getWindowRect(wm, {
+          left: space.left + offset,
+          top: space.top + offset,
+          width: Math.round(space.width * CASCADE_SIZE),
+          height: Math.round(space.height * CASCADE_SIZE)
+        });
+      } else {
+        self.remember(win);
+
+        // The last row spreads its windows over the whole width
+        var row = Math.floor(i / cols);
+        var inRow = (row === rows - 1) ? (count - (cols * (rows - 1))) : cols;
+        var col = i - (row * cols);
+
+        rect = getWindowRect(wm, getArea(space, {
+          x: col / inRow,
+          y: row / rows,
+          w: 1 / inRow,
+          h: 1 / rows
+        }));
+      }
+
+      setWindowRect(win, rect);
+      win._focus();
+    });
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  OSjs.Applications                          = OSjs.Applications || {};
+  OSjs.Applications.CoreWM                   = OSjs.Applications.CoreWM || {};
+  OSjs.Applications.CoreWM.WindowTiling      = WindowTiling;
+
+})(OSjs.Core.WindowManager, OSjs.Core.Window, OSjs.GUI, OSjs.Utils, OSjs.API, OSjs.VFS);
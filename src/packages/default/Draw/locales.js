@@ -81,7 +81,54 @@
       'Simple Blur' : 'Опростено замъгляване',
 
       'Radius' : 'Радиус',
-      'Iterations' : 'Повторения'
+      'Iterations' : 'Повторения',
+
+      'Select all' : 'Избери всичко',
+      'Select none' : 'Премахни избора',
+      'Crop to selection' : 'Изрежи до избраното',
+
+      'New layer' : 'Нов слой',
+      'Duplicate layer' : 'Дублирай слой',
+      'Rename layer' : 'Преименувай слой',
+      'Delete layer' : 'Изтрий слой',
+      'Move layer up' : 'Премести слоя нагоре',
+      'Move layer down' : 'Премести слоя надолу',
+      'Merge down' : 'Слей надолу',
+      'Flatten image' : 'Изравни изображението',
+      'Layer name' : 'Име на слоя',
+      'Layer {0}' : 'Слой {0}',
+      '{0} copy' : '{0} копие',
+      'Pasted layer' : 'Поставен слой',
+      'Opacity' : 'Непрозрачност',
+
+      'Image' : 'Изображение',
+      'Resize image' : 'Преоразмери изображението',
+      'Canvas size' : 'Размер на платното',
+      'Rotate 90° clockwise' : 'Завърти на 90° по часовниковата стрелка',
+      'Rotate 90° counter-clockwise' : 'Завърти на 90° обратно на часовниковата стрелка',
+      'Rotate 180°' : 'Завърти на 180°',
+      'Width' : 'Ширина',
+      'Height' : 'Височина',
+      'Keep aspect ratio' : 'Запази пропорциите',
+      'Center image' : 'Центрирай изображението',
+
+      'Brightness/Contrast' : 'Яркост/Контраст',
+      'Brightness' : 'Яркост',
+      'Contrast' : 'Контраст',
+
+      'Font' : 'Шрифт',
+      'Insert text' : 'Вмъкни текст',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Влачете, за да изберете правоъгълник. Щракнете, за да премахнете избора',
+      'Drag to draw a free-form selection' : 'Влачете, за да нарисувате свободен избор',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Влачете, за да преместите избраното или активния слой, когато няма избор',
+      'Click to insert text with the foreground color' : 'Щракнете, за да вмъкнете текст с цвета на преден план',
+      'Drag to erase. Uses the line width' : 'Влачете, за да изтриете. Използва широчината на линията',
+
+      'JPEG options' : 'Настройки на JPEG',
+      'Quality' : 'Качество',
+      'Failed to save image' : 'Неуспешно записване на изображението',
+      'Your browser does not support saving {0} images' : 'Вашият браузър не поддържа записване на изображения {0}'
     },
     de_DE : {
       'Toggle tools toolbar' : 'Tools Toolbar',
@@ -128,7 +175,54 @@
       'Simple Blur' : 'Einfacher Weichzeichner (Blur)',
 
       'Radius' : 'Radius',
-      'Iterations' : 'Iterationen'
+      'Iterations' : 'Iterationen',
+
+      'Select all' : 'Alles auswählen',
+      'Select none' : 'Nichts auswählen',
+      'Crop to selection' : 'Auf Auswahl zuschneiden',
+
+      'New layer' : 'Neue Ebene',
+      'Duplicate layer' : 'Ebene duplizieren',
+      'Rename layer' : 'Ebene umbenennen',
+      'Delete layer' : 'Ebene löschen',
+      'Move layer up' : 'Ebene nach oben',
+      'Move layer down' : 'Ebene nach unten',
+      'Merge down' : 'Nach unten zusammenfügen',
+      'Flatten image' : 'Bild zusammenfügen',
+      'Layer name' : 'Ebenenname',
+      'Layer {0}' : 'Ebene {0}',
+      '{0} copy' : '{0} Kopie',
+      'Pasted layer' : 'Eingefügte Ebene',
+      'Opacity' : 'Deckkraft',
+
+      'Image' : 'Bild',
+      'Resize image' : 'Bildgröße ändern',
+      'Canvas size' : 'Leinwandgröße',
+      'Rotate 90° clockwise' : '90° im Uhrzeigersinn drehen',
+      'Rotate 90° counter-clockwise' : '90° gegen den Uhrzeigersinn drehen',
+      'Rotate 180°' : '180° drehen',
+      'Width' : 'Breite',
+      'Height' : 'Höhe',
+      'Keep aspect ratio' : 'Seitenverhältnis beibehalten',
+      'Center image' : 'Bild zentrieren',
+
+      'Brightness/Contrast' : 'Helligkeit/Kontrast',
+      'Brightness' : 'Helligkeit',
+      'Contrast' : 'Kontrast',
+
+      'Font' : 'Schrift',
+      'Insert text' : 'Text einfügen',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Ziehen, um ein Rechteck auszuwählen. Klicken, um die Auswahl aufzuheben',
+      'Drag to draw a free-form selection' : 'Ziehen, um eine freie Auswahl zu zeichnen',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Ziehen, um die Auswahl zu verschieben, oder die aktive Ebene, wenn nichts ausgewählt ist',
+      'Click to insert text with the foreground color' : 'Klicken, um Text in der Vordergrundfarbe einzufügen',
+      'Drag to erase. Uses the line width' : 'Ziehen, um zu radieren. Verwendet die Linienbreite',
+
+      'JPEG options' : 'JPEG-Optionen',
+      'Quality' : 'Qualität',
+      'Failed to save image' : 'Bild konnte nicht gespeichert werden',
+      'Your browser does not support saving {0} images' : 'Ihr Browser unterstützt das Speichern von {0}-Bildern nicht'
     },
     es_ES : {
       'Toggle tools toolbar' : 'Mostrar/ocultar la barra de herramientas de utilidades',
@@ -175,7 +269,54 @@
       'Simple Blur' : 'Desenfoque simple',
 
       'Radius' : 'Radio',
-      'Iterations' : 'Iteraciones'
+      'Iterations' : 'Iteraciones',
+
+      'Select all' : 'Seleccionar todo',
+      'Select none' : 'Deseleccionar',
+      'Crop to selection' : 'Recortar a la selección',
+
+      'New layer' : 'Nueva capa',
+      'Duplicate layer' : 'Duplicar capa',
+      'Rename layer' : 'Renombrar capa',
+      'Delete layer' : 'Eliminar capa',
+      'Move layer up' : 'Subir capa',
+      'Move layer down' : 'Bajar capa',
+      'Merge down' : 'Combinar hacia abajo',
+      'Flatten image' : 'Aplanar imagen',
+      'Layer name' : 'Nombre de la capa',
+      'Layer {0}' : 'Capa {0}',
+      '{0} copy' : 'Copia de {0}',
+      'Pasted layer' : 'Capa pegada',
+      'Opacity' : 'Opacidad',
+
+      'Image' : 'Imagen',
+      'Resize image' : 'Cambiar tamaño de imagen',
+      'Canvas size' : 'Tamaño del lienzo',
+      'Rotate 90° clockwise' : 'Rotar 90° en sentido horario',
+      'Rotate 90° counter-clockwise' : 'Rotar 90° en sentido antihorario',
+      'Rotate 180°' : 'Rotar 180°',
+      'Width' : 'Ancho',
+      'Height' : 'Alto',
+      'Keep aspect ratio' : 'Mantener proporción',
+      'Center image' : 'Centrar imagen',
+
+      'Brightness/Contrast' : 'Brillo/Contraste',
+      'Brightness' : 'Brillo',
+      'Contrast' : 'Contraste',
+
+      'Font' : 'Fuente',
+      'Insert text' : 'Insertar texto',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Arrastrar para seleccionar un rectángulo. Clic para quitar la selección',
+      'Drag to draw a free-form selection' : 'Arrastrar para dibujar una selección libre',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Arrastrar para mover la selección, o la capa activa si no hay nada seleccionado',
+      'Click to insert text with the foreground color' : 'Clic para insertar texto con el color de primer plano',
+      'Drag to erase. Uses the line width' : 'Arrastrar para borrar. Usa el ancho de línea',
+
+      'JPEG options' : 'Opciones de JPEG',
+      'Quality' : 'Calidad',
+      'Failed to save image' : 'No se pudo guardar la imagen',
+      'Your browser does not support saving {0} images' : 'Su navegador no permite guardar imágenes {0}'
     },
     fr_FR : {
       'Toggle tools toolbar' : 'Afficher la barre d\'outils',
@@ -226,7 +367,54 @@
       'Simple Blur' : 'Flou simple',
 
       'Radius' : 'Rayon',
-      'Iterations' : 'Itérations'
+      'Iterations' : 'Itérations',
+
+      'Select all' : 'Tout sélectionner',
+      'Select none' : 'Ne rien sélectionner',
+      'Crop to selection' : 'Rogner selon la sélection',
+
+      'New layer' : 'Nouveau calque',
+      'Duplicate layer' : 'Dupliquer le calque',
+      'Rename layer' : 'Renommer le calque',
+      'Delete layer' : 'Supprimer le calque',
+      'Move layer up' : 'Monter le calque',
+      'Move layer down' : 'Descendre le calque',
+      'Merge down' : 'Fusionner vers le bas',
+      'Flatten image' : "Aplatir l'image",
+      'Layer name' : 'Nom du calque',
+      'Layer {0}' : 'Calque {0}',
+      '{0} copy' : 'Copie de {0}',
+      'Pasted layer' : 'Calque collé',
+      'Opacity' : 'Opacité',
+
+      'Image' : 'Image',
+      'Resize image' : "Redimensionner l'image",
+      'Canvas size' : 'Taille du canevas',
+      'Rotate 90° clockwise' : 'Rotation de 90° horaire',
+      'Rotate 90° counter-clockwise' : 'Rotation de 90° anti-horaire',
+      'Rotate 180°' : 'Rotation de 180°',
+      'Width' : 'Largeur',
+      'Height' : 'Hauteur',
+      'Keep aspect ratio' : 'Conserver les proportions',
+      'Center image' : "Centrer l'image",
+
+      'Brightness/Contrast' : 'Luminosité/Contraste',
+      'Brightness' : 'Luminosité',
+      'Contrast' : 'Contraste',
+
+      'Font' : 'Police',
+      'Insert text' : 'Insérer du texte',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Glisser pour sélectionner un rectangle. Cliquer pour effacer la sélection',
+      'Drag to draw a free-form selection' : 'Glisser pour tracer une sélection libre',
+      'Drag to move the selection, or the active layer when nothing is selected' : "Glisser pour déplacer la sélection, ou le calque actif s'il n'y a pas de sélection",
+      'Click to insert text with the foreground color' : 'Cliquer pour insérer du texte avec la couleur de premier plan',
+      'Drag to erase. Uses the line width' : "Glisser pour effacer. Utilise l'épaisseur de ligne",
+
+      'JPEG options' : 'Options JPEG',
+      'Quality' : 'Qualité',
+      'Failed to save image' : "Impossible d'enregistrer l'image",
+      'Your browser does not support saving {0} images' : "Votre navigateur ne permet pas d'enregistrer les images {0}"
     },
     it_IT : {
       'Toggle tools toolbar' : 'Mostra la barra strumenti',
@@ -273,7 +461,54 @@
       'Simple Blur' : 'Sfocatura leggera',
 
       'Radius' : 'Raggio',
-      'Iterations' : 'Ripetizioni'
+      'Iterations' : 'Ripetizioni',
+
+      'Select all' : 'Seleziona tutto',
+      'Select none' : 'Deseleziona',
+      'Crop to selection' : 'Ritaglia alla selezione',
+
+      'New layer' : 'Nuovo livello',
+      'Duplicate layer' : 'Duplica livello',
+      'Rename layer' : 'Rinomina livello',
+      'Delete layer' : 'Elimina livello',
+      'Move layer up' : 'Sposta livello su',
+      'Move layer down' : 'Sposta livello giù',
+      'Merge down' : 'Unisci in basso',
+      'Flatten image' : 'Appiattisci immagine',
+      'Layer name' : 'Nome del livello',
+      'Layer {0}' : 'Livello {0}',
+      '{0} copy' : 'Copia di {0}',
+      'Pasted layer' : 'Livello incollato',
+      'Opacity' : 'Opacità',
+
+      'Image' : 'Immagine',
+      'Resize image' : 'Ridimensiona immagine',
+      'Canvas size' : 'Dimensione tela',
+      'Rotate 90° clockwise' : 'Ruota di 90° in senso orario',
+      'Rotate 90° counter-clockwise' : 'Ruota di 90° in senso antiorario',
+      'Rotate 180°' : 'Ruota di 180°',
+      'Width' : 'Larghezza',
+      'Height' : 'Altezza',
+      'Keep aspect ratio' : 'Mantieni proporzioni',
+      'Center image' : 'Centra immagine',
+
+      'Brightness/Contrast' : 'Luminosità/Contrasto',
+      'Brightness' : 'Luminosità',
+      'Contrast' : 'Contrasto',
+
+      'Font' : 'Carattere',
+      'Insert text' : 'Inserisci testo',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Trascina per selezionare un rettangolo. Clicca per annullare la selezione',
+      'Drag to draw a free-form selection' : 'Trascina per disegnare una selezione a mano libera',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Trascina per spostare la selezione, o il livello attivo se non è selezionato nulla',
+      'Click to insert text with the foreground color' : 'Clicca per inserire testo con il colore di primo piano',
+      'Drag to erase. Uses the line width' : 'Trascina per cancellare. Usa la larghezza della linea',
+
+      'JPEG options' : 'Opzioni JPEG',
+      'Quality' : 'Qualità',
+      'Failed to save image' : "Impossibile salvare l'immagine",
+      'Your browser does not support saving {0} images' : 'Il tuo browser non supporta il salvataggio di immagini {0}'
     },
     ko_KR : {
       'Toggle tools toolbar' : '도구 툴바 켜기/끄기',
@@ -323,7 +558,54 @@
       'Iterations' : '반복',
 
       'LMB: Fill with foreground-, RMB: Fill with background color': '왼쪽 마우스/오른쪽 마우스 버튼 전경/배경색 칠하기',
-      'Set {0} color': '{0}색을 선택'
+      'Set {0} color': '{0}색을 선택',
+
+      'Select all' : '모두 선택',
+      'Select none' : '선택 해제',
+      'Crop to selection' : '선택 영역으로 자르기',
+
+      'New layer' : '새 레이어',
+      'Duplicate layer' : '레이어 복제',
+      'Rename layer' : '레이어 이름 바꾸기',
+      'Delete layer' : '레이어 삭제',
+      'Move layer up' : '레이어 위로 이동',
+      'Move layer down' : '레이어 아래로 이동',
+      'Merge down' : '아래로 병합',
+      'Flatten image' : '이미지 병합',
+      'Layer name' : '레이어 이름',
+      'Layer {0}' : '레이어 {0}',
+      '{0} copy' : '{0} 사본',
+      'Pasted layer' : '붙여넣은 레이어',
+      'Opacity' : '불투명도',
+
+      'Image' : '이미지',
+      'Resize image' : '이미지 크기 조절',
+      'Canvas size' : '캔버스 크기',
+      'Rotate 90° clockwise' : '시계 방향으로 90° 회전',
+      'Rotate 90° counter-clockwise' : '시계 반대 방향으로 90° 회전',
+      'Rotate 180°' : '180° 회전',
+      'Width' : '너비',
+      'Height' : '높이',
+      'Keep aspect ratio' : '가로세로 비율 유지',
+      'Center image' : '이미지 가운데 정렬',
+
+      'Brightness/Contrast' : '밝기/대비',
+      'Brightness' : '밝기',
+      'Contrast' : '대비',
+
+      'Font' : '글꼴',
+      'Insert text' : '텍스트 삽입',
+
+      'Drag to select a rectangle. Click to clear the selection' : '드래그하여 사각형을 선택합니다. 클릭하면 선택이 해제됩니다',
+      'Drag to draw a free-form selection' : '드래그하여 자유형 선택 영역을 그립니다',
+      'Drag to move the selection, or the active layer when nothing is selected' : '드래그하여 선택 영역을 이동합니다. 선택 영역이 없으면 활성 레이어를 이동합니다',
+      'Click to insert text with the foreground color' : '클릭하여 전경색으로 텍스트를 삽입합니다',
+      'Drag to erase. Uses the line width' : '드래그하여 지웁니다. 선 너비를 사용합니다',
+
+      'JPEG options' : 'JPEG 옵션',
+      'Quality' : '품질',
+      'Failed to save image' : '이미지를 저장하지 못했습니다',
+      'Your browser does not support saving {0} images' : '브라우저가 {0} 이미지 저장을 지원하지 않습니다'
     },
     nl_NL : {
       'Toggle tools toolbar' : 'Toolbar gereedschappen',
@@ -370,7 +652,54 @@
       'Simple Blur' : 'Eenvoudig vervagen (Blur)',
 
       'Radius' : 'Radius',
-      'Iterations' : 'Herhalingen'
+      'Iterations' : 'Herhalingen',
+
+      'Select all' : 'Alles selecteren',
+      'Select none' : 'Niets selecteren',
+      'Crop to selection' : 'Bijsnijden tot selectie',
+
+      'New layer' : 'Nieuwe laag',
+      'Duplicate layer' : 'Laag dupliceren',
+      'Rename layer' : 'Laag hernoemen',
+      'Delete layer' : 'Laag verwijderen',
+      'Move layer up' : 'Laag omhoog',
+      'Move layer down' : 'Laag omlaag',
+      'Merge down' : 'Omlaag samenvoegen',
+      'Flatten image' : 'Afbeelding samenvoegen',
+      'Layer name' : 'Laagnaam',
+      'Layer {0}' : 'Laag {0}',
+      '{0} copy' : '{0} kopie',
+      'Pasted layer' : 'Geplakte laag',
+      'Opacity' : 'Dekking',
+
+      'Image' : 'Afbeelding',
+      'Resize image' : 'Afbeeldingsgrootte wijzigen',
+      'Canvas size' : 'Canvasgrootte',
+      'Rotate 90° clockwise' : '90° rechtsom draaien',
+      'Rotate 90° counter-clockwise' : '90° linksom draaien',
+      'Rotate 180°' : '180° draaien',
+      'Width' : 'Breedte',
+      'Height' : 'Hoogte',
+      'Keep aspect ratio' : 'Verhouding behouden',
+      'Center image' : 'Afbeelding centreren',
+
+      'Brightness/Contrast' : 'Helderheid/Contrast',
+      'Brightness' : 'Helderheid',
+      'Contrast' : 'Contrast',
+
+      'Font' : 'Lettertype',
+      'Insert text' : 'Tekst invoegen',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Sleep om een rechthoek te selecteren. Klik om de selectie op te heffen',
+      'Drag to draw a free-form selection' : 'Sleep om een vrije selectie te tekenen',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Sleep om de selectie te verplaatsen, of de actieve laag als er niets geselecteerd is',
+      'Click to insert text with the foreground color' : 'Klik om tekst in de voorgrondkleur in te voegen',
+      'Drag to erase. Uses the line width' : 'Sleep om te gummen. Gebruikt de lijndikte',
+
+      'JPEG options' : 'JPEG-opties',
+      'Quality' : 'Kwaliteit',
+      'Failed to save image' : 'Afbeelding opslaan mislukt',
+      'Your browser does not support saving {0} images' : 'Uw browser ondersteunt het opslaan van {0}-afbeeldingen niet'
     },
     no_NO : {
       'Toggle tools toolbar' : 'Svitsj verktøylinje',
@@ -417,7 +746,54 @@
       'Simple Blur' : 'Simpel Klatte (Blur)',
 
       'Radius' : 'Radius',
-      'Iterations' : 'Itereringer'
+      'Iterations' : 'Itereringer',
+
+      'Select all' : 'Velg alt',
+      'Select none' : 'Velg ingenting',
+      'Crop to selection' : 'Beskjær til utvalg',
+
+      'New layer' : 'Nytt lag',
+      'Duplicate layer' : 'Dupliser lag',
+      'Rename layer' : 'Navngi lag',
+      'Delete layer' : 'Slett lag',
+      'Move layer up' : 'Flytt lag opp',
+      'Move layer down' : 'Flytt lag ned',
+      'Merge down' : 'Slå sammen nedover',
+      'Flatten image' : 'Slå sammen bilde',
+      'Layer name' : 'Lagnavn',
+      'Layer {0}' : 'Lag {0}',
+      '{0} copy' : '{0} kopi',
+      'Pasted layer' : 'Innlimt lag',
+      'Opacity' : 'Gjennomsiktighet',
+
+      'Image' : 'Bilde',
+      'Resize image' : 'Endre bildestørrelse',
+      'Canvas size' : 'Lerretsstørrelse',
+      'Rotate 90° clockwise' : 'Roter 90° med klokken',
+      'Rotate 90° counter-clockwise' : 'Roter 90° mot klokken',
+      'Rotate 180°' : 'Roter 180°',
+      'Width' : 'Bredde',
+      'Height' : 'Høyde',
+      'Keep aspect ratio' : 'Behold sideforhold',
+      'Center image' : 'Sentrer bilde',
+
+      'Brightness/Contrast' : 'Lysstyrke/Kontrast',
+      'Brightness' : 'Lysstyrke',
+      'Contrast' : 'Kontrast',
+
+      'Font' : 'Skrift',
+      'Insert text' : 'Sett inn tekst',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Dra for å velge et rektangel. Klikk for å fjerne utvalget',
+      'Drag to draw a free-form selection' : 'Dra for å tegne et frihåndsutvalg',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Dra for å flytte utvalget, eller det aktive laget når ingenting er valgt',
+      'Click to insert text with the foreground color' : 'Klikk for å sette inn tekst med forgrunnsfargen',
+      'Drag to erase. Uses the line width' : 'Dra for å viske ut. Bruker linjebredden',
+
+      'JPEG options' : 'JPEG-innstillinger',
+      'Quality' : 'Kvalitet',
+      'Failed to save image' : 'Kunne ikke lagre bildet',
+      'Your browser does not support saving {0} images' : 'Nettleseren din støtter ikke lagring av {0}-bilder'
     },
     pl_PL : {
       'Toggle tools toolbar' : 'Przełącz Pasek narzędzi',
@@ -464,7 +840,54 @@
       'Simple Blur' : 'Łatwy Blur',
 
       'Radius' : 'Promień',
-      'Iterations' : 'Powtórzenia'
+      'Iterations' : 'Powtórzenia',
+
+      'Select all' : 'Zaznacz wszystko',
+      'Select none' : 'Odznacz wszystko',
+      'Crop to selection' : 'Przytnij do zaznaczenia',
+
+      'New layer' : 'Nowa warstwa',
+      'Duplicate layer' : 'Duplikuj warstwę',
+      'Rename layer' : 'Zmień nazwę warstwy',
+      'Delete layer' : 'Usuń warstwę',
+      'Move layer up' : 'Przesuń warstwę w górę',
+      'Move layer down' : 'Przesuń warstwę w dół',
+      'Merge down' : 'Scal w dół',
+      'Flatten image' : 'Spłaszcz obraz',
+      'Layer name' : 'Nazwa warstwy',
+      'Layer {0}' : 'Warstwa {0}',
+      '{0} copy' : '{0} kopia',
+      'Pasted layer' : 'Wklejona warstwa',
+      'Opacity' : 'Krycie',
+
+      'Image' : 'Obraz',
+      'Resize image' : 'Zmień rozmiar obrazu',
+      'Canvas size' : 'Rozmiar płótna',
+      'Rotate 90° clockwise' : 'Obróć o 90° w prawo',
+      'Rotate 90° counter-clockwise' : 'Obróć o 90° w lewo',
+      'Rotate 180°' : 'Obróć o 180°',
+      'Width' : 'Szerokość',
+      'Height' : 'Wysokość',
+      'Keep aspect ratio' : 'Zachowaj proporcje',
+      'Center image' : 'Wyśrodkuj obraz',
+
+      'Brightness/Contrast' : 'Jasność/Kontrast',
+      'Brightness' : 'Jasność',
+      'Contrast' : 'Kontrast',
+
+      'Font' : 'Czcionka',
+      'Insert text' : 'Wstaw tekst',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Przeciągnij, aby zaznaczyć prostokąt. Kliknij, aby usunąć zaznaczenie',
+      'Drag to draw a free-form selection' : 'Przeciągnij, aby narysować zaznaczenie odręczne',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Przeciągnij, aby przesunąć zaznaczenie lub aktywną warstwę, gdy nic nie jest zaznaczone',
+      'Click to insert text with the foreground color' : 'Kliknij, aby wstawić tekst w kolorze pierwszego planu',
+      'Drag to erase. Uses the line width' : 'Przeciągnij, aby wymazać. Używa szerokości linii',
+
+      'JPEG options' : 'Opcje JPEG',
+      'Quality' : 'Jakość',
+      'Failed to save image' : 'Nie udało się zapisać obrazu',
+      'Your browser does not support saving {0} images' : 'Twoja przeglądarka nie obsługuje zapisywania obrazów {0}'
     },
     ru_RU : {
       'Toggle tools toolbar' : 'Панель инструментов',
@@ -511,7 +934,54 @@
       'Simple Blur' : 'Простое размытие (Blur)',
 
       'Radius' : 'Радиус',
-      'Iterations' : 'Итерации'
+      'Iterations' : 'Итерации',
+
+      'Select all' : 'Выделить всё',
+      'Select none' : 'Снять выделение',
+      'Crop to selection' : 'Обрезать по выделению',
+
+      'New layer' : 'Новый слой',
+      'Duplicate layer' : 'Дублировать слой',
+      'Rename layer' : 'Переименовать слой',
+      'Delete layer' : 'Удалить слой',
+      'Move layer up' : 'Поднять слой',
+      'Move layer down' : 'Опустить слой',
+      'Merge down' : 'Объединить с нижним',
+      'Flatten image' : 'Свести изображение',
+      'Layer name' : 'Имя слоя',
+      'Layer {0}' : 'Слой {0}',
+      '{0} copy' : '{0} копия',
+      'Pasted layer' : 'Вставленный слой',
+      'Opacity' : 'Непрозрачность',
+
+      'Image' : 'Изображение',
+      'Resize image' : 'Изменить размер изображения',
+      'Canvas size' : 'Размер холста',
+      'Rotate 90° clockwise' : 'Повернуть на 90° по часовой стрелке',
+      'Rotate 90° counter-clockwise' : 'Повернуть на 90° против часовой стрелки',
+      'Rotate 180°' : 'Повернуть на 180°',
+      'Width' : 'Ширина',
+      'Height' : 'Высота',
+      'Keep aspect ratio' : 'Сохранять пропорции',
+      'Center image' : 'Центрировать изображение',
+
+      'Brightness/Contrast' : 'Яркость/Контраст',
+      'Brightness' : 'Яркость',
+      'Contrast' : 'Контраст',
+
+      'Font' : 'Шрифт',
+      'Insert text' : 'Вставить текст',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Перетащите, чтобы выделить прямоугольник. Щёлкните, чтобы снять выделение',
+      'Drag to draw a free-form selection' : 'Перетащите, чтобы нарисовать произвольное выделение',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Перетащите, чтобы переместить выделение или активный слой, если ничего не выделено',
+      'Click to insert text with the foreground color' : 'Щёлкните, чтобы вставить текст основным цветом',
+      'Drag to erase. Uses the line width' : 'Перетащите, чтобы стереть. Используется толщина линии',
+
+      'JPEG options' : 'Параметры JPEG',
+      'Quality' : 'Качество',
+      'Failed to save image' : 'Не удалось сохранить изображение',
+      'Your browser does not support saving {0} images' : 'Ваш браузер не поддерживает сохранение изображений {0}'
     },
     sk_SK : {
       'Toggle tools toolbar' : 'Zobraz panel nástrojov',
@@ -556,7 +1026,54 @@
       'Simple Blur' : 'Jednoduchý Blur',
 
       'Radius' : 'Rádius',
-      'Iterations' : 'Iterácie'
+      'Iterations' : 'Iterácie',
+
+      'Select all' : 'Vybrať všetko',
+      'Select none' : 'Zrušiť výber',
+      'Crop to selection' : 'Orezať podľa výberu',
+
+      'New layer' : 'Nová vrstva',
+      'Duplicate layer' : 'Duplikovať vrstvu',
+      'Rename layer' : 'Premenovať vrstvu',
+      'Delete layer' : 'Zmazať vrstvu',
+      'Move layer up' : 'Posunúť vrstvu hore',
+      'Move layer down' : 'Posunúť vrstvu dole',
+      'Merge down' : 'Zlúčiť nadol',
+      'Flatten image' : 'Zlúčiť obrázok',
+      'Layer name' : 'Názov vrstvy',
+      'Layer {0}' : 'Vrstva {0}',
+      '{0} copy' : '{0} kópia',
+      'Pasted layer' : 'Vložená vrstva',
+      'Opacity' : 'Krytie',
+
+      'Image' : 'Obrázok',
+      'Resize image' : 'Zmeniť veľkosť obrázka',
+      'Canvas size' : 'Veľkosť plátna',
+      'Rotate 90° clockwise' : 'Otočiť o 90° v smere hodinových ručičiek',
+      'Rotate 90° counter-clockwise' : 'Otočiť o 90° proti smeru hodinových ručičiek',
+      'Rotate 180°' : 'Otočiť o 180°',
+      'Width' : 'Šírka',
+      'Height' : 'Výška',
+      'Keep aspect ratio' : 'Zachovať pomer strán',
+      'Center image' : 'Vycentrovať obrázok',
+
+      'Brightness/Contrast' : 'Jas/Kontrast',
+      'Brightness' : 'Jas',
+      'Contrast' : 'Kontrast',
+
+      'Font' : 'Písmo',
+      'Insert text' : 'Vložiť text',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Ťahaním vyberiete obdĺžnik. Kliknutím zrušíte výber',
+      'Drag to draw a free-form selection' : 'Ťahaním nakreslíte voľný výber',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Ťahaním presuniete výber, alebo aktívnu vrstvu, ak nie je nič vybrané',
+      'Click to insert text with the foreground color' : 'Kliknutím vložíte text vo farbe popredia',
+      'Drag to erase. Uses the line width' : 'Ťahaním zmažete. Používa šírku čiary',
+
+      'JPEG options' : 'Možnosti JPEG',
+      'Quality' : 'Kvalita',
+      'Failed to save image' : 'Obrázok sa nepodarilo uložiť',
+      'Your browser does not support saving {0} images' : 'Váš prehliadač nepodporuje ukladanie obrázkov {0}'
     },
     tr_TR : {
       'Toggle tools toolbar' : 'araç çubugu değiştirme araçları',  //yanlış olabilir
@@ -603,7 +1120,54 @@
       'Simple Blur' : 'sade Bulanık',
 
       'Radius' : 'yarıçap',
-      'Iterations' : 'yineleme'
+      'Iterations' : 'yineleme',
+
+      'Select all' : 'Tümünü seç',
+      'Select none' : 'Seçimi kaldır',
+      'Crop to selection' : 'Seçime göre kırp',
+
+      'New layer' : 'Yeni katman',
+      'Duplicate layer' : 'Katmanı çoğalt',
+      'Rename layer' : 'Katmanı yeniden adlandır',
+      'Delete layer' : 'Katmanı sil',
+      'Move layer up' : 'Katmanı yukarı taşı',
+      'Move layer down' : 'Katmanı aşağı taşı',
+      'Merge down' : 'Aşağı birleştir',
+      'Flatten image' : 'Resmi düzleştir',
+      'Layer name' : 'Katman adı',
+      'Layer {0}' : 'Katman {0}',
+      '{0} copy' : '{0} kopyası',
+      'Pasted layer' : 'Yapıştırılan katman',
+      'Opacity' : 'Opaklık',
+
+      'Image' : 'Resim',
+      'Resize image' : 'Resmi yeniden boyutlandır',
+      'Canvas size' : 'Tuval boyutu',
+      'Rotate 90° clockwise' : 'Saat yönünde 90° döndür',
+      'Rotate 90° counter-clockwise' : 'Saat yönünün tersine 90° döndür',
+      'Rotate 180°' : '180° döndür',
+      'Width' : 'Genişlik',
+      'Height' : 'Yükseklik',
+      'Keep aspect ratio' : 'En boy oranını koru',
+      'Center image' : 'Resmi ortala',
+
+      'Brightness/Contrast' : 'Parlaklık/Kontrast',
+      'Brightness' : 'Parlaklık',
+      'Contrast' : 'Kontrast',
+
+      'Font' : 'Yazı tipi',
+      'Insert text' : 'Metin ekle',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Dikdörtgen seçmek için sürükleyin. Seçimi kaldırmak için tıklayın',
+      'Drag to draw a free-form selection' : 'Serbest seçim çizmek için sürükleyin',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Seçimi, hiçbir şey seçili değilse etkin katmanı taşımak için sürükleyin',
+      'Click to insert text with the foreground color' : 'Ön plan rengiyle metin eklemek için tıklayın',
+      'Drag to erase. Uses the line width' : 'Silmek için sürükleyin. Çizgi genişliğini kullanır',
+
+      'JPEG options' : 'JPEG seçenekleri',
+      'Quality' : 'Kalite',
+      'Failed to save image' : 'Resim kaydedilemedi',
+      'Your browser does not support saving {0} images' : 'Tarayıcınız {0} resimlerini kaydetmeyi desteklemiyor'
     },
     vi_VN : {
       'Toggle tools toolbar' : 'Công cụ bật tắt thanh công cụ',
@@ -650,7 +1214,54 @@
       'Simple Blur' : 'Làm mờ đơn giản',
 
       'Radius' : 'Bán kính',
-      'Iterations' : 'Lặp đi lặp lại'
+      'Iterations' : 'Lặp đi lặp lại',
+
+      'Select all' : 'Chọn tất cả',
+      'Select none' : 'Bỏ chọn',
+      'Crop to selection' : 'Cắt theo vùng chọn',
+
+      'New layer' : 'Lớp mới',
+      'Duplicate layer' : 'Nhân đôi lớp',
+      'Rename layer' : 'Đổi tên lớp',
+      'Delete layer' : 'Xóa lớp',
+      'Move layer up' : 'Chuyển lớp lên',
+      'Move layer down' : 'Chuyển lớp xuống',
+      'Merge down' : 'Gộp xuống',
+      'Flatten image' : 'Làm phẳng ảnh',
+      'Layer name' : 'Tên lớp',
+      'Layer {0}' : 'Lớp {0}',
+      '{0} copy' : 'Bản sao {0}',
+      'Pasted layer' : 'Lớp được dán',
+      'Opacity' : 'Độ mờ đục',
+
+      'Image' : 'Hình ảnh',
+      'Resize image' : 'Đổi kích thước ảnh',
+      'Canvas size' : 'Kích thước khung vẽ',
+      'Rotate 90° clockwise' : 'Xoay 90° theo chiều kim đồng hồ',
+      'Rotate 90° counter-clockwise' : 'Xoay 90° ngược chiều kim đồng hồ',
+      'Rotate 180°' : 'Xoay 180°',
+      'Width' : 'Chiều rộng',
+      'Height' : 'Chiều cao',
+      'Keep aspect ratio' : 'Giữ tỉ lệ',
+      'Center image' : 'Căn giữa ảnh',
+
+      'Brightness/Contrast' : 'Độ sáng/Độ tương phản',
+      'Brightness' : 'Độ sáng',
+      'Contrast' : 'Độ tương phản',
+
+      'Font' : 'Phông chữ',
+      'Insert text' : 'Chèn chữ',
+
+      'Drag to select a rectangle. Click to clear the selection' : 'Kéo để chọn một hình chữ nhật. Nhấn để bỏ vùng chọn',
+      'Drag to draw a free-form selection' : 'Kéo để vẽ vùng chọn tự do',
+      'Drag to move the selection, or the active layer when nothing is selected' : 'Kéo để di chuyển vùng chọn, hoặc lớp hiện tại khi không có gì được chọn',
+      'Click to insert text with the foreground color' : 'Nhấn để chèn chữ với màu tiền cảnh',
+      'Drag to erase. Uses the line width' : 'Kéo để tẩy. Dùng độ rộng nét',
+
+      'JPEG options' : 'Tùy chọn JPEG',
+      'Quality' : 'Chất lượng',
+      'Failed to save image' : 'Không thể lưu ảnh',
+      'Your browser does not support saving {0} images' : 'Trình duyệt của bạn không hỗ trợ lưu ảnh {0}'
     }
   };
 
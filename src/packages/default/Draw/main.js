@@ -32,6 +32,400 @@
 
   var DEFAULT_WIDTH = 1024;
   var DEFAULT_HEIGHT = 768;
+  var HISTORY_LIMIT = 30;
+  var HISTORY_MAX_SIZE = 64 * 1024 * 1024;
+  var LAYERED_MIME = 'osjs/draw';
+  var LAYERED_FORMAT = 'osjs-draw';
+  var JPEG_QUALITY = 90;
+  var EXPORT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    bmp: 'image/bmp'
+  };
+
+  var clipboard = null;
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function createCanvas(width, height) {
+    var canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  function cloneCanvas(src) {
+    var canvas = createCanvas(src.width, src.height);
+    canvas.getContext('2d').drawImage(src, 0, 0);
+    return canvas;
+  }
+
+  function createLayer(name, width, height) {
+    return {
+      name: name,
+      canvas: createCanvas(width, height),
+      visible: true,
+      opacity: 1
+    };
+  }
+
+  /**
+   * Creates a selection from a polygon. Rectangles are just polygons with four points.
+   */
+  function createSelection(points) {
+    if ( !points || points.length < 3 ) {
+      return null;
+    }
+
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(function(p) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    });
+
+    var sel = {
+      points: points,
+      x: Math.floor(minX),
+      y: Math.floor(minY),
+      w: Math.ceil(maxX) - Math.floor(minX),
+      h: Math.ceil(maxY) - Math.floor(minY)
+    };
+
+    return (sel.w > 0 && sel.h > 0) ? sel : null;
+  }
+
+  function createRectSelection(x, y, w, h) {
+    return createSelection([
+      {x: x, y: y},
+      {x: x + w, y: y},
+      {x: x + w, y: y + h},
+      {x: x, y: y + h}
+    ]);
+  }
+
+  function translateSelection(sel, dx, dy) {
+    return createSelection(sel.points.map(function(p) {
+      return {x: p.x + dx, y: p.y + dy};
+    }));
+  }
+
+  function tracePath(ctx, points, dx, dy) {
+    ctx.beginPath();
+    points.forEach(function(p, i) {
+      if ( i === 0 ) {
+        ctx.moveTo(p.x + dx, p.y + dy);
+      } else {
+        ctx.lineTo(p.x + dx, p.y + dy);
+      }
+    });
+    ctx.closePath();
+  }
+
+  /**
+   * Copies the selected pixels of a canvas into a new canvas the size of the selection bounds
+   */
+  function extractSelection(canvas, sel) {
+    var result = createCanvas(sel.w, sel.h);
+    var ctx = result.getContext('2d');
+    tracePath(ctx, sel.points, -sel.x, -sel.y);
+    ctx.clip();
+    ctx.drawImage(canvas, -sel.x, -sel.y);
+    return result;
+  }
+
+  function clearSelection(ctx, sel) {
+    ctx.save();
+    tracePath(ctx, sel.points, 0, 0);
+    ctx.clip();
+    ctx.clearRect(sel.x, sel.y, sel.w, sel.h);
+    ctx.restore();
+  }
+
+  function isLayeredFile(file) {
+    if ( !file ) {
+      return false;
+    }
+    return file.mime === LAYERED_MIME || !!String(file.filename || '').match(/\.odraw$/i);
+  }
+
+  /**
+   * Loads a layered document (see `getFileData()`)
+   */
+  function loadDocument(data, cb) {
+    var doc;
+    try {
+      doc = JSON.parse(data);
+    } catch ( e ) {}
+
+    if ( !doc || doc.format !== LAYERED_FORMAT || !(doc.layers instanceof Array) || !doc.layers.length ) {
+      cb('Invalid document');
+      return;
+    }
+
+    var layers = [];
+    var list = doc.layers.slice(0);
+
+    (function next() {
+      if ( !list.length ) {
+        cb(false, {
+          width: doc.width,
+          height: doc.height,
+          active: doc.active || 0,
+          layers: layers
+        });
+        return;
+      }
+
+      var iter = list.shift();
+      var layer = createLayer(iter.name, doc.width, doc.height);
+      layer.visible = iter.visible !== false;
+      layer.opacity = typeof iter.opacity === 'number' ? iter.opacity : 1;
+      layers.push(layer);
+
+      var img = new Image();
+      img.onerror = function() {
+        cb('Invalid layer data');
+      };
+      img.onload = function() {
+        layer.canvas.getContext('2d').drawImage(img, 0, 0);
+        next();
+      };
+      img.src = iter.data;
+    })();
+  }
+
+  /**
+   * Gets the image mime type to use when saving given file. Defaults to PNG.
+   */
+  function getExportMime(file) {
+    if ( file ) {
+      var mimes = Object.keys(EXPORT_TYPES).map(function(k) {
+        return EXPORT_TYPES[k];
+      });
+
+      if ( mimes.indexOf(file.mime) >= 0 ) {
+        return file.mime;
+      }
+
+      var ext = Utils.filext(file.filename || '').toLowerCase();
+      if ( EXPORT_TYPES[ext] ) {
+        return EXPORT_TYPES[ext];
+      }
+    }
+    return 'image/png';
+  }
+
+  /**
+   * Encodes a canvas as a 24-bit uncompressed Windows Bitmap and returns a data URL.
+   * Canvas implementations can not export this format themselves.
+   */
+  function encodeBMP(canvas) {
+    var width = canvas.width;
+    var height = canvas.height;
+    var pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    var rowSize = Math.ceil(width * 3 / 4) * 4;
+    var dataSize = rowSize * height;
+    var bytes = new Uint8Array(54 + dataSize);
+
+    function write(offset, value, size) {
+      for ( var n = 0; n < size; n++ ) {
+        bytes[offset + n] = (value >> (n * 8)) & 0xff;
+      }
+    }
+
+    // File header
+    write(0, 0x4D42, 2);
+    write(2, bytes.length, 4);
+    write(10, 54, 4);
+
+    // Info header
+    write(14, 40, 4);
+    write(18, width, 4);
+    write(22, height, 4);
+    write(26, 1, 2);
+    write(28, 24, 2);
+    write(34, dataSize, 4);
+    write(38, 2835, 4);
+    write(42, 2835, 4);
+
+    // Rows are stored bottom-up in BGR order
+    for ( var y = 0; y < height; y++ ) {
+      var offset = 54 + (height - 1 - y) * rowSize;
+      for ( var x = 0; x < width; x++ ) {
+        var i = (y * width + x) * 4;
+        bytes[offset + x * 3] = pixels[i + 2];
+        bytes[offset + x * 3 + 1] = pixels[i + 1];
+        bytes[offset + x * 3 + 2] = pixels[i];
+      }
+    }
+
+    var binary = '';
+    for ( var j = 0; j < bytes.length; j += 0x8000 ) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(j, j + 0x8000));
+    }
+
+    return 'data:image/bmp;base64,' + btoa(binary);
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // FILTERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function clamp(v) {
+    return v < 0 ? 0 : (v > 255 ? 255 : v);
+  }
+
+  /**
+   * Filters modify the given ImageData in place
+   */
+  var filters = {
+    grayscale: function(imageData) {
+      var d = imageData.data;
+      for ( var i = 0; i < d.length; i += 4 ) {
+        var v = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+        d[i] = d[i + 1] = d[i + 2] = v;
+      }
+    },
+
+    invert: function(imageData) {
+      var d = imageData.data;
+      for ( var i = 0; i < d.length; i += 4 ) {
+        d[i] = 255 - d[i];
+        d[i + 1] = 255 - d[i + 1];
+        d[i + 2] = 255 - d[i + 2];
+      }
+    },
+
+    /**
+     * Brightness and contrast are in the range -100 to 100
+     */
+    brightnessContrast: function(imageData, args) {
+      var d = imageData.data;
+      var brightness = (args.brightness || 0) * 2.55;
+      var contrast = (args.contrast || 0) * 2.55;
+      var factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+
+      for ( var i = 0; i < d.length; i += 4 ) {
+        d[i] = clamp(factor * (d[i] + brightness - 128) + 128);
+        d[i + 1] = clamp(factor * (d[i + 1] + brightness - 128) + 128);
+        d[i + 2] = clamp(factor * (d[i + 2] + brightness - 128) + 128);
+      }
+    },
+
+    /**
+     * A box blur done in two passes (horizontal and vertical)
+     */
+    blur: function(imageData, args) {
+      var radius = Math.max(1, args.radius || 1);
+      var width = imageData.width;
+      var height = imageData.height;
+      var d = imageData.data;
+      var tmp = new Uint8Array(d.length);
+
+      function pass(src, dst, horizontal) {
+        var outer = horizontal ? height : width;
+        var inner = horizontal ? width : height;
+
+        for ( var o = 0; o < outer; o++ ) {
+          for ( var i = 0; i < inner; i++ ) {
+            var sum = [0, 0, 0, 0];
+            var count = 0;
+
+            for ( var k = Math.max(0, i - radius); k <= Math.min(inner - 1, i + radius); k++ ) {
+              var si = (horizontal ? (o * width + k) : (k * width + o)) * 4;
+              sum[0] += src[si];
+              sum[1] += src[si + 1];
+              sum[2] += src[si + 2];
+              sum[3] += src[si + 3];
+              count++;
+            }
+
+            var di = (horizontal ? (o * width + i) : (i * width + o)) * 4;
+            dst[di] = sum[0] / count;
+            dst[di + 1] = sum[1] / count;
+            dst[di + 2] = sum[2] / count;
+            dst[di + 3] = sum[3] / count;
+          }
+        }
+      }
+
+      pass(d, tmp, true);
+      pass(tmp, d, false);
+    }
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HISTORY
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Bounded undo/redo stack.
+   *
+   * Entries are snapshots taken before a change. When stepping, `capture`
+   * snapshots the current state (of the same kind) for the opposite stack
+   * and `restore` applies the entry.
+   */
+  function DrawHistory(capture, restore) {
+    this.capture = capture;
+    this.restore = restore;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  DrawHistory.prototype.push = function(entry) {
+    this.undoStack.push(entry);
+    this.redoStack = [];
+
+    var size = this.undoStack.reduce(function(sum, e) {
+      return sum + e.size;
+    }, 0);
+
+    while ( this.undoStack.length > HISTORY_LIMIT || (size > HISTORY_MAX_SIZE && this.undoStack.length > 1) ) {
+      size -= this.undoStack.shift().size;
+    }
+  };
+
+  DrawHistory.prototype.undo = function() {
+    return this._step(this.undoStack, this.redoStack);
+  };
+
+  DrawHistory.prototype.redo = function() {
+    return this._step(this.redoStack, this.undoStack);
+  };
+
+  DrawHistory.prototype.canUndo = function() {
+    return this.undoStack.length > 0;
+  };
+
+  DrawHistory.prototype.canRedo = function() {
+    return this.redoStack.length > 0;
+  };
+
+  DrawHistory.prototype.clear = function() {
+    this.undoStack = [];
+    this.redoStack = [];
+  };
+
+  DrawHistory.prototype._step = function(from, to) {
+    if ( !from.length ) {
+      return false;
+    }
+
+    var entry = from.pop();
+    to.push(this.capture(entry));
+    this.restore(entry);
+    return true;
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // TOOLS
+  /////////////////////////////////////////////////////////////////////////////
 
   var tools = {
     pointer: {
@@ -54,6 +448,21 @@
     },
     circle: {
       statusText: 'LMB: Use foreground-, RMB: Use background color. SHIFT: Toggle circle/ellipse mode'
+    },
+    select: {
+      statusText: 'Drag to select a rectangle. Click to clear the selection'
+    },
+    lasso: {
+      statusText: 'Drag to draw a free-form selection'
+    },
+    move: {
+      statusText: 'Drag to move the selection, or the active layer when nothing is selected'
+    },
+    text: {
+      statusText: 'Click to insert text with the foreground color'
+    },
+    eraser: {
+      statusText: 'Drag to erase. Uses the line width'
     }
   };
   var toolEvents = {
@@ -207,7 +616,119 @@
           }
         }
       }
-    }
+    },
+
+    select: (function() {
+      var current = null;
+
+      return {
+        mousedown: function(ev, args) {
+          current = null;
+        },
+        mousemove: function(ev, args) {
+          current = createRectSelection(args.start.x, args.start.y, args.pos.x - args.start.x, args.pos.y - args.start.y);
+          args.win.drawSelection(current);
+        },
+        mouseup: function(ev, args) {
+          args.win.setSelection(current);
+          current = null;
+        }
+      };
+    })(),
+
+    lasso: (function() {
+      var points = [];
+
+      return {
+        mousedown: function(ev, args) {
+          points = [{x: args.start.x, y: args.start.y}];
+        },
+        mousemove: function(ev, args) {
+          points.push({x: args.pos.x, y: args.pos.y});
+          args.win.drawSelection(createSelection(points));
+        },
+        mouseup: function(ev, args) {
+          args.win.setSelection(createSelection(points));
+          points = [];
+        }
+      };
+    })(),
+
+    move: (function() {
+      var floating = null;
+      var origin = null;
+      var offset = null;
+
+      // The lifted pixels are drawn on the temporary canvas, which is
+      // merged back into the layer when the mouse is released
+      return {
+        mousedown: function(ev, args) {
+          var sel = args.win.selection;
+          if ( sel ) {
+            floating = extractSelection(args.canvas, sel);
+            clearSelection(args.ctx, sel);
+            origin = {x: sel.x, y: sel.y};
+          } else {
+            floating = cloneCanvas(args.canvas);
+            args.ctx.clearRect(0, 0, args.canvas.width, args.canvas.height);
+            origin = {x: 0, y: 0};
+          }
+          offset = {x: 0, y: 0};
+          args.tmpContext.drawImage(floating, origin.x, origin.y);
+        },
+        mousemove: function(ev, args) {
+          if ( floating && args.tmpContext ) {
+            offset = {x: args.pos.x - args.start.x, y: args.pos.y - args.start.y};
+            args.tmpContext.clearRect(0, 0, args.tmpCanvas.width, args.tmpCanvas.height);
+            args.tmpContext.drawImage(floating, origin.x + offset.x, origin.y + offset.y);
+          }
+        },
+        mouseup: function(ev, args) {
+          if ( args.win.selection && offset ) {
+            args.win.setSelection(translateSelection(args.win.selection, offset.x, offset.y));
+          }
+          floating = null;
+          origin = null;
+          offset = null;
+        }
+      };
+    })(),
+
+    text: {
+      mouseup: function(ev, args) {
+        args.win.insertText({x: args.pos.x, y: args.pos.y});
+      }
+    },
+
+    eraser: (function() {
+      var last = null;
+
+      function erase(ctx, pos) {
+        ctx.beginPath();
+        ctx.moveTo(last.x, last.y);
+        ctx.lineTo(pos.x, pos.y);
+        ctx.stroke();
+        last = {x: pos.x, y: pos.y};
+      }
+
+      return {
+        mousedown: function(ev, args) {
+          args.ctx.globalCompositeOperation = 'destination-out';
+          args.ctx.strokeStyle = '#000000';
+          args.ctx.lineCap = 'round';
+          last = {x: args.start.x, y: args.start.y};
+          erase(args.ctx, args.start);
+        },
+        mousemove: function(ev, args) {
+          erase(args.ctx, args.pos);
+        },
+        mouseup: function(ev, args) {
+          args.ctx.globalCompositeOperation = 'source-over';
+          args.ctx.lineCap = 'butt';
+          last = null;
+        }
+      };
+    })()
   };
 
   /////////////////////////////////////////////////////////////////////////////
@@ -216,6 +737,70 @@
 
   var doTranslate = OSjs.Applications.ApplicationDraw._;
 
+  /**
+   * A window for the options of an image operation.
+   *
+   * Renders the scheme window `opts.id` and fills in `opts.values`. The
+   * callback gets the values of the same elements when OK is pressed.
+   */
+  function DrawOptionsWindow(app, metadata, scheme, opts, cb) {
+    Window.apply(this, ['ApplicationDrawOptionsWindow', {
+      icon: metadata.icon,
+      title: doTranslate(opts.title),
+      width: opts.width || 300,
+      height: opts.height || 240,
+      allow_maximize: false,
+      allow_minimize: false,
+      allow_resize: false
+    }, app, scheme]);
+
+    this.opts = opts;
+    this.callback = cb;
+  }
+
+  DrawOptionsWindow.prototype = Object.create(Window.prototype);
+  DrawOptionsWindow.constructor = Window.prototype;
+
+  DrawOptionsWindow.prototype.init = function(wm, app, scheme) {
+    var root = Window.prototype.init.apply(this, arguments);
+    var self = this;
+    var opts = this.opts;
+
+    scheme.render(this, opts.id, root, null, null, {
+      _: doTranslate
+    });
+
+    Object.keys(opts.values).forEach(function(k) {
+      scheme.find(self, k).set('value', opts.values[k]);
+    });
+
+    if ( opts.onInit ) {
+      opts.onInit(this, scheme);
+    }
+
+    scheme.find(this, 'ButtonCancel').on('click', function() {
+      self._close();
+    });
+
+    scheme.find(this, 'ButtonOK').on('click', function() {
+      var values = {};
+      Object.keys(opts.values).forEach(function(k) {
+        values[k] = scheme.find(self, k).get('value');
+      });
+
+      var cb = self.callback;
+      self._close();
+      cb(values);
+    });
+
+    return root;
+  };
+
+  DrawOptionsWindow.prototype.destroy = function() {
+    this.callback = function() {};
+    return Window.prototype.destroy.apply(this, arguments);
+  };
+
   function ApplicationDrawWindow(app, metadata, scheme, file) {
     DefaultApplicationWindow.apply(this, ['ApplicationDrawWindow', {
       icon: metadata.icon,
@@ -227,14 +812,29 @@
       height: 450
     }, app, scheme, file]);
 
+    var self = this;
+
     this.tool = {
       name: 'pointer',
       background: '#ffffff',
       foreground: '#000000',
       lineJoin: 'round',
       lineWidth: 1,
-      lineStroke: false
+      lineStroke: false,
+      fontName: API.getConfig('Fonts.default'),
+      fontSize: 16
     };
+
+    this.canvas = null;
+    this.overlay = null;
+    this.layers = [];
+    this.activeLayer = 0;
+    this.selection = null;
+    this.history = new DrawHistory(function(entry) {
+      return self.captureState(entry.type, entry.layer);
+    }, function(entry) {
+      self.restoreState(entry);
+    });
   }
 
   ApplicationDrawWindow.prototype = Object.create(DefaultApplicationWindow.prototype);
@@ -258,11 +858,22 @@
     canvas.width = DEFAULT_WIDTH;
     canvas.height = DEFAULT_HEIGHT;
 
-    var ctx = canvas.getContext('2d');
+    var overlay = createCanvas(DEFAULT_WIDTH, DEFAULT_HEIGHT);
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0px';
+    overlay.style.left = '0px';
+    overlay.style.pointerEvents = 'none';
+    canvas.parentNode.appendChild(overlay);
 
+    this.canvas = canvas;
+    this.overlay = overlay;
+
+    var layer, ctx;
+    var clipped = false;
     var startPos = {x: 0, y: 0};
     var cpos = {x: 0, y: 0};
-    var tmpTools = ['path', 'rectangle', 'circle'];
+    var tmpTools = ['path', 'rectangle', 'circle', 'move'];
+    var drawTools = ['bucket', 'pencil', 'path', 'rectangle', 'circle', 'move', 'eraser'];
     var tmpCanvas, tmpContext;
 
     function createTempCanvas(ev) {
@@ -273,6 +884,7 @@
       tmpCanvas.style.top = '0px';
       tmpCanvas.style.left = '0px';
       tmpCanvas.style.zIndex = 9999999999;
+      tmpCanvas.style.opacity = layer.visible ? layer.opacity : 0;
       canvas.parentNode.appendChild(tmpCanvas);
 
       var t = (ev.shiftKey || ev.button > 0);
@@ -292,6 +904,8 @@
 
     function toolAction(action, ev, pos, diff) {
       if ( action === 'down' ) {
+        layer = self.getLayer();
+        ctx = layer.canvas.getContext('2d');
         startPos = {x: pos.x, y: pos.y};
 
         removeTempCanvas();
@@ -301,6 +915,18 @@
         startPos.y = pos.y - elpos.top;
         cpos = {x: startPos.x, y: startPos.y};
 
+        if ( drawTools.indexOf(self.tool.name) >= 0 ) {
+          self.pushHistory('pixels');
+
+          // Drawing is limited to the selection
+          if ( self.selection && self.tool.name !== 'move' ) {
+            ctx.save();
+            tracePath(ctx, self.selection.points, 0, 0);
+            ctx.clip();
+            clipped = true;
+          }
+        }
+
         ctx.strokeStyle = self.tool.foreground;
         ctx.fillStyle   = self.tool.background;
         ctx.lineWidth   = self.tool.lineWidth;
@@ -309,6 +935,8 @@
         if ( tmpTools.indexOf(self.tool.name) >= 0 ) {
           createTempCanvas(ev);
         }
+      } else if ( !ctx ) {
+        return;
       } else if ( action === 'move' ) {
         cpos.x = startPos.x + diff.x;
         cpos.y = startPos.y + diff.y;
@@ -324,13 +952,23 @@
         toolEvents[self.tool.name]['mouse' + action](ev, {
           pos: cpos,
           start: startPos,
-          canvas: canvas,
+          canvas: layer.canvas,
           ctx: ctx,
           tmpContext: tmpContext,
           tmpCanvas: tmpCanvas,
           win: self
         });
       }
+
+      if ( action === 'up' ) {
+        if ( clipped ) {
+          ctx.restore();
+          clipped = false;
+        }
+        ctx = null;
+      }
+
+      self.render();
     }
 
     GUI.Helpers.createDrag(canvas, function(ev, pos) {
@@ -339,9 +977,147 @@
       toolAction('move', ev, pos, diff);
     }, function(ev, pos) {
       toolAction('up', ev, pos);
-      self.hasChanged = true;
     });
 
+    //
+    // Menus
+    //
+    var menuMap = {
+      MenuUndo: function() {
+        self.undo();
+      },
+      MenuRedo: function() {
+        self.redo();
+      },
+      MenuCut: function() {
+        self.copySelection(true);
+      },
+      MenuCopy: function() {
+        self.copySelection(false);
+      },
+      MenuPaste: function() {
+        self.paste();
+      },
+      MenuDelete: function() {
+        self.deleteSelection();
+      },
+      MenuSelectAll: function() {
+        self.setSelection(createRectSelection(0, 0, canvas.width, canvas.height));
+      },
+      MenuSelectNone: function() {
+        self.setSelection(null);
+      },
+      MenuCrop: function() {
+        self.cropToSelection();
+      },
+      MenuLayerNew: function() {
+        self.addLayer(createLayer(doTranslate('Layer {0}', self.layers.length + 1), canvas.width, canvas.height));
+      },
+      MenuLayerDuplicate: function() {
+        self.duplicateLayer();
+      },
+      MenuLayerRename: function() {
+        self.renameLayer();
+      },
+      MenuLayerRemove: function() {
+        self.removeLayer();
+      },
+      MenuLayerUp: function() {
+        self.moveLayer(1);
+      },
+      MenuLayerDown: function() {
+        self.moveLayer(-1);
+      },
+      MenuLayerMerge: function() {
+        self.mergeLayerDown();
+      },
+      MenuLayerFlatten: function() {
+        self.flattenLayers();
+      },
+      MenuResize: function() {
+        self.openResizeDialog();
+      },
+      MenuCanvasSize: function() {
+        self.openCanvasSizeDialog();
+      },
+      MenuRotateCW: function() {
+        self.rotate(90);
+      },
+      MenuRotateCCW: function() {
+        self.rotate(-90);
+      },
+      MenuRotate180: function() {
+        self.rotate(180);
+      },
+      MenuFlipH: function() {
+        self.flip(true);
+      },
+      MenuFlipV: function() {
+        self.flip(false);
+      },
+      MenuGrayscale: function() {
+        self.applyFilter('grayscale');
+      },
+      MenuInvert: function() {
+        self.applyFilter('invert');
+      },
+      MenuBrightnessContrast: function() {
+        self.openOptions({
+          id: 'BrightnessContrastDialog',
+          title: 'Brightness/Contrast',
+          values: {Brightness: 0, Contrast: 0}
+        }, function(values) {
+          self.applyFilter('brightnessContrast', {brightness: values.Brightness, contrast: values.Contrast});
+        });
+      },
+      MenuBlur: function() {
+        self.openOptions({
+          id: 'BlurDialog',
+          title: 'Blur',
+          height: 160,
+          values: {Radius: 2}
+        }, function(values) {
+          self.applyFilter('blur', {radius: values.Radius});
+        });
+      },
+      MenuToggleLayers: function() {
+        var container = scheme.find(self, 'LayersContainer').$element;
+        container.style.display = container.style.display === 'none' ? '' : 'none';
+      }
+    };
+
+    function menuEvent(ev) {
+      if ( menuMap[ev.detail.id] ) {
+        menuMap[ev.detail.id]();
+      }
+    }
+
+    scheme.find(this, 'SubmenuEdit').on('select', menuEvent);
+    scheme.find(this, 'SubmenuLayer').on('select', menuEvent);
+    scheme.find(this, 'SubmenuImage').on('select', menuEvent);
+    scheme.find(this, 'SubmenuEffect').on('select', menuEvent);
+    scheme.find(this, 'SubmenuView').on('select', menuEvent);
+
+    //
+    // Layers
+    //
+    scheme.find(this, 'Layers').on('select', function(ev) {
+      if ( ev.detail && ev.detail.entries && ev.detail.entries.length ) {
+        self.setActiveLayer(parseInt(ev.detail.entries[0].data, 10));
+      }
+    }).on('activate', function() {
+      self.renameLayer();
+    });
+
+    scheme.find(this, 'LayerOpacity').on('change', function(ev) {
+      self.setLayerProperty(self.activeLayer, 'opacity', parseInt(ev.detail, 10) / 100);
+    });
+
+    scheme.find(this, 'LayerAdd').on('click', menuMap.MenuLayerNew);
+    scheme.find(this, 'LayerRemove').on('click', menuMap.MenuLayerRemove);
+    scheme.find(this, 'LayerUp').on('click', menuMap.MenuLayerUp);
+    scheme.find(this, 'LayerDown').on('click', menuMap.MenuLayerDown);
+
     //
     // Toolbars
     //
@@ -376,6 +1152,9 @@
     scheme.find(this, 'LineStroke').on('change', function(ev) {
       self.setToolProperty('lineStroke', ev.detail);
     });
+    scheme.find(this, 'TextFont').on('click', function() {
+      self.openFontDialog();
+    });
 
     //
     // Init
@@ -385,10 +1164,65 @@
     this.setToolProperty('lineJoin', null);
     this.setToolProperty('lineWidth', null);
     this.setToolProperty('lineStroke', null);
+    this.setToolProperty('fontName', null);
+
+    this.setDocument({
+      width: DEFAULT_WIDTH,
+      height: DEFAULT_HEIGHT,
+      active: 0,
+      layers: [createLayer(doTranslate('Background'), DEFAULT_WIDTH, DEFAULT_HEIGHT)]
+    });
 
     return root;
   };
 
+  ApplicationDrawWindow.prototype.destroy = function() {
+    this.history.clear();
+    this.layers = [];
+    this.canvas = null;
+    this.overlay = null;
+
+    return DefaultApplicationWindow.prototype.destroy.apply(this, arguments);
+  };
+
+  ApplicationDrawWindow.prototype._onKeyEvent = function(ev, type, shortcut) {
+    if ( type === 'keydown' && !Utils.$isInput(ev) ) {
+      var keyCode = ev.keyCode;
+      var handled = true;
+
+      if ( ev.ctrlKey && keyCode === 90 ) { // Z
+        if ( ev.shiftKey ) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      } else if ( ev.ctrlKey && keyCode === 89 ) { // Y
+        this.redo();
+      } else if ( ev.ctrlKey && keyCode === 88 ) { // X
+        this.copySelection(true);
+      } else if ( ev.ctrlKey && keyCode === 67 ) { // C
+        this.copySelection(false);
+      } else if ( ev.ctrlKey && keyCode === 86 ) { // V
+        this.paste();
+      } else if ( ev.ctrlKey && keyCode === 65 ) { // A
+        this.setSelection(createRectSelection(0, 0, this.canvas.width, this.canvas.height));
+      } else if ( keyCode === Utils.Keys.DELETE ) {
+        this.deleteSelection();
+      } else if ( keyCode === Utils.Keys.ESC ) {
+        this.setSelection(null);
+      } else {
+        handled = false;
+      }
+
+      if ( handled ) {
+        ev.preventDefault();
+        return false;
+      }
+    }
+
+    return DefaultApplicationWindow.prototype._onKeyEvent.apply(this, arguments);
+  };
+
   ApplicationDrawWindow.prototype.openColorDialog = function(param) {
     var self = this;
 
@@ -410,6 +1244,78 @@
     }, this);
   };
 
+  ApplicationDrawWindow.prototype.openFontDialog = function() {
+    var self = this;
+
+    API.createDialog('Font', {
+      fontName: this.tool.fontName,
+      fontSize: this.tool.fontSize,
+      unit: '',
+      maxSize: 100
+    }, function(ev, button, result) {
+      if ( button !== 'ok' ) {
+        return;
+      }
+      self.setToolProperty('fontName', result.fontName);
+      self.setToolProperty('fontSize', parseInt(result.fontSize, 10));
+    }, this);
+  };
+
+  /**
+   * Opens a `DrawOptionsWindow`. Only one can be open at a time.
+   */
+  ApplicationDrawWindow.prototype.openOptions = function(opts, cb) {
+    var app = this._app;
+    var found = app._getWindowByName('ApplicationDrawOptionsWindow');
+    if ( found ) {
+      found._focus();
+      return;
+    }
+
+    app._addWindow(new DrawOptionsWindow(app, app.__metadata, this._scheme, opts, cb));
+  };
+
+  ApplicationDrawWindow.prototype.openResizeDialog = function() {
+    var self = this;
+    var ratio = this.canvas.width / this.canvas.height;
+
+    this.openOptions({
+      id: 'ResizeDialog',
+      title: 'Resize image',
+      values: {Width: this.canvas.width, Height: this.canvas.height, KeepAspect: true},
+      onInit: function(win, scheme) {
+        var width = scheme.find(win, 'Width');
+        var height = scheme.find(win, 'Height');
+        var keep = scheme.find(win, 'KeepAspect');
+
+        width.on('change', function() {
+          if ( keep.get('value') ) {
+            height.set('value', Math.max(1, Math.round(parseInt(width.get('value'), 10) / ratio)) || '');
+          }
+        });
+        height.on('change', function() {
+          if ( keep.get('value') ) {
+            width.set('value', Math.max(1, Math.round(parseInt(height.get('value'), 10) * ratio)) || '');
+          }
+        });
+      }
+    }, function(values) {
+      self.scaleImage(parseInt(values.Width, 10), parseInt(values.Height, 10));
+    });
+  };
+
+  ApplicationDrawWindow.prototype.openCanvasSizeDialog = function() {
+    var self = this;
+
+    this.openOptions({
+      id: 'CanvasSizeDialog',
+      title: 'Canvas size',
+      values: {Width: this.canvas.width, Height: this.canvas.height, Center: false}
+    }, function(values) {
+      self.setCanvasSize(parseInt(values.Width, 10), parseInt(values.Height, 10), values.Center);
+    });
+  };
+
   ApplicationDrawWindow.prototype.setToolProperty = function(param, value) {
     console.warn('setToolProperty', param, value);
 
@@ -424,57 +1330,679 @@
     this._scheme.find(this, 'LineJoin').set('value', this.tool.lineJoin);
     this._scheme.find(this, 'LineWidth').set('value', this.tool.lineWidth);
     this._scheme.find(this, 'LineStroke').set('value', this.tool.lineStroke);
+    this._scheme.find(this, 'TextFont').set('value', this.tool.fontName + ' ' + this.tool.fontSize + 'px');
+  };
+
+  //
+  // Document
+  //
+
+  /**
+   * Replaces the document with given layers and size
+   */
+  ApplicationDrawWindow.prototype.setDocument = function(doc) {
+    this.layers = doc.layers;
+    this.activeLayer = Math.max(0, Math.min(doc.active || 0, doc.layers.length - 1));
+    this.selection = null;
+    this.history.clear();
+
+    this.resizeCanvas(doc.width, doc.height);
+    this.drawSelection(null);
+    this.updateLayers();
+    this.render();
+  };
+
+  ApplicationDrawWindow.prototype.resizeCanvas = function(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.overlay.width = width;
+    this.overlay.height = height;
+  };
+
+  /**
+   * Draws all visible layers onto given context
+   */
+  ApplicationDrawWindow.prototype.compose = function(ctx) {
+    this.layers.forEach(function(layer) {
+      if ( layer.visible ) {
+        ctx.globalAlpha = layer.opacity;
+        ctx.drawImage(layer.canvas, 0, 0);
+      }
+    });
+    ctx.globalAlpha = 1;
+  };
+
+  ApplicationDrawWindow.prototype.render = function() {
+    if ( this.canvas ) {
+      var ctx = this.canvas.getContext('2d');
+      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      this.compose(ctx);
+    }
+  };
+
+  ApplicationDrawWindow.prototype.flatten = function(background) {
+    var canvas = createCanvas(this.canvas.width, this.canvas.height);
+    var ctx = canvas.getContext('2d');
+    if ( background ) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    this.compose(ctx);
+    return canvas;
+  };
+
+  //
+  // History
+  //
+
+  /**
+   * Creates a history entry of the current state.
+   *
+   * <pre><code>
+   *   pixels     The pixels of a layer (drawing)
+   *   props      Layer list and properties (add, remove, order, visibility, opacity)
+   *   document   Everything (cropping, merging)
+   * </code></pre>
+   */
+  ApplicationDrawWindow.prototype.captureState = function(type, layer) {
+    function getData(l) {
+      return l.canvas.getContext('2d').getImageData(0, 0, l.canvas.width, l.canvas.height);
+    }
+
+    if ( type === 'pixels' ) {
+      layer = layer || this.getLayer();
+      var data = getData(layer);
+      return {type: type, layer: layer, data: data, size: data.data.length};
+    }
+
+    var size = 0;
+    var layers = this.layers.map(function(l) {
+      var iter = {layer: l, name: l.name, visible: l.visible, opacity: l.opacity};
+      if ( type === 'document' ) {
+        iter.data = getData(l);
+        size += iter.data.data.length;
+      }
+      return iter;
+    });
+
+    return {
+      type: type,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      active: this.activeLayer,
+      layers: layers,
+      size: size
+    };
+  };
+
+  ApplicationDrawWindow.prototype.restoreState = function(entry) {
+    if ( entry.type === 'pixels' ) {
+      entry.layer.canvas.getContext('2d').putImageData(entry.data, 0, 0);
+      return;
+    }
+
+    if ( entry.type === 'document' ) {
+      this.resizeCanvas(entry.width, entry.height);
+    }
+
+    this.layers = entry.layers.map(function(iter) {
+      var l = iter.layer;
+      l.name = iter.name;
+      l.visible = iter.visible;
+      l.opacity = iter.opacity;
+
+      if ( iter.data ) {
+        l.canvas.width = entry.width;
+        l.canvas.height = entry.height;
+        l.canvas.getContext('2d').putImageData(iter.data, 0, 0);
+      }
+      return l;
+    });
+    this.activeLayer = entry.active;
+  };
+
+  ApplicationDrawWindow.prototype.pushHistory = function(type) {
+    this.history.push(this.captureState(type));
+    this.hasChanged = true;
+    this.updateMenuState();
+  };
+
+  ApplicationDrawWindow.prototype.undo = function() {
+    if ( this.history.undo() ) {
+      this.afterHistoryStep();
+    }
+  };
+
+  ApplicationDrawWindow.prototype.redo = function() {
+    if ( this.history.redo() ) {
+      this.afterHistoryStep();
+    }
+  };
+
+  ApplicationDrawWindow.prototype.afterHistoryStep = function() {
+    this.hasChanged = true;
+    this.drawSelection(this.selection);
+    this.updateLayers();
+    this.render();
+  };
+
+  //
+  // Selection
+  //
+
+  ApplicationDrawWindow.prototype.drawSelection = function(sel) {
+    var ctx = this.overlay.getContext('2d');
+    ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+
+    if ( sel ) {
+      ctx.save();
+      ctx.lineWidth = 1;
+      tracePath(ctx, sel.points, 0.5, 0.5);
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+      if ( ctx.setLineDash ) {
+        ctx.setLineDash([4, 4]);
+      }
+      ctx.strokeStyle = '#000000';
+      ctx.stroke();
+      ctx.restore();
+    }
+  };
+
+  ApplicationDrawWindow.prototype.setSelection = function(sel) {
+    this.selection = sel || null;
+    this.drawSelection(this.selection);
+    this.updateMenuState();
+  };
+
+  ApplicationDrawWindow.prototype.copySelection = function(cut) {
+    if ( !this.selection ) {
+      return;
+    }
+
+    var layer = this.getLayer();
+    clipboard = extractSelection(layer.canvas, this.selection);
+
+    if ( cut ) {
+      this.deleteSelection();
+    }
+    this.updateMenuState();
+  };
+
+  ApplicationDrawWindow.prototype.deleteSelection = function() {
+    if ( !this.selection ) {
+      return;
+    }
+
+    this.pushHistory('pixels');
+    clearSelection(this.getLayer().canvas.getContext('2d'), this.selection);
+    this.render();
+  };
+
+  /**
+   * Pastes the clipboard into a new layer at the position of the
+   * current selection and selects the pasted area
+   */
+  ApplicationDrawWindow.prototype.paste = function() {
+    if ( !clipboard ) {
+      return;
+    }
+
+    var x = this.selection ? this.selection.x : 0;
+    var y = this.selection ? this.selection.y : 0;
+    var layer = createLayer(doTranslate('Pasted layer'), this.canvas.width, this.canvas.height);
+    layer.canvas.getContext('2d').drawImage(clipboard, x, y);
+
+    this.addLayer(layer);
+    this.setSelection(createRectSelection(x, y, clipboard.width, clipboard.height));
+  };
+
+  ApplicationDrawWindow.prototype.cropToSelection = function() {
+    var sel = this.selection;
+    if ( !sel ) {
+      return;
+    }
+
+    var x = Math.max(0, sel.x);
+    var y = Math.max(0, sel.y);
+    var width = Math.min(this.canvas.width, sel.x + sel.w) - x;
+    var height = Math.min(this.canvas.height, sel.y + sel.h) - y;
+    if ( width <= 0 || height <= 0 ) {
+      return;
+    }
+
+    this.pushHistory('document');
+
+    this.layers.forEach(function(layer) {
+      var tmp = cloneCanvas(layer.canvas);
+      layer.canvas.width = width;
+      layer.canvas.height = height;
+      layer.canvas.getContext('2d').drawImage(tmp, -x, -y);
+    });
+
+    this.resizeCanvas(width, height);
+    this.setSelection(null);
+    this.render();
+  };
+
+  //
+  // Image
+  //
+
+  /**
+   * Redraws all layers onto canvases of the given size.
+   * The callback draws the old layer canvas (`src`) onto the new context.
+   */
+  ApplicationDrawWindow.prototype.transformLayers = function(width, height, fn) {
+    if ( !width || !height || width < 1 || height < 1 ) {
+      return;
+    }
+
+    this.pushHistory('document');
+
+    this.layers.forEach(function(layer) {
+      var src = cloneCanvas(layer.canvas);
+      layer.canvas.width = width;
+      layer.canvas.height = height;
+
+      var ctx = layer.canvas.getContext('2d');
+      ctx.save();
+      fn(ctx, src);
+      ctx.restore();
+    });
+
+    this.resizeCanvas(width, height);
+    this.setSelection(null);
+    this.updateLayers();
+    this.render();
+  };
+
+  ApplicationDrawWindow.prototype.scaleImage = function(width, height) {
+    this.transformLayers(width, height, function(ctx, src) {
+      ctx.drawImage(src, 0, 0, width, height);
+    });
+  };
+
+  /**
+   * Changes the canvas size without scaling. The image is either kept
+   * in the top left corner or centered.
+   */
+  ApplicationDrawWindow.prototype.setCanvasSize = function(width, height, center) {
+    var x = center ? Math.round((width - this.canvas.width) / 2) : 0;
+    var y = center ? Math.round((height - this.canvas.height) / 2) : 0;
+
+    this.transformLayers(width, height, function(ctx, src) {
+      ctx.drawImage(src, x, y);
+    });
+  };
+
+  /**
+   * Rotates the image by 90, -90 or 180 degrees
+   */
+  ApplicationDrawWindow.prototype.rotate = function(deg) {
+    var swap = Math.abs(deg) === 90;
+    var width = swap ? this.canvas.height : this.canvas.width;
+    var height = swap ? this.canvas.width : this.canvas.height;
+
+    this.transformLayers(width, height, function(ctx, src) {
+      ctx.translate(width / 2, height / 2);
+      ctx.rotate(deg * Math.PI / 180);
+      ctx.drawImage(src, -src.width / 2, -src.height / 2);
+    });
+  };
+
+  ApplicationDrawWindow.prototype.flip = function(horizontal) {
+    var width = this.canvas.width;
+    var height = this.canvas.height;
+
+    this.transformLayers(width, height, function(ctx, src) {
+      ctx.translate(horizontal ? width : 0, horizontal ? 0 : height);
+      ctx.scale(horizontal ? -1 : 1, horizontal ? 1 : -1);
+      ctx.drawImage(src, 0, 0);
+    });
+  };
+
+  /**
+   * Applies a filter (see `filters`) to the active layer, or the selected part of it
+   */
+  ApplicationDrawWindow.prototype.applyFilter = function(name, args) {
+    var layer = this.getLayer();
+    var ctx = layer.canvas.getContext('2d');
+    var imageData = ctx.getImageData(0, 0, layer.canvas.width, layer.canvas.height);
+
+    this.pushHistory('pixels');
+    filters[name](imageData, args || {});
+
+    if ( this.selection ) {
+      var tmp = createCanvas(layer.canvas.width, layer.canvas.height);
+      tmp.getContext('2d').putImageData(imageData, 0, 0);
+
+      ctx.save();
+      tracePath(ctx, this.selection.points, 0, 0);
+      ctx.clip();
+      ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+      ctx.drawImage(tmp, 0, 0);
+      ctx.restore();
+    } else {
+      ctx.putImageData(imageData, 0, 0);
+    }
+
+    this.render();
+  };
+
+  /**
+   * Asks for a text and draws it on the active layer at given position
+   */
+  ApplicationDrawWindow.prototype.insertText = function(pos) {
+    var self = this;
+
+    this._toggleDisabled(true);
+    API.createDialog('Input', {
+      message: doTranslate('Insert text')
+    }, function(ev, button, result) {
+      self._toggleDisabled(false);
+      if ( button !== 'ok' || !result ) {
+        return;
+      }
+
+      var ctx = self.getLayer().canvas.getContext('2d');
+      self.pushHistory('pixels');
+
+      ctx.save();
+      if ( self.selection ) {
+        tracePath(ctx, self.selection.points, 0, 0);
+        ctx.clip();
+      }
+      ctx.fillStyle = self.tool.foreground;
+      ctx.font = self.tool.fontSize + 'px ' + self.tool.fontName;
+      ctx.textBaseline = 'top';
+      ctx.fillText(result, pos.x, pos.y);
+      ctx.restore();
+
+      self.render();
+    }, this);
+  };
+
+  //
+  // Layers
+  //
+
+  ApplicationDrawWindow.prototype.getLayer = function() {
+    return this.layers[this.activeLayer];
+  };
+
+  ApplicationDrawWindow.prototype.setActiveLayer = function(index) {
+    if ( this.layers[index] ) {
+      this.activeLayer = index;
+      this.updateLayers();
+    }
+  };
+
+  ApplicationDrawWindow.prototype.setLayerProperty = function(index, param, value) {
+    var layer = this.layers[index];
+    if ( layer && layer[param] !== value ) {
+      this.pushHistory('props');
+      layer[param] = value;
+      this.render();
+    }
+  };
+
+  /**
+   * Adds a layer above the active one
+   */
+  ApplicationDrawWindow.prototype.addLayer = function(layer) {
+    this.pushHistory('props');
+    this.activeLayer = Math.min(this.activeLayer + 1, this.layers.length);
+    this.layers.splice(this.activeLayer, 0, layer);
+    this.updateLayers();
+    this.render();
+  };
+
+  ApplicationDrawWindow.prototype.duplicateLayer = function() {
+    var src = this.getLayer();
+    this.addLayer({
+      name: doTranslate('{0} copy', src.name),
+      canvas: cloneCanvas(src.canvas),
+      visible: src.visible,
+      opacity: src.opacity
+    });
+  };
+
+  ApplicationDrawWindow.prototype.renameLayer = function() {
+    var self = this;
+    var index = this.activeLayer;
+
+    this._toggleDisabled(true);
+    API.createDialog('Input', {
+      message: doTranslate('Layer name'),
+      value: this.layers[index].name
+    }, function(ev, button, result) {
+      self._toggleDisabled(false);
+      if ( button === 'ok' && result ) {
+        self.setLayerProperty(index, 'name', result);
+        self.updateLayers();
+      }
+    }, this);
+  };
+
+  ApplicationDrawWindow.prototype.removeLayer = function() {
+    if ( this.layers.length < 2 ) {
+      return;
+    }
+
+    this.pushHistory('props');
+    this.layers.splice(this.activeLayer, 1);
+    this.activeLayer = Math.max(0, this.activeLayer - 1);
+    this.updateLayers();
+    this.render();
+  };
+
+  /**
+   * Moves the active layer up (1) or down (-1)
+   */
+  ApplicationDrawWindow.prototype.moveLayer = function(dir) {
+    var from = this.activeLayer;
+    var to = from + dir;
+    if ( to < 0 || to >= this.layers.length ) {
+      return;
+    }
+
+    this.pushHistory('props');
+    var layer = this.layers.splice(from, 1)[0];
+    this.layers.splice(to, 0, layer);
+    this.activeLayer = to;
+    this.updateLayers();
+    this.render();
+  };
+
+  ApplicationDrawWindow.prototype.mergeLayerDown = function() {
+    if ( this.activeLayer < 1 ) {
+      return;
+    }
+
+    this.pushHistory('document');
+
+    var upper = this.getLayer();
+    var lower = this.layers[this.activeLayer - 1];
+    if ( upper.visible ) {
+      var ctx = lower.canvas.getContext('2d');
+      ctx.globalAlpha = upper.opacity;
+      ctx.drawImage(upper.canvas, 0, 0);
+      ctx.globalAlpha = 1;
+    }
+
+    this.layers.splice(this.activeLayer, 1);
+    this.activeLayer--;
+    this.updateLayers();
+    this.render();
+  };
+
+  ApplicationDrawWindow.prototype.flattenLayers = function() {
+    if ( this.layers.length < 2 ) {
+      return;
+    }
+
+    this.pushHistory('document');
+
+    var layer = createLayer(this.layers[0].name, this.canvas.width, this.canvas.height);
+    layer.canvas = this.flatten();
+    this.layers = [layer];
+    this.activeLayer = 0;
+    this.updateLayers();
+    this.render();
+  };
+
+  ApplicationDrawWindow.prototype.updateLayers = function() {
+    var self = this;
+    var scheme = this._scheme;
+    var view = scheme.find(this, 'Layers');
+
+    var rows = [];
+    for ( var i = this.layers.length - 1; i >= 0; i-- ) {
+      rows.push({
+        value: i,
+        columns: [
+          {label: ''},
+          {label: this.layers[i].name}
+        ]
+      });
+    }
+
+    view.clear();
+    view.add(rows);
+    view.set('selected', String(this.activeLayer));
+
+    view.$element.querySelectorAll('gui-list-view-body > gui-list-view-row').forEach(function(row) {
+      var index = parseInt(row.getAttribute('data-value'), 10);
+      scheme.create(self, 'gui-checkbox', {value: self.layers[index].visible}, row.children[0]).on('change', function(ev) {
+        self.setLayerProperty(index, 'visible', !!ev.detail);
+      });
+    });
+
+    scheme.find(this, 'LayerOpacity').set('value', Math.round(this.getLayer().opacity * 100));
+
+    this.updateMenuState();
   };
 
+  ApplicationDrawWindow.prototype.updateMenuState = function() {
+    var scheme = this._scheme;
+    var self = this;
+    var hasSelection = !!this.selection;
+
+    var states = {
+      MenuUndo: !this.history.canUndo(),
+      MenuRedo: !this.history.canRedo(),
+      MenuCut: !hasSelection,
+      MenuCopy: !hasSelection,
+      MenuPaste: !clipboard,
+      MenuDelete: !hasSelection,
+      MenuSelectNone: !hasSelection,
+      MenuCrop: !hasSelection,
+      MenuLayerRemove: this.layers.length < 2,
+      MenuLayerUp: this.activeLayer >= this.layers.length - 1,
+      MenuLayerDown: this.activeLayer < 1,
+      MenuLayerMerge: this.activeLayer < 1,
+      MenuLayerFlatten: this.layers.length < 2
+    };
+
+    Object.keys(states).forEach(function(k) {
+      scheme.find(self, k).set('disabled', states[k]);
+    });
+  };
+
+  //
+  // Files
+  //
+
   ApplicationDrawWindow.prototype.showFile = function(file, result) {
     var self = this;
     DefaultApplicationWindow.prototype.showFile.apply(this, arguments);
 
-    var canvas = this._scheme.find(this, 'Canvas').querySelector('canvas');
-    var ctx = canvas.getContext('2d');
+    function onerror() {
+      self._toggleLoading(false);
+      alert('Failed to open image');
+    }
+
+    if ( result && isLayeredFile(file) ) {
+      this._toggleLoading(true);
 
-    function open(img) {
-      if ( (window.Uint8Array && (img instanceof Uint8Array)) ) {
-        var image = ctx.createImageData(canvas.width, ctx.height);
-        for (var i = 0; i < img.length; i++) {
-          image.data[i] = img[i];
+      loadDocument(result, function(err, doc) {
+        if ( err ) {
+          onerror();
+          return;
         }
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(image, 0, 0);
-      } else if ( (img instanceof Image) || (img instanceof HTMLImageElement) ) {
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.clearRect(0, 0, img.width, img.height);
-        ctx.drawImage(img, 0, 0);
-      }
-    }
 
-    if ( result ) {
+        self._toggleLoading(false);
+        self.setDocument(doc);
+      });
+    } else if ( result ) {
       this._toggleLoading(true);
 
       var tmp = new Image();
-      tmp.onerror = function() {
-        self._toggleLoading(false);
-        alert('Failed to open image');
-      };
+      tmp.onerror = onerror;
       tmp.onload = function() {
         self._toggleLoading(false);
-        open(this);
+
+        var layer = createLayer(doTranslate('Background'), this.width, this.height);
+        layer.canvas.getContext('2d').drawImage(this, 0, 0);
+        self.setDocument({width: this.width, height: this.height, active: 0, layers: [layer]});
       };
       tmp.src = result;
     } else {
-      canvas.width = DEFAULT_WIDTH;
-      canvas.height = DEFAULT_HEIGHT;
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      this.setDocument({
+        width: DEFAULT_WIDTH,
+        height: DEFAULT_HEIGHT,
+        active: 0,
+        layers: [createLayer(doTranslate('Background'), DEFAULT_WIDTH, DEFAULT_HEIGHT)]
+      });
     }
   };
 
-  ApplicationDrawWindow.prototype.getFileData = function() {
-    var canvas = this._scheme.find(this, 'Canvas').querySelector('canvas');
-    if ( canvas ) {
-      return new VFS.FileDataURL(canvas.toDataURL('image/png'));
+  /**
+   * Gets the file data. Layers are flattened unless saving in the layered format.
+   *
+   * The image format is chosen by the file type. Returns `null` if the
+   * browser can not encode it.
+   */
+  ApplicationDrawWindow.prototype.getFileData = function(file, options) {
+    if ( !this.canvas ) {
+      return null;
+    }
+
+    if ( isLayeredFile(file) ) {
+      return JSON.stringify({
+        format: LAYERED_FORMAT,
+        version: 1,
+        width: this.canvas.width,
+        height: this.canvas.height,
+        active: this.activeLayer,
+        layers: this.layers.map(function(layer) {
+          return {
+            name: layer.name,
+            visible: layer.visible,
+            opacity: layer.opacity,
+            data: layer.canvas.toDataURL('image/png')
+          };
+        })
+      });
+    }
+
+    var mime = getExportMime(file);
+    if ( mime === 'image/png' ) {
+      return new VFS.FileDataURL(this.flatten().toDataURL(mime));
+    }
+
+    // The other formats have no transparency
+    var canvas = this.flatten('#ffffff');
+    if ( mime === 'image/bmp' ) {
+      return new VFS.FileDataURL(encodeBMP(canvas));
     }
-    return null;
+
+    var data = canvas.toDataURL(mime, (options && options.quality ? options.quality : JPEG_QUALITY) / 100);
+    if ( data.indexOf('data:' + mime) !== 0 ) {
+      return null; // Browsers fall back to PNG for unsupported formats
+    }
+    return new VFS.FileDataURL(data);
   };
 
   /////////////////////////////////////////////////////////////////////////////
@@ -491,8 +2019,26 @@
         label: 'PNG Image',
         mime: 'image/png',
         extension: 'png'
+      }, {
+        label: 'JPEG Image',
+        mime: 'image/jpeg',
+        extension: 'jpg'
+      }, {
+        label: 'WebP Image',
+        mime: 'image/webp',
+        extension: 'webp'
+      }, {
+        label: 'Bitmap Image',
+        mime: 'image/bmp',
+        extension: 'bmp'
+      }, {
+        label: 'OS.js Image (with layers)',
+        mime: LAYERED_MIME,
+        extension: 'odraw'
       }]
     }]);
+
+    this.jpegQuality = JPEG_QUALITY;
   };
 
   ApplicationDraw.prototype = Object.create(DefaultApplication.prototype);
@@ -505,6 +2051,69 @@
     });
   };
 
+  /**
+   * Layered documents are read as text, images are loaded by URL
+   */
+  ApplicationDraw.prototype.openFile = function(file, win) {
+    var self = this;
+    if ( !isLayeredFile(file) ) {
+      return DefaultApplication.prototype.openFile.apply(this, arguments);
+    }
+
+    win._toggleLoading(true);
+    VFS.read(file, function(error, result) {
+      win._toggleLoading(false);
+
+      if ( error ) {
+        API.error(self.__label,
+                  API._('ERR_FILE_APP_OPEN'),
+                  API._('ERR_FILE_APP_OPEN_ALT_FMT',
+                  file.path));
+        return;
+      }
+
+      self._setArgument('file', file);
+      win.showFile(file, result);
+    }, {type: 'text'});
+
+    return true;
+  };
+
+  /**
+   * The data depends on the chosen file type, so it is created here.
+   * For JPEG images the quality is asked for first.
+   */
+  ApplicationDraw.prototype.saveFile = function(file, value, win) {
+    var self = this;
+    var mime = getExportMime(file);
+
+    function save(options) {
+      var data = win.getFileData(file, options);
+      if ( !data ) {
+        API.error(self.__label,
+                  doTranslate('Failed to save image'),
+                  doTranslate('Your browser does not support saving {0} images', mime));
+        return;
+      }
+      DefaultApplication.prototype.saveFile.call(self, file, data, win);
+    }
+
+    if ( isLayeredFile(file) || mime !== 'image/jpeg' ) {
+      save();
+      return;
+    }
+
+    win.openOptions({
+      id: 'JPEGDialog',
+      title: 'JPEG options',
+      height: 160,
+      values: {Quality: this.jpegQuality}
+    }, function(values) {
+      self.jpegQuality = values.Quality;
+      save({quality: values.Quality});
+    });
+  };
+
   /////////////////////////////////////////////////////////////////////////////
   // EXPORTS
   /////////////////////////////////////////////////////////////////////////////
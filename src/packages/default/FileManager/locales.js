@@ -43,7 +43,11 @@
       "Loading..." : "Зареждане...",
       "Create a new directory in **{0}**" : "Създаване на нова директория в **{0}**",
       "Rename **{0}**" : "преименуване на **{0}**",
-      "Delete **{0}** ?" : "Изтриване на **{0}**?"
+      "Delete **{0}** ?" : "Изтриване на **{0}**?",
+      'Move **{0}** to trash?' : 'Преместване на **{0}** в кошчето?',
+      'Deleted from {0} at {1}' : 'Изтрито от {0} на {1}',
+      'Permanently delete all items in trash?' : 'Окончателно изтриване на всички елементи в кошчето?',
+      '{0} free' : '{0} свободни'
     },
     de_DE : {
       'Copying file...' : 'Kopiere Datei...',
@@ -52,7 +56,11 @@
       "Loading..." : "Lade...",
       "Create a new directory in **{0}**" : "Erstelle ein neues Verzeichnis in **{0}**",
       "Rename **{0}**" : "**{0}** umbenennen",
-      "Delete **{0}** ?" : "**{0}** löschen?"
+      "Delete **{0}** ?" : "**{0}** löschen?",
+      'Move **{0}** to trash?' : '**{0}** in den Papierkorb verschieben?',
+      'Deleted from {0} at {1}' : 'Gelöscht aus {0} am {1}',
+      'Permanently delete all items in trash?' : 'Alle Elemente im Papierkorb endgültig löschen?',
+      '{0} free' : '{0} frei'
     },
     fr_FR : {
       'Copying file...' : 'Copie de fichier...',
@@ -64,7 +72,11 @@
       "Rename **{0}**" : "Renommer **{0}**",
       "Delete **{0}** ?" : "Supprimer **{0}** ?",
       'Selected {0} files, {1} dirs, {2}' : '{0} fichier(s) selectionné(s), {1} dossier(s), {2}',
-      'Showing {0} files ({1} hidden), {2} dirs, {3}' : '{0} fichier(s) affiché(s) ({1} caché(s)), {2} dossier(s), {3}'
+      'Showing {0} files ({1} hidden), {2} dirs, {3}' : '{0} fichier(s) affiché(s) ({1} caché(s)), {2} dossier(s), {3}',
+      'Move **{0}** to trash?' : 'Déplacer **{0}** vers la corbeille ?',
+      'Deleted from {0} at {1}' : 'Supprimé de {0} le {1}',
+      'Permanently delete all items in trash?' : 'Supprimer définitivement tous les éléments de la corbeille ?',
+      '{0} free' : '{0} libre(s)'
     },
     it_IT : {
       'Copying file...' : 'Copiamento file...',
@@ -76,7 +88,11 @@
       "Rename **{0}**" : "Rinomina **{0}**",
       "Delete **{0}** ?" : "Cancellare **{0}** ?",
       'Selected {0} files, {1} dirs, {2}' : '{0} file selezionati, {1} cartelle, {2}',
-      'Showing {0} files ({1} hidden), {2} dirs, {3}' : 'Mostrando {0} file(s) ({1} nascosti), {2} cartelle, {3}'
+      'Showing {0} files ({1} hidden), {2} dirs, {3}' : 'Mostrando {0} file(s) ({1} nascosti), {2} cartelle, {3}',
+      'Move **{0}** to trash?' : 'Spostare **{0}** nel cestino?',
+      'Deleted from {0} at {1}' : 'Eliminato da {0} il {1}',
+      'Permanently delete all items in trash?' : 'Eliminare definitivamente tutti gli elementi nel cestino?',
+      '{0} free' : '{0} liberi'
     },
     ko_KR : {
       'Copying file...' : '파일 복사...',
@@ -88,7 +104,11 @@
       "Rename **{0}**" : "**{0}**의 이름 바꾸기",
       "Delete **{0}** ?" : "**{0}**을 삭제하시겠습니까?",
       'Selected {0} files, {1} dirs, {2}' : '{0} 개의 파일, {1} 개의 디렉토리가 선택됨, {2}',
-      'Showing {0} files ({1} hidden), {2} dirs, {3}' : '{0} 개의 파일({1} 개의 숨긴 파일), {2} 개의 디렉토리가 존재, {3}'
+      'Showing {0} files ({1} hidden), {2} dirs, {3}' : '{0} 개의 파일({1} 개의 숨긴 파일), {2} 개의 디렉토리가 존재, {3}',
+      'Move **{0}** to trash?' : '**{0}**을 휴지통으로 이동하시겠습니까?',
+      'Deleted from {0} at {1}' : '{0}에서 {1}에 삭제됨',
+      'Permanently delete all items in trash?' : '휴지통의 모든 항목을 영구적으로 삭제하시겠습니까?',
+      '{0} free' : '{0} 사용 가능'
     },
     nl_NL : {
       'Copying file...' : 'Bestand kopieren...',
@@ -97,7 +117,11 @@
       "Loading..." : "Laden...",
       "Create a new directory in **{0}**" : "Maak een nieuwe map in **{0}**",
       "Rename **{0}**" : "Hernoem **{0}**",
-      "Delete **{0}** ?" : "**{0}** verwijderen?"
+      "Delete **{0}** ?" : "**{0}** verwijderen?",
+      'Move **{0}** to trash?' : '**{0}** naar de prullenbak verplaatsen?',
+      'Deleted from {0} at {1}' : 'Verwijderd uit {0} op {1}',
+      'Permanently delete all items in trash?' : 'Alle items in de prullenbak definitief verwijderen?',
+      '{0} free' : '{0} vrij'
     },
     no_NO : {
       'Copying file...' : 'Kopierer fil...',
@@ -107,7 +131,11 @@
       "Create a new file in **{0}**" : "Opprett ny fil i **{0}**",
       "Create a new directory in **{0}**" : "Opprett ny mappe i **{0}**",
       "Rename **{0}**" : "Navngi **{0}**",
-      "Delete **{0}** ?" : "Slette **{0}** ?"
+      "Delete **{0}** ?" : "Slette **{0}** ?",
+      'Move **{0}** to trash?' : 'Flytte **{0}** til papirkurven?',
+      'Deleted from {0} at {1}' : 'Slettet fra {0} {1}',
+      'Permanently delete all items in trash?' : 'Slette alle elementer i papirkurven permanent?',
+      '{0} free' : '{0} ledig'
     },
     pl_PL : {
       'Copying file...' : 'Kopiowanie pliku...',
@@ -119,7 +147,11 @@
       "Rename **{0}**" : "Zmień nazwę **{0}**",
       "Delete **{0}** ?" : "Usunąć **{0}** ?",
       'Selected {0} files, {1} dirs, {2}' : 'Wybrane pliki: {0}, foldery: {1}, {2}',
-      'Showing {0} files ({1} hidden), {2} dirs, {3}' : 'Pokazywane pliki: {0} /(ukryte: {1}, foldery: {2}, {3}'
+      'Showing {0} files ({1} hidden), {2} dirs, {3}' : 'Pokazywane pliki: {0} /(ukryte: {1}, foldery: {2}, {3}',
+      'Move **{0}** to trash?' : 'Przenieść **{0}** do kosza?',
+      'Deleted from {0} at {1}' : 'Usunięto z {0} o {1}',
+      'Permanently delete all items in trash?' : 'Trwale usunąć wszystkie elementy z kosza?',
+      '{0} free' : 'Wolne: {0}'
     },
     ru_RU : {
       'Copying file...' : 'Копирование файла...',
@@ -128,7 +160,11 @@
       "Loading..." : "Загрузка...",
       "Create a new directory in **{0}**" : "Создать новый каталог в **{0}**",
       "Rename **{0}**" : "Переименовать **{0}**",
-      "Delete **{0}** ?" : "Удалить **{0}** ?"
+      "Delete **{0}** ?" : "Удалить **{0}** ?",
+      'Move **{0}** to trash?' : 'Переместить **{0}** в корзину?',
+      'Deleted from {0} at {1}' : 'Удалено из {0} в {1}',
+      'Permanently delete all items in trash?' : 'Окончательно удалить все объекты в корзине?',
+      '{0} free' : '{0} свободно'
     },
     sk_SK : {
       'Copying file...' : 'Kopírujem súbor...',
@@ -138,7 +174,11 @@
       "Create a new file in **{0}**" : "Vytvor nový súbor v **{0}**",
       "Create a new directory in **{0}**" : "Vytvor nový adresár v **{0}**",
       "Rename **{0}**" : "Premenuj **{0}**",
-      "Delete **{0}** ?" : "Zmazať **{0}** ?"
+      "Delete **{0}** ?" : "Zmazať **{0}** ?",
+      'Move **{0}** to trash?' : 'Presunúť **{0}** do koša?',
+      'Deleted from {0} at {1}' : 'Zmazané z {0} o {1}',
+      'Permanently delete all items in trash?' : 'Natrvalo zmazať všetky položky v koši?',
+      '{0} free' : '{0} voľných'
     },
     tr_TR : {
       'Copying file...' : 'kopyalanıyor...',
@@ -147,7 +187,11 @@
       "Loading..." : "yükleniyor...",
       "Create a new directory in **{0}**" : " **{0}** içinde yeni bir klasör aç",
       "Rename **{0}**" : "yeniden adlandır **{0}**",
-      "Delete **{0}** ?" : "sil **{0}**?"
+      "Delete **{0}** ?" : "sil **{0}**?",
+      'Move **{0}** to trash?' : '**{0}** çöp kutusuna taşınsın mı?',
+      'Deleted from {0} at {1}' : '{0} konumundan {1} tarihinde silindi',
+      'Permanently delete all items in trash?' : 'Çöp kutusundaki tüm öğeler kalıcı olarak silinsin mi?',
+      '{0} free' : '{0} boş'
     },
     vi_VN : {
       'Copying file...' : 'Đang sao chép...',
@@ -157,7 +201,11 @@
       "Create a new file in **{0}**" : "Tạo một tập tin mới trong **{0}**",
       "Create a new directory in **{0}**" : "Tạo một thư mục mới trong **{0}**",
       "Rename **{0}**" : "Đổi tên **{0}**",
-      "Delete **{0}** ?" : "Xóa **{0}**?"
+      "Delete **{0}** ?" : "Xóa **{0}**?",
+      'Move **{0}** to trash?' : 'Chuyển **{0}** vào thùng rác?',
+      'Deleted from {0} at {1}' : 'Đã xóa từ {0} lúc {1}',
+      'Permanently delete all items in trash?' : 'Xóa vĩnh viễn tất cả các mục trong thùng rác?',
+      '{0} free' : '{0} trống'
     }
   };
 
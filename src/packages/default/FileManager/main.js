@@ -38,6 +38,41 @@
     return selected;
   }
 
+  function getTrashModule() {
+    var path = API.getConfig('VFS.Trash');
+    return path ? OSjs.Core.getMountManager().getModuleFromPath(path, false, true) : null;
+  }
+
+  function getMountTrash(path) {
+    var m = OSjs.Core.getMountManager().getModuleFromPath(path, false, true);
+    return m && m.trash ? m.trash : null;
+  }
+
+  function isTrashed(path) {
+    var own = getMountTrash(path);
+    if ( own ) {
+      return path === own || path.indexOf(own + '/') === 0;
+    }
+
+    var trash = getTrashModule();
+    return !!trash && OSjs.Core.getMountManager().getModuleFromPath(path, false, true) === trash;
+  }
+
+  function canArchive(path) {
+    return !!OSjs.Core.getMountManager().isInternal(path);
+  }
+
+  function canTrash(item) {
+    if ( getMountTrash(item.path) ) {
+      return !isTrashed(item.path);
+    }
+
+    // The server keeps the trash in the home directory
+    var mm = OSjs.Core.getMountManager();
+    var trash = getTrashModule();
+    return !!trash && !isTrashed(item.path) && item.path.match(/^home\:\/\//) !== null && mm.isInternal(trash.root);
+  }
+
   var notificationWasDisplayed = {};
 
   function MountWindow(app, metadata, scheme) {
@@ -113,12 +148,15 @@
 
     this.currentPath = path;
     this.currentSummary = {};
+    this.currentFree = -1;
+    this.currentPermissions = null;
     this.viewOptions = Utils.argumentDefaults(settings || {}, {
       ViewNavigation: true,
       ViewSide: true
     }, true);
     this.history = [];
     this.historyIndex = -1;
+    this.watchedPath = null;
 
     var self = this;
     this.settingsWatch = OSjs.Core.getSettingsManager().watch('VFS', function() {
@@ -158,6 +196,8 @@
       try {
         OSjs.Core.getSettingsManager().unwatch(self.settingsWatch);
       } catch ( e ) {}
+
+      self.watchPath(null);
     });
   }
 
@@ -214,6 +254,12 @@
       MenuDelete: function() {
         app.rm(getSelected(view), self);
       },
+      MenuRestore: function() {
+        app.restore(getSelected(view), self);
+      },
+      MenuEmptyTrash: function() {
+        app.emptyTrash(self);
+      },
       MenuInfo: function() {
         app.info(getSelected(view), self);
       },
@@ -223,6 +269,12 @@
       MenuDownload: function() {
         app.download(getSelected(view), self);
       },
+      MenuArchive: function() {
+        app.archive(getSelected(view), self.currentPath, false, self);
+      },
+      MenuArchiveAdd: function() {
+        app.archive(getSelected(view), self.currentPath, true, self);
+      },
       MenuRefresh: function() {
         self.changePath();
       },
@@ -339,12 +391,30 @@
     this.toggleSidebar(viewSide, false);
     this.toggleNavbar(viewNav, false);
 
-    this.changePath(this.currentPath);
+    // Keep the navigation history if it was restored from the session
+    this.changePath(this.currentPath, null, this.historyIndex >= 0);
     this.toggleColumn();
 
     return root;
   };
 
+  ApplicationFileManagerWindow.prototype._getSessionState = function() {
+    return {
+      history: this.history,
+      historyIndex: this.historyIndex
+    };
+  };
+
+  ApplicationFileManagerWindow.prototype._setSessionState = function(state) {
+    var history = state.history || [];
+    var index = history.indexOf(this.currentPath, Math.max(0, state.historyIndex));
+
+    if ( index >= 0 ) {
+      this.history = history;
+      this.historyIndex = index;
+    }
+  };
+
   ApplicationFileManagerWindow.prototype.checkSelection = function(files) {
     var scheme = this._scheme;
 
@@ -359,6 +429,12 @@
 
     var sum, label;
 
+    function isAllowed(perm) {
+      return (files || []).every(function(f) {
+        return !f.data.acl || f.data.acl[perm] !== false;
+      });
+    }
+
     function toggleMenuItems(isFile, isDirectory) {
       /*
        * Toggling MenuItems with the bit MODE_F or MODE_FD set by type of selected items
@@ -368,12 +444,19 @@
 
       var MODE_F = !isFile || !!isDirectory;
       var MODE_FD = !(isFile || isDirectory);
+      var canWrite = !self.currentPermissions || self.currentPermissions.write !== false;
 
-      scheme.find(self, 'MenuRename').set('disabled', MODE_FD);
-      scheme.find(self, 'MenuDelete').set('disabled', MODE_FD);
+      scheme.find(self, 'MenuRename').set('disabled', MODE_FD || !isAllowed('delete') || !canWrite);
+      scheme.find(self, 'MenuDelete').set('disabled', MODE_FD || !isAllowed('delete'));
       scheme.find(self, 'MenuInfo').set('disabled', MODE_FD);  // TODO: Directory info must be supported
-      scheme.find(self, 'MenuDownload').set('disabled', MODE_F);
-      scheme.find(self, 'MenuOpen').set('disabled', MODE_F);
+      scheme.find(self, 'MenuDownload').set('disabled', MODE_F || !isAllowed('read'));
+      scheme.find(self, 'MenuOpen').set('disabled', MODE_F || !isAllowed('read'));
+      scheme.find(self, 'MenuArchive').set('disabled', MODE_FD || !isAllowed('read') || !canWrite || !canArchive(self.currentPath));
+      scheme.find(self, 'MenuArchiveAdd').set('disabled', MODE_FD || !isAllowed('read') || !canArchive(self.currentPath));
+      scheme.find(self, 'MenuCreate').set('disabled', !canWrite);
+      scheme.find(self, 'MenuUpload').set('disabled', !canWrite);
+      scheme.find(self, 'MenuRestore').set('disabled', MODE_FD || !isTrashed(self.currentPath));
+      scheme.find(self, 'MenuEmptyTrash').set('disabled', !getTrashModule() && !getMountTrash(self.currentPath));
     }
 
     if ( files && files.length ) {
@@ -387,8 +470,13 @@
         }
       });
 
-      label = 'Selected {0} files, {1} dirs, {2}';
-      content = doTranslate(label, sum.files, sum.directories, Utils.humanFileSize(sum.size));
+      if ( files.length === 1 && files[0].data.original ) {
+        label = 'Deleted from {0} at {1}';
+        content = doTranslate(label, files[0].data.original, new Date(files[0].data.deleted).toLocaleString());
+      } else {
+        label = 'Selected {0} files, {1} dirs, {2}';
+        content = doTranslate(label, sum.files, sum.directories, Utils.humanFileSize(sum.size));
+      }
 
       toggleMenuItems(sum.files, sum.directories);
     } else {
@@ -396,6 +484,10 @@
       if ( sum ) {
         label = 'Showing {0} files ({1} hidden), {2} dirs, {3}';
         content = doTranslate(label, sum.files, sum.hidden, sum.directories, Utils.humanFileSize(sum.size));
+
+        if ( this.currentFree >= 0 ) {
+          content += ', ' + doTranslate('{0} free', Utils.humanFileSize(this.currentFree));
+        }
       }
 
       toggleMenuItems(false, false);
@@ -412,7 +504,18 @@
         return false;
       }
 
-      API.open(new VFS.File(f.data));
+      if ( canArchive(f.data.path) && VFS.Transports.Archive.isArchive(f.data) ) {
+        VFS.Transports.Archive.mount(new VFS.File(f.data), function(error, root) {
+          if ( error ) {
+            API.error(API._('ERR_GENERIC_APP_FMT', self._app.__label), API._('ERR_GENERIC_APP_REQUEST'), error);
+          } else {
+            self.changePath(root);
+          }
+        });
+        return false;
+      }
+
+      API.open(new VFS.File(f.data), {parent: self._app});
 
       return true;
     });
@@ -496,6 +599,61 @@
     }
   };
 
+  ApplicationFileManagerWindow.prototype.updateFreeSpace = function(dir) {
+    var self = this;
+
+    try {
+      VFS.freeSpace(dir, function(error, result) {
+        if ( self._destroyed || dir !== self.currentPath ) {
+          return;
+        }
+
+        self.currentFree = (!error && typeof result === 'number') ? result : -1;
+        self.checkSelection([]);
+      });
+    } catch ( e ) {
+      this.currentFree = -1;
+    }
+  };
+
+  ApplicationFileManagerWindow.prototype.updatePermissions = function(dir) {
+    var self = this;
+
+    this.currentPermissions = null;
+
+    try {
+      VFS.permissions(dir, function(error, result) {
+        if ( self._destroyed || dir !== self.currentPath ) {
+          return;
+        }
+
+        self.currentPermissions = error ? null : result;
+        self.checkSelection([]);
+      });
+    } catch ( e ) {}
+  };
+
+  ApplicationFileManagerWindow.prototype.watchPath = function(dir) {
+    function _noop() {}
+
+    if ( dir === this.watchedPath ) {
+      return;
+    }
+
+    try {
+      if ( this.watchedPath ) {
+        VFS.unwatch(this.watchedPath, _noop);
+      }
+      if ( dir ) {
+        VFS.watch(dir, _noop);
+      }
+    } catch ( e ) {
+      console.warn('FileManager::watchPath()', e);
+    }
+
+    this.watchedPath = dir;
+  };
+
   ApplicationFileManagerWindow.prototype.changeHistory = function(dir) {
     if ( this.historyIndex !== -1 ) {
       if ( dir < 0 ) {
@@ -570,6 +728,9 @@
             self._app._setArgument('path', dir);
           }
           updateHistory(dir);
+          self.watchPath(dir);
+          self.updateFreeSpace(dir);
+          self.updatePermissions(dir);
         }
         self._toggleLoading(false);
 
@@ -772,6 +933,7 @@
 
   ApplicationFileManager.prototype.rm = function(items, win) {
     var self = this;
+    var trash = items.length && items.every(canTrash);
 
     // TODO: These must be async
     var files = [];
@@ -780,10 +942,12 @@
     });
     files = files.join(', ');
 
+    var msg = trash ? 'Move **{0}** to trash?' : 'Delete **{0}** ?';
+
     win._toggleDisabled(true);
     API.createDialog('Confirm', {
       buttons: ['yes', 'no'],
-      message: Utils.format(OSjs.Applications.ApplicationFileManager._('Delete **{0}** ?'), files)
+      message: Utils.format(OSjs.Applications.ApplicationFileManager._(msg), files)
     }, function(ev, button) {
       win._toggleDisabled(false);
       if ( button !== 'ok' && button !== 'yes' ) {
@@ -792,7 +956,7 @@
 
       items.forEach(function(item) {
         item = new VFS.File(item);
-        self._action('delete', [item], function() {
+        self._action(trash ? 'trash' : 'delete', [item], function() {
           win.changePath(null);
         });
       });
@@ -800,6 +964,35 @@
 
   };
 
+  ApplicationFileManager.prototype.restore = function(items, win) {
+    var self = this;
+
+    items.forEach(function(item) {
+      self._action('untrash', [new VFS.File(item)], function() {
+        win.changePath(null);
+      });
+    });
+  };
+
+  ApplicationFileManager.prototype.emptyTrash = function(win) {
+    var self = this;
+
+    win._toggleDisabled(true);
+    API.createDialog('Confirm', {
+      buttons: ['yes', 'no'],
+      message: OSjs.Applications.ApplicationFileManager._('Permanently delete all items in trash?')
+    }, function(ev, button) {
+      win._toggleDisabled(false);
+      if ( button !== 'ok' && button !== 'yes' ) {
+        return;
+      }
+
+      self._action('emptyTrash', [], function() {
+        win.changePath(null);
+      }, {root: getMountTrash(win.currentPath)});
+    }, win);
+  };
+
   ApplicationFileManager.prototype.info = function(items, win) {
     items.forEach(function(item) {
       if ( item.type === 'file' ) {
@@ -811,13 +1004,73 @@
   };
 
   ApplicationFileManager.prototype.open = function(items) {
+    var self = this;
     items.forEach(function(item) {
       if ( item.type === 'file' ) {
-        API.open(new VFS.File(item), {forceList: true});
+        API.open(new VFS.File(item), {forceList: true, parent: self});
       }
     });
   };
 
+  ApplicationFileManager.prototype.archive = function(items, dir, update, win) {
+    var self = this;
+    var files = items.filter(function(item) {
+      return item.filename !== '..';
+    }).map(function(item) {
+      return new VFS.File(item);
+    });
+
+    if ( !files.length ) {
+      return;
+    }
+
+    function create(dest) {
+      win._toggleLoading(true);
+
+      VFS.Transports.Archive.create(dest, files, function(error) {
+        win._toggleLoading(false);
+
+        if ( error ) {
+          API.error(API._('ERR_GENERIC_APP_FMT', self.__label), API._('ERR_GENERIC_APP_REQUEST'), error);
+          return;
+        }
+
+        win.changePath(null, dest);
+      }, {update: update, overwrite: !update}, self); // The save dialog asks before overwriting
+    }
+
+    win._toggleDisabled(true);
+
+    if ( update ) {
+      API.createDialog('File', {
+        path: dir,
+        filter: ['application/zip', 'application/x-tar', 'application/gzip', 'application/x-compressed-tar']
+      }, function(ev, button, result) {
+        win._toggleDisabled(false);
+        if ( button === 'ok' && result ) {
+          create(result);
+        }
+      }, win);
+      return;
+    }
+
+    API.createDialog('File', {
+      type: 'save',
+      path: dir,
+      filename: (files.length === 1 ? files[0].filename : 'Archive') + '.zip',
+      filetypes: [
+        {label: 'ZIP', extension: 'zip', mime: 'application/zip'},
+        {label: 'TAR', extension: 'tar', mime: 'application/x-tar'},
+        {label: 'TAR.GZ', extension: 'tgz', mime: 'application/x-compressed-tar'}
+      ]
+    }, function(ev, button, result) {
+      win._toggleDisabled(false);
+      if ( button === 'ok' && result ) {
+        create(result);
+      }
+    }, win);
+  };
+
   ApplicationFileManager.prototype.rename = function(items, win) {
     // TODO: These must be async
     var self = this;
@@ -994,7 +1247,7 @@
     }
   };
 
-  ApplicationFileManager.prototype._action = function(name, args, callback) {
+  ApplicationFileManager.prototype._action = function(name, args, callback, options) {
     callback = callback || function() {};
     var self = this;
     var _onError = function(error) {
@@ -1008,7 +1261,7 @@
         return;
       }
       callback(error, result);
-    }, null, this));
+    }, options || null, this));
   };
 
   /////////////////////////////////////////////////////////////////////////////
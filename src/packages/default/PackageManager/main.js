@@ -30,52 +30,6 @@
 (function(Application, Window, Utils, API, VFS, GUI) {
   'use strict';
 
-  function fetchJSON(cb) {
-    var url = window.location.protocol + '//builds.os.js.org/store/packages.json';
-
-    API.curl({
-      url: url,
-      method: 'GET'
-    }, cb);
-  }
-
-  function installSelected(download, cb) {
-    var handler = OSjs.Core.getHandler();
-    var pacman = OSjs.Core.getPackageManager();
-
-    var file = new VFS.File(download, 'application/zip');
-    VFS.read(file, function(error, ab) {
-      if ( error ) {
-        cb(error);
-        return;
-      }
-
-      var dest = new VFS.File({
-        filename: Utils.filename(download),
-        type: 'file',
-        path: 'home:///' + Utils.filename(download),
-        mime: 'application/zip'
-      });
-
-      VFS.write(dest, ab, function(error, success) {
-        if ( error ) {
-          cb('Failed to write package: ' + error); // FIXME
-          return;
-        }
-
-        OSjs.Core.getPackageManager().install(dest, function(error) {
-          if ( error ) {
-            cb('Failed to install package: ' + error); // FIXME
-            return;
-          }
-          pacman.generateUserMetadata(function() {
-            cb(false, true);
-          });
-        });
-      });
-    });
-  }
-
   /////////////////////////////////////////////////////////////////////////////
   // WINDOWS
   /////////////////////////////////////////////////////////////////////////////
@@ -112,23 +66,11 @@
       hidden = pool.get('hidden');
     }
 
-    function renderInstalled() {
-      updateEnabledStates();
-
-      var rows = [];
-      Object.keys(list).forEach(function(k, idx) {
-        rows.push({
-          index: idx,
-          value: k,
-          columns: [
-            {label: ''},
-            {label: k},
-            {label: list[k].scope},
-            {label: list[k].name}
-          ]
-        });
-      });
+    function showError(message, error) {
+      API.error(self._title, message, error);
+    }
 
+    function renderRows(rows) {
       view.clear();
       view.add(rows);
 
@@ -153,6 +95,32 @@
       });
     }
 
+    function renderInstalled() {
+      updateEnabledStates();
+
+      var rows = [];
+      Utils.asyncs(Object.keys(list), function(k, idx, next) {
+        // The signature status comes from the server every time
+        pacman.getVerification(k, function(error, verification) {
+          rows.push({
+            index: idx,
+            value: k,
+            columns: [
+              {label: ''},
+              {label: k},
+              {label: list[k].scope},
+              {label: list[k].version || ''},
+              {label: error ? 'unknown' : (verification ? verification.status : '')},
+              {label: list[k].name}
+            ]
+          });
+          next();
+        });
+      }, function() {
+        renderRows(rows);
+      });
+    }
+
     scheme.find(this, 'ButtonSaveHidden').on('click', function() {
       self._toggleLoading(true);
       pool.set('hidden', hidden, function() {
@@ -178,44 +146,112 @@
         if ( button !== 'ok' || !result ) {
           self._toggleDisabled(false);
         } else {
-          OSjs.Core.getPackageManager().install(result, function() {
+          pacman.install(result, function(error, meta, verification) {
             self._toggleDisabled(false);
+            if ( error ) {
+              showError('Failed to install package', error);
+            } else if ( verification && verification.status !== 'verified' ) {
+              self._setWarning(Utils.format('Package "{0}" was installed, but is {1}. {2}', meta.className, verification.status, verification.message));
+            }
             renderInstalled();
           });
         }
       }, self);
     });
 
+    function getSelectedInstalled() {
+      var selected = view.get('selected');
+      return selected.length ? selected[0].data : null;
+    }
+
+    scheme.find(this, 'ButtonUninstall').on('click', function() {
+      var name = getSelectedInstalled();
+      if ( !name ) {
+        return;
+      }
+
+      self._toggleDisabled(true);
+      API.createDialog('Confirm', {
+        title: 'Uninstall package',
+        message: Utils.format('Are you sure you want to uninstall "{0}"?', name),
+        buttons: ['yes', 'no']
+      }, function(ev, button) {
+        if ( button !== 'yes' ) {
+          self._toggleDisabled(false);
+          return;
+        }
+
+        pacman.uninstall(name, function(error) {
+          self._toggleDisabled(false);
+          if ( error ) {
+            showError('Failed to uninstall package', error);
+          }
+          renderInstalled();
+        });
+      }, self);
+    });
+
+    scheme.find(this, 'ButtonUpgrade').on('click', function() {
+      var name = getSelectedInstalled();
+      if ( !name ) {
+        return;
+      }
+
+      self._toggleLoading(true);
+      pacman.upgrade(name, function(error) {
+        self._toggleLoading(false);
+        if ( error ) {
+          showError('Failed to upgrade package', error);
+        }
+        renderInstalled();
+      });
+    });
+
     //
     // Store
     //
     var storeView = scheme.find(this, 'AppStorePackages');
+    var storeList = [];
 
     function renderStore() {
       self._toggleLoading(true);
-      fetchJSON(function(error, result) {
+      pacman.fetchRepositories(function(error, result, failed) {
         self._toggleLoading(false);
 
         if ( error ) {
-          alert('Failed getting packages: ' + error); // FIXME
+          showError('Failed getting packages', error);
           return;
         }
 
-        var jsn = Utils.fixJSON(result.body);
-        var rows = [];
-        if ( jsn instanceof Array ) {
-          jsn.forEach(function(i, idx) {
-            rows.push({
-              index: idx,
-              value: i.download,
-              columns: [
-                {label: i.name},
-                {label: i.version},
-                {label: i.author}
-              ]
-            });
-          });
-        }
+        (failed || []).forEach(function(iter) {
+          console.warn('Failed to fetch repository', iter.repository, iter.error);
+        });
+
+        updateEnabledStates();
+
+        storeList = result;
+
+        var rows = storeList.map(function(i, idx) {
+          var installed = list[i.className];
+          var status = '';
+          if ( installed ) {
+            status = installed.version || '0.0.0';
+            if ( Utils.compareVersion(i.version, installed.version) > 0 ) {
+              status += ' (upgrade)';
+            }
+          }
+
+          return {
+            index: idx,
+            value: idx,
+            columns: [
+              {label: i.name},
+              {label: i.version},
+              {label: status},
+              {label: i.author}
+            ]
+          };
+        });
 
         storeView.clear();
         storeView.add(rows);
@@ -228,15 +264,17 @@
 
     scheme.find(this, 'ButtonStoreInstall').on('click', function() {
       var selected = storeView.get('selected');
-      if ( selected.length && selected[0].data ) {
+      var entry = selected.length ? storeList[selected[0].data] : null;
+      if ( entry ) {
         self._toggleLoading(true);
-        installSelected(selected[0].data, function(error, result) {
+        pacman.installFromRepository(entry.className, function(error) {
           self._toggleLoading(false);
           if ( error ) {
-            alert(error); // FIXME
-            return;
+            showError('Failed to install package', error);
           }
-        });
+          renderInstalled();
+          renderStore();
+        }, {version: entry.version});
       }
     });
 
@@ -30,6 +30,109 @@
 (function(Application, Window, Utils, API, VFS, GUI) {
   'use strict';
 
+  var SORTERS = {
+    Name: function(p, u) {
+      return (p.__label || p.__pname).toLowerCase();
+    },
+    Pid: function(p, u) {
+      return p.__pid;
+    },
+    Windows: function(p, u) {
+      return u.windows;
+    },
+    Pending: function(p, u) {
+      return u.pending;
+    },
+    Requests: function(p, u) {
+      return u.requests;
+    },
+    Transferred: function(p, u) {
+      return u.sent + u.received;
+    },
+    Listeners: function(p, u) {
+      return u.listeners;
+    },
+    Uptime: function(p, u) {
+      return u.uptime;
+    }
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Formats milliseconds as `[Nd ]HH:MM:SS`
+   */
+  function formatUptime(ms) {
+    function pad(n) {
+      return (n < 10 ? '0' : '') + String(n);
+    }
+
+    var secs = Math.floor(ms / 1000);
+    var days = Math.floor(secs / 86400);
+    var str = [
+      pad(Math.floor(secs / 3600) % 24),
+      pad(Math.floor(secs / 60) % 60),
+      pad(secs % 60)
+    ].join(':');
+
+    return (days ? String(days) + 'd ' : '') + str;
+  }
+
+  /**
+   * Gets the JS heap usage of the browser (if supported)
+   */
+  function getHeapUsage() {
+    var mem = window.performance ? window.performance.memory : null;
+    if ( mem && mem.usedJSHeapSize ) {
+      return {
+        used: mem.usedJSHeapSize,
+        total: mem.totalJSHeapSize,
+        limit: mem.jsHeapSizeLimit
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Creates a list of processes ordered as a tree of parent/child processes,
+   * grouped by services and applications. Every entry has a `depth`.
+   */
+  function createTree(list, compare) {
+    var pids = list.map(function(iter) {
+      return iter.process.__pid;
+    });
+
+    function children(ppid) {
+      return list.filter(function(iter) {
+        return iter.process.__ppid === ppid;
+      }).sort(compare);
+    }
+
+    function walk(entries, depth, result) {
+      entries.forEach(function(iter) {
+        iter.depth = depth;
+        result.push(iter);
+        walk(children(iter.process.__pid), depth + 1, result);
+      });
+      return result;
+    }
+
+    var roots = list.filter(function(iter) {
+      return pids.indexOf(iter.process.__ppid) === -1;
+    }).sort(compare);
+
+    return [
+      {group: 'Services', entries: walk(roots.filter(function(iter) {
+        return iter.process instanceof OSjs.Core.Service;
+      }), 1, [])},
+      {group: 'Applications', entries: walk(roots.filter(function(iter) {
+        return !(iter.process instanceof OSjs.Core.Service);
+      }), 1, [])}
+    ];
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // WINDOWS
   /////////////////////////////////////////////////////////////////////////////
@@ -38,11 +141,17 @@
     Window.apply(this, ['ApplicationProcessViewerWindow', {
       icon: metadata.icon,
       title: metadata.name,
-      width: 400,
-      height: 300
+      width: 640,
+      height: 360
     }, app, scheme]);
 
     this.interval = null;
+    this.sortBy = 'Pid';
+    this.descending = false;
+    this.treeView = true;
+    this.currentTab = 0;
+    this.serverBusy = false;
+    this.lastOrder = null;
   }
 
   ApplicationProcessViewerWindow.prototype = Object.create(Window.prototype);
@@ -57,47 +166,53 @@
 
     var view = scheme.find(this, 'View');
 
-    function update() {
-      var now = new Date();
-      var rows = [];
-      API.getProcesses().forEach(function(p) {
-        if ( p ) {
-          var alive = now - p.__started;
-          var iter = {
-            value: p.__pid,
-            id: p.__pid,
-            columns: [
-              {label: p.__pname},
-              {label: p.__pid.toString(), textalign: 'right'},
-              {label: alive.toString(), textalign: 'right'}
-            ]
-          };
-
-          rows.push(iter);
-        }
-      });
-
-      view.patch(rows);
-    }
-
     view.set('columns', [
       {label: 'Name'},
-      {label: 'PID', size: '60px', textalign: 'right'},
-      {label: 'Alive', size: '60px', textalign: 'right'}
+      {label: 'PID', size: '50px', textalign: 'right'},
+      {label: 'Windows', size: '65px', textalign: 'right'},
+      {label: 'Pending', size: '60px', textalign: 'right'},
+      {label: 'Requests', size: '65px', textalign: 'right'},
+      {label: 'Transferred', size: '80px', textalign: 'right'},
+      {label: 'Listeners', size: '65px', textalign: 'right'},
+      {label: 'Uptime', size: '80px', textalign: 'right'}
     ]);
 
     scheme.find(this, 'ButtonKill').on('click', function() {
       var selected = view.get('selected');
-      if ( selected && selected[0] && typeof selected[0].data !== 'undefined' ) {
+      if ( selected && selected[0] && typeof selected[0].data === 'number' ) {
         API.kill(selected[0].data);
       }
     });
 
+    scheme.find(this, 'Tabs').on('change', function(ev) {
+      self.currentTab = ev.detail.index;
+      self.update();
+    });
+
+    function menuEvent(ev) {
+      var id = ev.detail.id;
+      if ( id === 'MenuTree' ) {
+        self.treeView = !self.treeView;
+      } else if ( id === 'MenuDescending' ) {
+        self.descending = !self.descending;
+      } else if ( SORTERS[String(id).replace(/^MenuSort/, '')] ) {
+        self.sortBy = String(id).replace(/^MenuSort/, '');
+      } else {
+        return;
+      }
+      self.updateMenu();
+      self.update();
+    }
+
+    scheme.find(this, 'SubmenuView').on('select', menuEvent);
+    scheme.find(this, 'SubmenuSort').on('select', menuEvent);
+
     this.interval = setInterval(function() {
-      update();
+      self.update();
     }, 1000);
 
-    update();
+    this.updateMenu();
+    this.update();
 
     return root;
   };
@@ -107,6 +222,162 @@
     this.interval = clearInterval(this.interval);
   };
 
+  ApplicationProcessViewerWindow.prototype.updateMenu = function() {
+    var viewMenu = this._find('SubmenuView');
+    var sortMenu = this._find('SubmenuSort');
+    var sortBy = this.sortBy;
+
+    viewMenu.set('checked', 'MenuTree', this.treeView);
+    viewMenu.set('checked', 'MenuDescending', this.descending);
+
+    Object.keys(SORTERS).forEach(function(k) {
+      sortMenu.set('checked', 'MenuSort' + k, k === sortBy);
+    });
+  };
+
+  ApplicationProcessViewerWindow.prototype.update = function() {
+    if ( this._destroyed ) {
+      return;
+    }
+
+    this.updateProcesses();
+    this.updateStatusbar();
+
+    if ( this.currentTab === 1 ) {
+      this.updateServer();
+    }
+  };
+
+  ApplicationProcessViewerWindow.prototype.updateProcesses = function() {
+    var view = this._find('View');
+    var sorter = SORTERS[this.sortBy];
+    var direction = this.descending ? -1 : 1;
+
+    var list = API.getProcesses().filter(function(p) {
+      return !!p;
+    }).map(function(p) {
+      return {process: p, usage: p._getResourceUsage(), depth: 0};
+    });
+
+    function compare(a, b) {
+      var va = sorter(a.process, a.usage);
+      var vb = sorter(b.process, b.usage);
+      return (va < vb ? -1 : (va > vb ? 1 : 0)) * direction;
+    }
+
+    function createRow(iter) {
+      var p = iter.process;
+      var u = iter.usage;
+      var indent = new Array(iter.depth).join('\u00a0\u00a0\u00a0\u00a0');
+
+      return {
+        value: p.__pid,
+        id: p.__pid,
+        columns: [
+          {label: indent + (p.__label || p.__pname), icon: API.getIcon(p.__metadata.icon, '16x16', p)},
+          {label: String(p.__pid), textalign: 'right'},
+          {label: String(u.windows), textalign: 'right'},
+          {label: String(u.pending), textalign: 'right'},
+          {label: String(u.requests), textalign: 'right'},
+          {label: Utils.humanFileSize(u.sent + u.received), textalign: 'right'},
+          {label: String(u.listeners), textalign: 'right'},
+          {label: formatUptime(u.uptime), textalign: 'right'}
+        ]
+      };
+    }
+
+    var rows = [];
+    if ( this.treeView ) {
+      createTree(list, compare).forEach(function(g) {
+        rows.push({
+          value: null,
+          id: 'group-' + g.group,
+          columns: [
+            {label: g.group + ' (' + String(g.entries.length) + ')'},
+            {label: ''}, {label: ''}, {label: ''}, {label: ''}, {label: ''}, {label: ''}, {label: ''}
+          ]
+        });
+
+        rows = rows.concat(g.entries.map(createRow));
+      });
+    } else {
+      rows = list.sort(compare).map(createRow);
+    }
+
+    // Patching keeps the rows in place, so rebuild the view if order changed
+    var order = rows.map(function(r) {
+      return r.id;
+    }).join(',');
+
+    if ( order === this.lastOrder ) {
+      view.patch(rows);
+    } else {
+      var selected = view.get('selected');
+      view.clear();
+      view.add(rows);
+
+      if ( selected && selected[0] && typeof selected[0].data === 'number' ) {
+        view.set('selected', String(selected[0].data));
+      }
+    }
+
+    this.lastOrder = order;
+  };
+
+  ApplicationProcessViewerWindow.prototype.updateStatusbar = function() {
+    var count = API.getProcesses().filter(function(p) {
+      return !!p;
+    }).length;
+
+    var heap = getHeapUsage();
+    var text = 'Processes: ' + String(count) + ' | JS heap: ' + (heap ?
+      Utils.humanFileSize(heap.used) + ' / ' + Utils.humanFileSize(heap.limit) :
+      'not available');
+
+    this._find('Statusbar').set('value', text);
+  };
+
+  ApplicationProcessViewerWindow.prototype.updateServer = function() {
+    var self = this;
+    if ( this.serverBusy ) {
+      return;
+    }
+
+    this.serverBusy = true;
+
+    API.call('status', {__loading: false}, function(error, result) {
+      self.serverBusy = false;
+      if ( self._destroyed ) {
+        return;
+      }
+
+      var rows = [];
+      if ( error ) {
+        rows.push(['Error', error]);
+      } else if ( result ) {
+        rows = [
+          ['Node.js', result.version + ' (' + result.platform + ')'],
+          ['Uptime', formatUptime(result.uptime * 1000)],
+          ['Memory (RSS)', Utils.humanFileSize(result.memory.rss)],
+          ['Heap used', Utils.humanFileSize(result.memory.heapUsed) + ' / ' + Utils.humanFileSize(result.memory.heapTotal)],
+          ['Active sessions', result.sessions === null ? '-' : String(result.sessions)],
+          ['Open WebSockets', String(result.websockets)]
+        ];
+      }
+
+      self._find('ServerView').patch(rows.map(function(r) {
+        return {
+          value: r[0],
+          id: r[0],
+          columns: [
+            {label: r[0]},
+            {label: r[1]}
+          ]
+        };
+      }));
+    });
+  };
+
   /////////////////////////////////////////////////////////////////////////////
   // APPLICATION
   /////////////////////////////////////////////////////////////////////////////
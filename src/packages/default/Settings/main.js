@@ -30,7 +30,7 @@
 (function(Application, Window, Utils, API, VFS, GUI) {
   'use strict';
 
-  var categories = ['theme', 'desktop', 'panel', 'user', 'fileview', 'search'];
+  var categories = ['theme', 'desktop', 'panel', 'user', 'fileview', 'search', 'permissions'];
 
   /////////////////////////////////////////////////////////////////////////////
   // WINDOWS
@@ -109,6 +109,7 @@
     this.category = category;
     this.settings = {};
     this.panelItems = [];
+    this.grants = null;
     this.watches = {};
 
     var self = this;
@@ -163,7 +164,7 @@
     }
 
     var found;
-    var indexes = ['TabsTheme', 'TabsDesktop', 'TabsPanel', 'TabsUser', 'TabsFileView', 'TabsSearch'];
+    var indexes = ['TabsTheme', 'TabsDesktop', 'TabsPanel', 'TabsUser', 'TabsFileView', 'TabsSearch', 'TabsPermissions'];
     if ( typeof idx === 'string' ) {
       idx = Math.max(0, categories.indexOf(idx));
     }
@@ -204,6 +205,7 @@
     this.initUserTab(wm, scheme, init);
     this.initFileViewTab(wm, scheme, init);
     this.initSearchTab(wm, scheme, init);
+    this.initPermissionsTab(wm, scheme, init);
   };
 
   /**
@@ -330,7 +332,8 @@
       var map = {
         DesktopMargin: 'Desktop Margin ({0}px)',
         CornerSnapping: 'Desktop Corner Snapping ({0}px)',
-        WindowSnapping: 'Window Snapping ({0}px)'
+        WindowSnapping: 'Window Snapping ({0}px)',
+        Workspaces: 'Workspaces ({0})'
       };
 
       var label = Utils.format(_(map[lbl]), value);
@@ -340,6 +343,7 @@
     var inputSnap = scheme.find(this, 'WindowSnapping');
     var inputCorner = scheme.find(this, 'CornerSnapping');
     var inputDesktop = scheme.find(this, 'DesktopMargin');
+    var inputWorkspaces = scheme.find(this, 'Workspaces');
 
     if ( init ) {
       inputDesktop.on('change', function(ev) {
@@ -351,18 +355,24 @@
       inputSnap.on('change', function(ev) {
         updateLabel('WindowSnapping', ev.detail);
       });
+      inputWorkspaces.on('change', function(ev) {
+        updateLabel('Workspaces', ev.detail);
+      });
     }
 
     scheme.find(this, 'EnableHotkeys').set('value', this.settings.enableHotkeys);
+    scheme.find(this, 'EnableEdgeSnapping').set('value', this.settings.windowEdgeSnap !== false);
     //scheme.find(this, 'EnableWindowSwitcher').set('value', this.settings.enableSwitcher);
 
     inputDesktop.set('value', this.settings.desktopMargin);
     inputCorner.set('value', this.settings.windowCornerSnap);
     inputSnap.set('value', this.settings.windowSnap);
+    inputWorkspaces.set('value', this.settings.workspaces || 1);
 
     updateLabel('DesktopMargin', this.settings.desktopMargin);
     updateLabel('CornerSnapping', this.settings.windowCornerSnap);
     updateLabel('WindowSnapping', this.settings.windowSnap);
+    updateLabel('Workspaces', this.settings.workspaces || 1);
 
     scheme.find(this, 'EnableIconView').set('value', this.settings.enableIconView);
     scheme.find(this, 'EnableIconViewInvert').set('value', this.settings.invertIconViewColor);
@@ -653,6 +663,76 @@
     scheme.find(this, 'SearchRemove').on('click', removeSelected);
   };
 
+  /**
+   * Permissions
+   */
+  ApplicationSettingsWindow.prototype.initPermissionsTab = function(wm, scheme, init) {
+    var self = this;
+    var pacman = OSjs.Core.getPackageManager();
+    var packages = pacman.getPackages(false);
+    var names = Object.keys(packages).filter(function(n) {
+      return (pacman.getCapabilities(n) || []).length > 0;
+    });
+
+    if ( !this.grants ) {
+      this.grants = {};
+      names.forEach(function(n) {
+        self.grants[n] = pacman.getGrants(n);
+      });
+    }
+
+    var select = scheme.find(this, 'PermissionPackage');
+    var view = scheme.find(this, 'PermissionGrants');
+
+    function renderGrants() {
+      var name = select.get('value');
+      var capabilities = (name ? pacman.getCapabilities(name) : null) || [];
+      var grants = self.grants[name] || {};
+
+      view.clear();
+      view.set('columns', [
+        {label: 'Allow', size: '40px'},
+        {label: 'Permission'}
+      ]);
+      view.add(capabilities.map(function(c) {
+        return {
+          value: c,
+          columns: [
+            {label: ''},
+            {label: pacman.getCapabilityLabel(c)}
+          ]
+        };
+      }));
+
+      view.$element.querySelectorAll('gui-list-view-body > gui-list-view-row').forEach(function(row) {
+        var capability = row.getAttribute('data-value');
+        scheme.create(self, 'gui-checkbox', {value: grants[capability] === true}, row.children[0]).on('change', function(ev) {
+          self.grants[name] = self.grants[name] || {};
+          self.grants[name][capability] = !!ev.detail;
+        });
+      });
+    }
+
+    if ( !init ) {
+      return;
+    }
+
+    select.add(names.map(function(n) {
+      return {label: packages[n].name || n, value: n};
+    }));
+    select.on('change', renderGrants);
+
+    scheme.find(this, 'PermissionReset').on('click', function() {
+      var name = select.get('value');
+      if ( name ) {
+        self.grants[name] = {};
+        renderGrants();
+      }
+    });
+
+    renderGrants();
+  };
+
   /**
    * Apply
    */
@@ -673,10 +753,12 @@
 
     // Desktop
     this.settings.enableHotkeys = scheme.find(this, 'EnableHotkeys').get('value');
+    this.settings.windowEdgeSnap = scheme.find(this, 'EnableEdgeSnapping').get('value');
     //this.settings.enableSwitcher = scheme.find(this, 'EnableWindowSwitcher').get('value');
     this.settings.desktopMargin = scheme.find(this, 'DesktopMargin').get('value');
     this.settings.windowCornerSnap = scheme.find(this, 'CornerSnapping').get('value');
     this.settings.windowSnap = scheme.find(this, 'WindowSnapping').get('value');
+    this.settings.workspaces = scheme.find(this, 'Workspaces').get('value');
     this.settings.enableIconView = scheme.find(this, 'EnableIconView').get('value');
     this.settings.invertIconViewColor = scheme.find(this, 'EnableIconViewInvert').get('value');
 
@@ -735,9 +817,17 @@
       paths: paths
     };
 
+    var pacman = OSjs.Core.getPackageManager();
+    var grants = this.grants || {};
+
     wm.applySettings(this.settings, false, function() {
       sm.instance('VFS').set(null, vfsSettings, false, false);
       sm.instance('SearchEngine').set(null, searchSettings, true, false);
+
+      Object.keys(grants).forEach(function(name) {
+        pacman.setGrants(name, Object.keys(grants[name]).length ? grants[name] : null, false);
+      });
+      sm.save('Packages');
     }, false);
   };
 
@@ -30,6 +30,529 @@
 (function(DefaultApplication, DefaultApplicationWindow, Application, Window, Utils, API, VFS, GUI) {
   'use strict';
 
+  var INDENT = '  ';
+  var HIGHLIGHT_MAX_LENGTH = 256 * 1024;
+
+  /////////////////////////////////////////////////////////////////////////////
+  // SYNTAX
+  /////////////////////////////////////////////////////////////////////////////
+
+  function words(list) {
+    return new RegExp('\\b(?:' + list.split(' ').join('|') + ')\\b');
+  }
+
+  var RE_BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/;
+  var RE_DQ_STRING = /"(?:\\.|[^"\\\n])*"/;
+  var RE_SQ_STRING = /'(?:\\.|[^'\\\n])*'/;
+  var RE_NUMBER = /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+
+  /**
+   * Language definitions.
+   *
+   * Each rule is a token class and an expression (without capture groups).
+   * When several rules match at the same position the first one wins.
+   */
+  var languages = {
+    javascript: {
+      label: 'JavaScript',
+      mimes: ['application/javascript', 'application/x-javascript', 'text/javascript'],
+      extensions: ['js'],
+      rules: [
+        ['comment', RE_BLOCK_COMMENT],
+        ['comment', /\/\/.*/],
+        ['string', RE_DQ_STRING],
+        ['string', RE_SQ_STRING],
+        ['string', /`(?:\\[\s\S]|[^`\\])*`/],
+        ['keyword', words('break case catch class const continue debugger default delete do else export extends finally for function if import in instanceof let new return super switch throw try typeof var void while with yield')],
+        ['literal', words('true false null undefined this NaN Infinity')],
+        ['number', RE_NUMBER]
+      ]
+    },
+
+    json: {
+      label: 'JSON',
+      mimes: ['application/json'],
+      extensions: ['json'],
+      rules: [
+        ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+        ['string', RE_DQ_STRING],
+        ['literal', words('true false null')],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+      ]
+    },
+
+    css: {
+      label: 'CSS',
+      mimes: ['text/css'],
+      extensions: ['css', 'less'],
+      rules: [
+        ['comment', RE_BLOCK_COMMENT],
+        ['string', RE_DQ_STRING],
+        ['string', RE_SQ_STRING],
+        ['keyword', /@[\w-]+|!important\b/],
+        ['property', /[\w-]+(?=\s*:[^;{}]*;)/],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|pt|deg|ms|s)?/]
+      ]
+    },
+
+    html: {
+      label: 'HTML/XML',
+      mimes: ['text/html', 'text/xml', 'application/xml'],
+      extensions: ['html', 'htm', 'xml'],
+      rules: [
+        ['comment', /<!--[\s\S]*?(?:-->|(?![\s\S]))/],
+        ['keyword', /<\/?[\w:-]+|\/?>/],
+        ['property', /[\w:-]+(?==["'])/],
+        ['string', /"[^"]*"|'[^']*'/],
+        ['literal', /&#?\w+;/]
+      ]
+    },
+
+    shell: {
+      label: 'Shell script',
+      mimes: ['application/x-shellscript', 'text/x-shellscript'],
+      extensions: ['sh', 'bash'],
+      rules: [
+        ['comment', /(?:^|\s)#.*/],
+        ['string', /"(?:\\.|[^"\\])*"/],
+        ['string', /'[^']*'/],
+        ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*])/],
+        ['keyword', words('if then else elif fi for while until do done case esac in function return export local readonly shift exit break continue source')],
+        ['number', /\b\d+\b/]
+      ]
+    },
+
+    markdown: {
+      label: 'Markdown',
+      mimes: ['text/markdown', 'text/x-markdown'],
+      extensions: ['md', 'markdown'],
+      rules: [
+        ['string', /^```[\s\S]*?(?:^```|(?![\s\S]))/],
+        ['keyword', /^#{1,6}\s.*/],
+        ['string', /`[^`\n]+`/],
+        ['strong', /\*\*[^*\n]+\*\*|__[^_\n]+__/],
+        ['emphasis', /\*[^*\n]+\*|\b_[^_\n]+_\b/],
+        ['link', /!?\[[^\]\n]*\]\([^)\n]*\)/],
+        ['literal', /^\s*(?:[-*+]|\d+\.)(?=\s)|^>.*/]
+      ]
+    }
+  };
+
+  function escapeHTML(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Finds the language by MIME type or file extension
+   */
+  function detectLanguage(file) {
+    if ( !file ) {
+      return null;
+    }
+
+    var ext = Utils.filext(file.filename || '').toLowerCase();
+    var found = null;
+
+    Object.keys(languages).some(function(k) {
+      var lang = languages[k];
+      if ( lang.mimes.indexOf(file.mime) >= 0 || lang.extensions.indexOf(ext) >= 0 ) {
+        found = k;
+      }
+      return !!found;
+    });
+
+    return found;
+  }
+
+  /**
+   * Returns the given text as HTML with a span around each token
+   */
+  function highlight(text, name) {
+    var lang = languages[name];
+    if ( !lang.pattern ) {
+      lang.pattern = new RegExp(lang.rules.map(function(r) {
+        return '(' + r[1].source + ')';
+      }).join('|'), 'gm');
+    }
+
+    var re = lang.pattern;
+    var html = '';
+    var last = 0;
+    var match;
+
+    re.lastIndex = 0;
+    while ( (match = re.exec(text)) !== null ) {
+      if ( !match[0].length ) {
+        re.lastIndex++;
+        continue;
+      }
+
+      var group = 1;
+      while ( match[group] === undefined ) {
+        group++;
+      }
+
+      html += escapeHTML(text.substring(last, match.index));
+      html += '<span class="TextpadToken-' + lang.rules[group - 1][0] + '">' + escapeHTML(match[0]) + '</span>';
+      last = re.lastIndex;
+    }
+
+    return html + escapeHTML(text.substring(last));
+  }
+
+  /**
+   * Creates the expression used by find/replace. Throws on invalid patterns.
+   */
+  function createSearchPattern(search, single) {
+    var source = search.regex ? search.query : search.query.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+    return new RegExp(source, (single ? '' : 'g') + 'm' + (search.matchCase ? '' : 'i'));
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EDITOR
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Adds code editing to a `gui-textarea`.
+   *
+   * The text is highlighted in a layer behind the (transparent) textarea,
+   * so the value is always the plain text.
+   */
+  function TextpadEditor(el) {
+    var self = this;
+
+    this.$container = el;
+    this.$textarea = el.querySelector('textarea');
+    this.$gutter = document.createElement('div');
+    this.$gutter.className = 'TextpadGutter';
+    this.$highlight = document.createElement('pre');
+    this.$highlight.className = 'TextpadHighlight';
+
+    el.insertBefore(this.$highlight, this.$textarea);
+    el.insertBefore(this.$gutter, this.$highlight);
+
+    this.language = null;
+    this.lineCount = -1;
+    this.options = {
+      codeMode: true,
+      lineNumbers: true,
+      autoIndent: true
+    };
+
+    Utils.$bind(this.$textarea, 'input', function() {
+      self.update();
+    });
+    Utils.$bind(this.$textarea, 'scroll', function() {
+      self.syncScroll();
+    });
+  }
+
+  TextpadEditor.prototype.setOptions = function(options) {
+    var self = this;
+    Object.keys(options).forEach(function(k) {
+      self.options[k] = !!options[k];
+    });
+
+    var el = this.$container;
+    Utils.$removeClass(el, 'TextpadCode');
+    Utils.$removeClass(el, 'TextpadLineNumbers');
+    if ( this.options.codeMode ) {
+      Utils.$addClass(el, 'TextpadCode');
+      if ( this.options.lineNumbers ) {
+        Utils.$addClass(el, 'TextpadLineNumbers');
+      }
+    }
+
+    this.$textarea.setAttribute('wrap', this.options.codeMode ? 'off' : 'soft');
+    this.$textarea.setAttribute('spellcheck', this.options.codeMode ? 'false' : 'true');
+    this.lineCount = -1;
+    this.update();
+  };
+
+  TextpadEditor.prototype.setLanguage = function(name) {
+    this.language = languages[name] ? name : null;
+    this.update();
+  };
+
+  /**
+   * Renders line numbers and highlighting
+   */
+  TextpadEditor.prototype.update = function() {
+    if ( !this.options.codeMode ) {
+      this.$highlight.innerHTML = '';
+      return;
+    }
+
+    var text = this.$textarea.value;
+    var plain = !this.language || text.length > HIGHLIGHT_MAX_LENGTH;
+
+    if ( this.options.lineNumbers ) {
+      var count = text.split('\n').length;
+      if ( count !== this.lineCount ) {
+        var lines = [];
+        for ( var i = 1; i <= count; i++ ) {
+          lines.push(i);
+        }
+        this.$gutter.textContent = lines.join('\n');
+        this.lineCount = count;
+      }
+    }
+
+    if ( plain ) {
+      Utils.$addClass(this.$container, 'TextpadPlain');
+    } else {
+      Utils.$removeClass(this.$container, 'TextpadPlain');
+    }
+
+    // The trailing newline makes sure an empty last line gets a height
+    this.$highlight.innerHTML = plain ? '' : highlight(text, this.language) + '\n';
+    this.syncScroll();
+  };
+
+  TextpadEditor.prototype.syncScroll = function() {
+    this.$highlight.scrollTop = this.$textarea.scrollTop;
+    this.$highlight.scrollLeft = this.$textarea.scrollLeft;
+    this.$gutter.scrollTop = this.$textarea.scrollTop;
+  };
+
+  /**
+   * Handles indentation keys. Returns true if the event was handled.
+   */
+  TextpadEditor.prototype.onKeyDown = function(ev) {
+    if ( !this.options.codeMode || ev.ctrlKey || ev.altKey || ev.metaKey ) {
+      return false;
+    }
+
+    if ( ev.keyCode === Utils.Keys.TAB && !ev.shiftKey ) {
+      this.insert(INDENT);
+      return true;
+    }
+
+    if ( ev.keyCode === Utils.Keys.ENTER && this.options.autoIndent ) {
+      var value = this.$textarea.value;
+      var pos = this.$textarea.selectionStart;
+      var line = value.substring(value.lastIndexOf('\n', pos - 1) + 1, pos);
+      var indent = line.match(/^[ \t]*/)[0];
+      if ( line.match(/[{[(]\s*$/) ) {
+        indent += INDENT;
+      }
+
+      this.insert('\n' + indent);
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Replaces the selection with given text. Uses the browser editing
+   * commands when possible so the change can be undone.
+   */
+  TextpadEditor.prototype.insert = function(text) {
+    var ta = this.$textarea;
+    var inserted = false;
+
+    ta.focus();
+    try {
+      inserted = document.execCommand('insertText', false, text);
+    } catch ( e ) {}
+
+    if ( !inserted ) {
+      var start = ta.selectionStart;
+      ta.value = ta.value.substring(0, start) + text + ta.value.substring(ta.selectionEnd);
+      ta.selectionStart = ta.selectionEnd = start + text.length;
+      this.update();
+    }
+  };
+
+  TextpadEditor.prototype.select = function(start, end) {
+    var ta = this.$textarea;
+    ta.focus();
+    ta.setSelectionRange(start, end);
+
+    // Scroll the selection into view
+    var line = ta.value.substring(0, start).split('\n').length - 1;
+    var lineHeight = parseFloat(window.getComputedStyle(ta).lineHeight) || 16;
+    var top = line * lineHeight;
+    if ( top < ta.scrollTop || top > ta.scrollTop + ta.clientHeight - lineHeight ) {
+      ta.scrollTop = Math.max(0, top - ta.clientHeight / 2);
+    }
+    this.syncScroll();
+  };
+
+  /**
+   * Gets the cursor position as 1-based line and column
+   */
+  TextpadEditor.prototype.getCursor = function() {
+    var value = this.$textarea.value;
+    var pos = this.$textarea.selectionStart;
+    return {
+      line: value.substring(0, pos).split('\n').length,
+      column: pos - value.lastIndexOf('\n', pos - 1)
+    };
+  };
+
+  TextpadEditor.prototype.goToLine = function(line) {
+    var lines = this.$textarea.value.split('\n');
+    line = Math.max(1, Math.min(line, lines.length));
+
+    var pos = 0;
+    for ( var i = 0; i < line - 1; i++ ) {
+      pos += lines[i].length + 1;
+    }
+    this.select(pos, pos);
+  };
+
+  /**
+   * Selects the next match after the cursor, wrapping around.
+   * Returns false if there are no matches.
+   */
+  TextpadEditor.prototype.find = function(search) {
+    var re = createSearchPattern(search);
+    var value = this.$textarea.value;
+
+    function next(from) {
+      var match;
+      re.lastIndex = from;
+      while ( (match = re.exec(value)) !== null ) {
+        if ( match[0].length ) {
+          return match;
+        }
+        re.lastIndex++;
+      }
+      return null;
+    }
+
+    var found = next(this.$textarea.selectionEnd) || next(0);
+    if ( found ) {
+      this.select(found.index, found.index + found[0].length);
+    }
+    return !!found;
+  };
+
+  /**
+   * Replaces the selection if it is a match, then selects the next match
+   */
+  TextpadEditor.prototype.replace = function(search) {
+    var re = createSearchPattern(search);
+    var ta = this.$textarea;
+    var start = ta.selectionStart;
+    var end = ta.selectionEnd;
+
+    re.lastIndex = start;
+    var match = re.exec(ta.value);
+    if ( match && match.index === start && match[0].length === end - start && end > start ) {
+      this.insert(match[0].replace(createSearchPattern(search, true), search.replace));
+    }
+
+    return this.find(search);
+  };
+
+  /**
+   * Replaces all matches. Returns the number of replacements.
+   */
+  TextpadEditor.prototype.replaceAll = function(search) {
+    var re = createSearchPattern(search);
+    var value = this.$textarea.value;
+    var count = (value.match(re) || []).length;
+
+    if ( count ) {
+      this.$textarea.select();
+      this.insert(value.replace(re, search.replace));
+      this.select(0, 0);
+    }
+
+    return count;
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // DIALOGS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function FindWindow(app, metadata, scheme, win) {
+    Window.apply(this, ['ApplicationTextpadFindWindow', {
+      icon: metadata.icon,
+      title: API._('Find and replace'),
+      width: 360,
+      height: 280,
+      allow_maximize: false,
+      allow_minimize: false
+    }, app, scheme]);
+
+    this.editorWindow = win;
+  }
+
+  FindWindow.prototype = Object.create(Window.prototype);
+  FindWindow.constructor = Window.prototype;
+
+  FindWindow.prototype.init = function(wm, app, scheme) {
+    var root = Window.prototype.init.apply(this, arguments);
+    var self = this;
+    var search = this.editorWindow.lastSearch;
+
+    scheme.render(this, 'FindWindow', root);
+
+    var status = scheme.find(this, 'FindStatus');
+
+    function getSearch() {
+      return {
+        query: scheme.find(self, 'FindQuery').get('value'),
+        replace: scheme.find(self, 'FindReplace').get('value'),
+        regex: scheme.find(self, 'FindRegex').get('value'),
+        matchCase: scheme.find(self, 'FindMatchCase').get('value')
+      };
+    }
+
+    function run(method) {
+      var win = self.editorWindow;
+      if ( win._destroyed ) {
+        self._close();
+        return;
+      }
+      status.set('value', win[method](getSearch()));
+    }
+
+    scheme.find(this, 'FindQuery').set('value', search.query).on('enter', function() {
+      run('findNext');
+    });
+    scheme.find(this, 'FindReplace').set('value', search.replace);
+    scheme.find(this, 'FindRegex').set('value', search.regex);
+    scheme.find(this, 'FindMatchCase').set('value', search.matchCase);
+
+    scheme.find(this, 'ButtonFind').on('click', function() {
+      run('findNext');
+    });
+    scheme.find(this, 'ButtonReplace').on('click', function() {
+      run('replaceNext');
+    });
+    scheme.find(this, 'ButtonReplaceAll').on('click', function() {
+      run('replaceAll');
+    });
+    scheme.find(this, 'ButtonClose').on('click', function() {
+      self._close();
+    });
+
+    return root;
+  };
+
+  FindWindow.prototype._focus = function() {
+    if ( Window.prototype._focus.apply(this, arguments) ) {
+      if ( this._scheme ) {
+        var input = this._scheme.find(this, 'FindQuery').$element.querySelector('input');
+        if ( input ) {
+          input.focus();
+        }
+      }
+      return true;
+    }
+    return false;
+  };
+
+  FindWindow.prototype.destroy = function() {
+    this.editorWindow = null;
+    return Window.prototype.destroy.apply(this, arguments);
+  };
+
   /////////////////////////////////////////////////////////////////////////////
   // WINDOWS
   /////////////////////////////////////////////////////////////////////////////
@@ -42,6 +565,14 @@
       width: 450,
       height: 300
     }, app, scheme, file]);
+
+    this.editor = null;
+    this.lastSearch = {
+      query: '',
+      replace: '',
+      regex: false,
+      matchCase: false
+    };
   }
 
   ApplicationTextpadWindow.prototype = Object.create(DefaultApplicationWindow.prototype);
@@ -53,16 +584,102 @@
 
     // Load and set up scheme (GUI) here
     scheme.render(this, 'TextpadWindow', root);
-    scheme.find(this, 'Text').on('change', function() {
+
+    var text = scheme.find(this, 'Text');
+    text.on('change', function() {
+      self.hasChanged = true;
+    });
+
+    this.editor = new TextpadEditor(text.$element);
+
+    Utils.$bind(this.editor.$textarea, 'input', function() {
       self.hasChanged = true;
     });
+    ['keyup', 'mouseup'].forEach(function(evName) {
+      Utils.$bind(self.editor.$textarea, evName, function() {
+        self.updateStatusbar();
+      });
+    });
+
+    var menuMap = {
+      MenuFind: function() {
+        self.openFindDialog();
+      },
+      MenuFindNext: function() {
+        self.findNext();
+      },
+      MenuGoToLine: function() {
+        self.openGoToLineDialog();
+      },
+      MenuCodeMode: function() {
+        self.toggleOption('codeMode');
+      },
+      MenuLineNumbers: function() {
+        self.toggleOption('lineNumbers');
+      },
+      MenuAutoIndent: function() {
+        self.toggleOption('autoIndent');
+      }
+    };
+
+    function menuEvent(ev) {
+      var id = ev.detail.id;
+      if ( menuMap[id] ) {
+        menuMap[id]();
+      } else if ( id.indexOf('MenuSyntax') === 0 ) {
+        self.setLanguage(id.replace(/^MenuSyntax/, '').toLowerCase() || null);
+      }
+    }
+
+    scheme.find(this, 'SubmenuEdit').on('select', menuEvent);
+    scheme.find(this, 'SubmenuView').on('select', menuEvent);
+    scheme.find(this, 'SubmenuSyntax').on('select', menuEvent);
+
+    this.editor.setOptions({
+      codeMode: app._getSetting('codeMode') !== false,
+      lineNumbers: app._getSetting('lineNumbers') !== false,
+      autoIndent: app._getSetting('autoIndent') !== false
+    });
+
+    this.updateMenuState();
 
     return root;
   };
 
+  ApplicationTextpadWindow.prototype.destroy = function() {
+    this.editor = null;
+    return DefaultApplicationWindow.prototype.destroy.apply(this, arguments);
+  };
+
+  ApplicationTextpadWindow.prototype._onKeyEvent = function(ev, type, shortcut) {
+    if ( type === 'keydown' && this.editor ) {
+      var handled = true;
+
+      if ( ev.ctrlKey && ev.keyCode === 70 ) { // F
+        this.openFindDialog();
+      } else if ( ev.ctrlKey && ev.keyCode === 71 ) { // G
+        this.openGoToLineDialog();
+      } else if ( ev.keyCode === Utils.Keys.F3 ) {
+        this.findNext();
+      } else if ( ev.target === this.editor.$textarea ) {
+        handled = this.editor.onKeyDown(ev);
+      } else {
+        handled = false;
+      }
+
+      if ( handled ) {
+        ev.preventDefault();
+        return false;
+      }
+    }
+
+    return DefaultApplicationWindow.prototype._onKeyEvent.apply(this, arguments);
+  };
+
   ApplicationTextpadWindow.prototype.updateFile = function(file) {
     DefaultApplicationWindow.prototype.updateFile.apply(this, arguments);
-    this._scheme.find(this, 'Text').$element.focus();
+    this.setLanguage(detectLanguage(file));
+    this._scheme.find(this, 'Text').$element.querySelector('textarea').focus();
   };
 
   ApplicationTextpadWindow.prototype.showFile = function(file, content) {
@@ -87,6 +704,134 @@
     return false;
   };
 
+  ApplicationTextpadWindow.prototype.setLanguage = function(name) {
+    this.editor.setLanguage(name);
+    this.updateMenuState();
+    this.updateStatusbar();
+  };
+
+  ApplicationTextpadWindow.prototype.toggleOption = function(key) {
+    var value = !this.editor.options[key];
+    var opts = {};
+    opts[key] = value;
+
+    this.editor.setOptions(opts);
+    this._app._setSetting(key, value, true);
+    this.updateMenuState();
+  };
+
+  ApplicationTextpadWindow.prototype.updateMenuState = function() {
+    var scheme = this._scheme;
+    var opts = this.editor.options;
+    var language = this.editor.language;
+
+    var viewMenu = scheme.find(this, 'SubmenuView');
+    viewMenu.set('checked', 'MenuCodeMode', opts.codeMode);
+    viewMenu.set('checked', 'MenuLineNumbers', opts.lineNumbers);
+    viewMenu.set('checked', 'MenuAutoIndent', opts.autoIndent);
+
+    var syntaxMenu = scheme.find(this, 'SubmenuSyntax');
+    syntaxMenu.set('checked', 'MenuSyntax', !language);
+    Object.keys(languages).forEach(function(k) {
+      syntaxMenu.set('checked', 'MenuSyntax' + k.charAt(0).toUpperCase() + k.substr(1), language === k);
+    });
+  };
+
+  ApplicationTextpadWindow.prototype.updateStatusbar = function() {
+    if ( !this.editor ) {
+      return;
+    }
+
+    var cursor = this.editor.getCursor();
+    var lang = languages[this.editor.language];
+    var text = Utils.format('Ln {0}, Col {1}', cursor.line, cursor.column);
+
+    this._scheme.find(this, 'Statusbar').set('value', text + ' - ' + (lang ? lang.label : API._('Plain text')));
+  };
+
+  //
+  // Search
+  //
+
+  ApplicationTextpadWindow.prototype.openFindDialog = function() {
+    var app = this._app;
+    var found = app._getWindowByName('ApplicationTextpadFindWindow');
+    if ( found ) {
+      found._focus();
+      return;
+    }
+
+    app._addWindow(new FindWindow(app, app.__metadata, this._scheme, this));
+  };
+
+  ApplicationTextpadWindow.prototype.openGoToLineDialog = function() {
+    var self = this;
+
+    this._toggleDisabled(true);
+    API.createDialog('Input', {
+      message: API._('Go to line'),
+      value: String(this.editor.getCursor().line)
+    }, function(ev, button, result) {
+      self._toggleDisabled(false);
+
+      var line = parseInt(result, 10);
+      if ( button === 'ok' && !isNaN(line) ) {
+        self.editor.goToLine(line);
+        self.updateStatusbar();
+      }
+    }, this);
+  };
+
+  /**
+   * Runs a search method of the editor and returns a status message.
+   * The search is remembered for "Find next".
+   */
+  ApplicationTextpadWindow.prototype._search = function(search, fn) {
+    search = search || this.lastSearch;
+    if ( !search.query ) {
+      return '';
+    }
+
+    this.lastSearch = search;
+
+    try {
+      var result = fn.call(this, search);
+      this.updateStatusbar();
+      return result;
+    } catch ( e ) {
+      return API._('Invalid regular expression: {0}', e.message);
+    }
+  };
+
+  ApplicationTextpadWindow.prototype.findNext = function(search) {
+    if ( !search && !this.lastSearch.query ) {
+      this.openFindDialog();
+      return '';
+    }
+
+    return this._search(search, function(s) {
+      return this.editor.find(s) ? '' : API._('No matches found');
+    });
+  };
+
+  ApplicationTextpadWindow.prototype.replaceNext = function(search) {
+    return this._search(search, function(s) {
+      var found = this.editor.replace(s);
+      this.hasChanged = true;
+      return found ? '' : API._('No matches found');
+    });
+  };
+
+  ApplicationTextpadWindow.prototype.replaceAll = function(search) {
+    return this._search(search, function(s) {
+      var count = this.editor.replaceAll(s);
+      if ( count ) {
+        this.hasChanged = true;
+      }
+      return API._('Replaced {0} occurrence(s)', count);
+    });
+  };
+
   /////////////////////////////////////////////////////////////////////////////
   // APPLICATION
   /////////////////////////////////////////////////////////////////////////////
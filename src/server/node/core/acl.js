@@ -0,0 +1,264 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path) {
+  'use strict';
+
+  /**
+   * Access control lists for paths inside mountpoints.
+   *
+   * <pre><code>
+   * Rules are configured in `vfs.acl` per mountpoint and path. Each rule
+   * lists who is granted `read`, `write` and/or `delete`:
+   *
+   *   "acl": {
+   *     "shared": {
+   *       "/": {"read": ["*"], "write": ["@staff"], "delete": []},
+   *       "/drop": {"write": ["*"]},
+   *       "/private": {"read": ["anders"], "write": ["anders"], "delete": ["anders"]}
+   *     }
+   *   }
+   *
+   * `*` means everyone, `@name` is a group and anything else a username.
+   * For each permission the most specific rule that mentions it wins, so
+   * rules inherit whatever they do not set. Paths without any matching rule,
+   * and mountpoints without rules, are not restricted. Members of the
+   * `admin` group are always allowed.
+   *
+   * Copying, moving and deleting is refused when a rule below the path
+   * denies the permission the operation needs.
+   * </code></pre>
+   *
+   * @namespace ACL
+   */
+
+  var PERMISSIONS = ['read', 'write', 'delete'];
+
+  /*
+   * What permission each VFS method needs on which argument.
+   * Unknown methods require `read` on the given path.
+   */
+  var METHODS = {
+    read: {path: 'read'},
+    scandir: {path: 'read'},
+    exists: {path: 'read'},
+    fileinfo: {path: 'read'},
+    find: {path: 'read'},
+    watch: {path: 'read'},
+    unwatch: {},
+    freeSpace: {root: 'read'},
+    permissions: {},
+    archiveScandir: {path: 'read'},
+    archiveRead: {path: 'read'},
+    archiveCreate: {path: 'write'},
+    write: {path: 'write'},
+    mkdir: {path: 'write'},
+    upload: {path: 'write'},
+    uploadStart: {path: 'write'},
+    uploadChunk: {path: 'write'},
+    uploadFinish: {path: 'write'},
+    uploadAbort: {path: 'write'},
+    untrash: {path: 'write'},
+    delete: {path: 'delete'},
+    trash: {path: 'delete'},
+    emptyTrash: {path: 'delete'},
+    copy: {src: 'read', dest: 'write'},
+    move: {src: 'delete', dest: 'write'}
+  };
+
+  /*
+   * Methods that work on everything below the given paths. These are
+   * refused if a more specific rule further down denies the permission.
+   */
+  var RECURSIVE = ['copy', 'move', 'delete', 'trash', 'emptyTrash', 'untrash'];
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Normalizes a path inside a mountpoint (always starts with a slash)
+   */
+  function normalizePath(path) {
+    var result = _path.posix.normalize('/' + String(path || '')).replace(/\/+$/, '');
+    return result || '/';
+  }
+
+  /**
+   * Splits a virtual path into mountpoint name and path
+   */
+  function parsePath(path) {
+    var m = String(path || '').match(/^(\w+)\:\/\/(.*)$/);
+    return m ? {mount: m[1], path: normalizePath(m[2])} : null;
+  }
+
+  /**
+   * Checks if a rule path applies to given path
+   */
+  function isParent(parent, path) {
+    return parent === '/' || parent === path || path.substr(0, parent.length + 1) === parent + '/';
+  }
+
+  /**
+   * Checks if user matches any of the principals
+   */
+  function isGranted(principals, username, groups) {
+    return (principals || []).some(function(p) {
+      if ( p === '*' || p === username ) {
+        return true;
+      }
+      return p.charAt(0) === '@' && groups.indexOf(p.substr(1)) !== -1;
+    });
+  }
+
+  /**
+   * Finds a path below given path where a rule denies the permission
+   */
+  function findDeniedBelow(server, path, permission) {
+    var parsed = parsePath(path);
+    var rules = parsed ? ((server.config.vfs || {}).acl || {})[parsed.mount] : null;
+    var found = null;
+
+    Object.keys(rules || {}).forEach(function(key) {
+      var rulePath = normalizePath(key);
+      if ( !found && rules[key][permission] && rulePath !== parsed.path && isParent(parsed.path, rulePath) ) {
+        var subPath = parsed.mount + '://' + rulePath;
+        if ( !module.exports.isAllowed(server, subPath, permission) ) {
+          found = subPath;
+        }
+      }
+    });
+
+    return found;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the permissions of active user for given path
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        path            Virtual path
+   *
+   * @return  {Object} With `read`, `write` and `delete` booleans
+   *
+   * @function getPermissions
+   * @memberof ACL
+   */
+  module.exports.getPermissions = function(server, path) {
+    var result = {read: true, write: true, delete: true};
+    var parsed = parsePath(path);
+    var rules = parsed ? ((server.config.vfs || {}).acl || {})[parsed.mount] : null;
+
+    if ( !rules || !Object.keys(rules).length ) {
+      return result;
+    }
+
+    var username = server.handler.getUserName(server);
+    var groups = server.handler.getUserGroups(server) || [];
+    if ( groups.indexOf('admin') !== -1 ) {
+      return result;
+    }
+
+    PERMISSIONS.forEach(function(perm) {
+      var found = null;
+
+      Object.keys(rules).forEach(function(key) {
+        var rulePath = normalizePath(key);
+        if ( rules[key][perm] && isParent(rulePath, parsed.path) ) {
+          if ( !found || rulePath.length > found.path.length ) {
+            found = {path: rulePath, principals: rules[key][perm]};
+          }
+        }
+      });
+
+      if ( found ) {
+        result[perm] = isGranted(found.principals, username, groups);
+      }
+    });
+
+    return result;
+  };
+
+  /**
+   * Checks if active user has given permission on a path
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        path            Virtual path
+   * @param   {String}        permission      Permission (read/write/delete)
+   *
+   * @return  {Boolean}
+   *
+   * @function isAllowed
+   * @memberof ACL
+   */
+  module.exports.isAllowed = function(server, path, permission) {
+    return module.exports.getPermissions(server, path)[permission] === true;
+  };
+
+  /**
+   * Checks if active user is allowed to perform a VFS method
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        method          VFS method name
+   * @param   {Object}        args            VFS method arguments
+   * @param   {Function}      cb              Callback => fn(error)
+   *
+   * @function check
+   * @memberof ACL
+   */
+  module.exports.check = function(server, method, args, cb) {
+    var map = METHODS[method] || {path: 'read'};
+    var recursive = RECURSIVE.indexOf(method) !== -1;
+    var denied = null;
+
+    Object.keys(map).forEach(function(key) {
+      var path = (args || {})[key];
+      if ( denied || typeof path !== 'string' ) {
+        return;
+      }
+
+      if ( !module.exports.isAllowed(server, path, map[key]) ) {
+        denied = 'You do not have ' + map[key] + ' permission on ' + path;
+      } else if ( recursive ) {
+        var below = findDeniedBelow(server, path, map[key]);
+        if ( below ) {
+          denied = 'You do not have ' + map[key] + ' permission on ' + below;
+        }
+      }
+    });
+
+    cb(denied ? 'Access denied: ' + denied : false);
+  };
+
+})(
+  require('path')
+);
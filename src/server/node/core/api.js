@@ -27,13 +27,42 @@
  * @author  Anders Evenrud <andersevenrud@gmail.com>
  * @licence Simplified BSD License
  */
-(function(_path, _fs) {
+(function(_path, _fs, _search, _acl, _sessions, _curl, _packages) {
   'use strict';
 
   /**
    * @namespace API
    */
 
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the user whose sessions are managed. Only administrators can give
+   * another username.
+   */
+  function getSessionUser(server, args, cb) {
+    server.handler.checkAPIPrivilege(server, null, function(err) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var username = server.handler.getUserName(server);
+      if ( args.username && args.username !== username ) {
+        var groups = server.handler.getUserGroups(server) || [];
+        if ( groups.indexOf('admin') === -1 ) {
+          cb('You are not allowed to manage the sessions of other users');
+          return;
+        }
+        username = args.username;
+      }
+
+      cb(false, username);
+    });
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // DEFAULT API METHODS
   /////////////////////////////////////////////////////////////////////////////
@@ -84,6 +113,107 @@
     callback('No handler assigned', {});
   };
 
+  /**
+   * Session listing API Call
+   *
+   * <pre><code>
+   * Lists the active sessions of the user. Each entry has an `id` handle
+   * (not the session ID itself), `created`, `accessed` and `expires` dates
+   * and a `current` flag.
+   * </code></pre>
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {String}    [args.username]  Username (administrators only)
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function sessions
+   * @memberof API
+   */
+  module.exports.sessions = function(server, args, callback) {
+    getSessionUser(server, args, function(err, username) {
+      if ( err ) {
+        callback(err);
+        return;
+      }
+
+      _sessions.list(username, server.request.session.id, callback);
+    });
+  };
+
+  /**
+   * Session revoking API Call
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {String}    [args.id]        Session handle from `sessions`
+   * @param   {Boolean}   [args.all]       Revoke all sessions except the current one
+   * @param   {String}    [args.username]  Username (administrators only)
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function revokeSession
+   * @memberof API
+   */
+  module.exports.revokeSession = function(server, args, callback) {
+    getSessionUser(server, args, function(err, username) {
+      if ( err ) {
+        callback(err);
+        return;
+      }
+
+      if ( args.all ) {
+        _sessions.revoke(username, null, server.request.session.id, callback);
+      } else if ( args.id ) {
+        _sessions.revoke(username, String(args.id), null, callback);
+      } else {
+        callback('No session given');
+      }
+    });
+  };
+
+  /**
+   * Server status API Call
+   *
+   * <pre><code>
+   * Reports the resource usage of the server process. Gives an object like:
+   *
+   *   {
+   *     version: 'v4.4.7',
+   *     platform: 'linux',
+   *     uptime: 3600,                       (seconds)
+   *     memory: {rss, heapTotal, heapUsed}, (bytes)
+   *     sessions: 2,                        (active sessions of all users)
+   *     websockets: 1                       (open WebSocket connections)
+   *   }
+   * </code></pre>
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function status
+   * @memberof API
+   */
+  module.exports.status = function(server, args, callback) {
+    _sessions.count(function(err, count) {
+      var memory = process.memoryUsage();
+      var instance = server.handler.instance || {};
+
+      callback(false, {
+        version: process.version,
+        platform: process.platform,
+        uptime: Math.round(process.uptime()),
+        memory: {
+          rss: memory.rss,
+          heapTotal: memory.heapTotal,
+          heapUsed: memory.heapUsed
+        },
+        sessions: err ? null : count,
+        websockets: (instance.sockets || []).length
+      });
+    });
+  };
+
   /**
    * Application API Call
    *
@@ -116,6 +246,148 @@
     }
   };
 
+  /**
+   * Search API Call
+   *
+   * <pre><code>
+   * Performs a ranked search of filenames, paths, MIME types and the content
+   * of text files. Each result is a file entry with a `score` and the
+   * `highlights` of matched ranges in `filename` and `path`.
+   * </code></pre>
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {String}    args.query       Search query
+   * @param   {Array}     args.paths       List of paths to search in (ex: home:///)
+   * @param   {Number}    [args.limit=0]   Limit number of results
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function search
+   * @memberof API
+   */
+  module.exports.search = function(server, args, callback) {
+    server.handler.checkAPIPrivilege(server, 'fs', function(err) {
+      if ( err ) {
+        callback(err);
+        return;
+      }
+
+      var paths = (args.paths || []).filter(function(path) {
+        return _acl.isAllowed(server, path, 'read');
+      });
+
+      _search.search(server, paths, args.query || '', {
+        limit: args.limit || 0
+      }, function(err, result) {
+        callback(err, (result || []).filter(function(iter) {
+          return _acl.isAllowed(server, iter.path, 'read');
+        }));
+      });
+    });
+  };
+
+  /**
+   * Search ranking API Call
+   *
+   * <pre><code>
+   * Ranks a list of client-side documents (ex: applications and windows) by
+   * a query, so that everything in the search results is ranked the same way.
+   * </code></pre>
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {String}    args.query       Search query
+   * @param   {Array}     args.documents   List of `{fields, title, description}`
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function searchRank
+   * @memberof API
+   */
+  module.exports.searchRank = function(server, args, callback) {
+    if ( !(args.documents instanceof Array) ) {
+      callback('Invalid documents');
+      return;
+    }
+
+    callback(false, _search.rank(args.query || '', args.documents));
+  };
+
+  /**
+   * Search reindexing API Call
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {Array}     args.paths       List of paths to reindex (ex: home:///)
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function reindex
+   * @memberof API
+   */
+  module.exports.reindex = function(server, args, callback) {
+    server.handler.checkAPIPrivilege(server, 'fs', function(err) {
+      if ( err ) {
+        callback(err);
+        return;
+      }
+
+      _search.reindex(server, args.paths || [], callback);
+    });
+  };
+
+  /**
+   * Package verification API Call
+   *
+   * Gives the signature verification status of a package (see `Packages`).
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {String}    args.path        Package directory (ex: home:///.packages/MyApplication)
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function packageVerify
+   * @memberof API
+   */
+  module.exports.packageVerify = function(server, args, callback) {
+    server.handler.checkAPIPrivilege(server, 'fs', function(err) {
+      if ( err ) {
+        callback(err);
+      } else if ( !_acl.isAllowed(server, args.path, 'read') ) {
+        callback('Access denied: You do not have read permission on ' + args.path);
+      } else {
+        _packages.verify(server, args.path, callback);
+      }
+    });
+  };
+
+  /**
+   * Package installation API Call
+   *
+   * Verifies an extracted package and moves it into the user package
+   * directory if the signing policy accepts it (see `Packages`).
+   *
+   * @param   {Object}    server           Server object
+   * @param   {Object}    args             API Call Arguments
+   * @param   {String}    args.path        Extracted package directory
+   * @param   {String}    args.dest        Package directory to install to
+   * @param   {Function}  callback         Callback function => fn(error, result)
+   *
+   * @function packageInstall
+   * @memberof API
+   */
+  module.exports.packageInstall = function(server, args, callback) {
+    server.handler.checkAPIPrivilege(server, 'fs', function(err) {
+      if ( err ) {
+        callback(err);
+      } else if ( !_acl.isAllowed(server, args.path, 'delete') ) {
+        callback('Access denied: You do not have delete permission on ' + args.path);
+      } else if ( !_acl.isAllowed(server, args.dest, 'write') ) {
+        callback('Access denied: You do not have write permission on ' + args.dest);
+      } else {
+        _packages.install(server, args.path, args.dest, callback);
+      }
+    });
+  };
+
   /**
    * cURL API Call
    *
@@ -123,6 +395,10 @@
    * NOTE: If you do a non-POST request with a body (with type of object) and no
    * query string was defined in the url, this method will try to transform the
    * given body data and append to the url.
+   *
+   * Requests are checked against the `curl` policy in the server configuration
+   * (see `Curl`). If a request is denied the error is a message and the result
+   * is an object like: {code: 'ERR_CURL_HOST', message: '...', url: '...'}
    * </code></pre>
    *
    * @example
@@ -213,8 +489,11 @@
       };
     })();
 
-    require('request')(curlRequest.opts, function(error, response, body) {
-      if ( error ) {
+    _curl.request(server, curlRequest.opts, function(error, response, body) {
+      if ( error && String(error.code).indexOf('ERR_CURL_') === 0 ) {
+        callback(error.message, error);
+        return;
+      } else if ( error ) {
         callback(error);
         return;
       }
@@ -236,5 +515,10 @@
 
 })(
   require('path'),
-  require('node-fs-extra')
+  require('node-fs-extra'),
+  require('./search.js'),
+  require('./acl.js'),
+  require('./sessions.js'),
+  require('./curl.js'),
+  require('./packages.js')
 );
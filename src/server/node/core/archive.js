@@ -0,0 +1,992 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_fs, _path, _os, _zlib, _uploads) {
+  'use strict';
+
+  /**
+   * Archive reading and writing.
+   *
+   * <pre><code>
+   * Supports ZIP archives (stored and deflated entries) and TAR archives,
+   * optionally gzipped. Headers and entries are read from the archive file
+   * when they are needed, gzipped archives are decompressed to a temporary
+   * file first. Entries, and gzipped archives that decompress to more than
+   * MAX_ARCHIVE_SIZE are refused.
+   *
+   * New archives are written to a file one entry at a time.
+   * </code></pre>
+   *
+   * @namespace Archive
+   */
+
+  var BLOCK_SIZE = 512;
+  var MAX_ARCHIVE_SIZE = 128 * 1024 * 1024;
+  var MAX_HEADER_SIZE = 64 * 1024;
+
+  var FORMATS = [
+    {ext: '.tar.gz', format: 'tgz'},
+    {ext: '.tgz', format: 'tgz'},
+    {ext: '.tar', format: 'tar'},
+    {ext: '.zip', format: 'zip'}
+  ];
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Normalizes an entry name (no leading or trailing slashes)
+   */
+  function normalizeName(name) {
+    return String(name || '').replace(/\\/g, '/').replace(/^(\.?\/)+/, '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Gets the directory name of an entry
+   */
+  function getParent(name) {
+    var idx = name.lastIndexOf('/');
+    return idx === -1 ? '' : name.substr(0, idx);
+  }
+
+  /**
+   * Pads a buffer with zeroes up to the next TAR block
+   */
+  function padBlock(buf) {
+    var rest = buf.length % BLOCK_SIZE;
+    if ( !rest ) {
+      return buf;
+    }
+
+    var pad = new Buffer(BLOCK_SIZE - rest);
+    pad.fill(0);
+    return Buffer.concat([buf, pad]);
+  }
+
+  /**
+   * Reads a part of an open file
+   */
+  function readAt(fd, position, length, cb) {
+    if ( !length ) {
+      cb(false, new Buffer(0));
+      return;
+    }
+
+    var buf = new Buffer(length);
+    _fs.read(fd, buf, 0, length, position, function(err, bytesRead) {
+      if ( err ) {
+        cb(String(err));
+      } else if ( bytesRead < length ) {
+        cb('Unexpected end of archive');
+      } else {
+        cb(false, buf);
+      }
+    });
+  }
+
+  /**
+   * Reads a little-endian integer, making sure it is inside the buffer
+   */
+  function readUInt(buf, offset, bytes) {
+    if ( offset < 0 || offset + bytes > buf.length ) {
+      throw new Error('Unexpected end of archive');
+    }
+    return bytes === 2 ? buf.readUInt16LE(offset) : buf.readUInt32LE(offset);
+  }
+
+  /**
+   * Writes to a stream and waits for it to drain if needed
+   */
+  function writeChunk(out, buf, cb) {
+    if ( out.write(buf) ) {
+      cb();
+    } else {
+      out.once('drain', cb);
+    }
+  }
+
+  /**
+   * Gets the data of an entry that is about to be packed. Files are read
+   * from `source` (a real path) if no `data` was given.
+   */
+  function getEntryData(entry, cb) {
+    if ( entry.type === 'dir' ) {
+      cb(false, new Buffer(0));
+    } else if ( entry.data ) {
+      cb(false, entry.data);
+    } else if ( entry.read ) {
+      entry.read(cb);
+    } else {
+      _fs.readFile(entry.source, function(err, data) {
+        cb(err ? 'Error reading file: ' + err : false, data);
+      });
+    }
+  }
+
+  /**
+   * Reads a NUL terminated string from a buffer
+   */
+  function readString(buf, start, length) {
+    var str = buf.toString('utf8', start, start + length);
+    var idx = str.indexOf('\0');
+    return idx === -1 ? str : str.substr(0, idx);
+  }
+
+  /**
+   * Reads an octal number from a buffer
+   */
+  function readOctal(buf, start, length) {
+    return parseInt(readString(buf, start, length).trim(), 8) || 0;
+  }
+
+  /**
+   * Formats an octal number with leading zeroes
+   */
+  function toOctal(num, length) {
+    var str = num.toString(8);
+    while ( str.length < length ) {
+      str = '0' + str;
+    }
+    return str;
+  }
+
+  /**
+   * Converts a MS-DOS date and time to a Date
+   */
+  function dosToDate(time, date) {
+    return new Date(((date >> 9) & 0x7F) + 1980, ((date >> 5) & 0x0F) - 1, date & 0x1F,
+                    (time >> 11) & 0x1F, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+  }
+
+  /**
+   * Converts a Date to MS-DOS date and time
+   */
+  function dateToDos(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+      date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  /**
+   * Calculates the TAR header checksum (the checksum field counts as spaces)
+   */
+  function tarChecksum(header) {
+    var sum = 0;
+    for ( var i = 0; i < BLOCK_SIZE; i++ ) {
+      sum += (i >= 148 && i < 156) ? 32 : header[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Reads the path out of a PAX extended header
+   */
+  function parsePaxPath(data) {
+    var found = null;
+    data.toString('utf8').split('\n').forEach(function(line) {
+      var m = line.match(/^\d+ path=(.*)$/);
+      if ( m ) {
+        found = m[1];
+      }
+    });
+    return found;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // ZIP
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Parses the central directory of a ZIP archive
+   */
+  function parseZip(fd, size, cb) {
+    var tailLength = Math.min(size, 65557);
+
+    readAt(fd, size - tailLength, tailLength, function(err, tail) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var eocd = -1;
+      for ( var i = tail.length - 22; i >= 0; i-- ) {
+        if ( tail.readUInt32LE(i) === 0x06054b50 ) {
+          eocd = i;
+          break;
+        }
+      }
+
+      if ( eocd < 0 ) {
+        cb('Invalid ZIP archive');
+        return;
+      }
+
+      var count = tail.readUInt16LE(eocd + 10);
+      var length = tail.readUInt32LE(eocd + 12);
+      var start = tail.readUInt32LE(eocd + 16);
+      if ( count === 0xFFFF || start === 0xFFFFFFFF ) {
+        cb('ZIP64 archives are not supported');
+        return;
+      }
+
+      if ( start + length > size ) {
+        cb('Unexpected end of archive');
+        return;
+      }
+
+      readAt(fd, start, length, function(err, buf) {
+        if ( err ) {
+          cb(err);
+          return;
+        }
+
+        var entries = [];
+        var offset = 0;
+
+        try {
+          for ( var j = 0; j < count; j++ ) {
+            if ( readUInt(buf, offset, 4) !== 0x02014b50 ) {
+              throw new Error('Invalid ZIP central directory');
+            }
+
+            var flags = readUInt(buf, offset + 8, 2);
+            var nameLength = readUInt(buf, offset + 28, 2);
+            if ( offset + 46 + nameLength > buf.length ) {
+              throw new Error('Unexpected end of archive');
+            }
+
+            var name = buf.toString((flags & 0x800) ? 'utf8' : 'binary', offset + 46, offset + 46 + nameLength);
+            var isDir = name.substr(-1) === '/';
+
+            entries.push({
+              name: normalizeName(name),
+              type: isDir ? 'dir' : 'file',
+              size: isDir ? 0 : readUInt(buf, offset + 24, 4),
+              mtime: dosToDate(readUInt(buf, offset + 12, 2), readUInt(buf, offset + 14, 2)),
+              encrypted: (flags & 0x01) === 0x01,
+              method: readUInt(buf, offset + 10, 2),
+              compressedSize: readUInt(buf, offset + 20, 4),
+              header: readUInt(buf, offset + 42, 4)
+            });
+
+            offset += 46 + nameLength + readUInt(buf, offset + 30, 2) + readUInt(buf, offset + 32, 2);
+          }
+        } catch ( e ) {
+          cb(e.message || String(e));
+          return;
+        }
+
+        cb(false, entries);
+      });
+    });
+  }
+
+  /**
+   * Extracts the data of a ZIP entry
+   */
+  function extractZip(fd, entry, cb) {
+    if ( entry.encrypted ) {
+      cb('Encrypted entries are not supported');
+      return;
+    }
+
+    if ( entry.size > MAX_ARCHIVE_SIZE || entry.compressedSize > MAX_ARCHIVE_SIZE ) {
+      cb('Entry is too large');
+      return;
+    }
+
+    readAt(fd, entry.header, 30, function(err, header) {
+      if ( !err && header.readUInt32LE(0) !== 0x04034b50 ) {
+        err = 'Invalid ZIP entry';
+      }
+
+      if ( err ) {
+        cb('Failed to extract entry: ' + err);
+        return;
+      }
+
+      var start = entry.header + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+      readAt(fd, start, entry.compressedSize, function(err, data) {
+        if ( err ) {
+          cb('Failed to extract entry: ' + err);
+        } else if ( entry.method === 0 ) {
+          cb(false, data);
+        } else if ( entry.method === 8 ) {
+          // Never inflate more than the size given in the central directory
+          _zlib.inflateRaw(data, {maxOutputLength: Math.max(1, entry.size)}, function(err, result) {
+            cb(err ? 'Failed to extract entry: ' + err : false, result);
+          });
+        } else {
+          cb('Unsupported compression method: ' + entry.method);
+        }
+      });
+    });
+  }
+
+  /**
+   * Writes a ZIP archive to a stream
+   */
+  function createZip(entries, out, cb) {
+    var central = [];
+    var offset = 0;
+
+    function finish() {
+      var directory = Buffer.concat(central);
+      var end = new Buffer(22);
+      end.fill(0);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(central.length, 8);
+      end.writeUInt16LE(central.length, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(offset, 16);
+
+      writeChunk(out, Buffer.concat([directory, end]), function() {
+        cb(false);
+      });
+    }
+
+    (function next(i) {
+      if ( i >= entries.length ) {
+        finish();
+        return;
+      }
+
+      var entry = entries[i];
+      var isDir = entry.type === 'dir';
+      var name = new Buffer(entry.name + (isDir ? '/' : ''), 'utf8');
+
+      getEntryData(entry, function(err, data) {
+        if ( err ) {
+          cb(err);
+          return;
+        }
+
+        _zlib.deflateRaw(data, function(err, compressed) {
+          if ( err ) {
+            cb('Failed to compress entry: ' + err);
+            return;
+          }
+
+          var stored = compressed.length >= data.length;
+          var body = stored ? data : compressed;
+          var dos = dateToDos(entry.mtime || new Date());
+
+          var local = new Buffer(30);
+          local.fill(0);
+          local.writeUInt32LE(0x04034b50, 0);
+          local.writeUInt16LE(20, 4);
+          local.writeUInt16LE(0x800, 6);
+          local.writeUInt16LE(stored ? 0 : 8, 8);
+          local.writeUInt16LE(dos.time, 10);
+          local.writeUInt16LE(dos.date, 12);
+          local.writeUInt32LE(parseInt(_uploads.crc32(data), 16), 14);
+          local.writeUInt32LE(body.length, 18);
+          local.writeUInt32LE(data.length, 22);
+          local.writeUInt16LE(name.length, 26);
+
+          // The central header repeats most of the local header
+          var header = new Buffer(46);
+          header.fill(0);
+          header.writeUInt32LE(0x02014b50, 0);
+          header.writeUInt16LE(20, 4);
+          local.copy(header, 6, 4, 30);
+          header.writeUInt32LE(isDir ? 0x10 : 0, 38);
+          header.writeUInt32LE(offset, 42);
+
+          central.push(Buffer.concat([header, name]));
+          offset += local.length + name.length + body.length;
+
+          writeChunk(out, Buffer.concat([local, name, body]), function() {
+            next(i + 1);
+          });
+        });
+      });
+    })(0);
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // TAR
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Parses the headers of a TAR archive
+   */
+  function parseTar(fd, size, cb) {
+    var entries = [];
+    var longName = null;
+
+    (function next(offset) {
+      if ( offset + BLOCK_SIZE > size ) {
+        cb(false, entries);
+        return;
+      }
+
+      readAt(fd, offset, BLOCK_SIZE, function(err, header) {
+        if ( err ) {
+          cb(err);
+          return;
+        }
+
+        if ( !header[0] ) {
+          cb(false, entries);
+          return;
+        }
+
+        if ( readOctal(header, 148, 8) !== tarChecksum(header) ) {
+          cb('Invalid TAR archive');
+          return;
+        }
+
+        var flag = readString(header, 156, 1);
+        var length = readOctal(header, 124, 12);
+        var start = offset + BLOCK_SIZE;
+        var following = start + Math.ceil(length / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if ( flag === 'L' || flag === 'x' ) {
+          if ( length > MAX_HEADER_SIZE ) {
+            cb('Invalid TAR archive');
+            return;
+          }
+
+          readAt(fd, start, length, function(err, data) {
+            if ( err ) {
+              cb(err);
+              return;
+            }
+
+            longName = flag === 'L' ? readString(data, 0, length) : parsePaxPath(data);
+            next(following);
+          });
+          return;
+        }
+
+        if ( ['', '0', '5', '7'].indexOf(flag) !== -1 ) {
+          var name = readString(header, 0, 100);
+          if ( readString(header, 257, 5) === 'ustar' && readString(header, 345, 155) ) {
+            name = readString(header, 345, 155) + '/' + name;
+          }
+
+          name = longName || name;
+
+          var isDir = flag === '5' || name.substr(-1) === '/';
+          entries.push({
+            name: normalizeName(name),
+            type: isDir ? 'dir' : 'file',
+            size: isDir ? 0 : length,
+            mtime: new Date(readOctal(header, 136, 12) * 1000),
+            offset: start
+          });
+        }
+
+        // Links, devices and global headers are skipped
+        longName = null;
+        next(following);
+      });
+    })(0);
+  }
+
+  /**
+   * Extracts the data of a TAR entry
+   */
+  function extractTar(fd, entry, cb) {
+    if ( entry.size > MAX_ARCHIVE_SIZE ) {
+      cb('Entry is too large');
+      return;
+    }
+
+    readAt(fd, entry.offset, entry.size, function(err, data) {
+      cb(err ? 'Failed to extract entry: ' + err : false, data);
+    });
+  }
+
+  /**
+   * Creates a TAR header block
+   */
+  function createTarHeader(name, flag, size, mtime) {
+    var header = new Buffer(BLOCK_SIZE);
+    header.fill(0);
+
+    header.write(name, 0, 100, 'utf8');
+    header.write(flag === '5' ? '0000755' : '0000644', 100);
+    header.write('0000000', 108);
+    header.write('0000000', 116);
+    header.write(toOctal(size, 11), 124);
+    header.write(toOctal(Math.floor((mtime || new Date()).getTime() / 1000), 11), 136);
+    header.write(flag, 156);
+    header.write('ustar', 257);
+    header.write('00', 263);
+    header.write(toOctal(tarChecksum(header), 6) + '\0 ', 148);
+
+    return header;
+  }
+
+  /**
+   * Writes a TAR archive to a stream
+   */
+  function createTar(entries, out, cb) {
+    (function next(i) {
+      if ( i >= entries.length ) {
+        var end = new Buffer(BLOCK_SIZE * 2);
+        end.fill(0);
+        writeChunk(out, end, function() {
+          cb(false);
+        });
+        return;
+      }
+
+      var entry = entries[i];
+      var isDir = entry.type === 'dir';
+      var name = entry.name + (isDir ? '/' : '');
+
+      getEntryData(entry, function(err, data) {
+        if ( err ) {
+          cb(err);
+          return;
+        }
+
+        var parts = [];
+
+        // GNU style long names
+        if ( Buffer.byteLength(name) > 100 ) {
+          var longName = new Buffer(name + '\0', 'utf8');
+          parts.push(createTarHeader('././@LongLink', 'L', longName.length, entry.mtime));
+          parts.push(padBlock(longName));
+        }
+
+        parts.push(createTarHeader(name, isDir ? '5' : '0', data.length, entry.mtime));
+        parts.push(padBlock(data));
+
+        writeChunk(out, Buffer.concat(parts), function() {
+          next(i + 1);
+        });
+      });
+    })(0);
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // ARCHIVES
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Decompresses a gzipped file
+   */
+  function decompress(file, dest, cb) {
+    var input = _fs.createReadStream(file);
+    var gunzip = _zlib.createGunzip();
+    var output = _fs.createWriteStream(dest);
+    var total = 0;
+    var finished = false;
+
+    function done(err) {
+      if ( !finished ) {
+        finished = true;
+        if ( err ) {
+          input.unpipe();
+          input.destroy();
+          output.destroy();
+        }
+        cb(err || false);
+      }
+    }
+
+    input.on('error', function(err) {
+      done('Error reading archive: ' + err);
+    });
+    gunzip.on('error', function(err) {
+      done('Failed to decompress archive: ' + err);
+    });
+    gunzip.on('data', function(chunk) {
+      total += chunk.length;
+      if ( total > MAX_ARCHIVE_SIZE ) {
+        done('Archive is too large');
+      }
+    });
+    output.on('error', function(err) {
+      done('Error decompressing archive: ' + err);
+    });
+    output.on('finish', function() {
+      done(false);
+    });
+
+    input.pipe(gunzip).pipe(output);
+  }
+
+  /**
+   * Opens and parses an archive. The archive must be closed when done.
+   */
+  function openArchive(file, cb) {
+    var format = module.exports.getFormat(file);
+    if ( !format ) {
+      cb('Unsupported archive format');
+      return;
+    }
+
+    function open(path, cleanup) {
+      _fs.open(path, 'r', function(err, fd) {
+        if ( err ) {
+          cleanup();
+          cb('Error reading archive: ' + err);
+          return;
+        }
+
+        function close(done) {
+          _fs.close(fd, function() {
+            cleanup();
+            if ( done ) {
+              done();
+            }
+          });
+        }
+
+        _fs.fstat(fd, function(err, stat) {
+          if ( err ) {
+            close();
+            cb('Error reading archive: ' + err);
+            return;
+          }
+
+          (format === 'zip' ? parseZip : parseTar)(fd, stat.size, function(err, entries) {
+            if ( err ) {
+              close();
+              cb('Failed to read archive: ' + err);
+              return;
+            }
+
+            cb(false, {
+              entries: entries,
+              extract: function(entry, done) {
+                (format === 'zip' ? extractZip : extractTar)(fd, entry, done);
+              },
+              close: close
+            });
+          });
+        });
+      });
+    }
+
+    if ( format !== 'tgz' ) {
+      open(file, function() {});
+      return;
+    }
+
+    var tmp = _path.join(_os.tmpdir(), 'osjs-archive-' + process.pid + '-' + Date.now() + '-' + Math.random().toString(36).substr(2) + '.tar');
+    function cleanup() {
+      _fs.unlink(tmp, function() {});
+    }
+
+    decompress(file, tmp, function(err) {
+      if ( err ) {
+        cleanup();
+        cb(err);
+      } else {
+        open(tmp, cleanup);
+      }
+    });
+  }
+
+  /**
+   * Finds an entry by name. Later entries with the same name wins.
+   */
+  function findEntry(entries, name) {
+    var found = null;
+    entries.forEach(function(entry) {
+      if ( entry.name === name ) {
+        found = entry;
+      }
+    });
+    return found;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the archive format from a filename
+   *
+   * @param   {String}        filename        Filename
+   *
+   * @return  {String} 'zip', 'tar', 'tgz' or null if not supported
+   *
+   * @function getFormat
+   * @memberof Archive
+   */
+  module.exports.getFormat = function(filename) {
+    var name = String(filename || '').toLowerCase();
+    var found = null;
+
+    FORMATS.forEach(function(iter) {
+      if ( !found && name.substr(-iter.ext.length) === iter.ext ) {
+        found = iter.format;
+      }
+    });
+
+    return found;
+  };
+
+  /**
+   * Lists all entries in an archive
+   *
+   * Directories that are only implied by the entry names are included.
+   *
+   * @param   {String}        file            Real path to archive
+   * @param   {Function}      cb              Callback => fn(error, entries)
+   *
+   * @function list
+   * @memberof Archive
+   */
+  module.exports.list = function(file, cb) {
+    openArchive(file, function(err, archive) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var map = {};
+      var result = [];
+
+      function add(name, type, size, mtime) {
+        if ( !name ) {
+          return;
+        }
+
+        if ( typeof map[name] === 'undefined' ) {
+          map[name] = result.length;
+          result.push(null);
+          add(getParent(name), 'dir', 0, null);
+        } else if ( !mtime && result[map[name]] ) {
+          return;
+        }
+
+        result[map[name]] = {name: name, type: type, size: size, mtime: mtime};
+      }
+
+      archive.entries.forEach(function(entry) {
+        add(entry.name, entry.type, entry.size, entry.mtime);
+      });
+
+      archive.close();
+      cb(false, result);
+    });
+  };
+
+  /**
+   * Reads a single file from an archive
+   *
+   * @param   {String}        file            Real path to archive
+   * @param   {String}        name            Entry name
+   * @param   {Function}      cb              Callback => fn(error, buffer)
+   *
+   * @function read
+   * @memberof Archive
+   */
+  module.exports.read = function(file, name, cb) {
+    openArchive(file, function(err, archive) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var entry = findEntry(archive.entries, normalizeName(name));
+      if ( !entry || entry.type !== 'file' ) {
+        archive.close();
+        cb('File not found in archive');
+        return;
+      }
+
+      archive.extract(entry, function(err, data) {
+        archive.close();
+        cb(err, data);
+      });
+    });
+  };
+
+  /**
+   * Opens an archive to copy its entries
+   *
+   * <pre><code>
+   * The entries have `name`, `type`, `size`, `mtime` and a `read(cb)`
+   * function that extracts the data when it is needed, so they can be given
+   * to `pack()` without holding all data in memory. The archive must be
+   * closed with `close()` when done.
+   * </code></pre>
+   *
+   * @param   {String}        file            Real path to archive
+   * @param   {Function}      cb              Callback => fn(error, {entries, close})
+   *
+   * @function open
+   * @memberof Archive
+   */
+  module.exports.open = function(file, cb) {
+    openArchive(file, function(err, archive) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      cb(false, {
+        entries: archive.entries.filter(function(entry) {
+          return !!entry.name;
+        }).map(function(entry) {
+          return {
+            name: entry.name,
+            type: entry.type,
+            size: entry.size,
+            mtime: entry.mtime,
+            read: function(done) {
+              archive.extract(entry, done);
+            }
+          };
+        }),
+        close: archive.close
+      });
+    });
+  };
+
+  /**
+   * Gets the largest size an archive of given entries can have
+   *
+   * Entries are objects like the ones given to `pack()`, with the `size`
+   * of files that are not given by `data`.
+   *
+   * @param   {String}        file            Archive filename (for format)
+   * @param   {Array}         entries         List of entries
+   *
+   * @return  {Number}
+   *
+   * @function getMaxSize
+   * @memberof Archive
+   */
+  module.exports.getMaxSize = function(file, entries) {
+    var format = module.exports.getFormat(file);
+    var total = format === 'zip' ? 22 : BLOCK_SIZE * 2;
+
+    entries.forEach(function(entry) {
+      var size = entry.type === 'dir' ? 0 : (entry.data ? entry.data.length : (entry.size || 0));
+      var nameLength = Buffer.byteLength(normalizeName(entry.name)) + 1;
+
+      if ( format === 'zip' ) {
+        // Entries are stored if they do not compress
+        total += 76 + nameLength * 2 + size;
+      } else {
+        total += BLOCK_SIZE * 2 + Math.ceil(nameLength / BLOCK_SIZE) * BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+      }
+    });
+
+    if ( format === 'tgz' ) {
+      // Data that does not compress grows a little
+      total += Math.ceil(total / 16384) * 5 + 32;
+    }
+
+    return total;
+  };
+
+  /**
+   * Writes an archive from a list of entries
+   *
+   * Entries are objects with `name`, `type` ('file' or 'dir'), `mtime`
+   * and either `data` (a Buffer), `source` (a real path) or `read` (a
+   * function => fn(error, buffer)). Files given by `source` or `read` are
+   * read one at a time while the archive is written.
+   *
+   * @param   {String}        file            Archive filename (for format)
+   * @param   {Array}         entries         List of entries
+   * @param   {String}        dest            Real path to write the archive to
+   * @param   {Function}      cb              Callback => fn(error, size)
+   *
+   * @function pack
+   * @memberof Archive
+   */
+  module.exports.pack = function(file, entries, dest, cb) {
+    var format = module.exports.getFormat(file);
+    if ( !format ) {
+      cb('Unsupported archive format');
+      return;
+    }
+
+    var list = entries.map(function(entry) {
+      return {
+        name: normalizeName(entry.name),
+        type: entry.type === 'dir' ? 'dir' : 'file',
+        mtime: entry.mtime ? new Date(entry.mtime) : new Date(),
+        data: entry.data || null,
+        source: entry.source || null,
+        read: entry.read || null
+      };
+    }).filter(function(entry) {
+      return !!entry.name;
+    });
+
+    var finished = false;
+    var output = _fs.createWriteStream(dest);
+    var out = output;
+
+    function done(err) {
+      if ( !finished ) {
+        finished = true;
+        if ( err ) {
+          output.destroy();
+        }
+        cb(err || false, err ? null : output.bytesWritten);
+      }
+    }
+
+    output.on('error', function(err) {
+      done('Error writing archive: ' + err);
+    });
+    output.on('finish', function() {
+      done(false);
+    });
+
+    if ( format === 'tgz' ) {
+      out = _zlib.createGzip();
+      out.on('error', function(err) {
+        done('Failed to compress archive: ' + err);
+      });
+      out.pipe(output);
+    }
+
+    (format === 'zip' ? createZip : createTar)(list, out, function(err) {
+      if ( err ) {
+        done(err);
+      } else {
+        out.end();
+      }
+    });
+  };
+
+})(
+  require('fs'),
+  require('path'),
+  require('os'),
+  require('zlib'),
+  require('./uploads.js')
+);
@@ -0,0 +1,246 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_fs) {
+  'use strict';
+
+  /**
+   * Enforces the permissions packages declare in their metadata.
+   *
+   * <pre><code>
+   * The client tags API and VFS calls with the package whose scripts made
+   * them (`__caller`). Network access (`curl`), VFS writes and installing
+   * packages are only allowed if the package has declared the matching
+   * permission:
+   *
+   *   "permissions": {
+   *     "vfs": {"home": "rw", "*": "r"},
+   *     "network": true
+   *   }
+   *
+   * Declarations are read from the system package manifest and from the
+   * user package metadata (`packages.userMetadata`). System packages without
+   * any declaration are not restricted, user packages only if
+   * `packages.undeclared` is `allow`. Callers that cannot be resolved are
+   * denied. Calls without a tag come from the core and are not restricted.
+   *
+   * What the user has granted is checked by the client.
+   * </code></pre>
+   *
+   * @namespace Capabilities
+   */
+
+  /*
+   * VFS methods that write, and the arguments with the written paths
+   */
+  var WRITES = {
+    write: ['path'],
+    mkdir: ['path'],
+    delete: ['path'],
+    trash: ['path'],
+    untrash: ['path'],
+    copy: ['dest'],
+    move: ['src', 'dest'],
+    upload: ['path'],
+    uploadStart: ['path'],
+    archiveCreate: ['path']
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Normalizes the `permissions` declaration of a package into a list of
+   * capabilities. Returns `null` if the package does not declare any.
+   */
+  function getCapabilities(metadata) {
+    var permissions = metadata ? metadata.permissions : null;
+    if ( !permissions || typeof permissions !== 'object' ) {
+      return null;
+    }
+
+    var result = [];
+    var vfs = permissions.vfs || {};
+    Object.keys(vfs).forEach(function(mount) {
+      var mode = String(vfs[mount] || '');
+      if ( mode.indexOf('r') >= 0 ) {
+        result.push('vfs:' + mount + ':read');
+      }
+      if ( mode.indexOf('w') >= 0 ) {
+        result.push('vfs:' + mount + ':write');
+      }
+    });
+
+    ['network', 'clipboard', 'notifications', 'api'].forEach(function(k) {
+      if ( permissions[k] === true ) {
+        result.push(k);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Checks if a declared capability covers the requested one
+   */
+  function matchCapability(declared, capability) {
+    if ( declared === capability ) {
+      return true;
+    }
+
+    var d = declared.split(':');
+    var c = capability.split(':');
+    return d.length === 3 && c.length === 3 && d[0] === 'vfs' && c[0] === 'vfs' && d[1] === '*' && d[2] === c[2];
+  }
+
+  /**
+   * Finds the metadata of a package, system packages first
+   */
+  function findPackage(server, name, cb) {
+    var metadata = (server.handler.instance || {}).metadata || {};
+    if ( metadata[name] ) {
+      cb({scope: 'system', metadata: metadata[name]});
+      return;
+    }
+
+    var config = server.config.packages || {};
+    var file;
+    try {
+      file = require('./vfs.js').getRealPath(server, config.userMetadata || 'home:///.packages/packages.json').root;
+    } catch ( e ) {
+      cb(null);
+      return;
+    }
+
+    _fs.readFile(file, function(err, data) {
+      var list = {};
+      if ( !err ) {
+        try {
+          list = JSON.parse(data.toString()) || {};
+        } catch ( e ) {}
+      }
+
+      cb(list[name] && typeof list[name] === 'object' ? {scope: 'user', metadata: list[name]} : null);
+    });
+  }
+
+  /**
+   * Checks if the calling package has declared all given capabilities
+   */
+  function checkCaller(server, args, capabilities, cb) {
+    var config = server.config.packages || {};
+    var caller = args ? args.__caller : null;
+    if ( args ) {
+      delete args.__caller;
+    }
+
+    if ( !caller || config.permissions === false || !capabilities.length ) {
+      cb(false);
+      return;
+    }
+
+    findPackage(server, String(caller), function(found) {
+      if ( !found ) {
+        cb('Permission denied: The calling package could not be identified');
+        return;
+      }
+
+      var declared = getCapabilities(found.metadata);
+      if ( declared === null ) {
+        var allowed = found.scope !== 'user' || config.undeclared === 'allow';
+        cb(allowed ? false : 'Permission denied: ' + caller + ' has not declared any permissions');
+        return;
+      }
+
+      var missing = capabilities.filter(function(capability) {
+        return !declared.some(function(c) {
+          return matchCapability(c, capability);
+        });
+      })[0];
+
+      cb(missing ? 'Permission denied: ' + caller + ' has not declared the ' + missing + ' permission' : false);
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Checks if the calling package may use given API method
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        method          API method name
+   * @param   {Object}        args            API method arguments
+   * @param   {Function}      cb              Callback => fn(error)
+   *
+   * @function checkAPI
+   * @memberof Capabilities
+   */
+  module.exports.checkAPI = function(server, method, args, cb) {
+    var capabilities = [];
+
+    if ( method === 'curl' ) {
+      capabilities.push('network');
+    } else if ( method === 'packageInstall' ) {
+      capabilities.push('vfs:' + String((args || {}).dest || '').split(':')[0] + ':write');
+    }
+
+    checkCaller(server, args, capabilities, cb);
+  };
+
+  /**
+   * Checks if the calling package may use given VFS method
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        method          VFS method name
+   * @param   {Object}        args            VFS method arguments
+   * @param   {Function}      cb              Callback => fn(error)
+   *
+   * @function checkVFS
+   * @memberof Capabilities
+   */
+  module.exports.checkVFS = function(server, method, args, cb) {
+    var capabilities = [];
+
+    if ( method === 'emptyTrash' ) {
+      capabilities.push('vfs:trash:write');
+    }
+
+    (WRITES[method] || []).forEach(function(key) {
+      capabilities.push('vfs:' + String((args || {})[key] || '').split(':')[0] + ':write');
+    });
+
+    checkCaller(server, args, capabilities, cb);
+  };
+
+})(
+  require('node-fs-extra')
+);
@@ -0,0 +1,511 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_url, _net, _dns, _fs) {
+  'use strict';
+
+  /**
+   * Outbound request policy for the cURL API.
+   *
+   * <pre><code>
+   * Every request made with the `curl` API method goes through here. The
+   * policy is configured in `curl` of the server configuration:
+   *
+   *   allow         List of hosts and CIDR ranges that are allowed. If not
+   *                 empty, all other hosts are denied
+   *   deny          List of hosts and CIDR ranges that are always denied
+   *   denyPrivate   Deny loopback, private, link-local and other reserved
+   *                 addresses unless they are in `allow`
+   *   protocols     Allowed URL protocols
+   *   methods       Allowed HTTP methods
+   *   headers       List of request headers that cannot be set
+   *   maxSize       Maximum response size in bytes (0 is unlimited)
+   *   timeout       Default timeout in seconds
+   *   maxTimeout    Maximum timeout a request can ask for in seconds
+   *   maxRedirects  Maximum number of redirects to follow
+   *   rateLimit     Number of `requests` per user in `interval` seconds
+   *   audit         Path to the audit log (one JSON entry per line)
+   *
+   * Hosts are given as `example.com` or `*.example.com` (any subdomain).
+   * Ranges are given as `10.0.0.0/8`, `fc00::/7` or a single address.
+   *
+   * Addresses are checked when a connection is made (after DNS resolution),
+   * so redirects and hostnames resolving to internal addresses are caught.
+   *
+   * A denied request gives an error with `code`, `message` and `url`.
+   * </code></pre>
+   *
+   * @namespace Curl
+   */
+
+  var PRIVATE_RANGES = [
+    '0.0.0.0/8',
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '127.0.0.0/8',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.0.0.0/24',
+    '192.168.0.0/16',
+    '198.18.0.0/15',
+    '224.0.0.0/4',
+    '240.0.0.0/4',
+    '::/128',
+    '::1/128',
+    'fc00::/7',
+    'fe80::/10',
+    'ff00::/8'
+  ];
+
+  var DEFAULTS = {
+    allow: [],
+    deny: [],
+    denyPrivate: true,
+    protocols: ['http:', 'https:'],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    headers: ['host', 'proxy-authorization', 'proxy-connection', 'x-forwarded-for', 'x-real-ip'],
+    maxSize: 10485760,
+    timeout: 30,
+    maxTimeout: 120,
+    maxRedirects: 5,
+    rateLimit: {
+      requests: 60,
+      interval: 60
+    },
+    audit: null
+  };
+
+  var history = {};
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the policy from configuration
+   */
+  function getPolicy(server) {
+    var config = server.config.curl || {};
+    var policy = {};
+
+    Object.keys(DEFAULTS).forEach(function(k) {
+      policy[k] = typeof config[k] === 'undefined' ? DEFAULTS[k] : config[k];
+    });
+
+    return policy;
+  }
+
+  /**
+   * Creates a denial error
+   */
+  function createError(code, message, url) {
+    return {
+      code: code,
+      message: message,
+      url: url
+    };
+  }
+
+  /**
+   * Parses an IPv4 or IPv6 address into a list of bytes. IPv4-mapped IPv6
+   * addresses are given as IPv4.
+   */
+  function parseAddress(address) {
+    address = String(address).replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+
+    if ( _net.isIPv4(address) ) {
+      return address.split('.').map(Number);
+    }
+
+    if ( !_net.isIPv6(address) ) {
+      return null;
+    }
+
+    var tail = [];
+    var m = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if ( m ) {
+      tail = m[1].split('.').map(Number);
+      address = address.substr(0, address.length - m[1].length).replace(/:$/, ':0:0');
+    }
+
+    var halves = address.split('::');
+    var head = halves[0] ? halves[0].split(':') : [];
+    var rest = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+    var groups = head.concat(new Array(8 - head.length - rest.length + 1).join('0').split(''), rest);
+
+    var bytes = [];
+    groups.slice(0, 8).forEach(function(g) {
+      var n = parseInt(g, 16) || 0;
+      bytes.push(n >> 8, n & 0xff);
+    });
+
+    if ( tail.length ) {
+      bytes.splice(12, 4, tail[0], tail[1], tail[2], tail[3]);
+    }
+
+    var mapped = bytes.slice(0, 10).every(function(b) {
+      return b === 0;
+    }) && bytes[10] === 0xff && bytes[11] === 0xff;
+
+    return mapped ? bytes.slice(12) : bytes;
+  }
+
+  /**
+   * Checks if an address is in given range (`address/prefix` or an address)
+   */
+  function inRange(bytes, range) {
+    var parts = String(range).split('/');
+    var net = parseAddress(parts[0]);
+    if ( !bytes || !net || net.length !== bytes.length ) {
+      return false;
+    }
+
+    var bits = parts.length > 1 ? parseInt(parts[1], 10) : net.length * 8;
+    for ( var i = 0; i < net.length && bits > 0; i++ ) {
+      var mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+      if ( (bytes[i] & mask) !== (net[i] & mask) ) {
+        return false;
+      }
+      bits -= 8;
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks if a list of hosts and ranges matches a hostname or address
+   */
+  function matchList(list, hostname, bytes) {
+    hostname = String(hostname || '').toLowerCase();
+
+    return (list || []).some(function(entry) {
+      entry = String(entry).toLowerCase();
+      if ( parseAddress(entry.split('/')[0]) ) {
+        return inRange(bytes, entry);
+      } else if ( entry.substr(0, 2) === '*.' ) {
+        return hostname.length > entry.length - 1 && hostname.substr(-(entry.length - 1)) === entry.substr(1);
+      }
+      return hostname === entry;
+    });
+  }
+
+  /**
+   * Checks a host against the policy. If the address is not known yet, only
+   * the checks that can be made from the hostname are done.
+   */
+  function checkHost(policy, url, hostname, address) {
+    var bytes = parseAddress(address || hostname);
+
+    if ( matchList(policy.deny, hostname, bytes) ) {
+      return createError('ERR_CURL_HOST', 'Host is denied: ' + hostname, url);
+    }
+
+    if ( matchList(policy.allow, hostname, bytes) ) {
+      return false;
+    }
+
+    if ( !bytes ) {
+      return false;
+    }
+
+    if ( policy.allow.length ) {
+      return createError('ERR_CURL_HOST', 'Host is not in the allowlist: ' + hostname, url);
+    }
+
+    if ( policy.denyPrivate && matchList(PRIVATE_RANGES, null, bytes) ) {
+      return createError('ERR_CURL_HOST', 'Host resolves to a private address: ' + hostname, url);
+    }
+
+    return false;
+  }
+
+  /**
+   * Removes the rate limit history of users without requests since given time
+   */
+  function pruneHistory(since) {
+    Object.keys(history).forEach(function(username) {
+      var list = history[username];
+      if ( !list.length || list[list.length - 1] <= since ) {
+        delete history[username];
+      }
+    });
+  }
+
+  /**
+   * Checks (and registers) a request against the rate limit of a user
+   */
+  function checkRateLimit(policy, username, url) {
+    var limit = policy.rateLimit || {};
+    if ( !limit.requests || !limit.interval ) {
+      return false;
+    }
+
+    var now = Date.now();
+    var since = now - (limit.interval * 1000);
+    pruneHistory(since);
+
+    var list = (history[username] || []).filter(function(t) {
+      return t > since;
+    });
+
+    if ( list.length >= limit.requests ) {
+      history[username] = list;
+
+      var err = createError('ERR_CURL_RATE', 'Too many requests, try again later', url);
+      err.retryAfter = Math.ceil((list[0] - since) / 1000);
+      return err;
+    }
+
+    list.push(now);
+    history[username] = list;
+
+    return false;
+  }
+
+  /**
+   * Checks the request options against the policy
+   */
+  function checkRequest(policy, opts) {
+    var url = opts.url;
+    var parsed = _url.parse(String(url || ''));
+
+    if ( !parsed.hostname || policy.protocols.indexOf(parsed.protocol) === -1 ) {
+      return createError('ERR_CURL_URL', 'Invalid or unsupported URL: ' + url, url);
+    }
+
+    var method = String(opts.method || 'GET').toUpperCase();
+    if ( policy.methods.indexOf(method) === -1 ) {
+      return createError('ERR_CURL_METHOD', 'HTTP method is not allowed: ' + method, url);
+    }
+
+    var denied = Object.keys(opts.headers || {}).filter(function(k) {
+      return policy.headers.indexOf(k.toLowerCase()) !== -1;
+    });
+
+    if ( denied.length ) {
+      return createError('ERR_CURL_HEADER', 'Request header is not allowed: ' + denied.join(', '), url);
+    }
+
+    return checkHost(policy, url, parsed.hostname, null);
+  }
+
+  /**
+   * Creates a DNS lookup function that checks the resolved addresses
+   */
+  function createLookup(policy, url, ondenied) {
+    return function(hostname, options, cb) {
+      if ( typeof options === 'function' ) {
+        cb = options;
+        options = {};
+      } else if ( typeof options === 'number' ) {
+        options = {family: options};
+      }
+
+      _dns.lookup(hostname, options, function(err, address, family) {
+        if ( err ) {
+          cb(err);
+          return;
+        }
+
+        var list = options.all ? address : [{address: address, family: family}];
+        var denied = null;
+        list.some(function(iter) {
+          denied = checkHost(policy, url, hostname, iter.address);
+          return !!denied;
+        });
+
+        if ( denied ) {
+          ondenied(denied);
+
+          var error = new Error(denied.message);
+          error.code = denied.code;
+          cb(error);
+          return;
+        }
+
+        cb(null, address, family);
+      });
+    };
+  }
+
+  /**
+   * Writes an entry to the audit log
+   */
+  function audit(server, policy, entry) {
+    var line = JSON.stringify(entry);
+
+    server.logger.log(server.logger.INFO, '[CURL]', line);
+
+    if ( policy.audit ) {
+      _fs.appendFile(policy.audit, line + '\n', function(err) {
+        if ( err ) {
+          server.logger.log(server.logger.WARNING, 'Failed to write curl audit log', err);
+        }
+      });
+    }
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Performs an outbound HTTP request if the policy allows it
+   *
+   * <pre><code>
+   * The options are given to the `request` module. The timeout is capped by
+   * the policy. Denials and exceeded limits give an error object with `code`,
+   * `message` and `url` (and `retryAfter` in seconds for rate limits).
+   * </code></pre>
+   *
+   * @param   {ServerObject}  server        Server object
+   * @param   {Object}        opts          Request options (`url`, `method`, `headers`, `timeout` in ms, ...)
+   * @param   {Function}      cb            Callback function => fn(error, response, body)
+   *
+   * @function request
+   * @memberof Curl
+   */
+  module.exports.request = function(server, opts, cb) {
+    var policy = getPolicy(server);
+    var username = server.handler.getUserName(server);
+    var started = Date.now();
+    var received = 0;
+    var finished = false;
+    var req;
+
+    var entry = {
+      time: new Date(started).toISOString(),
+      username: username,
+      method: String(opts.method || 'GET').toUpperCase(),
+      url: opts.url
+    };
+
+    function done(error, response, body) {
+      if ( finished ) {
+        return;
+      }
+      finished = true;
+
+      entry.duration = Date.now() - started;
+      entry.bytes = received;
+      if ( error && error.code && String(error.code).indexOf('ERR_CURL_') === 0 ) {
+        entry.result = 'denied';
+        entry.code = error.code;
+        entry.reason = error.message;
+      } else if ( error ) {
+        entry.result = 'error';
+        entry.reason = String(error.message || error);
+      } else {
+        entry.result = 'allowed';
+        entry.httpCode = response.statusCode;
+      }
+
+      audit(server, policy, entry);
+      cb(error, response, body);
+    }
+
+    function deny(error) {
+      if ( req ) {
+        req.abort();
+      }
+      done(error);
+    }
+
+    var denied = checkRequest(policy, opts) || checkRateLimit(policy, username, opts.url);
+    if ( denied ) {
+      done(denied);
+      return;
+    }
+
+    var requested = opts.timeout || (policy.timeout * 1000);
+    opts.timeout = policy.maxTimeout ? Math.min(requested, policy.maxTimeout * 1000) : requested;
+    opts.maxRedirects = policy.maxRedirects;
+    opts.followRedirect = function(response) {
+      var location = _url.resolve(opts.url, String(response.headers.location || ''));
+      var parsed = _url.parse(location);
+      if ( policy.protocols.indexOf(parsed.protocol) === -1 ) {
+        deny(createError('ERR_CURL_URL', 'Redirected to an unsupported URL: ' + location, location));
+        return false;
+      }
+
+      var error = checkHost(policy, location, parsed.hostname, null);
+      if ( error ) {
+        deny(error);
+        return false;
+      }
+
+      return true;
+    };
+    opts.lookup = createLookup(policy, opts.url, function(error) {
+      deny(error);
+    });
+
+    req = require('request')(opts, function(error, response, body) {
+      if ( error && error.code && String(error.code).indexOf('ERR_CURL_') === 0 ) {
+        error = createError(error.code, error.message, opts.url);
+      }
+      done(error, response, body);
+    });
+
+    req.on('response', function(response) {
+      var length = parseInt(response.headers['content-length'], 10);
+      if ( policy.maxSize && length > policy.maxSize ) {
+        deny(createError('ERR_CURL_SIZE', 'Response is too large: ' + length + ' bytes', opts.url));
+      }
+    });
+
+    req.on('data', function(chunk) {
+      received += chunk.length;
+      if ( policy.maxSize && received > policy.maxSize ) {
+        deny(createError('ERR_CURL_SIZE', 'Response exceeds the limit of ' + policy.maxSize + ' bytes', opts.url));
+      }
+    });
+  };
+
+  /**
+   * Checks if an address is in a range
+   *
+   * @param   {String}    address     IPv4 or IPv6 address
+   * @param   {String}    range       Range (ex: `10.0.0.0/8`) or an address
+   *
+   * @return  {Boolean}
+   *
+   * @function inRange
+   * @memberof Curl
+   */
+  module.exports.inRange = function(address, range) {
+    return inRange(parseAddress(address), range);
+  };
+
+})(
+  require('url'),
+  require('net'),
+  require('dns'),
+  require('fs')
+);
@@ -27,7 +27,7 @@
  * @author  Anders Evenrud <andersevenrud@gmail.com>
  * @licence Simplified BSD License
  */
-(function(_path, _fs) {
+(function(_path, _fs, _acl, _capabilities) {
   'use strict';
 
   /**
@@ -58,11 +58,18 @@
               return;
             }
 
-            try {
-              fref.apply(fref, [server, args, callback]);
-            } catch ( e ) {
-              callback(e);
-            }
+            _capabilities.checkAPI(server, fn, args, function(err) {
+              if ( err ) {
+                callback(err);
+                return;
+              }
+
+              try {
+                fref.apply(fref, [server, args, callback]);
+              } catch ( e ) {
+                callback(e);
+              }
+            });
           });
         };
       } else {
@@ -91,12 +98,26 @@
                 return;
               }
 
-              handler.onVFSRequest(server, fn, args, function(err, resp) {
-                if ( arguments.length === 2 ) {
-                  callback(err, resp);
-                } else {
-                  fref.apply(fref, [server, args, callback]);
+              _acl.check(server, fn, args, function(err) {
+                if ( err ) {
+                  callback(err);
+                  return;
                 }
+
+                _capabilities.checkVFS(server, fn, args, function(err) {
+                  if ( err ) {
+                    callback(err);
+                    return;
+                  }
+
+                  handler.onVFSRequest(server, fn, args, function(err, resp) {
+                    if ( arguments.length === 2 ) {
+                      callback(err, resp);
+                    } else {
+                      fref.apply(fref, [server, args, callback]);
+                    }
+                  });
+                });
               });
             });
           });
@@ -750,4 +771,4 @@
 
     return handler;
   };
-})(require('path'), require('node-fs-extra'));
+})(require('path'), require('node-fs-extra'), require('./acl.js'), require('./capabilities.js'));
@@ -147,7 +147,7 @@
    *
    * @param   {SetupObject}    setup       Configuration
    *
-   * @return  {Object} Returns an object with `api`, `vfs`, `request`, `handler` and `config`/`setup` helpers
+   * @return  {Object} Returns an object with `api`, `vfs`, `request`, `handler`, `sockets` (open WebSockets) and `config`/`setup` helpers
    *
    * @function init
    * @memberof Core
@@ -183,7 +183,9 @@
     var instance = {
       _vfs: require('./vfs.js'),
       _api: require('./api.js'),
+      _watcher: require('./watcher.js'),
       logger: require('./logger.js').create(config, -2),
+      sockets: [],
       api: apiNamespace,
       vfs: vfsNamespace,
       metadata: metadata,
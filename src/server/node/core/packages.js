@@ -0,0 +1,386 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _fs, _crypto, _vfs) {
+  'use strict';
+
+  /**
+   * Verification and installation of user packages.
+   *
+   * <pre><code>
+   * A package can contain a manifest (`manifest.json`) with a SHA-256 hash
+   * of every file in the package, and `manifest.sig` with a signature of the
+   * manifest made with one of the keys in `packages.signing.keys`:
+   *
+   *   {"keyId": "osjs", "signature": "<base64 RSASSA-PKCS1-v1_5 SHA-256>"}
+   *
+   * Keys are base64 encoded SPKI (with or without PEM armor).
+   *
+   * The status of a package is one of: verified, unsigned, untrusted,
+   * invalid or unchecked (`packages.signing.policy` is `disabled`).
+   * Invalid packages are always refused, and with the `strict` policy
+   * anything that is not verified is refused as well.
+   * </code></pre>
+   *
+   * @namespace Packages
+   */
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the signing configuration
+   */
+  function getSigning(server) {
+    var signing = (server.config.packages || {}).signing || {};
+    return {
+      policy: signing.policy || 'permissive',
+      keys: signing.keys || {}
+    };
+  }
+
+  /**
+   * Creates a PEM public key from a configured key
+   */
+  function createPublicKey(key) {
+    var str = String((key && typeof key === 'object') ? key.key : key || '');
+    var body = str.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+    return '-----BEGIN PUBLIC KEY-----\n' + body.replace(/(.{64})/g, '$1\n').replace(/\n$/, '') + '\n-----END PUBLIC KEY-----\n';
+  }
+
+  /**
+   * Lists all files in a directory (recursively) relative to the directory.
+   * Anything that is not a regular file or directory is listed too, so it
+   * fails the manifest check.
+   */
+  function listFiles(root, cb) {
+    var result = [];
+
+    function scan(dir, done) {
+      _fs.readdir(_path.join(root, dir), function(err, list) {
+        if ( err ) {
+          done(String(err));
+          return;
+        }
+
+        (function next(i) {
+          if ( i >= list.length ) {
+            done(false);
+            return;
+          }
+
+          var rel = dir ? dir + '/' + list[i] : list[i];
+          _fs.lstat(_path.join(root, rel), function(err, stat) {
+            if ( err ) {
+              done(String(err));
+            } else if ( stat.isDirectory() ) {
+              scan(rel, function(err) {
+                if ( err ) {
+                  done(err);
+                } else {
+                  next(i + 1);
+                }
+              });
+            } else {
+              result.push(rel);
+              next(i + 1);
+            }
+          });
+        })(0);
+      });
+    }
+
+    scan('', function(err) {
+      cb(err, result);
+    });
+  }
+
+  /**
+   * Creates the SHA-256 checksum of a file
+   */
+  function digest(file, cb) {
+    var hash = _crypto.createHash('sha256');
+    var stream = _fs.createReadStream(file);
+    stream.on('error', function(err) {
+      cb(String(err));
+    });
+    stream.on('data', function(chunk) {
+      hash.update(chunk);
+    });
+    stream.on('end', function() {
+      cb(false, hash.digest('hex'));
+    });
+  }
+
+  /**
+   * Reads a JSON file. Gives `null` if it does not exist and `false` if
+   * it is not valid.
+   */
+  function readJSON(file, cb) {
+    _fs.readFile(file, function(err, data) {
+      if ( err ) {
+        cb(err.code === 'ENOENT' ? false : String(err), err.code === 'ENOENT' ? null : false);
+        return;
+      }
+
+      var json = false;
+      try {
+        json = JSON.parse(data.toString());
+      } catch ( e ) {}
+
+      cb(false, (json && typeof json === 'object') ? json : false);
+    });
+  }
+
+  /**
+   * Checks the files of a package against its manifest
+   */
+  function checkFiles(dir, manifest, cb) {
+    var expected = Object.keys(manifest.files);
+
+    listFiles(dir, function(err, list) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var found = list.filter(function(f) {
+        return f !== 'manifest.json' && f !== 'manifest.sig';
+      });
+
+      var unlisted = found.filter(function(f) {
+        return expected.indexOf(f) < 0;
+      });
+      var missing = expected.filter(function(f) {
+        return found.indexOf(f) < 0;
+      });
+
+      if ( unlisted.length ) {
+        cb('Unlisted file(s): ' + unlisted.join(', '));
+        return;
+      }
+      if ( missing.length ) {
+        cb('Missing file(s): ' + missing.join(', '));
+        return;
+      }
+
+      (function next(i) {
+        if ( i >= expected.length ) {
+          cb(false);
+          return;
+        }
+
+        digest(_path.join(dir, expected[i]), function(err, hash) {
+          if ( err || String(manifest.files[expected[i]]).toLowerCase() !== hash ) {
+            cb('Checksum mismatch: ' + expected[i]);
+          } else {
+            next(i + 1);
+          }
+        });
+      })(0);
+    });
+  }
+
+  /**
+   * Verifies the signature of a manifest
+   */
+  function checkSignature(server, dir, signature, cb) {
+    var key = getSigning(server).keys[signature.keyId];
+    if ( !key ) {
+      cb('untrusted', 'Unknown signing key "' + signature.keyId + '"');
+      return;
+    }
+
+    _fs.readFile(_path.join(dir, 'manifest.json'), function(err, data) {
+      if ( err ) {
+        cb('invalid', String(err));
+        return;
+      }
+
+      var valid;
+      try {
+        valid = _crypto.createVerify('RSA-SHA256').update(data).verify(createPublicKey(key), String(signature.signature || ''), 'base64');
+      } catch ( e ) {
+        cb('untrusted', 'Invalid signing key "' + signature.keyId + '": ' + (e.message || e));
+        return;
+      }
+
+      if ( valid ) {
+        cb('verified', '');
+      } else {
+        cb('invalid', 'Signature does not match the manifest');
+      }
+    });
+  }
+
+  /**
+   * Verifies a package directory (real path)
+   */
+  function verifyPackage(server, dir, className, cb) {
+    var keyId = null;
+
+    function done(status, message) {
+      cb({status: status, message: message || '', keyId: keyId});
+    }
+
+    if ( getSigning(server).policy === 'disabled' ) {
+      done('unchecked');
+      return;
+    }
+
+    readJSON(_path.join(dir, 'manifest.json'), function(err, manifest) {
+      if ( err ) {
+        done('invalid', err);
+      } else if ( manifest === null ) {
+        done('unsigned', 'The package has no manifest');
+      } else if ( !manifest || !manifest.files || typeof manifest.files !== 'object' || (className && manifest.className !== className) ) {
+        done('invalid', 'The package manifest is invalid');
+      } else {
+        checkFiles(dir, manifest, function(err) {
+          if ( err ) {
+            done('invalid', err);
+            return;
+          }
+
+          readJSON(_path.join(dir, 'manifest.sig'), function(err, signature) {
+            if ( err || signature === false ) {
+              done('invalid', err || 'The package signature is invalid');
+            } else if ( signature === null ) {
+              done('unsigned', 'The package is not signed');
+            } else {
+              keyId = signature.keyId || null;
+              checkSignature(server, dir, signature, done);
+            }
+          });
+        });
+      }
+    });
+  }
+
+  /**
+   * Reads the class name of a package directory
+   */
+  function readClassName(dir, cb) {
+    readJSON(_path.join(dir, 'metadata.json'), function(err, metadata) {
+      cb(metadata && metadata.className ? metadata.className : null);
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Verifies an installed (or staged) package
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        path            Virtual path to package directory
+   * @param   {Function}      cb              Callback => fn(error, {status, message, keyId})
+   *
+   * @function verify
+   * @memberof Packages
+   */
+  module.exports.verify = function(server, path, cb) {
+    var dir;
+    try {
+      dir = _vfs.getRealPath(server, path).root;
+    } catch ( e ) {
+      cb(e.message || e);
+      return;
+    }
+
+    readClassName(dir, function(className) {
+      verifyPackage(server, dir, className, function(result) {
+        cb(false, result);
+      });
+    });
+  };
+
+  /**
+   * Installs a staged package
+   *
+   * The package is verified according to `packages.signing.policy` and moved
+   * into the user package directory if accepted. If it is refused, the
+   * error is given along with the verification result.
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        src             Virtual path to staged package directory
+   * @param   {String}        dest            Virtual path to install to (inside `packages.userPackages`)
+   * @param   {Function}      cb              Callback => fn(error, {status, message, keyId})
+   *
+   * @function install
+   * @memberof Packages
+   */
+  module.exports.install = function(server, src, dest, cb) {
+    var root = (server.config.packages || {}).userPackages || 'home:///.packages';
+    var srcPath, destPath, rootPath;
+
+    try {
+      srcPath = _vfs.getRealPath(server, src).root;
+      destPath = _vfs.getRealPath(server, dest).root;
+      rootPath = _vfs.getRealPath(server, root).root;
+    } catch ( e ) {
+      cb(e.message || e);
+      return;
+    }
+
+    if ( _path.dirname(destPath) !== rootPath || _path.basename(destPath).charAt(0) === '.' ) {
+      cb('Packages can only be installed into ' + root);
+      return;
+    }
+
+    readClassName(srcPath, function(className) {
+      if ( !className ) {
+        cb('The package has no valid metadata');
+        return;
+      }
+
+      verifyPackage(server, srcPath, className, function(result) {
+        var policy = getSigning(server).policy;
+        if ( result.status === 'invalid' || (policy === 'strict' && result.status !== 'verified') ) {
+          cb(result.message || result.status, result);
+          return;
+        }
+
+        _fs.remove(destPath, function() {
+          _fs.rename(srcPath, destPath, function(err) {
+            cb(err ? 'Failed to install package: ' + err : false, result);
+          });
+        });
+      });
+    });
+  };
+
+})(
+  require('path'),
+  require('node-fs-extra'),
+  require('crypto'),
+  require('./vfs.js')
+);
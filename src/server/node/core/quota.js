@@ -0,0 +1,354 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _fs) {
+  'use strict';
+
+  /**
+   * Storage quotas for the home directories.
+   *
+   * <pre><code>
+   * Quotas only apply to `home://` and `trash://` (the trash is kept in the
+   * home directory). Other mountpoints (ex: `shared://` and the ones in
+   * `vfs.mounts`) are shared between users and are not limited.
+   *
+   * Quotas are configured in `vfs.quotas` as bytes per username or per group.
+   * A user quota always wins, otherwise the largest of the group quotas
+   * the user is a member of is used, and then the default. A quota of zero
+   * (or no quota) means unlimited.
+   *
+   * Every directory counts as `DIRECTORY_SIZE` bytes, so that creating empty
+   * directories is limited as well.
+   *
+   * The home directory usage is calculated on demand and cached. The VFS
+   * updates the cached usage with the size of every change it makes, so the
+   * directory is only walked again once the cache expires (to pick up changes
+   * made outside of OS.js).
+   *
+   * Checks are done one at a time per home directory, and the checked bytes
+   * are added to the usage right away. That way two concurrent writes cannot
+   * both pass a check that only one of them fits in. If the change then fails
+   * the caller must roll back the reservation.
+   * </code></pre>
+   *
+   * @namespace Quota
+   */
+
+  var CACHE_TIME = 10 * 60 * 1000;
+  var DIRECTORY_SIZE = 4096;
+
+  var usage = {};
+  var queues = {};
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the total size of a file or directory (recursive)
+   */
+  function getSize(path, cb) {
+    _fs.lstat(path, function(err, stat) {
+      if ( err ) {
+        cb(0);
+        return;
+      }
+
+      if ( !stat.isDirectory() ) {
+        cb(stat.size);
+        return;
+      }
+
+      _fs.readdir(path, function(err, files) {
+        var total = DIRECTORY_SIZE;
+        var queue = (files || []).slice(0);
+
+        (function next() {
+          if ( !queue.length ) {
+            cb(total);
+            return;
+          }
+
+          getSize(_path.join(path, queue.shift()), function(size) {
+            total += size;
+            next();
+          });
+        })();
+      });
+    });
+  }
+
+  /**
+   * Gets the (cached) usage of a quota root
+   */
+  function getUsage(root, cb) {
+    var cached = usage[root];
+    if ( cached && (Date.now() - cached.time) < CACHE_TIME ) {
+      cb(cached.size);
+      return;
+    }
+
+    getSize(root, function(size) {
+      usage[root] = {size: size, time: Date.now()};
+      cb(size);
+    });
+  }
+
+  /**
+   * Runs checks of a quota root one at a time. `fn` gets a function that
+   * must be called when done.
+   */
+  function serialize(root, fn) {
+    var queue = queues[root] || (queues[root] = []);
+
+    function run() {
+      queue[0](function() {
+        queue.shift();
+        if ( queue.length ) {
+          run();
+        } else {
+          delete queues[root];
+        }
+      });
+    }
+
+    queue.push(fn);
+    if ( queue.length === 1 ) {
+      run();
+    }
+  }
+
+  /**
+   * Adds bytes to the cached usage of the quota roots containing given path
+   */
+  function adjust(fullPath, bytes) {
+    fullPath = _path.resolve(fullPath);
+
+    Object.keys(usage).forEach(function(root) {
+      if ( fullPath === root || fullPath.indexOf(root + _path.sep) === 0 ) {
+        usage[root].size = Math.max(0, usage[root].size + bytes);
+      }
+    });
+  }
+
+  /**
+   * Gets the quota limit for current user
+   */
+  function getLimit(server) {
+    var config = server.config.vfs.quotas || {};
+    var username = server.handler.getUserName(server);
+    var users = config.users || {};
+    var groups = config.groups || {};
+
+    if ( typeof users[username] === 'number' ) {
+      return users[username] || null;
+    }
+
+    var limit = -1;
+    (server.handler.getUserGroups(server) || []).forEach(function(g) {
+      if ( typeof groups[g] === 'number' ) {
+        if ( groups[g] === 0 || limit === 0 ) {
+          limit = 0;
+        } else {
+          limit = Math.max(limit, groups[g]);
+        }
+      }
+    });
+
+    if ( limit === -1 ) {
+      limit = config.default || 0;
+    }
+
+    return limit || null;
+  }
+
+  /**
+   * Gets the quota root of a resolved path (or null if none applies)
+   */
+  function getRoot(server, realPath) {
+    if ( realPath.protocol === 'home://' || realPath.protocol === 'trash://' ) {
+      return _path.resolve(server.handler.getHomePath(server));
+    }
+    return null;
+  }
+
+  /**
+   * Formats bytes to a readable string
+   */
+  function formatSize(bytes) {
+    var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    var i = 0;
+    while ( bytes >= 1024 && i < units.length - 1 ) {
+      bytes /= 1024;
+      i++;
+    }
+    return (Math.round(bytes * 10) / 10) + ' ' + units[i];
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Checks if given amount of bytes can be added to the target, and if so
+   * reserves them
+   *
+   * @param   {ServerObject}  server        Server object
+   * @param   {Object}        realPath      Resolved target path (from `VFS.getRealPath()`)
+   * @param   {Number}        bytes         Number of bytes to add (negative if the change frees space)
+   * @param   {Function}      cb            Callback function => fn(error, rollback)
+   *
+   * @function check
+   * @memberof Quota
+   */
+  module.exports.check = function(server, realPath, bytes, cb) {
+    var root = getRoot(server, realPath);
+    var limit = root ? getLimit(server) : null;
+
+    if ( !limit ) {
+      cb(false, function() {});
+      return;
+    }
+
+    serialize(root, function(done) {
+      getUsage(root, function(size) {
+        if ( bytes > 0 && size + bytes > limit ) {
+          done();
+          cb('Quota exceeded: ' + formatSize(size) + ' of ' + formatSize(limit) + ' used, ' + formatSize(bytes) + ' more is required');
+          return;
+        }
+
+        var reserved = true;
+        adjust(root, bytes);
+        done();
+
+        cb(false, function() {
+          if ( reserved ) {
+            reserved = false;
+            adjust(root, -bytes);
+          }
+        });
+      });
+    });
+  };
+
+  /**
+   * Gets the remaining quota of the target
+   *
+   * @param   {ServerObject}  server        Server object
+   * @param   {Object}        realPath      Resolved target path (from `VFS.getRealPath()`)
+   * @param   {Function}      cb            Callback function => fn(error, remaining) (remaining is `null` if no quota)
+   *
+   * @function remaining
+   * @memberof Quota
+   */
+  module.exports.remaining = function(server, realPath, cb) {
+    var root = getRoot(server, realPath);
+    var limit = root ? getLimit(server) : null;
+
+    if ( !limit ) {
+      cb(false, null);
+      return;
+    }
+
+    getUsage(root, function(size) {
+      cb(false, Math.max(0, limit - size));
+    });
+  };
+
+  /**
+   * Gets the size of a file or directory
+   *
+   * @param   {String}        path          Real path
+   * @param   {Function}      cb            Callback function => fn(size)
+   *
+   * @function getSize
+   * @memberof Quota
+   */
+  module.exports.getSize = getSize;
+
+  /**
+   * The number of bytes a directory counts as
+   *
+   * @constant {Number} DIRECTORY_SIZE
+   * @memberof Quota
+   */
+  module.exports.DIRECTORY_SIZE = DIRECTORY_SIZE;
+
+  /**
+   * Checks if two resolved paths are in the same quota root
+   *
+   * @param   {ServerObject}  server        Server object
+   * @param   {Object}        a             Resolved path
+   * @param   {Object}        b             Resolved path
+   *
+   * @return  {Boolean}
+   *
+   * @function isSameRoot
+   * @memberof Quota
+   */
+  module.exports.isSameRoot = function(server, a, b) {
+    return getRoot(server, a) === getRoot(server, b);
+  };
+
+  /**
+   * Updates the cached usage after a change that was not checked
+   * (ex: when something was removed)
+   *
+   * @param   {String}        fullPath      Real path that was changed
+   * @param   {Number}        bytes         Number of bytes that was added (negative if removed)
+   *
+   * @function update
+   * @memberof Quota
+   */
+  module.exports.update = adjust;
+
+  /**
+   * Forgets the cached usage of the quota root containing given path, for
+   * changes of unknown size (ex: a copy that failed half way)
+   *
+   * @param   {String}        fullPath      Real path that was changed
+   *
+   * @function invalidate
+   * @memberof Quota
+   */
+  module.exports.invalidate = function(fullPath) {
+    fullPath = _path.resolve(fullPath);
+
+    Object.keys(usage).forEach(function(root) {
+      if ( fullPath === root || fullPath.indexOf(root + _path.sep) === 0 ) {
+        delete usage[root];
+      }
+    });
+  };
+
+})(
+  require('path'),
+  require('fs')
+);
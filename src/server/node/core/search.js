@@ -0,0 +1,714 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _fs) {
+  'use strict';
+
+  /**
+   * A ranked full-text index of the files in the mountpoints.
+   *
+   * <pre><code>
+   * Indexes are kept in memory, one per mountpoint root, and are built on the
+   * first search against that root. After that the VFS keeps them up to date
+   * when files are written, moved or deleted.
+   *
+   * The total number of indexed documents is capped by `search.maxDocuments`.
+   * When the cap is exceeded the least recently searched indexes are dropped
+   * (and built again on the next search against them). A single root with
+   * more entries than the cap is only partially indexed.
+   * </code></pre>
+   *
+   * @namespace Search
+   */
+
+  var FIELD_WEIGHTS = {
+    filename: 4,
+    path: 2,
+    mime: 1,
+    content: 1
+  };
+
+  var TEXT_MIMES = [
+    /^text\//,
+    /^application\/(json|javascript|xml|x-sh|x-python|x-lua)/
+  ];
+
+  var indexes = {};
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Splits a string into lowercase words
+   */
+  function tokenize(str) {
+    return String(str || '').toLowerCase().split(/[^a-z0-9\u00c0-\uffff]+/).filter(function(t) {
+      return t.length > 0;
+    });
+  }
+
+  /**
+   * Gets the edit distance between two strings
+   */
+  function levenshtein(a, b) {
+    var prev = [];
+    var cur, i, j;
+
+    for ( j = 0; j <= b.length; j++ ) {
+      prev.push(j);
+    }
+
+    for ( i = 1; i <= a.length; i++ ) {
+      cur = [i];
+      for ( j = 1; j <= b.length; j++ ) {
+        cur.push(Math.min(
+          prev[j] + 1,
+          cur[j - 1] + 1,
+          prev[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+        ));
+      }
+      prev = cur;
+    }
+
+    return prev[b.length];
+  }
+
+  /**
+   * Gets how well a query term matches an indexed token (0 is no match)
+   */
+  function matchToken(term, token) {
+    if ( token === term ) {
+      return 1;
+    }
+    if ( token.indexOf(term) === 0 ) {
+      return 0.8;
+    }
+    if ( term.length >= 3 && token.indexOf(term) > 0 ) {
+      return 0.6;
+    }
+
+    var maxDistance = term.length > 7 ? 2 : (term.length > 3 ? 1 : 0);
+    if ( maxDistance && Math.abs(token.length - term.length) <= maxDistance ) {
+      if ( levenshtein(term, token) <= maxDistance ) {
+        return 0.5;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Gets the merged [start, end] ranges of given words in a string
+   */
+  function getRanges(str, words) {
+    var haystack = String(str || '').toLowerCase();
+    var ranges = [];
+
+    words.forEach(function(w) {
+      var idx = haystack.indexOf(w);
+      while ( idx !== -1 ) {
+        ranges.push([idx, idx + w.length]);
+        idx = haystack.indexOf(w, idx + w.length);
+      }
+    });
+
+    ranges.sort(function(a, b) {
+      return a[0] - b[0];
+    });
+
+    return ranges.reduce(function(result, r) {
+      var last = result[result.length - 1];
+      if ( last && r[0] <= last[1] ) {
+        last[1] = Math.max(last[1], r[1]);
+      } else {
+        result.push(r);
+      }
+      return result;
+    }, []);
+  }
+
+  function normalizePath(p) {
+    return p.length > 1 ? p.replace(/[\/\\]+$/, '') : p;
+  }
+
+  function isTextFile(mime) {
+    return TEXT_MIMES.some(function(re) {
+      return re.test(mime);
+    });
+  }
+
+  function getOptions(config) {
+    var opts = config.search || {};
+    return {
+      content: opts.content !== false,
+      maxFileSize: typeof opts.maxFileSize === 'number' ? opts.maxFileSize : (512 * 1024),
+      maxDocuments: typeof opts.maxDocuments === 'number' ? opts.maxDocuments : 50000
+    };
+  }
+
+  /**
+   * Drops the least recently used indexes until the document cap is met
+   */
+  function evictIndexes(current) {
+    var max = getOptions(current.config).maxDocuments;
+    var total = Object.keys(indexes).reduce(function(sum, k) {
+      return sum + indexes[k].count;
+    }, 0);
+
+    Object.keys(indexes).filter(function(k) {
+      return indexes[k] !== current && indexes[k].ready;
+    }).sort(function(a, b) {
+      return indexes[a].used - indexes[b].used;
+    }).forEach(function(k) {
+      if ( total > max ) {
+        total -= indexes[k].count;
+        delete indexes[k];
+      }
+    });
+  }
+
+  /**
+   * Gets the ranked matches of given query terms in a list of strings
+   *
+   * All terms has to match a word in one of the fields. The first field weighs
+   * the most.
+   */
+  function rankFields(terms, fields) {
+    var words = [];
+    var score = 0;
+
+    var found = terms.every(function(term) {
+      var best = 0;
+
+      fields.forEach(function(str, i) {
+        var weight = fields.length - i;
+
+        tokenize(str).forEach(function(word) {
+          var m = matchToken(term, word) * weight;
+          if ( m > 0 ) {
+            words.push(word);
+            best = Math.max(best, m);
+          }
+        });
+      });
+
+      score += best;
+      return best > 0;
+    });
+
+    return found ? {score: score, words: words} : null;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // INDEX
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * An inverted index of one mountpoint root
+   */
+  function SearchIndex(root, config) {
+    this.root = normalizePath(root);
+    this.config = config;
+    this.documents = {};
+    this.tokens = {};
+    this.count = 0;
+    this.used = Date.now();
+    this.ready = false;
+    this.queue = [];
+  }
+
+  SearchIndex.prototype.getRelativePath = function(fullPath) {
+    return '/' + fullPath.substr(this.root.length).replace(/\\/g, '/').replace(/^\/+/, '');
+  };
+
+  SearchIndex.prototype.contains = function(fullPath) {
+    fullPath = normalizePath(fullPath);
+    return fullPath === this.root || fullPath.indexOf(this.root.replace(/\/?$/, '/')) === 0;
+  };
+
+  SearchIndex.prototype.addDocument = function(fullPath, stat, content) {
+    var self = this;
+    var rel = this.getRelativePath(normalizePath(fullPath));
+    if ( rel === '/' ) {
+      return;
+    }
+
+    this.removeDocument(rel, true);
+    if ( this.isFull() ) {
+      return;
+    }
+
+    var filename = _path.basename(fullPath);
+    var type = stat.isDirectory() ? 'dir' : 'file';
+    var mime = type === 'file' ? require('./vfs.js').getMime(filename, this.config) : '';
+    var postings = {};
+
+    function _add(field, str) {
+      var counts = {};
+      tokenize(str).forEach(function(t) {
+        counts[t] = Math.min((counts[t] || 0) + 1, 3);
+      });
+
+      Object.keys(counts).forEach(function(t) {
+        postings[t] = (postings[t] || 0) + (FIELD_WEIGHTS[field] * counts[t]);
+      });
+    }
+
+    _add('filename', filename);
+    _add('path', _path.dirname(rel));
+    _add('mime', mime);
+    if ( content ) {
+      _add('content', content);
+    }
+
+    Object.keys(postings).forEach(function(t) {
+      self.tokens[t] = self.tokens[t] || {};
+      self.tokens[t][rel] = postings[t];
+    });
+
+    this.documents[rel] = {
+      filename: filename,
+      path: rel,
+      mime: mime,
+      size: type === 'file' ? stat.size : 0,
+      mtime: stat.mtime,
+      ctime: stat.ctime,
+      type: type,
+      tokens: Object.keys(postings)
+    };
+    this.count++;
+  };
+
+  SearchIndex.prototype.isFull = function() {
+    return this.count >= getOptions(this.config).maxDocuments;
+  };
+
+  SearchIndex.prototype.removeDocument = function(rel, single) {
+    var self = this;
+    var prefix = rel.replace(/\/?$/, '/');
+
+    Object.keys(this.documents).forEach(function(k) {
+      if ( k === rel || (!single && k.indexOf(prefix) === 0) ) {
+        self.documents[k].tokens.forEach(function(t) {
+          if ( self.tokens[t] ) {
+            delete self.tokens[t][k];
+            if ( !Object.keys(self.tokens[t]).length ) {
+              delete self.tokens[t];
+            }
+          }
+        });
+        delete self.documents[k];
+        self.count--;
+      }
+    });
+  };
+
+  /**
+   * Indexes a file, or a directory and everything below it
+   */
+  SearchIndex.prototype.crawl = function(fullPath, callback) {
+    var self = this;
+    var opts = getOptions(this.config);
+    var entries = [];
+
+    function _next() {
+      var entry = entries.shift();
+      if ( !entry || self.isFull() ) {
+        callback();
+        return;
+      }
+
+      var mime = require('./vfs.js').getMime(entry.path, self.config);
+      var readContent = opts.content && entry.stat.isFile() && entry.stat.size <= opts.maxFileSize && isTextFile(mime);
+      if ( readContent ) {
+        _fs.readFile(entry.path, function(err, data) {
+          self.addDocument(entry.path, entry.stat, err ? null : data.toString());
+          _next();
+        });
+      } else {
+        self.addDocument(entry.path, entry.stat, null);
+        _next();
+      }
+    }
+
+    _fs.stat(fullPath, function(err, stat) {
+      if ( err ) {
+        callback(err);
+        return;
+      }
+
+      entries.push({path: fullPath, stat: stat});
+      if ( !stat.isDirectory() ) {
+        _next();
+        return;
+      }
+
+      var finder;
+      try {
+        finder = require('findit')(fullPath);
+      } catch ( e ) {
+        callback('Failed to load findit node library: ' + e.toString());
+        return;
+      }
+
+      finder.on('directory', function(dir, stat) {
+        entries.push({path: dir, stat: stat});
+      });
+      finder.on('file', function(file, stat) {
+        entries.push({path: file, stat: stat});
+      });
+      finder.on('error', function() {
+        // Unreadable entries are skipped
+      });
+      finder.on('end', _next);
+    });
+  };
+
+  /**
+   * Runs given function when the initial crawl has finished
+   */
+  SearchIndex.prototype.whenReady = function(fn) {
+    var self = this;
+    if ( this.ready ) {
+      fn();
+      return;
+    }
+
+    this.queue.push(fn);
+    if ( this.queue.length === 1 ) {
+      this.crawl(this.root, function() {
+        self.ready = true;
+        self.queue.splice(0).forEach(function(f) {
+          f();
+        });
+      });
+    }
+  };
+
+  /**
+   * Queries the index. All terms has to match something in a document
+   */
+  SearchIndex.prototype.query = function(q, within) {
+    var self = this;
+    var terms = tokenize(q);
+    var tokens = Object.keys(this.tokens);
+    var scores = {};
+    var matched = {};
+
+    if ( !terms.length ) {
+      return [];
+    }
+
+    terms.forEach(function(term, i) {
+      tokens.forEach(function(token) {
+        var m = matchToken(term, token);
+        if ( !m ) {
+          return;
+        }
+
+        Object.keys(self.tokens[token]).forEach(function(rel) {
+          var s = m * self.tokens[token][rel];
+          scores[rel] = scores[rel] || [];
+          matched[rel] = matched[rel] || [];
+          scores[rel][i] = Math.max(scores[rel][i] || 0, s);
+          matched[rel].push(token);
+        });
+      });
+    });
+
+    var prefix = (within || '/').replace(/\/?$/, '/');
+
+    return Object.keys(scores).filter(function(rel) {
+      if ( prefix !== '/' && rel.indexOf(prefix) !== 0 ) {
+        return false;
+      }
+
+      return terms.every(function(t, i) {
+        return !!scores[rel][i];
+      });
+    }).map(function(rel) {
+      var doc = self.documents[rel];
+      var score = scores[rel].reduce(function(a, b) {
+        return a + b;
+      }, 0);
+
+      if ( doc.filename.toLowerCase() === String(q).toLowerCase() ) {
+        score *= 2;
+      }
+
+      return {
+        document: doc,
+        score: score,
+        words: matched[rel]
+      };
+    }).sort(function(a, b) {
+      return (b.score - a.score) || a.document.path.localeCompare(b.document.path);
+    });
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Performs a ranked search in given virtual paths
+   *
+   * @param   {ServerObject}    server            Server object
+   * @param   {Array}           paths             Virtual paths (ex: home:///)
+   * @param   {String}          query             Search query
+   * @param   {Object}          [opts]            Options
+   * @param   {Number}          [opts.limit=0]    Limit number of results
+   * @param   {Function}        callback          Callback function => fn(error, result)
+   *
+   * @function search
+   * @memberof Search
+   */
+  module.exports.search = function(server, paths, query, opts, callback) {
+    var vfs = require('./vfs.js');
+    var result = [];
+    var errors = [];
+
+    paths = (paths || []).slice();
+    opts = opts || {};
+
+    (function _next() {
+      var p = paths.shift();
+      if ( !p ) {
+        result.sort(function(a, b) {
+          return b.score - a.score;
+        });
+        if ( opts.limit ) {
+          result = result.slice(0, opts.limit);
+        }
+        callback(errors.length && !result.length ? errors.join(', ') : false, result);
+        return;
+      }
+
+      server.handler.checkVFSPrivilege(server, 'search', {path: p}, function(err) {
+        if ( err ) {
+          errors.push(err);
+          _next();
+          return;
+        }
+
+        var realPath, mountPath;
+        try {
+          realPath = vfs.getRealPath(server, p);
+          mountPath = vfs.getRealPath(server, realPath.protocol + '/');
+        } catch ( e ) {
+          errors.push(e.toString());
+          _next();
+          return;
+        }
+
+        var root = normalizePath(mountPath.root);
+        var index = indexes[root];
+        if ( !index ) {
+          index = indexes[root] = new SearchIndex(root, server.config);
+        }
+        index.used = Date.now();
+
+        index.whenReady(function() {
+          evictIndexes(index);
+
+          index.query(query, realPath.path).forEach(function(iter) {
+            var doc = iter.document;
+            var vpath = realPath.protocol + doc.path;
+
+            result.push({
+              filename: doc.filename,
+              path: vpath,
+              mime: doc.mime,
+              size: doc.size,
+              mtime: doc.mtime,
+              ctime: doc.ctime,
+              type: doc.type,
+              score: iter.score,
+              highlights: {
+                filename: getRanges(doc.filename, iter.words),
+                path: getRanges(vpath, iter.words)
+              }
+            });
+          });
+
+          _next();
+        });
+      });
+    })();
+  };
+
+  /**
+   * Ranks a list of documents by a query
+   *
+   * <pre><code>
+   * Uses the same matching as the file index for things that only exists on
+   * the client (ex: applications and windows). Each document has a list of
+   * `fields` to match, where the first one weighs the most, and the `title`
+   * and `description` to highlight.
+   * </code></pre>
+   *
+   * @param   {String}    query             Search query
+   * @param   {Object[]}  documents         List of `{fields, title, description}`
+   *
+   * @return  {Object[]}  List of `{index, score, highlights: {title, description}}` sorted by score
+   *
+   * @function rank
+   * @memberof Search
+   */
+  module.exports.rank = function(query, documents) {
+    var terms = tokenize(query);
+    var result = [];
+
+    if ( !terms.length ) {
+      return result;
+    }
+
+    (documents || []).forEach(function(doc, index) {
+      var fields = (doc && doc.fields instanceof Array) ? doc.fields : [];
+      var found = rankFields(terms, fields);
+      if ( found ) {
+        result.push({
+          index: index,
+          score: found.score,
+          highlights: {
+            title: getRanges(doc.title, found.words),
+            description: getRanges(doc.description, found.words)
+          }
+        });
+      }
+    });
+
+    return result.sort(function(a, b) {
+      return (b.score - a.score) || (a.index - b.index);
+    });
+  };
+
+  /**
+   * Drops the index of given virtual paths and builds it again
+   *
+   * @param   {ServerObject}    server            Server object
+   * @param   {Array}           paths             Virtual paths (ex: home:///)
+   * @param   {Function}        callback          Callback function => fn(error, result)
+   *
+   * @function reindex
+   * @memberof Search
+   */
+  module.exports.reindex = function(server, paths, callback) {
+    var vfs = require('./vfs.js');
+
+    paths = (paths || []).slice();
+
+    (function _next() {
+      var p = paths.shift();
+      if ( !p ) {
+        callback(false, true);
+        return;
+      }
+
+      server.handler.checkVFSPrivilege(server, 'search', {path: p}, function(err) {
+        if ( err ) {
+          callback(err);
+          return;
+        }
+
+        var root;
+        try {
+          root = normalizePath(vfs.getRealPath(server, vfs.getRealPath(server, p).protocol + '/').root);
+        } catch ( e ) {
+          callback(e.toString());
+          return;
+        }
+
+        var index = indexes[root] = new SearchIndex(root, server.config);
+        index.whenReady(function() {
+          evictIndexes(index);
+          _next();
+        });
+      });
+    })();
+  };
+
+  /**
+   * Updates the index entries of a real path after it was changed on disk
+   *
+   * NOT AVAILABLE FROM CLIENT
+   *
+   * @param   {String}    fullPath        Real path
+   *
+   * @function update
+   * @memberof Search
+   */
+  module.exports.update = function(fullPath) {
+    Object.keys(indexes).forEach(function(k) {
+      var index = indexes[k];
+      if ( index.ready && index.contains(fullPath) ) {
+        index.removeDocument(index.getRelativePath(normalizePath(fullPath)));
+        index.crawl(fullPath, function() {
+          evictIndexes(index);
+        });
+      }
+    });
+  };
+
+  /**
+   * Removes the index entries of a real path (and everything below it)
+   *
+   * NOT AVAILABLE FROM CLIENT
+   *
+   * @param   {String}    fullPath        Real path
+   *
+   * @function remove
+   * @memberof Search
+   */
+  module.exports.remove = function(fullPath) {
+    Object.keys(indexes).forEach(function(k) {
+      var index = indexes[k];
+      if ( index.ready && index.contains(fullPath) ) {
+        index.removeDocument(index.getRelativePath(normalizePath(fullPath)));
+      }
+    });
+  };
+
+  /**
+   * Checks if a MIME type is a text format (which content can be searched)
+   *
+   * @param   {String}    mime            MIME type
+   *
+   * @return  {Boolean}
+   *
+   * @function isTextFile
+   * @memberof Search
+   */
+  module.exports.isTextFile = isTextFile;
+
+})(
+  require('path'),
+  require('node-fs-extra')
+);
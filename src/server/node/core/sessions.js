@@ -0,0 +1,872 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _fs, _crypto) {
+  'use strict';
+
+  /**
+   * Persistent user sessions.
+   *
+   * <pre><code>
+   * Sessions are kept in a store, so they survive a server restart and can be
+   * shared between several server processes. The store is selected with
+   * `sessions.store` in the server configuration. Built in stores are:
+   *
+   *   memory     Kept in the server process
+   *   file       One JSON file per session in `sessions.file.path` (default)
+   *   mysql      A table in the database of the mysql handler
+   *
+   * Other stores can be added with `register()`. A store is an object with:
+   *
+   *   init(instance, options, cb)    => fn(error)
+   *   get(id, cb)                    => fn(error, record|null)
+   *   set(record, cb)                => fn(error)
+   *   remove(id, cb)                 => fn(error)
+   *   list(username, cb)             => fn(error, records)   (all if username is null)
+   *
+   * A record has `id`, `username`, `data` and the `created` and `accessed`
+   * timestamps (in milliseconds).
+   *
+   * Sessions expire `sessions.expire` seconds after creation, or after
+   * `sessions.idle` seconds without any requests. Zero disables the check.
+   *
+   * A new session is only written to the store once it holds data (ex: after
+   * login). Until then it is kept in memory for ISSUED_TTL, so requests
+   * without a session (assets etc.) do not fill up the store. Session IDs
+   * that the server did not issue are never used.
+   *
+   * A WebSocket connection gets its session (and cookie, if needed) in the
+   * upgrade request, and that session is stored right away so HTTP calls
+   * and the socket share it.
+   * </code></pre>
+   *
+   * @namespace Sessions
+   */
+
+  var COOKIE_NAME = 'session';
+  var ACCESS_INTERVAL = 60 * 1000;
+  var CLEANUP_INTERVAL = 10 * 60 * 1000;
+  var ISSUED_TTL = 60 * 60 * 1000;
+  var ISSUED_MAX = 10000;
+  var DIR_MODE = parseInt('700', 8);
+  var FILE_MODE = parseInt('600', 8);
+
+  var stores = {};
+  var store = null;
+  var instance = null;
+  var timer = null;
+  var pending = {};
+  var issued = {};
+  var issuedCount = 0;
+  var options = {
+    expire: 0,
+    idle: 0
+  };
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Logs a store error
+   */
+  function warn(msg, err) {
+    if ( instance && instance.logger ) {
+      instance.logger.log(instance.logger.WARNING, 'Sessions:', msg, err);
+    }
+  }
+
+  /**
+   * Gets the active store
+   */
+  function getStore() {
+    return store || stores.memory;
+  }
+
+  /**
+   * Creates a new session ID
+   */
+  function createId() {
+    return _crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Checks if given string is a valid session ID
+   */
+  function isValidId(id) {
+    return typeof id === 'string' && !!id.match(/^[a-f0-9]{32,64}$/);
+  }
+
+  /**
+   * Gets the public handle of a session. The ID itself is never exposed.
+   */
+  function getHandle(id) {
+    return _crypto.createHash('sha256').update(id).digest('hex').substr(0, 16);
+  }
+
+  /**
+   * Gets the session ID from the request cookies
+   */
+  function getCookie(request) {
+    var found = null;
+    String(request.headers.cookie || '').split(';').forEach(function(part) {
+      var idx = part.indexOf('=');
+      if ( idx > 0 && part.substr(0, idx).trim() === COOKIE_NAME ) {
+        found = part.substr(idx + 1).trim();
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Gets the expiry timestamp of a record (or null)
+   */
+  function getExpiry(record) {
+    var result = null;
+    if ( options.expire ) {
+      result = record.created + (options.expire * 1000);
+    }
+    if ( options.idle ) {
+      var idle = record.accessed + (options.idle * 1000);
+      result = result === null ? idle : Math.min(result, idle);
+    }
+    return result;
+  }
+
+  /**
+   * Checks if a record has expired
+   */
+  function isExpired(record, now) {
+    var expiry = getExpiry(record);
+    return expiry !== null && now >= expiry;
+  }
+
+  /**
+   * Creates a plain copy of a record for the store
+   */
+  function serialize(record) {
+    return {
+      id: record.id,
+      username: record.username || null,
+      created: record.created,
+      accessed: record.accessed,
+      data: JSON.parse(JSON.stringify(record.data || {}))
+    };
+  }
+
+  /**
+   * Creates a new record
+   */
+  function createRecord() {
+    var now = Date.now();
+    return {
+      id: createId(),
+      username: null,
+      created: now,
+      accessed: now,
+      data: {}
+    };
+  }
+
+  /**
+   * Forgets new records that never got any data. With `oldest` set at least
+   * the oldest one is forgotten.
+   */
+  function forgetIssued(now, oldest) {
+    Object.keys(issued).forEach(function(id) {
+      if ( oldest || now - issued[id].created >= ISSUED_TTL ) {
+        delete issued[id];
+        issuedCount--;
+        oldest = false;
+      }
+    });
+  }
+
+  /**
+   * Remembers a new record that is not in the store yet
+   */
+  function issue(record) {
+    if ( issuedCount >= ISSUED_MAX ) {
+      forgetIssued(Date.now(), true);
+    }
+
+    issued[record.id] = record;
+    issuedCount++;
+  }
+
+  /**
+   * Writes a record to the store.
+   *
+   * Writes of the same session are serialized, and the record stays available
+   * from memory until the store has it.
+   */
+  function save(record) {
+    if ( issued[record.id] ) {
+      delete issued[record.id];
+      issuedCount--;
+    }
+
+    var entry = pending[record.id];
+    if ( entry ) {
+      entry.record = record;
+      entry.dirty = true;
+      return;
+    }
+
+    entry = pending[record.id] = {record: record, dirty: false};
+
+    (function next() {
+      getStore().set(serialize(entry.record), function(err) {
+        if ( err ) {
+          warn('Failed to save session', err);
+        }
+
+        if ( entry.removed ) {
+          getStore().remove(record.id, function() {});
+          return;
+        }
+
+        if ( entry.dirty ) {
+          entry.dirty = false;
+          next();
+          return;
+        }
+
+        if ( pending[record.id] === entry ) {
+          delete pending[record.id];
+        }
+      });
+    })();
+  }
+
+  /**
+   * Loads a record from the store. Expired records are removed.
+   */
+  function load(id, cb) {
+    if ( !isValidId(id) ) {
+      cb(null);
+      return;
+    }
+
+    if ( pending[id] ) {
+      cb(pending[id].record);
+      return;
+    }
+
+    if ( issued[id] ) {
+      cb(isExpired(issued[id], Date.now()) ? null : issued[id]);
+      return;
+    }
+
+    getStore().get(id, function(err, record) {
+      if ( err ) {
+        warn('Failed to load session', err);
+      }
+
+      if ( !record ) {
+        cb(null);
+        return;
+      }
+
+      if ( isExpired(record, Date.now()) ) {
+        getStore().remove(id, function() {});
+        cb(null);
+        return;
+      }
+
+      cb(record);
+    });
+  }
+
+  /**
+   * Updates the access time of a record (at most once per interval)
+   */
+  function touch(record) {
+    var now = Date.now();
+    if ( issued[record.id] ) {
+      record.accessed = now;
+    } else if ( now - record.accessed >= ACCESS_INTERVAL ) {
+      record.accessed = now;
+      save(record);
+    }
+  }
+
+  /**
+   * Creates the session cookie header value
+   */
+  function createCookie(record) {
+    var cookie = COOKIE_NAME + '=' + record.id + '; Path=/; HttpOnly; SameSite=Lax';
+    if ( options.expire ) {
+      cookie += '; Max-Age=' + options.expire;
+    }
+    return cookie;
+  }
+
+  /**
+   * Creates the session object used by the request chain
+   */
+  function createSessionObject(record) {
+    return {
+      id: record.id,
+      set: function(k, v) {
+        record.data[k] = v === null ? null : String(v);
+        if ( k === 'username' ) {
+          record.username = record.data[k];
+        }
+        save(record);
+        return true;
+      },
+      get: function(k) {
+        if ( record.data.hasOwnProperty(k) ) {
+          return record.data[k];
+        }
+        return false;
+      }
+    };
+  }
+
+  /**
+   * Lists the active records of a user
+   */
+  function listRecords(username, cb) {
+    getStore().list(username, function(err, records) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var now = Date.now();
+      cb(false, (records || []).filter(function(r) {
+        return r.username === username && !isExpired(r, now);
+      }));
+    });
+  }
+
+  /**
+   * Removes a record
+   */
+  function removeRecord(id, cb) {
+    if ( issued[id] ) {
+      delete issued[id];
+      issuedCount--;
+    }
+    if ( pending[id] ) {
+      pending[id].removed = true;
+      delete pending[id];
+    }
+    getStore().remove(id, cb);
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // STORES
+  /////////////////////////////////////////////////////////////////////////////
+
+  stores.memory = (function() {
+    var records = {};
+
+    return {
+      init: function(inst, opts, cb) {
+        cb(false);
+      },
+      get: function(id, cb) {
+        cb(false, records[id] ? JSON.parse(records[id]) : null);
+      },
+      set: function(record, cb) {
+        records[record.id] = JSON.stringify(record);
+        cb(false);
+      },
+      remove: function(id, cb) {
+        delete records[id];
+        cb(false);
+      },
+      list: function(username, cb) {
+        cb(false, Object.keys(records).map(function(id) {
+          return JSON.parse(records[id]);
+        }).filter(function(r) {
+          return username === null || r.username === username;
+        }));
+      }
+    };
+  })();
+
+  stores.file = (function() {
+    var dir = null;
+
+    function getPath(id) {
+      return _path.join(dir, id + '.json');
+    }
+
+    function readRecord(file, cb) {
+      _fs.readFile(file, function(err, data) {
+        var record = null;
+        if ( !err ) {
+          try {
+            record = JSON.parse(data.toString());
+          } catch ( e ) {}
+        }
+        cb(record);
+      });
+    }
+
+    return {
+      init: function(inst, opts, cb) {
+        dir = opts.path || _path.join(inst.config.tmpdir || '/tmp', 'osjs-sessions');
+        _fs.mkdir(dir, DIR_MODE, function(err) {
+          if ( err && err.code !== 'EEXIST' ) {
+            cb('Failed to create session directory: ' + err);
+            return;
+          }
+
+          // Session IDs must not be readable by other users
+          _fs.chmod(dir, DIR_MODE, function(err) {
+            cb(err ? 'Failed to protect session directory: ' + err : false);
+          });
+        });
+      },
+      get: function(id, cb) {
+        readRecord(getPath(id), function(record) {
+          cb(false, record);
+        });
+      },
+      set: function(record, cb) {
+        var dest = getPath(record.id);
+        var tmp = dest + '.' + process.pid + '.tmp';
+        _fs.writeFile(tmp, JSON.stringify(record), {mode: FILE_MODE}, function(err) {
+          if ( err ) {
+            cb(err);
+            return;
+          }
+          _fs.rename(tmp, dest, cb);
+        });
+      },
+      remove: function(id, cb) {
+        _fs.unlink(getPath(id), function(err) {
+          cb(err && err.code !== 'ENOENT' ? err : false);
+        });
+      },
+      list: function(username, cb) {
+        _fs.readdir(dir, function(err, files) {
+          if ( err ) {
+            cb(err);
+            return;
+          }
+
+          var result = [];
+          files = files.filter(function(f) {
+            return f.match(/^[a-f0-9]+\.json$/);
+          });
+
+          (function next() {
+            if ( !files.length ) {
+              cb(false, result);
+              return;
+            }
+
+            readRecord(_path.join(dir, files.shift()), function(record) {
+              if ( record && (username === null || record.username === username) ) {
+                result.push(record);
+              }
+              next();
+            });
+          })();
+        });
+      }
+    };
+  })();
+
+  stores.mysql = (function() {
+    var handler = null;
+    var table = 'sessions';
+    var columns = '`id`, `username`, `data`, `created`, `accessed`';
+
+    function fromRow(row) {
+      var data = {};
+      try {
+        data = JSON.parse(row.data);
+      } catch ( e ) {}
+
+      return {
+        id: row.id,
+        username: row.username,
+        created: Number(row.created),
+        accessed: Number(row.accessed),
+        data: data
+      };
+    }
+
+    return {
+      init: function(inst, opts, cb) {
+        if ( !inst.handler || typeof inst.handler.query !== 'function' ) {
+          cb('The mysql session store requires the mysql handler');
+          return;
+        }
+        handler = inst.handler;
+        table = opts.table || table;
+        cb(false);
+      },
+      get: function(id, cb) {
+        var q = 'SELECT ' + columns + ' FROM ?? WHERE `id` = ? LIMIT 1;';
+        handler.query(q, [table, id], function(err, rows) {
+          cb(err || false, !err && rows[0] ? fromRow(rows[0]) : null);
+        });
+      },
+      set: function(record, cb) {
+        var q = 'INSERT INTO ?? (' + columns + ') VALUES (?, ?, ?, ?, ?) ' +
+                'ON DUPLICATE KEY UPDATE `username` = VALUES(`username`), `data` = VALUES(`data`), `accessed` = VALUES(`accessed`);';
+        var a = [table, record.id, record.username, JSON.stringify(record.data), record.created, record.accessed];
+        handler.query(q, a, function(err) {
+          cb(err || false);
+        });
+      },
+      remove: function(id, cb) {
+        handler.query('DELETE FROM ?? WHERE `id` = ?;', [table, id], function(err) {
+          cb(err || false);
+        });
+      },
+      list: function(username, cb) {
+        var q = 'SELECT ' + columns + ' FROM ??';
+        var a = [table];
+        if ( username !== null ) {
+          q += ' WHERE `username` = ?';
+          a.push(username);
+        }
+
+        handler.query(q + ';', a, function(err, rows) {
+          cb(err || false, err ? [] : rows.map(fromRow));
+        });
+      }
+    };
+  })();
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Registers a session store
+   *
+   * @param   {String}    name        Store name
+   * @param   {Object}    impl        Store implementation
+   *
+   * @function register
+   * @memberof Sessions
+   */
+  module.exports.register = function(name, impl) {
+    stores[name] = impl;
+  };
+
+  /**
+   * Initializes the configured session store
+   *
+   * <pre><code>
+   * If the store fails to initialize, sessions are kept in memory.
+   * </code></pre>
+   *
+   * @param   {Object}    inst        Server instance
+   * @param   {Function}  cb          Callback function => fn(error)
+   *
+   * @function init
+   * @memberof Sessions
+   */
+  module.exports.init = function(inst, cb) {
+    var config = inst.config.sessions || {};
+    var name = config.store || 'file';
+
+    instance = inst;
+    options.expire = parseInt(config.expire, 10) || 0;
+    options.idle = parseInt(config.idle, 10) || 0;
+
+    module.exports.close();
+
+    if ( !stores[name] ) {
+      store = null;
+      cb('Invalid session store: ' + name);
+      return;
+    }
+
+    stores[name].init(inst, config[name] || {}, function(err) {
+      store = err ? null : stores[name];
+
+      timer = setInterval(function() {
+        module.exports.cleanup(function() {});
+      }, CLEANUP_INTERVAL);
+
+      if ( timer.unref ) {
+        timer.unref();
+      }
+
+      cb(err || false);
+    });
+  };
+
+  /**
+   * Stops the periodic cleanup
+   *
+   * @function close
+   * @memberof Sessions
+   */
+  module.exports.close = function() {
+    if ( timer ) {
+      clearInterval(timer);
+    }
+    timer = null;
+  };
+
+  /**
+   * Starts the session of a HTTP request
+   *
+   * <pre><code>
+   * Loads the session from the cookie, or creates a new one and sets the cookie.
+   * The new session is not stored until something is set in it.
+   * </code></pre>
+   *
+   * @param   {ServerRequest}   request     Server request object
+   * @param   {ServerResponse}  response    Server response object
+   * @param   {Function}        cb          Callback function => fn(session)
+   *
+   * @function start
+   * @memberof Sessions
+   */
+  module.exports.start = function(request, response, cb) {
+    load(getCookie(request), function(record) {
+      if ( record ) {
+        touch(record);
+      } else {
+        record = createRecord();
+        issue(record);
+
+        response.setHeader('Set-Cookie', createCookie(record));
+      }
+
+      cb(createSessionObject(record));
+    });
+  };
+
+  /**
+   * Starts the session of a WebSocket upgrade request
+   *
+   * <pre><code>
+   * Loads the session from the cookie, or creates a new one. The session is
+   * stored right away, so it does not expire from memory while the socket
+   * is open. If a new session was created the callback gets the cookie that
+   * must be sent in the upgrade response.
+   * </code></pre>
+   *
+   * @param   {ServerRequest}   request     Server request object
+   * @param   {Function}        cb          Callback function => fn(id, cookie)
+   *
+   * @function upgrade
+   * @memberof Sessions
+   */
+  module.exports.upgrade = function(request, cb) {
+    load(getCookie(request), function(record) {
+      var cookie = null;
+      if ( !record ) {
+        record = createRecord();
+        cookie = createCookie(record);
+        save(record);
+      } else if ( issued[record.id] ) {
+        save(record);
+      } else {
+        touch(record);
+      }
+
+      cb(record.id, cookie);
+    });
+  };
+
+  /**
+   * Gets a session by ID (ex: from a WebSocket message)
+   *
+   * <pre><code>
+   * If there is no such session a new one is created, with a new ID.
+   * </code></pre>
+   *
+   * @param   {String}    id          Session ID
+   * @param   {Function}  cb          Callback function => fn(session)
+   *
+   * @function get
+   * @memberof Sessions
+   */
+  module.exports.get = function(id, cb) {
+    load(id, function(record) {
+      if ( record ) {
+        touch(record);
+      }
+      if ( !record ) {
+        record = createRecord();
+        issue(record);
+      }
+      cb(createSessionObject(record));
+    });
+  };
+
+  /**
+   * Lists the active sessions of a user
+   *
+   * <pre><code>
+   * Each entry has the public `id` handle, the `created`, `accessed` and
+   * `expires` dates and if it is the `current` session.
+   * </code></pre>
+   *
+   * @param   {String}    username    Username
+   * @param   {String}    currentId   ID of the current session
+   * @param   {Function}  cb          Callback function => fn(error, result)
+   *
+   * @function list
+   * @memberof Sessions
+   */
+  module.exports.list = function(username, currentId, cb) {
+    listRecords(username, function(err, records) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      cb(false, records.sort(function(a, b) {
+        return b.accessed - a.accessed;
+      }).map(function(r) {
+        var expiry = getExpiry(r);
+        return {
+          id: getHandle(r.id),
+          created: new Date(r.created).toISOString(),
+          accessed: new Date(r.accessed).toISOString(),
+          expires: expiry === null ? null : new Date(expiry).toISOString(),
+          current: r.id === currentId
+        };
+      }));
+    });
+  };
+
+  /**
+   * Revokes sessions of a user
+   *
+   * @param   {String}    username    Username
+   * @param   {String}    handle      Session handle (from `list()`), or `null` for all
+   * @param   {String}    exceptId    ID of a session to keep (ex: the current one)
+   * @param   {Function}  cb          Callback function => fn(error, result)
+   *
+   * @function revoke
+   * @memberof Sessions
+   */
+  module.exports.revoke = function(username, handle, exceptId, cb) {
+    listRecords(username, function(err, records) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      var found = records.filter(function(r) {
+        return r.id !== exceptId && (handle === null || getHandle(r.id) === handle);
+      });
+
+      if ( handle !== null && !found.length ) {
+        cb('Session not found');
+        return;
+      }
+
+      (function next() {
+        if ( !found.length ) {
+          cb(false, true);
+          return;
+        }
+
+        removeRecord(found.shift().id, function(err) {
+          if ( err ) {
+            cb(err);
+            return;
+          }
+          next();
+        });
+      })();
+    });
+  };
+
+  /**
+   * Counts the active sessions of all users
+   *
+   * @param   {Function}  cb          Callback function => fn(error, result)
+   *
+   * @function count
+   * @memberof Sessions
+   */
+  module.exports.count = function(cb) {
+    var now = Date.now();
+    getStore().list(null, function(err, records) {
+      if ( err ) {
+        cb(err);
+        return;
+      }
+
+      cb(false, (records || []).filter(function(r) {
+        return !isExpired(r, now);
+      }).length);
+    });
+  };
+
+  /**
+   * Removes all expired sessions from the store
+   *
+   * @param   {Function}  cb          Callback function => fn(error, result)
+   *
+   * @function cleanup
+   * @memberof Sessions
+   */
+  module.exports.cleanup = function(cb) {
+    var now = Date.now();
+    forgetIssued(now);
+
+    getStore().list(null, function(err, records) {
+      if ( err ) {
+        warn('Failed to clean up sessions', err);
+        cb(err);
+        return;
+      }
+
+      var expired = (records || []).filter(function(r) {
+        return isExpired(r, now);
+      });
+
+      (function next() {
+        if ( !expired.length ) {
+          cb(false, true);
+          return;
+        }
+        removeRecord(expired.shift().id, function() {
+          next();
+        });
+      })();
+    });
+  };
+
+})(
+  require('path'),
+  require('fs'),
+  require('crypto')
+);
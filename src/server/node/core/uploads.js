@@ -0,0 +1,388 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _fs, _crypto) {
+  'use strict';
+
+  /**
+   * Chunked upload sessions.
+   *
+   * <pre><code>
+   * An upload is started with the total size and gets a session ID. The
+   * client then sends the file in chunks, each with its byte offset and a
+   * CRC32 checksum. Chunks are appended to a part file in the temporary
+   * directory, so an interrupted upload can be resumed from the last offset
+   * the server received. When all bytes are in place the part file is moved
+   * to the destination.
+   *
+   * Only one chunk of a session is written at a time. A chunk that arrives
+   * while another one is written is rejected, and a failed write is
+   * truncated away so the offset stays valid.
+   * </code></pre>
+   *
+   * @namespace Uploads
+   */
+
+  var SESSION_LIFETIME = 24 * 60 * 60 * 1000;
+
+  var busy = {};
+
+  var CRC_TABLE = (function() {
+    var table = [];
+    var c, n, k;
+
+    for ( n = 0; n < 256; n++ ) {
+      c = n;
+      for ( k = 0; k < 8; k++ ) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      table.push(c >>> 0);
+    }
+
+    return table;
+  })();
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Calculates the CRC32 of a buffer as a hex string
+   */
+  function crc32(buf) {
+    var crc = 0xFFFFFFFF;
+    for ( var i = 0; i < buf.length; i++ ) {
+      crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    var hex = ((crc ^ 0xFFFFFFFF) >>> 0).toString(16);
+    return ('00000000' + hex).substr(-8);
+  }
+
+  /**
+   * Gets the directory where upload sessions are stored
+   */
+  function getDirectory(server) {
+    return _path.join(server.config.tmpdir || '/tmp', 'osjs-uploads');
+  }
+
+  /**
+   * Gets the part and metadata file paths of a session
+   */
+  function getPaths(server, id) {
+    var dir = getDirectory(server);
+    return {
+      data: _path.join(dir, id + '.part'),
+      meta: _path.join(dir, id + '.json')
+    };
+  }
+
+  /**
+   * Removes sessions that has not been touched for a while
+   */
+  function cleanup(server) {
+    var dir = getDirectory(server);
+    _fs.readdir(dir, function(err, files) {
+      (files || []).forEach(function(f) {
+        var p = _path.join(dir, f);
+        _fs.stat(p, function(err, stat) {
+          if ( !err && (Date.now() - stat.mtime.getTime()) > SESSION_LIFETIME ) {
+            _fs.unlink(p, function() {});
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Reads a session and makes sure it belongs to the current user and path
+   */
+  function readSession(server, id, path, cb) {
+    if ( !String(id).match(/^[a-f0-9]{32}$/) ) {
+      cb('Invalid upload session');
+      return;
+    }
+
+    var paths = getPaths(server, id);
+    _fs.readFile(paths.meta, function(err, data) {
+      var session;
+
+      try {
+        session = JSON.parse(data);
+      } catch ( e ) {}
+
+      if ( err || !session ) {
+        cb('Upload session was not found');
+        return;
+      }
+
+      if ( session.username !== server.handler.getUserName(server) || session.path !== path ) {
+        cb('Invalid upload session');
+        return;
+      }
+
+      _fs.stat(paths.data, function(err, stat) {
+        if ( err ) {
+          cb('Upload session was not found');
+          return;
+        }
+
+        session.id = id;
+        session.offset = stat.size;
+        session.file = paths.data;
+
+        cb(false, session);
+      });
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Starts (or resumes) an upload session
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {Object}        args            Arguments
+   * @param   {String}        args.path       Destination path
+   * @param   {Number}        args.size       Total size in bytes
+   * @param   {String}        [args.id]       Resume this session
+   * @param   {Function}      cb              Callback function => fn(error, {id, offset, size})
+   *
+   * @function start
+   * @memberof Uploads
+   */
+  module.exports.start = function(server, args, cb) {
+    var size = parseInt(args.size, 10);
+    if ( isNaN(size) || size < 0 ) {
+      cb('Invalid upload size');
+      return;
+    }
+
+    function create() {
+      var id = _crypto.randomBytes(16).toString('hex');
+      var paths = getPaths(server, id);
+      var meta = {
+        username: server.handler.getUserName(server),
+        path: args.path,
+        size: size,
+        created: new Date().toISOString()
+      };
+
+      cleanup(server);
+
+      _fs.mkdir(getDirectory(server), function() {
+        _fs.writeFile(paths.meta, JSON.stringify(meta), function(err) {
+          if ( err ) {
+            cb('Failed to create upload session: ' + err);
+            return;
+          }
+
+          _fs.writeFile(paths.data, '', function(err) {
+            if ( err ) {
+              cb('Failed to create upload session: ' + err);
+            } else {
+              cb(false, {id: id, offset: 0, size: size});
+            }
+          });
+        });
+      });
+    }
+
+    if ( !args.id ) {
+      create();
+      return;
+    }
+
+    readSession(server, args.id, args.path, function(err, session) {
+      if ( err || session.size !== size ) {
+        create();
+      } else {
+        cb(false, {id: session.id, offset: session.offset, size: session.size});
+      }
+    });
+  };
+
+  /**
+   * Appends a chunk to an upload session
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {Object}        args            Arguments
+   * @param   {String}        args.id         Session ID
+   * @param   {String}        args.path       Destination path
+   * @param   {Number}        args.offset     Byte offset of this chunk
+   * @param   {String}        args.data       Base64 encoded chunk
+   * @param   {String}        args.checksum   CRC32 of the chunk (hex)
+   * @param   {Function}      cb              Callback function => fn(error, {id, offset, size})
+   *
+   * @function chunk
+   * @memberof Uploads
+   */
+  module.exports.chunk = function(server, args, cb) {
+    var id = String(args.id);
+    if ( busy[id] ) {
+      cb('Upload session is busy');
+      return;
+    }
+
+    busy[id] = true;
+
+    function done(err, result) {
+      delete busy[id];
+      cb(err, result);
+    }
+
+    readSession(server, id, args.path, function(err, session) {
+      if ( err ) {
+        done(err);
+        return;
+      }
+
+      if ( parseInt(args.offset, 10) !== session.offset ) {
+        done('Invalid chunk offset, expected ' + session.offset);
+        return;
+      }
+
+      var data = new Buffer(String(args.data || ''), 'base64');
+      if ( session.offset + data.length > session.size ) {
+        done('Chunk exceeds the upload size');
+        return;
+      }
+
+      if ( crc32(data) !== String(args.checksum).toLowerCase() ) {
+        done('Chunk checksum mismatch');
+        return;
+      }
+
+      _fs.appendFile(session.file, data, function(err) {
+        if ( err ) {
+          // Drop whatever part of the chunk was written
+          _fs.truncate(session.file, session.offset, function() {
+            done('Failed to write chunk: ' + err);
+          });
+        } else {
+          done(false, {id: session.id, offset: session.offset + data.length, size: session.size});
+        }
+      });
+    });
+  };
+
+  /**
+   * Gets a completed upload session
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {Object}        args            Arguments
+   * @param   {String}        args.id         Session ID
+   * @param   {String}        args.path       Destination path
+   * @param   {Function}      cb              Callback function => fn(error, session)
+   *
+   * @function finish
+   * @memberof Uploads
+   */
+  module.exports.finish = function(server, args, cb) {
+    if ( busy[String(args.id)] ) {
+      cb('Upload session is busy');
+      return;
+    }
+
+    readSession(server, args.id, args.path, function(err, session) {
+      if ( err ) {
+        cb(err);
+      } else if ( session.offset !== session.size ) {
+        cb('Upload is incomplete, got ' + session.offset + ' of ' + session.size + ' bytes');
+      } else {
+        cb(false, session);
+      }
+    });
+  };
+
+  /**
+   * Removes an upload session
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {String}        id              Session ID
+   * @param   {Function}      cb              Callback function => fn(error)
+   *
+   * @function remove
+   * @memberof Uploads
+   */
+  module.exports.remove = function(server, id, cb) {
+    if ( !String(id).match(/^[a-f0-9]{32}$/) ) {
+      cb('Invalid upload session');
+      return;
+    }
+
+    var paths = getPaths(server, id);
+    _fs.unlink(paths.data, function() {
+      _fs.unlink(paths.meta, function() {
+        cb(false);
+      });
+    });
+  };
+
+  /**
+   * Aborts an upload session
+   *
+   * @param   {ServerObject}  server          Server object
+   * @param   {Object}        args            Arguments
+   * @param   {String}        args.id         Session ID
+   * @param   {String}        args.path       Destination path
+   * @param   {Function}      cb              Callback function => fn(error)
+   *
+   * @function abort
+   * @memberof Uploads
+   */
+  module.exports.abort = function(server, args, cb) {
+    readSession(server, args.id, args.path, function(err, session) {
+      if ( err ) {
+        cb(err);
+      } else {
+        module.exports.remove(server, session.id, cb);
+      }
+    });
+  };
+
+  /**
+   * Calculates the CRC32 checksum of a buffer
+   *
+   * @param   {Buffer}        buf             Data
+   *
+   * @return  {String} Checksum as hex
+   *
+   * @function crc32
+   * @memberof Uploads
+   */
+  module.exports.crc32 = crc32;
+
+})(
+  require('path'),
+  require('fs'),
+  require('crypto')
+);
@@ -27,13 +27,15 @@
  * @author  Anders Evenrud <andersevenrud@gmail.com>
  * @licence Simplified BSD License
  */
-(function(_path, _nfs, _fs) {
+(function(_path, _nfs, _fs, _search, _watcher, _quota, _uploads, _archive, _acl) {
   'use strict';
 
   /**
    * @namespace VFS
    */
 
+  var MAX_REGEX_LENGTH = 100;
+
   function readExif(path, mime, cb) {
     /*eslint no-new: "warn"*/
 
@@ -103,6 +105,87 @@
     return s.replace(/\\/g, '/');
   }
 
+  function getTrashPath(server) {
+    return _path.join(server.handler.getHomePath(server), '.Trash');
+  }
+
+  function getTrashInfoPath(server, name) {
+    return _path.join(getTrashPath(server), 'info', name + '.trashinfo');
+  }
+
+  function createTrash(server, cb) {
+    var root = getTrashPath(server);
+    _fs.mkdirs(_path.join(root, 'files'), function(err) {
+      if ( err ) {
+        cb(err);
+      } else {
+        _fs.mkdirs(_path.join(root, 'info'), cb);
+      }
+    });
+  }
+
+  function readTrashInfo(server, name, cb) {
+    _fs.readFile(getTrashInfoPath(server, name), function(err, data) {
+      var info = null;
+      if ( !err ) {
+        try {
+          info = JSON.parse(data.toString());
+        } catch ( e ) {
+          err = e;
+        }
+      }
+      cb(err, info);
+    });
+  }
+
+  function getTrashName(realPath) {
+    var parts = realPath.path.replace(/^\/+/, '').split('/');
+    return parts.length === 1 ? parts[0] : null;
+  }
+
+  function findAvailableName(dir, filename, cb) {
+    var ext = _path.extname(filename);
+    var base = filename.substr(0, filename.length - ext.length);
+
+    (function _check(n) {
+      var name = n ? base + ' (' + n + ')' + ext : filename;
+      _fs.exists(_path.join(dir, name), function(exists) {
+        if ( exists ) {
+          _check(n + 1);
+        } else {
+          cb(name);
+        }
+      });
+    })(0);
+  }
+
+  function moveFile(src, dest, cb) {
+    _fs.rename(src, dest, function(err) {
+      if ( err && err.code === 'EXDEV' ) {
+        _fs.copy(src, dest, function(err) {
+          if ( err ) {
+            cb(err);
+          } else {
+            _fs.remove(src, cb);
+          }
+        });
+        return;
+      }
+      cb(err);
+    });
+  }
+
+  function checkQuota(server, realPath, bytes, replacing, cb) {
+    if ( !replacing ) {
+      _quota.check(server, realPath, bytes, cb);
+      return;
+    }
+
+    _quota.getSize(realPath.root, function(existing) {
+      _quota.check(server, realPath, bytes - existing, cb);
+    });
+  }
+
   function getRealPath(server, path) {
     var fullPath = null;
     var protocol = '';
@@ -116,6 +199,10 @@
       path = path.replace(/^home\:\/\//, '');
       fullPath = _path.join(server.handler.getHomePath(server), path);
       protocol = 'home://';
+    } else if ( path.match(/^trash\:\/\//) ) {
+      path = path.replace(/^trash\:\/\//, '');
+      fullPath = _path.join(getTrashPath(server), 'files', path);
+      protocol = 'trash://';
     } else {
       var tmp = path.split(/^(\w+)\:\/\//);
 
@@ -233,10 +320,297 @@
     return result;
   }
 
+  function getTrashIters(server, list) {
+    return list.map(function(iter) {
+      try {
+        var info = JSON.parse(_fs.readFileSync(getTrashInfoPath(server, iter.filename)).toString());
+        iter.original = info.path;
+        iter.deleted = info.deleted;
+      } catch ( e ) {}
+      return iter;
+    });
+  }
+
   function checkProtectedPath(dst) {
     if ( dst.match(/osjs\:/) ) {
       throw new Error('Access denied');
     }
+
+    // The trash (and its restore information) is only managed through trash://
+    if ( dst.match(/^home\:\/\//) ) {
+      var p = _path.posix.normalize('/' + dst.replace(/^home\:\/\//, ''));
+      if ( p === '/.Trash' || p.indexOf('/.Trash/') === 0 ) {
+        throw new Error('Access denied');
+      }
+    }
+  }
+
+  /**
+   * Resolves the original location of a trashed file. It has to be
+   * inside the mountpoint it was trashed from, and never a protected path.
+   */
+  function getRestorePath(server, path) {
+    if ( typeof path !== 'string' || path.match(/^trash\:\/\//) ) {
+      throw new Error('Invalid restore location');
+    }
+
+    checkProtectedPath(path);
+
+    var realPath = getRealPath(server, path);
+    var mountRoot = getRealPath(server, realPath.protocol + '/').root.replace(/[\/\\]$/, '');
+    if ( realPath.root.indexOf(mountRoot + _path.sep) !== 0 ) {
+      throw new Error('Invalid restore location');
+    }
+
+    return realPath;
+  }
+
+  function checkPrivilege(server, method, args, cb) {
+    server.handler.checkVFSPrivilege(server, method, args, function(error) {
+      if ( error ) {
+        cb(error);
+      } else {
+        _acl.check(server, method, args, cb);
+      }
+    });
+  }
+
+  function getArchiveEntry(args) {
+    return String(args.entry || '').replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Collects the entries to put in an archive. Symbolic links are skipped,
+   * and file contents are not read until the archive is written. Every
+   * entry must be readable by the user.
+   */
+  function readArchiveSources(server, paths, exclude, cb) {
+    var entries = [];
+
+    function addFile(real, virtual, name, done) {
+      if ( real === exclude ) {
+        done();
+        return;
+      }
+
+      if ( !_acl.isAllowed(server, virtual, 'read') ) {
+        done('Access denied: You do not have read permission on ' + virtual);
+        return;
+      }
+
+      _fs.lstat(real, function(error, stat) {
+        if ( error ) {
+          done('File not found: ' + name);
+        } else if ( stat.isSymbolicLink() ) {
+          done();
+        } else if ( stat.isDirectory() ) {
+          entries.push({name: name, type: 'dir', mtime: stat.mtime});
+
+          _fs.readdir(real, function(error, files) {
+            if ( error ) {
+              done('Error reading directory: ' + error);
+              return;
+            }
+
+            (function next(i) {
+              if ( i >= files.length ) {
+                done();
+                return;
+              }
+
+              addFile(_path.join(real, files[i]), virtual.replace(/\/$/, '') + '/' + files[i], name + '/' + files[i], function(error) {
+                if ( error ) {
+                  done(error);
+                } else {
+                  next(i + 1);
+                }
+              });
+            })(0);
+          });
+        } else if ( stat.isFile() ) {
+          entries.push({name: name, type: 'file', size: stat.size, mtime: stat.mtime, source: real});
+          done();
+        } else {
+          done();
+        }
+      });
+    }
+
+    (function next(i) {
+      if ( i >= paths.length ) {
+        cb(false, entries);
+        return;
+      }
+
+      var realPath;
+      try {
+        realPath = getRealPath(server, paths[i]);
+      } catch ( e ) {
+        cb(e.message || e);
+        return;
+      }
+
+      checkPrivilege(server, 'read', {path: paths[i]}, function(error) {
+        if ( error ) {
+          cb(error);
+          return;
+        }
+
+        addFile(realPath.root, paths[i], _path.basename(realPath.root), function(error) {
+          if ( error ) {
+            cb(error);
+          } else {
+            next(i + 1);
+          }
+        });
+      });
+    })(0);
+  }
+
+  /**
+   * Creates a case insensitive RegExp from a glob pattern (`*` and `?`)
+   */
+  function globToRegExp(glob) {
+    return new RegExp('^' + String(glob).split('').map(function(c) {
+      if ( c === '*' ) {
+        return '.*';
+      } else if ( c === '?' ) {
+        return '.';
+      }
+      return c.replace(/[\-\[\]\/\{\}\(\)\+\.\\\^\$\|]/g, '\\$&');
+    }).join('') + '$', 'i');
+  }
+
+  /**
+   * Creates a case insensitive RegExp from a user supplied pattern.
+   *
+   * The expression runs in the server process, so patterns that can take
+   * forever to evaluate are refused: long patterns, back references and
+   * quantified groups that contain quantifiers (ex: `(a+)+`).
+   */
+  function createUserRegExp(pattern) {
+    pattern = String(pattern);
+    if ( pattern.length > MAX_REGEX_LENGTH ) {
+      throw new Error('Regular expression is too long');
+    }
+
+    var groups = [];
+    var inClass = false;
+    for ( var i = 0; i < pattern.length; i++ ) {
+      var c = pattern.charAt(i);
+      if ( c === '\\' ) {
+        if ( pattern.charAt(i + 1).match(/[1-9k]/) ) {
+          throw new Error('Regular expression is too complex');
+        }
+        i++;
+      } else if ( inClass ) {
+        inClass = c !== ']';
+      } else if ( c === '[' ) {
+        inClass = true;
+      } else if ( c === '(' ) {
+        groups.push(false);
+      } else if ( c === ')' ) {
+        if ( groups.pop() && pattern.charAt(i + 1).match(/[*+{]/) ) {
+          throw new Error('Regular expression is too complex');
+        }
+      } else if ( c.match(/[*+{]/) ) {
+        groups = groups.map(function() {
+          return true;
+        });
+      }
+    }
+
+    try {
+      return new RegExp(pattern, 'i');
+    } catch ( e ) {
+      throw new Error('Invalid regular expression: ' + e.message);
+    }
+  }
+
+  /**
+   * Creates a function that matches a file entry against the criteria of a
+   * find request. The content is not checked here. Throws on invalid criteria.
+   */
+  function createFindMatcher(qargs) {
+    function toTime(v) {
+      var t = (v === null || typeof v === 'undefined') ? NaN : new Date(v).getTime();
+      return isNaN(t) ? null : t;
+    }
+
+    var query = String(qargs.query || '').toLowerCase();
+    var name = qargs.name ? globToRegExp(qargs.name) : null;
+    var regex = qargs.regex ? createUserRegExp(qargs.regex) : null;
+    var mimes = (qargs.mime instanceof Array ? qargs.mime : (qargs.mime ? [qargs.mime] : [])).map(globToRegExp);
+    var size = qargs.size || {};
+    var from = toTime((qargs.mtime || {}).from);
+    var to = toTime((qargs.mtime || {}).to);
+    var filesOnly = mimes.length > 0 || typeof size.min === 'number' || typeof size.max === 'number' || !!qargs.contains;
+
+    return function(iter) {
+      var mtime = toTime(iter.mtime);
+
+      return !(
+        (query && iter.filename.toLowerCase().indexOf(query) === -1) ||
+        (name && !name.test(iter.filename)) ||
+        (regex && !regex.test(iter.filename)) ||
+        (qargs.type && iter.type !== qargs.type) ||
+        (filesOnly && iter.type !== 'file') ||
+        (mimes.length && !mimes.some(function(re) {
+          return re.test(iter.mime);
+        })) ||
+        (typeof size.min === 'number' && iter.size < size.min) ||
+        (typeof size.max === 'number' && iter.size > size.max) ||
+        (from !== null && (mtime === null || mtime < from)) ||
+        (to !== null && (mtime === null || mtime > to))
+      );
+    };
+  }
+
+  /**
+   * Walks a directory in sorted order. `onentry` is called with
+   * `(fullPath, stat, next)` and the walk stops if `next(true)` is called.
+   * Symbolic links are skipped, so the walk cannot loop or leave the root.
+   */
+  function walkDirectory(dir, recursive, onentry, cb) {
+    _fs.readdir(dir, function(error, files) {
+      if ( error ) {
+        cb(error);
+        return;
+      }
+
+      files = files.sort();
+
+      (function next(i) {
+        if ( i >= files.length ) {
+          cb(false, false);
+          return;
+        }
+
+        var fullPath = _path.join(dir, files[i]);
+        _fs.lstat(fullPath, function(error, stat) {
+          if ( error || stat.isSymbolicLink() ) {
+            next(i + 1);
+            return;
+          }
+
+          onentry(fullPath, stat, function(stop) {
+            if ( stop ) {
+              cb(false, true);
+            } else if ( recursive && stat.isDirectory() ) {
+              walkDirectory(fullPath, true, onentry, function(error, stopped) {
+                if ( stopped ) {
+                  cb(false, true);
+                } else {
+                  next(i + 1);
+                }
+              });
+            } else {
+              next(i + 1);
+            }
+          });
+        });
+      })(0);
+    });
   }
 
   /////////////////////////////////////////////////////////////////////////////
@@ -335,12 +709,23 @@
     checkProtectedPath(args.path);
 
     function writeFile(d, e) {
-      _fs.writeFile(realPath.root, d, e || 'utf8', function(error, data) {
+      var size = typeof d === 'string' ? Buffer.byteLength(d, e) : d.length;
+
+      checkQuota(server, realPath, size, true, function(error, rollback) {
         if ( error ) {
-          callback('Error writing file: ' + error);
-        } else {
-          callback(false, true);
+          callback(error);
+          return;
         }
+
+        _fs.writeFile(realPath.root, d, e || 'utf8', function(error, data) {
+          if ( error ) {
+            rollback();
+            callback('Error writing file: ' + error);
+          } else {
+            _search.update(realPath.root);
+            callback(false, true);
+          }
+        });
       });
     }
 
@@ -380,93 +765,339 @@
     _fs.exists(realPath.root, function(exists) {
       if ( !exists ) {
         callback('Target does not exist!');
-      } else {
+        return;
+      }
+
+      _quota.getSize(realPath.root, function(size) {
         _fs.remove(realPath.root, function(error, data) {
           if ( error ) {
+            _quota.invalidate(realPath.root);
             callback('Error deleting: ' + error);
+            return;
+          }
+
+          _search.remove(realPath.root);
+          _quota.update(realPath.root, -size);
+
+          if ( realPath.protocol === 'trash://' && getTrashName(realPath) ) {
+            _fs.remove(getTrashInfoPath(server, getTrashName(realPath)), function() {
+              callback(false, true);
+            });
           } else {
             callback(false, true);
           }
         });
-      }
+      });
     });
   };
 
   /**
-   * Copy a file
+   * Move a file to trash
    *
-   * @param  {ServerObject}    server         Server object
-   * @param  {Object}          args           API Call Arguments
-   * @param  {String}          args.src       Request source path
-   * @param  {String}          args.dest      Request destination path
-   * @param  {Object}          [args.options] Request options
-   * @param  {Function}        callback       Callback function => fn(error, result)
+   * <pre><code>
+   * The trash lives in the users home directory, so only files from the
+   * home directory can be moved there (files on shared mountpoints must be
+   * deleted). Every entry keeps a record of its original path and the time
+   * it was deleted so it can be restored later on.
+   * </code></pre>
    *
-   * @function copy
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Request path
+   * @param  {Object}          [args.options]           Request options
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function trash
    * @memberof VFS
    */
-  module.exports.copy = function(server, args, callback) {
-    var src  = args.src;
-    var dst  = args.dest;
-    var opts = typeof args.options === 'undefined' ? {} : (args.options || {});
+  module.exports.trash = function(server, args, callback) {
+    var realPath = getRealPath(server, args.path);
+    var trashPath = getTrashPath(server);
 
-    checkProtectedPath(dst);
+    checkProtectedPath(args.path);
 
-    var realSrc = getRealPath(server, src);
-    var realDst = getRealPath(server, dst);
-    var srcPath = realSrc.root; //_path.join(realSrc.root, src);
-    var dstPath = realDst.root; //_path.join(realDst.root, dst);
-    _fs.exists(srcPath, function(exists) {
-      if ( exists ) {
-        _fs.exists(dstPath, function(exists) {
-          if ( exists ) {
-            callback('Target already exist!');
-          } else {
-            _fs.access(_path.dirname(dstPath), _nfs.W_OK, function(err) {
-              if ( err ) {
-                callback('Cannot write to destination');
-              } else {
-                _fs.copy(srcPath, dstPath, function(error, data) {
-                  if ( error ) {
-                    callback('Error copying: ' + error);
-                  } else {
-                    callback(false, true);
-                  }
-                });
-              }
+    if ( realPath.protocol === 'trash://' ) {
+      callback('File is already in trash');
+      return;
+    }
+
+    if ( realPath.protocol !== 'home://' ) {
+      callback('Only files in the home directory can be moved to trash');
+      return;
+    }
+
+    if ( (realPath.path || '/') === '/' || (realPath.root + '/').indexOf(trashPath + '/') === 0 ) {
+      callback('Permission denied');
+      return;
+    }
+
+    _fs.exists(realPath.root, function(exists) {
+      if ( !exists ) {
+        callback('Target does not exist!');
+        return;
+      }
+
+      createTrash(server, function(error) {
+        if ( error ) {
+          callback('Error creating trash: ' + error);
+          return;
+        }
+
+        var filesPath = _path.join(trashPath, 'files');
+        findAvailableName(filesPath, _path.basename(realPath.root), function(name) {
+          var infoPath = getTrashInfoPath(server, name);
+          var info = {
+            path: realPath.protocol + pathJoin('/', realPath.path),
+            deleted: new Date().toISOString()
+          };
+
+          _fs.writeFile(infoPath, JSON.stringify(info), function(error) {
+            if ( error ) {
+              callback('Error moving to trash: ' + error);
+              return;
+            }
+
+            function _move(size, rollback) {
+              moveFile(realPath.root, _path.join(filesPath, name), function(error) {
+                if ( error ) {
+                  rollback();
+                  _fs.unlink(infoPath, function() {
+                    callback('Error moving to trash: ' + error);
+                  });
+                } else {
+                  _search.remove(realPath.root);
+                  _search.update(_path.join(filesPath, name));
+                  _quota.update(realPath.root, -size);
+                  callback(false, true);
+                }
+              });
+            }
+
+            var realTrash = getRealPath(server, 'trash:///');
+            if ( _quota.isSameRoot(server, realPath, realTrash) ) {
+              _move(0, function() {});
+              return;
+            }
+
+            _quota.getSize(realPath.root, function(size) {
+              checkQuota(server, realTrash, size, false, function(error, rollback) {
+                if ( error ) {
+                  _fs.unlink(infoPath, function() {
+                    callback(error);
+                  });
+                } else {
+                  _move(size, rollback);
+                }
+              });
             });
-          }
+          });
         });
-      } else {
-        callback('Source does not exist!');
-      }
+      });
     });
   };
 
   /**
-   * Uploads a file
+   * Restore a file from trash
+   *
+   * <pre><code>
+   * The file is moved back to where it was deleted from. If the original
+   * location is taken, the file is restored with a new name.
+   * </code></pre>
    *
    * @param  {ServerObject}    server                   Server object
    * @param  {Object}          args                     API Call Arguments
-   * @param  {String}          args.src                 Uploaded file path
-   * @param  {String}          args.name                Destination filename
-   * @param  {String}          args.path                Destination path
-   * @param  {Boolean}         [args.overwrite=false]   Overwrite if already exists
+   * @param  {String}          args.path                Request path (in trash)
+   * @param  {Object}          [args.options]           Request options
    * @param  {Function}        callback                 Callback function => fn(error, result)
    *
-   * @function upload
+   * @return {String} The restored path
+   *
+   * @function untrash
    * @memberof VFS
    */
-  module.exports.upload = function(server, args, callback) {
-    var tmpPath = args.path;
-    if ( !tmpPath.match(/\/$/) ) {
-      tmpPath += '/';
+  module.exports.untrash = function(server, args, callback) {
+    var realPath = getRealPath(server, args.path);
+    var name = getTrashName(realPath);
+
+    if ( realPath.protocol !== 'trash://' ) {
+      callback('File is not in trash');
+      return;
     }
-    tmpPath += args.name;
 
-    checkProtectedPath(args.path);
+    if ( !name ) {
+      callback('Only top-level trash entries can be restored');
+      return;
+    }
+
+    readTrashInfo(server, name, function(error, info) {
+      if ( error || !info ) {
+        callback('Error reading trash information: ' + error);
+        return;
+      }
+
+      var destPath;
+      try {
+        destPath = getRestorePath(server, info.path);
+      } catch ( e ) {
+        callback('Error restoring from trash: ' + (e.message || e));
+        return;
+      }
+
+      checkPrivilege(server, 'untrash', {path: info.path}, function(error) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
+        var destDir = _path.dirname(destPath.root);
+
+        _fs.mkdirs(destDir, function(error) {
+          if ( error ) {
+            callback('Error restoring from trash: ' + error);
+            return;
+          }
+
+          findAvailableName(destDir, _path.basename(destPath.root), function(destName) {
+            _quota.getSize(realPath.root, function(size) {
+              moveFile(realPath.root, _path.join(destDir, destName), function(error) {
+                if ( error ) {
+                  callback('Error restoring from trash: ' + error);
+                  return;
+                }
+
+                _search.remove(realPath.root);
+                _search.update(_path.join(destDir, destName));
+                _quota.update(realPath.root, -size);
+                _quota.update(destDir, size);
+
+                _fs.remove(getTrashInfoPath(server, name), function() {
+                  callback(false, destPath.protocol + pathJoin('/', _path.dirname(destPath.path), destName));
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Permanently removes everything in trash
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {Object}          [args.options]           Request options
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function emptyTrash
+   * @memberof VFS
+   */
+  module.exports.emptyTrash = function(server, args, callback) {
+    var trashPath = getTrashPath(server);
+
+    _quota.getSize(trashPath, function(size) {
+      _fs.remove(trashPath, function(error) {
+        if ( error ) {
+          _quota.invalidate(trashPath);
+          callback('Error emptying trash: ' + error);
+        } else {
+          _search.remove(trashPath);
+          _quota.update(trashPath, -size);
+          callback(false, true);
+        }
+      });
+    });
+  };
+
+  /**
+   * Copy a file
+   *
+   * @param  {ServerObject}    server         Server object
+   * @param  {Object}          args           API Call Arguments
+   * @param  {String}          args.src       Request source path
+   * @param  {String}          args.dest      Request destination path
+   * @param  {Object}          [args.options] Request options
+   * @param  {Function}        callback       Callback function => fn(error, result)
+   *
+   * @function copy
+   * @memberof VFS
+   */
+  module.exports.copy = function(server, args, callback) {
+    var src  = args.src;
+    var dst  = args.dest;
+    var opts = typeof args.options === 'undefined' ? {} : (args.options || {});
+
+    checkProtectedPath(dst);
+
+    var realSrc = getRealPath(server, src);
+    var realDst = getRealPath(server, dst);
+    var srcPath = realSrc.root; //_path.join(realSrc.root, src);
+    var dstPath = realDst.root; //_path.join(realDst.root, dst);
+    _fs.exists(srcPath, function(exists) {
+      if ( exists ) {
+        _fs.exists(dstPath, function(exists) {
+          if ( exists ) {
+            callback('Target already exist!');
+          } else {
+            _fs.access(_path.dirname(dstPath), _nfs.W_OK, function(err) {
+              if ( err ) {
+                callback('Cannot write to destination');
+                return;
+              }
+
+              _quota.getSize(srcPath, function(size) {
+                checkQuota(server, realDst, size, false, function(error, rollback) {
+                  if ( error ) {
+                    callback(error);
+                    return;
+                  }
+
+                  _fs.copy(srcPath, dstPath, function(error, data) {
+                    if ( error ) {
+                      rollback();
+                      _quota.invalidate(dstPath);
+                      callback('Error copying: ' + error);
+                    } else {
+                      _search.update(dstPath);
+                      callback(false, true);
+                    }
+                  });
+                });
+              });
+            });
+          }
+        });
+      } else {
+        callback('Source does not exist!');
+      }
+    });
+  };
+
+  /**
+   * Uploads a file
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.src                 Uploaded file path
+   * @param  {String}          args.name                Destination filename
+   * @param  {String}          args.path                Destination path
+   * @param  {Boolean}         [args.overwrite=false]   Overwrite if already exists
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function upload
+   * @memberof VFS
+   */
+  module.exports.upload = function(server, args, callback) {
+    var tmpPath = args.path;
+    if ( !tmpPath.match(/\/$/) ) {
+      tmpPath += '/';
+    }
+    tmpPath += args.name;
+
+    checkProtectedPath(args.path);
 
-    var dstPath = getRealPath(server, tmpPath).root;
+    var realPath = getRealPath(server, tmpPath);
+    var dstPath = realPath.root;
     var overwrite = args.overwrite === true;
 
     function _rename(source, dest, cb) {
@@ -495,16 +1126,30 @@
         _fs.exists(dstPath, function(exists) {
           if ( exists && !overwrite ) {
             callback('Target already exist!');
-          } else {
-            //_fs.rename(args.src, dstPath, function(error, data) {
-            _rename(args.src, dstPath, function(error, data) {
+            return;
+          }
+
+          _quota.getSize(args.src, function(size) {
+            checkQuota(server, realPath, size, exists, function(error, rollback) {
               if ( error ) {
-                callback('Error renaming/moving: ' + error);
-              } else {
-                callback(false, '1');
+                _fs.unlink(args.src, function() {
+                  callback(error);
+                });
+                return;
               }
+
+              //_fs.rename(args.src, dstPath, function(error, data) {
+              _rename(args.src, dstPath, function(error, data) {
+                if ( error ) {
+                  rollback();
+                  callback('Error renaming/moving: ' + error);
+                } else {
+                  _search.update(dstPath);
+                  callback(false, '1');
+                }
+              });
             });
-          }
+          });
         });
       } else {
         callback('Source does not exist!');
@@ -512,6 +1157,122 @@
     });
   };
 
+  /**
+   * Starts or resumes a chunked upload
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Destination file path
+   * @param  {Number}          args.size                Total file size
+   * @param  {String}          [args.id]                Resume this upload session
+   * @param  {Boolean}         [args.overwrite=false]   Overwrite if already exists
+   * @param  {Function}        callback                 Callback function => fn(error, {id, offset, size})
+   *
+   * @function uploadStart
+   * @memberof VFS
+   */
+  module.exports.uploadStart = function(server, args, callback) {
+    checkProtectedPath(args.path);
+
+    var realPath = getRealPath(server, args.path);
+    var overwrite = args.overwrite === true;
+
+    _fs.exists(realPath.root, function(exists) {
+      if ( exists && !overwrite ) {
+        callback('Target already exist!');
+        return;
+      }
+
+      checkQuota(server, realPath, parseInt(args.size, 10) || 0, exists, function(error, rollback) {
+        if ( error ) {
+          callback(error);
+        } else {
+          // Nothing is written until the upload finishes (which checks again)
+          rollback();
+          _uploads.start(server, args, callback);
+        }
+      });
+    });
+  };
+
+  /**
+   * Sends a chunk of a chunked upload
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.id                  Upload session ID
+   * @param  {String}          args.path                Destination file path
+   * @param  {Number}          args.offset              Byte offset of chunk
+   * @param  {String}          args.data                Chunk data (base64)
+   * @param  {String}          args.checksum            Chunk CRC32 checksum (hex)
+   * @param  {Function}        callback                 Callback function => fn(error, {id, offset, size})
+   *
+   * @function uploadChunk
+   * @memberof VFS
+   */
+  module.exports.uploadChunk = function(server, args, callback) {
+    _uploads.chunk(server, args, callback);
+  };
+
+  /**
+   * Finishes a chunked upload and moves the file into place
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.id                  Upload session ID
+   * @param  {String}          args.path                Destination file path
+   * @param  {Boolean}         [args.overwrite=false]   Overwrite if already exists
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function uploadFinish
+   * @memberof VFS
+   */
+  module.exports.uploadFinish = function(server, args, callback) {
+    _uploads.finish(server, args, function(error, session) {
+      if ( error ) {
+        callback(error);
+        return;
+      }
+
+      var parts = args.path.split('/');
+      var name = parts.pop();
+
+      module.exports.upload(server, {
+        src: session.file,
+        name: name,
+        path: parts.join('/'),
+        overwrite: args.overwrite === true
+      }, function(error) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
+        _uploads.remove(server, session.id, function() {
+          callback(false, true);
+        });
+      });
+    });
+  };
+
+  /**
+   * Aborts a chunked upload
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.id                  Upload session ID
+   * @param  {String}          args.path                Destination file path
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function uploadAbort
+   * @memberof VFS
+   */
+  module.exports.uploadAbort = function(server, args, callback) {
+    _uploads.abort(server, args, function(error) {
+      callback(error, !error);
+    });
+  };
+
   /**
    * Move a file
    *
@@ -544,15 +1305,38 @@
         _fs.access(_path.dirname(dstPath), _nfs.W_OK, function(err) {
           if ( err ) {
             callback('Cannot write to destination');
-          } else {
+            return;
+          }
+
+          function _move(size, rollback) {
             _fs.rename(srcPath, dstPath, function(error, data) {
               if ( error ) {
+                rollback();
                 callback('Error renaming/moving: ' + error);
               } else {
+                _search.remove(srcPath);
+                _search.update(dstPath);
+                _quota.update(srcPath, -size);
                 callback(false, true);
               }
             });
           }
+
+          // Moving within the same quota does not change the usage
+          if ( _quota.isSameRoot(server, realSrc, realDst) ) {
+            _move(0, function() {});
+            return;
+          }
+
+          _quota.getSize(srcPath, function(size) {
+            checkQuota(server, realDst, size, false, function(error, rollback) {
+              if ( error ) {
+                callback(error);
+              } else {
+                _move(size, rollback);
+              }
+            });
+          });
         });
       }
     });
@@ -580,15 +1364,25 @@
     _fs.exists(realPath.root, function(exists) {
       if ( exists ) {
         callback('Target already exist!');
-      } else {
+        return;
+      }
+
+      checkQuota(server, realPath, _quota.DIRECTORY_SIZE, false, function(error, rollback) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
         _fs.mkdir(realPath.root, function(error, data) {
           if ( error ) {
+            rollback();
             callback('Error creating directory: ' + error);
           } else {
+            _search.update(realPath.root);
             callback(false, true);
           }
         });
-      }
+      });
     });
   };
 
@@ -615,89 +1409,115 @@
   /**
    * Search for file(s)
    *
+   * <pre><code>
+   * All criteria are optional and must all match:
+   *
+   *   query       Part of the filename
+   *   name        Glob pattern of the filename (ex: *.txt)
+   *   regex       Regular expression of the filename (at most 100 characters,
+   *               without back references or nested quantifiers)
+   *   type        'file' or 'dir'
+   *   mime        MIME type or a list of them (ex: image/*)
+   *   size        Size range in bytes: {min, max}
+   *   mtime       Modification date range: {from, to}
+   *   contains    Text in the content of text files
+   *
+   * Results are paged if `pageSize` is given. The result is then an object
+   * with the `entries`, the `offset` and the offset of the `next` page (or
+   * `null` if there are no more results).
+   * </code></pre>
+   *
    * @param  {ServerObject}    server                   Server object
    * @param  {Object}          args                     API Call Arguments
-   * @param  {String}          args.src                 Request path
-   * @param  {Object}          args.query               Query object
+   * @param  {String}          args.path                Request path
+   * @param  {Object}          args.args                Search criteria
+   * @param  {Boolean}         [args.args.recursive]    Search in subdirectories
+   * @param  {Number}          [args.args.limit]        Limit the total number of results
+   * @param  {Number}          [args.args.pageSize]     Number of results per page
+   * @param  {Number}          [args.args.offset=0]     Offset of the page
    * @param  {Function}        callback                 Callback function => fn(error, result)
    *
    * @function find
    * @memberof VFS
    */
   module.exports.find = function(server, args, callback) {
-    var opts = typeof args.options === 'undefined' ? {} : (args.options || {});
     var qargs = args.args || {};
-    var query = (qargs.query || '').toLowerCase();
     var realPath = getRealPath(server, args.path);
+    var pageSize = qargs.pageSize > 0 ? qargs.pageSize : 0;
+    var offset = pageSize ? Math.max(0, parseInt(qargs.offset, 10) || 0) : 0;
+    var maxFileSize = (server.config.search || {}).maxFileSize || (512 * 1024);
+    var contains = String(qargs.contains || '').toLowerCase();
 
-    if ( !qargs.recursive ) {
-      _fs.readdir(realPath.root, function(error, files) {
-        if ( error ) {
-          callback('Error reading directory: ' + error);
-        } else {
-          callback(false, getFileIters(files.filter(function(f) {
-            return f.toLowerCase().indexOf(query) !== -1;
-          }), realPath, server.request, server.config));
-        }
-      });
-
-      return;
-    }
-
-    var find;
+    var matcher;
     try {
-      find = require('findit')(realPath.root);
+      matcher = createFindMatcher(qargs);
     } catch ( e ) {
-      callback('Failed to load findit node library: ' + e.toString());
+      callback('Invalid search criteria: ' + e.message);
       return;
     }
 
     var list = [];
-
-    find.on('path', function() {
-      if ( qargs.limit && list.length >= qargs.limit ) {
-        find.stop();
+    var matched = 0;
+    var more = false;
+
+    function checkContent(fullPath, iter, cb) {
+      if ( !contains ) {
+        cb(true);
+      } else if ( iter.size > maxFileSize || !_search.isTextFile(iter.mime) ) {
+        cb(false);
+      } else {
+        _fs.readFile(fullPath, 'utf8', function(error, data) {
+          cb(!error && data.toLowerCase().indexOf(contains) !== -1);
+        });
       }
-    });
+    }
 
-    find.on('directory', function(dir, stat) {
-      var filename = _path.basename(dir).toLowerCase();
-      if ( filename.indexOf(query) !== -1 ) {
-        list.push({
-          filename: filename,
-          path: realPath.protocol + '/' + dir.substr(realPath.root.length).replace(/^\//, ''),
-          mime: '',
-          size: 0,
-          mtime: '',
-          ctime: stat.ctime,
-          type: 'dir'
-        });
+    walkDirectory(realPath.root, !!qargs.recursive, function(fullPath, stat, next) {
+      var ftype = stat.isFile() ? 'file' : 'dir';
+      var iter = {
+        filename: _path.basename(fullPath),
+        path: realPath.protocol + pathJoin(realPath.path, fullPath.substr(realPath.root.length)),
+        mime: ftype === 'file' ? getMime(fullPath, server.config) : '',
+        size: ftype === 'file' ? stat.size : 0,
+        mtime: stat.mtime,
+        ctime: stat.ctime,
+        type: ftype
+      };
+
+      if ( !matcher(iter) || !_acl.isAllowed(server, iter.path, 'read') ) {
+        next();
+        return;
       }
-    });
 
-    find.on('file', function(file, stat) {
-      var filename = _path.basename(file).toLowerCase();
-      if ( filename.indexOf(query) !== -1 ) {
-        var ftype = stat.isFile() ? 'file' : 'dir';
-
-        list.push({
-          filename: filename,
-          path: realPath.protocol + '/' + file.substr(realPath.root.length).replace(/^\//, ''),
-          mime: ftype === 'file' ? getMime(file, server.config) : '',
-          size: ftype === 'file' ? stat.size : 0,
-          mtime: stat.mtime,
-          ctime: stat.ctime,
-          type: ftype
+      checkContent(fullPath, iter, function(found) {
+        if ( found ) {
+          matched++;
+          if ( qargs.limit && matched > qargs.limit ) {
+            next(true);
+            return;
+          } else if ( pageSize && list.length >= pageSize ) {
+            more = true;
+            next(true);
+            return;
+          } else if ( matched > offset ) {
+            list.push(iter);
+          }
+        }
+        next();
+      });
+    }, function(error) {
+      if ( error ) {
+        callback('Error reading directory: ' + error);
+      } else if ( pageSize ) {
+        callback(false, {
+          entries: list,
+          offset: offset,
+          next: more ? offset + list.length : null
         });
+      } else {
+        callback(false, list);
       }
     });
-
-    find.on('end', function() {
-      callback(false, list);
-    });
-    find.on('stop', function() {
-      callback(false, list);
-    });
   };
 
   /**
@@ -749,9 +1569,28 @@
     });
   };
 
+  /**
+   * Gets the permissions of the active user on given path
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Request path
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function permissions
+   * @memberof VFS
+   * @see ACL.getPermissions
+   */
+  module.exports.permissions = function(server, args, callback) {
+    callback(false, _acl.getPermissions(server, args.path));
+  };
+
   /**
    * Scans given directory
    *
+   * Each entry has an `acl` object with the `read`, `write` and `delete`
+   * permissions of the active user.
+   *
    * @param  {ServerObject}    server                   Server object
    * @param  {Object}          args                     API Call Arguments
    * @param  {String}          args.src                 Request path
@@ -765,18 +1604,296 @@
     var opts = typeof args.options === 'undefined' ? {} : (args.options || {});
     var realPath = getRealPath(server, args.path);
 
-    _fs.readdir(realPath.root, function(error, files) {
+    function readdir() {
+      _fs.readdir(realPath.root, function(error, files) {
+        if ( error ) {
+          callback('Error reading directory: ' + error);
+        } else {
+          var list = getFileIters(files, realPath, server.request, server.config);
+          if ( realPath.protocol === 'trash://' && getTrashName(realPath) === '' ) {
+            list = getTrashIters(server, list);
+          }
+
+          list.forEach(function(iter) {
+            iter.acl = _acl.getPermissions(server, iter.path);
+          });
+          callback(false, list);
+        }
+      });
+    }
+
+    if ( realPath.protocol === 'trash://' ) {
+      createTrash(server, readdir);
+    } else {
+      readdir();
+    }
+  };
+
+  /**
+   * Scans given directory inside an archive
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Archive path
+   * @param  {String}          [args.entry]             Directory inside the archive
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function archiveScandir
+   * @memberof VFS
+   */
+  module.exports.archiveScandir = function(server, args, callback) {
+    var realPath = getRealPath(server, args.path);
+    var dir = getArchiveEntry(args);
+
+    _archive.list(realPath.root, function(error, entries) {
       if ( error ) {
-        callback('Error reading directory: ' + error);
+        callback(error);
+        return;
+      }
+
+      var found = !dir;
+      var list = [];
+
+      entries.forEach(function(iter) {
+        if ( iter.name === dir && iter.type === 'dir' ) {
+          found = true;
+        }
+
+        var idx = iter.name.lastIndexOf('/');
+        if ( (idx === -1 ? '' : iter.name.substr(0, idx)) === dir ) {
+          list.push({
+            filename: iter.name.substr(idx + 1),
+            entry:    iter.name,
+            size:     iter.size,
+            mime:     iter.type === 'file' ? getMime(iter.name, server.config) : '',
+            type:     iter.type,
+            ctime:    null,
+            mtime:    iter.mtime
+          });
+        }
+      });
+
+      if ( found ) {
+        callback(false, list);
       } else {
-        callback(false, getFileIters(files, realPath, server.request, server.config));
+        callback('Directory not found in archive');
       }
     });
   };
 
+  /**
+   * Reads a file inside an archive
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Archive path
+   * @param  {String}          args.entry               File inside the archive
+   * @param  {Object}          [args.options]           Request options
+   * @param  {Boolean}         [args.options.raw=false] Return raw/binary data
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function archiveRead
+   * @memberof VFS
+   */
+  module.exports.archiveRead = function(server, args, callback) {
+    var realPath = getRealPath(server, args.path);
+    var entry = getArchiveEntry(args);
+    var opts = typeof args.options === 'undefined' ? {} : (args.options || {});
+
+    _archive.read(realPath.root, entry, function(error, data) {
+      if ( error ) {
+        callback(error);
+      } else if ( opts.raw ) {
+        callback(false, data);
+      } else {
+        callback(false, 'data:' + getMime(entry, server.config) + ';base64,' + data.toString('base64'));
+      }
+    });
+  };
+
+  /**
+   * Creates an archive from files and directories
+   *
+   * The format is given by the archive filename (.zip, .tar, .tar.gz or .tgz).
+   * Directories are added recursively.
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Archive path
+   * @param  {Array}           args.files               List of paths to add
+   * @param  {Boolean}         [args.update=false]      Add to the existing archive instead of replacing it
+   * @param  {Boolean}         [args.overwrite=false]   Replace the archive if it already exists
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function archiveCreate
+   * @memberof VFS
+   */
+  module.exports.archiveCreate = function(server, args, callback) {
+    var realPath = getRealPath(server, args.path);
+    var files = args.files || [];
+
+    checkProtectedPath(args.path);
+
+    if ( !_archive.getFormat(realPath.root) ) {
+      callback('Unsupported archive format');
+      return;
+    }
+
+    if ( !files.length ) {
+      callback('No files to archive');
+      return;
+    }
+
+    // The archive is written next to the destination and moved in place when done
+    var tmpPath = _path.join(_path.dirname(realPath.root), '.' + _path.basename(realPath.root) + '.' + Date.now() + '.part');
+
+    function writeArchive(entries, exists, done) {
+      // The quota is reserved for the largest possible archive before anything is written
+      var maxSize = _archive.getMaxSize(realPath.root, entries);
+
+      function release() {
+        if ( done ) {
+          done();
+          done = null;
+        }
+      }
+
+      checkQuota(server, realPath, maxSize, exists, function(error, rollback) {
+        if ( error ) {
+          release();
+          callback(error);
+          return;
+        }
+
+        _archive.pack(realPath.root, entries, tmpPath, function(error, size) {
+          release();
+
+          if ( error ) {
+            rollback();
+            _fs.remove(tmpPath, function() {
+              callback(error);
+            });
+            return;
+          }
+
+          moveFile(tmpPath, realPath.root, function(error) {
+            if ( error ) {
+              rollback();
+              _fs.remove(tmpPath, function() {
+                callback('Error writing archive: ' + error);
+              });
+            } else {
+              _quota.update(realPath.root, size - maxSize);
+              _search.update(realPath.root);
+              callback(false, true);
+            }
+          });
+        });
+      });
+    }
+
+    _fs.exists(realPath.root, function(exists) {
+      if ( exists && !args.update && args.overwrite !== true ) {
+        callback('Target already exist!');
+        return;
+      }
+
+      readArchiveSources(server, files, realPath.root, function(error, added) {
+        if ( error ) {
+          callback(error);
+          return;
+        }
+
+        if ( !args.update || !exists ) {
+          writeArchive(added, exists);
+          return;
+        }
+
+        // Entries of the existing archive are read from it one at a time while packing
+        _archive.open(realPath.root, function(error, existing) {
+          if ( error ) {
+            callback(error);
+            return;
+          }
+
+          var names = added.map(function(iter) {
+            return iter.name;
+          });
+
+          writeArchive(existing.entries.filter(function(iter) {
+            return names.indexOf(iter.name) === -1;
+          }).concat(added), exists, existing.close);
+        });
+      });
+    });
+  };
+
+  /**
+   * Subscribes to changes in given directory
+   *
+   * Changes are pushed to the client as `vfs:*` messages. This is only
+   * available for WebSocket connections.
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Request path
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function watch
+   * @memberof VFS
+   */
+  module.exports.watch = function(server, args, callback) {
+    var socket = server.request.websocket;
+    if ( !socket ) {
+      callback('Watching is only available over WebSocket connections');
+      return;
+    }
+
+    var realPath = getRealPath(server, args.path);
+    _fs.stat(realPath.root, function(err, stat) {
+      if ( err || !stat.isDirectory() ) {
+        callback('Cannot watch given path');
+        return;
+      }
+
+      try {
+        _watcher.subscribe(socket, realPath.root, args.path, function(filename) {
+          return getMime(filename, server.config);
+        }, server.logger);
+      } catch ( e ) {
+        callback('Failed to watch path: ' + e.toString());
+        return;
+      }
+
+      callback(false, true);
+    });
+  };
+
+  /**
+   * Unsubscribes from changes in given directory
+   *
+   * @param  {ServerObject}    server                   Server object
+   * @param  {Object}          args                     API Call Arguments
+   * @param  {String}          args.path                Request path
+   * @param  {Function}        callback                 Callback function => fn(error, result)
+   *
+   * @function unwatch
+   * @memberof VFS
+   */
+  module.exports.unwatch = function(server, args, callback) {
+    var socket = server.request.websocket;
+    if ( socket ) {
+      _watcher.unsubscribe(socket, getRealPath(server, args.path).root, args.path);
+    }
+    callback(false, true);
+  };
+
   /**
    * Checks given root path for free space
    *
+   * If the user has a quota on given root, the remaining quota is
+   * reported instead (unless the disk has less space left).
+   *
    * @param  {ServerObject}    server                   Server object
    * @param  {Object}          args                     API Call Arguments
    * @param  {String}          args.root                Request root path
@@ -790,20 +1907,39 @@
     var opts = typeof args.options === 'undefined' ? {} : (args.options || {});
     var realPath = getRealPath(server, args.root);
 
-    try {
-      var ds = require('diskspace');
+    _quota.remaining(server, realPath, function(err, remaining) {
+      var ds;
+
+      try {
+        ds = require('diskspace');
+      } catch ( e ) {
+        if ( remaining === null ) {
+          callback('Failed to load diskspace node library: ' + e.toString());
+        } else {
+          callback(false, remaining);
+        }
+        return;
+      }
+
       ds.check(realPath.root, function(err, total, free, stat) {
-        callback(err, free);
+        if ( remaining !== null ) {
+          callback(false, (err || typeof free !== 'number') ? remaining : Math.min(free, remaining));
+        } else {
+          callback(err, free);
+        }
       });
-    } catch ( e ) {
-      callback('Failed to load diskspace node library: ' + e.toString());
-      return;
-    }
+    });
 
   };
 
 })(
   require('path'),
   require('fs'),
-  require('node-fs-extra')
+  require('node-fs-extra'),
+  require('./search.js'),
+  require('./watcher.js'),
+  require('./quota.js'),
+  require('./uploads.js'),
+  require('./archive.js'),
+  require('./acl.js')
 );
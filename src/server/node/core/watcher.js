@@ -0,0 +1,244 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _fs) {
+  'use strict';
+
+  /**
+   * Watches directories for changes and pushes them to subscribed clients.
+   *
+   * <pre><code>
+   * Clients subscribe to the directories they are displaying. One watcher is
+   * created per real directory and shared among all subscribers, so several
+   * users looking at a shared mount only costs one watcher.
+   *
+   * A client can subscribe to the same directory several times (ex: from two
+   * windows), and stays subscribed until it has unsubscribed as many times.
+   * </code></pre>
+   *
+   * @namespace Watcher
+   */
+
+  var DEBOUNCE_TIME = 100;
+
+  var watchers = {};
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Creates a virtual path from a virtual directory and a filename
+   */
+  function createPath(dir, filename) {
+    return dir.replace(/\/?$/, '/') + filename;
+  }
+
+  /**
+   * Creates a message from the state of a changed file
+   */
+  function createMessage(realDir, filename, cb) {
+    _fs.stat(_path.join(realDir, filename), function(err, stat) {
+      if ( err ) {
+        cb({event: 'vfs:delete', type: 'file'});
+      } else if ( stat.isDirectory() ) {
+        cb({event: 'vfs:mkdir', type: 'dir'});
+      } else {
+        cb({event: 'vfs:write', type: 'file', size: stat.size});
+      }
+    });
+  }
+
+  /**
+   * Sends a message to all subscribers of a watcher
+   */
+  function dispatch(entry, filename, msg) {
+    entry.subscribers.forEach(function(s) {
+      var data = JSON.stringify({
+        event: msg.event,
+        file: {
+          path: createPath(s.path, filename),
+          filename: filename,
+          type: msg.type,
+          size: msg.size || 0,
+          mime: msg.type === 'dir' ? null : s.getMime(filename)
+        }
+      });
+
+      try {
+        s.socket.send(data);
+      } catch ( e ) {
+        if ( s.logger ) {
+          s.logger.log(s.logger.WARNING, 'Watcher:', 'Failed to send change', e);
+        }
+      }
+    });
+  }
+
+  /**
+   * Closes the watcher for given directory
+   */
+  function destroyWatcher(realDir) {
+    var entry = watchers[realDir];
+    if ( entry ) {
+      Object.keys(entry.pending).forEach(function(k) {
+        clearTimeout(entry.pending[k]);
+      });
+
+      try {
+        entry.handle.close();
+      } catch ( e ) {}
+
+      delete watchers[realDir];
+    }
+  }
+
+  /**
+   * Creates a new watcher for given directory
+   */
+  function createWatcher(realDir) {
+    var entry = {
+      handle: null,
+      subscribers: [],
+      pending: {}
+    };
+
+    entry.handle = _fs.watch(realDir, {persistent: false}, function(event, filename) {
+      if ( !filename ) {
+        return;
+      }
+
+      // Changes usually comes in bursts, so only send the last one
+      clearTimeout(entry.pending[filename]);
+      entry.pending[filename] = setTimeout(function() {
+        delete entry.pending[filename];
+
+        createMessage(realDir, filename, function(msg) {
+          dispatch(entry, filename, msg);
+        });
+      }, DEBOUNCE_TIME);
+    });
+
+    entry.handle.on('error', function() {
+      destroyWatcher(realDir);
+    });
+
+    return entry;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Subscribe a client to changes in given directory
+   *
+   * @param   {Object}      socket          The client socket (must have `send()`)
+   * @param   {String}      realDir         Real directory path
+   * @param   {String}      virtualDir      Virtual directory path (as seen by the client)
+   * @param   {Function}    getMime         Function that resolves MIME from a filename
+   * @param   {Core.Logger} [logger]        Logger for failed deliveries
+   *
+   * @function subscribe
+   * @memberof Watcher
+   */
+  module.exports.subscribe = function(socket, realDir, virtualDir, getMime, logger) {
+    realDir = _path.resolve(realDir);
+
+    if ( !watchers[realDir] ) {
+      watchers[realDir] = createWatcher(realDir);
+    }
+
+    var entry = watchers[realDir];
+    var found = entry.subscribers.filter(function(s) {
+      return s.socket === socket && s.path === virtualDir;
+    })[0];
+
+    if ( found ) {
+      found.refs++;
+    } else {
+      entry.subscribers.push({
+        socket: socket,
+        path: virtualDir,
+        getMime: getMime,
+        logger: logger || null,
+        refs: 1
+      });
+    }
+  };
+
+  /**
+   * Unsubscribe a client from changes in given directory
+   *
+   * @param   {Object}      socket          The client socket
+   * @param   {String}      [realDir]       Real directory path (if not given, all subscriptions are removed)
+   * @param   {String}      [virtualDir]    Virtual directory path
+   *
+   * @function unsubscribe
+   * @memberof Watcher
+   */
+  module.exports.unsubscribe = function(socket, realDir, virtualDir) {
+    var dirs = realDir ? [_path.resolve(realDir)] : Object.keys(watchers);
+
+    dirs.forEach(function(d) {
+      var entry = watchers[d];
+      if ( entry ) {
+        entry.subscribers = entry.subscribers.filter(function(s) {
+          if ( s.socket !== socket || (virtualDir && s.path !== virtualDir) ) {
+            return true;
+          }
+          return realDir ? --s.refs > 0 : false;
+        });
+
+        if ( !entry.subscribers.length ) {
+          destroyWatcher(d);
+        }
+      }
+    });
+  };
+
+  /**
+   * Gets the number of subscribers for given directory
+   *
+   * @param   {String}      realDir         Real directory path
+   *
+   * @return  {Number}
+   *
+   * @function count
+   * @memberof Watcher
+   */
+  module.exports.count = function(realDir) {
+    var entry = watchers[_path.resolve(realDir)];
+    return entry ? entry.subscribers.length : 0;
+  };
+
+})(
+  require('path'),
+  require('fs')
+);
@@ -0,0 +1,860 @@
+/*!
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2016, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS 'AS IS' AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+(function(_path, _url, _fs, _crypto, _sessions) {
+  'use strict';
+
+  /**
+   * WebDAV endpoint for the server mountpoints.
+   *
+   * <pre><code>
+   * Served under `/DAV/<mountpoint>/<path>` and configured in `webdav` of the
+   * server configuration:
+   *
+   *   enabled         Enable the endpoint (disabled by default)
+   *   mounts          The mountpoints that are exposed (ex: home, shared)
+   *   lockTimeout     Maximum time in seconds a lock is held
+   *   loginAttempts   Failed logins allowed per user and address...
+   *   loginTimeout    ...within this many seconds
+   *
+   * All operations go through the VFS methods of the server instance, so the
+   * handler privileges, ACL and quotas apply as usual. Clients that do not
+   * have a session are logged in with HTTP Basic authentication through the
+   * `login` method of the handler. Most clients do not keep cookies, so the
+   * session is remembered for the credentials and reused by later requests,
+   * until the session expires.
+   * Too many failed logins are answered with 429 until `loginTimeout` passed.
+   *
+   * Locks are exclusive write locks kept in memory. A locked resource can
+   * only be changed by a request that carries the lock token in the `If` header.
+   * </code></pre>
+   *
+   * @namespace WebDAV
+   */
+
+  var MAX_BODY = 64 * 1024;
+  var METHODS = ['OPTIONS', 'PROPFIND', 'GET', 'HEAD', 'PUT', 'DELETE', 'MKCOL', 'COPY', 'MOVE', 'LOCK', 'UNLOCK'];
+
+  var MAX_CLIENTS = 1000;
+
+  var locks = {};
+  var clients = {};
+  var failures = {};
+
+  /////////////////////////////////////////////////////////////////////////////
+  // HELPERS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function escapeXML(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function createResult(code, headers, body) {
+    return {
+      code: code,
+      headers: headers || {},
+      body: typeof body === 'undefined' ? null : body,
+      mime: body ? 'application/xml; charset=utf-8' : null
+    };
+  }
+
+  /**
+   * Maps errors from the VFS methods to a HTTP status code
+   */
+  function createErrorResult(error) {
+    var msg = String(error instanceof Error ? error.message : error);
+    var code = 500;
+
+    if ( msg.match(/^You have no OS\.js Session/) ) {
+      code = 401;
+    } else if ( msg.match(/^(Access denied|Permission denied|You are not allowed|Cannot write)/) ) {
+      code = 403;
+    } else if ( msg.match(/^Quota exceeded/) ) {
+      code = 507;
+    } else if ( msg.match(/(does not exist|No such file|Cannot read source)/) ) {
+      code = 404;
+    }
+
+    var result = createResult(code);
+    if ( code === 401 ) {
+      result.headers['WWW-Authenticate'] = 'Basic realm="OS.js"';
+    }
+    return result;
+  }
+
+  function getConfig(server) {
+    var cfg = server.config.webdav || {};
+    return {
+      enabled: cfg.enabled === true,
+      mounts: cfg.mounts || ['home'],
+      lockTimeout: cfg.lockTimeout || 3600,
+      loginAttempts: cfg.loginAttempts || 5,
+      loginTimeout: cfg.loginTimeout || 300
+    };
+  }
+
+  /**
+   * Resolves an endpoint path to a VFS path. Returns `null` for the root of
+   * the endpoint and `false` if the mountpoint is not exposed.
+   */
+  function getVFSPath(server, davPath) {
+    var parts = davPath.replace(/^\/DAV\/?/, '').split('/').filter(function(p) {
+      return p !== '' && p !== '.';
+    });
+
+    if ( !parts.length ) {
+      return null;
+    }
+
+    var mount = parts.shift();
+    if ( getConfig(server).mounts.indexOf(mount) === -1 || parts.indexOf('..') !== -1 ) {
+      return false;
+    }
+
+    return mount + ':///' + parts.join('/');
+  }
+
+  function getHref(vfsPath, isDir) {
+    var match = vfsPath.match(/^(\w+):\/\/\/?(.*)$/);
+    var parts = match[2].split('/').filter(function(p) {
+      return p !== '';
+    });
+
+    var href = '/DAV/' + match[1] + '/' + parts.map(encodeURIComponent).join('/');
+    return isDir && parts.length ? href + '/' : href;
+  }
+
+  function getParentPath(vfsPath) {
+    var match = vfsPath.match(/^(\w+:\/\/)(.*)$/);
+    return match[1] + _path.posix.dirname(match[2] || '/');
+  }
+
+  /**
+   * Creates a hidden temporary path next to given path
+   */
+  function getTempPath(vfsPath) {
+    var name = _path.posix.basename(vfsPath.replace(/^\w+:\/\//, ''));
+    return getParentPath(vfsPath).replace(/\/$/, '') + '/.' + name + '.' + _crypto.randomBytes(8).toString('hex') + '.part';
+  }
+
+  function getRealRoot(server, vfsPath) {
+    return server.handler.instance.vfs.getRealPath(server, vfsPath).root;
+  }
+
+  /**
+   * Calls a VFS method of the server instance (with privilege checks)
+   */
+  function callVFS(server, method, args, cb) {
+    try {
+      server.handler.instance.vfs[method](server, args, cb);
+    } catch ( e ) {
+      cb(e);
+    }
+  }
+
+  /**
+   * Gets information about a file, with `isDir` set for directories
+   */
+  function getInfo(server, vfsPath, cb) {
+    callVFS(server, 'fileinfo', {path: vfsPath}, function(error, info) {
+      if ( error || !info ) {
+        cb(error || 'No such file or directory!');
+        return;
+      }
+
+      _fs.stat(getRealRoot(server, vfsPath), function(error, stat) {
+        info.isDir = !error && stat.isDirectory();
+        cb(false, info);
+      });
+    });
+  }
+
+  function readBody(request, cb) {
+    var body = [];
+    var size = 0;
+
+    request.on('data', function(data) {
+      size += data.length;
+      if ( size <= MAX_BODY ) {
+        body.push(data);
+      }
+    });
+
+    request.on('end', function() {
+      cb(size > MAX_BODY, Buffer.concat(body).toString('utf8'));
+    });
+  }
+
+  /**
+   * Checks if there were too many failed logins for given key
+   */
+  function isThrottled(key, timeout, attempts) {
+    var now = Date.now();
+    Object.keys(failures).forEach(function(k) {
+      if ( now - failures[k].first >= timeout * 1000 ) {
+        delete failures[k];
+      }
+    });
+
+    return !!failures[key] && failures[key].count >= attempts;
+  }
+
+  /**
+   * Forgets remembered logins whose session has expired (or has been idle
+   * for too long), and the least recently used ones above MAX_CLIENTS
+   */
+  function pruneClients(server) {
+    var cfg = server.config.sessions || {};
+    var maxAge = Math.min(cfg.expire || Infinity, cfg.idle || Infinity) * 1000;
+    var now = Date.now();
+
+    var keys = Object.keys(clients).filter(function(k) {
+      if ( now - clients[k].used >= maxAge ) {
+        delete clients[k];
+        return false;
+      }
+      return true;
+    });
+
+    keys.sort(function(a, b) {
+      return clients[a].used - clients[b].used;
+    }).slice(0, Math.max(0, keys.length - MAX_CLIENTS)).forEach(function(k) {
+      delete clients[k];
+    });
+  }
+
+  /**
+   * Logs in the user with HTTP Basic authentication unless a session exists.
+   * The callback gets the HTTP status code on failure.
+   */
+  function authenticate(server, cb) {
+    if ( server.handler.getUserName(server) ) {
+      cb(false);
+      return;
+    }
+
+    var header = server.request.headers.authorization || '';
+    var match = header.match(/^Basic\s+(.+)$/i);
+    var credentials = match ? new Buffer(match[1], 'base64').toString('utf8') : '';
+    var idx = credentials.indexOf(':');
+    if ( idx <= 0 ) {
+      cb(401);
+      return;
+    }
+
+    var cfg = getConfig(server);
+    var username = credentials.substr(0, idx);
+    var address = (server.request.connection || {}).remoteAddress || '';
+    var failKey = username + '@' + address;
+    var clientKey = _crypto.createHash('sha256').update(header).digest('hex');
+    if ( isThrottled(failKey, cfg.loginTimeout, cfg.loginAttempts) ) {
+      cb(429);
+      return;
+    }
+
+    function login() {
+      server.handler.instance.api.login(server, {
+        username: username,
+        password: credentials.substr(idx + 1)
+      }, function(error) {
+        if ( error || !server.handler.getUserName(server) ) {
+          var entry = failures[failKey] || (failures[failKey] = {count: 0, first: Date.now()});
+          entry.count++;
+          cb(401);
+          return;
+        }
+
+        delete failures[failKey];
+        clients[clientKey] = {id: server.request.session.id, used: Date.now()};
+        pruneClients(server);
+        cb(false);
+      });
+    }
+
+    // Reuse the session of an earlier login with the same credentials
+    if ( !clients[clientKey] ) {
+      login();
+      return;
+    }
+
+    _sessions.get(clients[clientKey].id, function(session) {
+      if ( session.get('username') === username ) {
+        clients[clientKey].used = Date.now();
+        server.request.session = session;
+        cb(false);
+      } else {
+        delete clients[clientKey];
+        login();
+      }
+    });
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // LOCKS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function getLockTokens(request) {
+    return (request.headers.if || '').match(/opaquelocktoken:[^>\s\)]+/g) || [];
+  }
+
+  function createLockToken() {
+    var hex = _crypto.randomBytes(16).toString('hex');
+    return 'opaquelocktoken:' + hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+  }
+
+  /**
+   * Iterates the active locks that covers the given file path
+   */
+  function findLocks(fullPath, fn) {
+    var now = Date.now();
+
+    return Object.keys(locks).filter(function(p) {
+      if ( locks[p].expires < now ) {
+        delete locks[p];
+        return false;
+      }
+
+      return p === fullPath ||
+        p.indexOf(fullPath + _path.sep) === 0 ||
+        (locks[p].depth !== '0' && fullPath.indexOf(p + _path.sep) === 0);
+    }).map(function(p) {
+      return locks[p];
+    });
+  }
+
+  function isLocked(server, fullPath) {
+    var tokens = getLockTokens(server.request);
+    return findLocks(fullPath).some(function(lock) {
+      return tokens.indexOf(lock.token) === -1;
+    });
+  }
+
+  function removeLocks(fullPath) {
+    findLocks(fullPath).forEach(function(lock) {
+      if ( lock.root === fullPath || lock.root.indexOf(fullPath + _path.sep) === 0 ) {
+        delete locks[lock.root];
+      }
+    });
+  }
+
+  function createLockDiscovery(lock, href) {
+    return '<D:lockdiscovery><D:activelock>' +
+      '<D:locktype><D:write/></D:locktype>' +
+      '<D:lockscope><D:exclusive/></D:lockscope>' +
+      '<D:depth>' + (lock.depth === '0' ? '0' : 'infinity') + '</D:depth>' +
+      (lock.owner ? '<D:owner>' + lock.owner + '</D:owner>' : '') +
+      '<D:timeout>Second-' + Math.max(0, Math.round((lock.expires - Date.now()) / 1000)) + '</D:timeout>' +
+      '<D:locktoken><D:href>' + lock.token + '</D:href></D:locktoken>' +
+      '<D:lockroot><D:href>' + escapeXML(href) + '</D:href></D:lockroot>' +
+      '</D:activelock></D:lockdiscovery>';
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // PROPERTIES
+  /////////////////////////////////////////////////////////////////////////////
+
+  function createPropResponse(href, iter, lock) {
+    var isDir = iter.isDir || iter.type === 'dir';
+    var props = [
+      '<D:displayname>' + escapeXML(iter.filename) + '</D:displayname>',
+      '<D:resourcetype>' + (isDir ? '<D:collection/>' : '') + '</D:resourcetype>',
+      '<D:supportedlock><D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry></D:supportedlock>'
+    ];
+
+    if ( iter.mtime ) {
+      props.push('<D:getlastmodified>' + new Date(iter.mtime).toUTCString() + '</D:getlastmodified>');
+    }
+    if ( iter.ctime ) {
+      props.push('<D:creationdate>' + new Date(iter.ctime).toISOString() + '</D:creationdate>');
+    }
+
+    if ( !isDir ) {
+      var mtime = iter.mtime ? new Date(iter.mtime).getTime() : 0;
+      props.push('<D:getcontentlength>' + (iter.size || 0) + '</D:getcontentlength>');
+      props.push('<D:getcontenttype>' + escapeXML(iter.mime || 'application/octet-stream') + '</D:getcontenttype>');
+      props.push('<D:getetag>W/"' + (iter.size || 0).toString(16) + '-' + mtime.toString(16) + '"</D:getetag>');
+    }
+
+    if ( lock ) {
+      props.push(createLockDiscovery(lock, href));
+    }
+
+    return '<D:response><D:href>' + escapeXML(href) + '</D:href>' +
+      '<D:propstat><D:prop>' + props.join('') + '</D:prop>' +
+      '<D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>';
+  }
+
+  function createMultiStatus(responses) {
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+      '<D:multistatus xmlns:D="DAV:">' + responses.join('') + '</D:multistatus>';
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // METHODS
+  /////////////////////////////////////////////////////////////////////////////
+
+  function doPropfind(server, vfsPath, cb) {
+    var depth = server.request.headers.depth === '0' ? 0 : 1;
+
+    if ( vfsPath === null ) {
+      var responses = [createPropResponse('/DAV/', {filename: 'DAV', type: 'dir'})];
+      if ( depth ) {
+        getConfig(server).mounts.forEach(function(m) {
+          responses.push(createPropResponse('/DAV/' + encodeURIComponent(m) + '/', {filename: m, type: 'dir'}));
+        });
+      }
+      cb(createResult(207, {}, createMultiStatus(responses)));
+      return;
+    }
+
+    getInfo(server, vfsPath, function(error, info) {
+      if ( error ) {
+        cb(createErrorResult(error));
+        return;
+      }
+
+      var lock = findLocks(getRealRoot(server, vfsPath))[0];
+      var responses = [createPropResponse(getHref(vfsPath, info.isDir), info, lock)];
+      if ( !info.isDir || !depth ) {
+        cb(createResult(207, {}, createMultiStatus(responses)));
+        return;
+      }
+
+      callVFS(server, 'scandir', {path: vfsPath}, function(error, list) {
+        if ( error ) {
+          cb(createErrorResult(error));
+          return;
+        }
+
+        (list || []).forEach(function(iter) {
+          if ( iter.filename !== '..' ) {
+            responses.push(createPropResponse(getHref(iter.path, iter.type === 'dir'), iter));
+          }
+        });
+
+        cb(createResult(207, {}, createMultiStatus(responses)));
+      });
+    });
+  }
+
+  function doGet(server, vfsPath, cb) {
+    if ( vfsPath === null ) {
+      cb(createResult(405, {'Allow': 'OPTIONS, PROPFIND'}));
+      return;
+    }
+
+    getInfo(server, vfsPath, function(error, info) {
+      if ( error ) {
+        cb(createErrorResult(error));
+      } else if ( info.isDir ) {
+        cb(createResult(405, {'Allow': 'OPTIONS, PROPFIND, DELETE, COPY, MOVE, LOCK, UNLOCK'}));
+      } else {
+        cb({file: getRealRoot(server, vfsPath)});
+      }
+    });
+  }
+
+  function doPut(server, vfsPath, cb) {
+    var parent = getParentPath(vfsPath);
+    var tmpPath = _path.join(server.config.tmpdir, 'osjs-webdav-' + _crypto.randomBytes(8).toString('hex'));
+
+    callVFS(server, 'exists', {path: parent}, function(error, parentExists) {
+      if ( error || !parentExists ) {
+        server.request.resume();
+        cb(error ? createErrorResult(error) : createResult(409));
+        return;
+      }
+
+      callVFS(server, 'exists', {path: vfsPath}, function(error, exists) {
+        if ( error ) {
+          server.request.resume();
+          cb(createErrorResult(error));
+          return;
+        }
+
+        var stream = _fs.createWriteStream(tmpPath);
+        stream.on('error', function(error) {
+          server.request.unpipe(stream);
+          server.request.resume();
+          _fs.unlink(tmpPath, function() {
+            cb(createErrorResult(error));
+          });
+        });
+        stream.on('finish', function() {
+          callVFS(server, 'upload', {
+            src: tmpPath,
+            name: _path.posix.basename(vfsPath),
+            path: parent,
+            overwrite: true
+          }, function(error) {
+            if ( error ) {
+              _fs.unlink(tmpPath, function() {
+                cb(createErrorResult(error));
+              });
+            } else {
+              cb(createResult(exists ? 204 : 201));
+            }
+          });
+        });
+
+        server.request.pipe(stream);
+      });
+    });
+  }
+
+  function doDelete(server, vfsPath, cb) {
+    callVFS(server, 'delete', {path: vfsPath}, function(error) {
+      if ( error ) {
+        cb(createErrorResult(error));
+      } else {
+        removeLocks(getRealRoot(server, vfsPath));
+        cb(createResult(204));
+      }
+    });
+  }
+
+  function doMkcol(server, vfsPath, body, cb) {
+    if ( body ) {
+      cb(createResult(415));
+      return;
+    }
+
+    callVFS(server, 'exists', {path: getParentPath(vfsPath)}, function(error, parentExists) {
+      if ( error || !parentExists ) {
+        cb(error ? createErrorResult(error) : createResult(409));
+        return;
+      }
+
+      callVFS(server, 'mkdir', {path: vfsPath}, function(error) {
+        if ( error ) {
+          cb(String(error).match(/already exist/) ? createResult(405) : createErrorResult(error));
+        } else {
+          cb(createResult(201));
+        }
+      });
+    });
+  }
+
+  function doCopyMove(server, method, vfsPath, cb) {
+    var dest = _url.parse(server.request.headers.destination || '').pathname || '';
+    try {
+      dest = decodeURIComponent(dest);
+    } catch ( e ) {
+      dest = '';
+    }
+
+    if ( !dest.match(/^\/DAV(\/|$)/) ) {
+      cb(createResult(dest ? 502 : 400));
+      return;
+    }
+
+    var destPath = getVFSPath(server, dest);
+    if ( !destPath ) {
+      cb(createResult(403));
+      return;
+    }
+
+    var srcRoot = getRealRoot(server, vfsPath);
+    var destRoot = getRealRoot(server, destPath);
+    if ( srcRoot === destRoot || destRoot.indexOf(srcRoot + _path.sep) === 0 ) {
+      cb(createResult(403));
+      return;
+    }
+
+    if ( isLocked(server, destRoot) ) {
+      cb(createResult(423));
+      return;
+    }
+
+    var overwrite = String(server.request.headers.overwrite || 'T').toUpperCase() !== 'F';
+
+    function finish(existed) {
+      if ( method === 'MOVE' ) {
+        removeLocks(srcRoot);
+      }
+      cb(createResult(existed ? 204 : 201));
+    }
+
+    // The existing destination is only replaced once the new one is complete
+    function replace() {
+      var tmpPath = getTempPath(destPath);
+      var backupPath = getTempPath(destPath);
+
+      function undo(error) {
+        callVFS(server, method === 'MOVE' ? 'move' : 'delete', method === 'MOVE' ? {src: tmpPath, dest: vfsPath} : {path: tmpPath}, function() {
+          cb(createErrorResult(error));
+        });
+      }
+
+      callVFS(server, method === 'MOVE' ? 'move' : 'copy', {src: vfsPath, dest: tmpPath}, function(error) {
+        if ( error ) {
+          cb(createErrorResult(error));
+          return;
+        }
+
+        callVFS(server, 'move', {src: destPath, dest: backupPath}, function(error) {
+          if ( error ) {
+            undo(error);
+            return;
+          }
+
+          callVFS(server, 'move', {src: tmpPath, dest: destPath}, function(error) {
+            if ( error ) {
+              callVFS(server, 'move', {src: backupPath, dest: destPath}, function() {
+                undo(error);
+              });
+              return;
+            }
+
+            callVFS(server, 'delete', {path: backupPath}, function() {
+              finish(true);
+            });
+          });
+        });
+      });
+    }
+
+    callVFS(server, 'exists', {path: getParentPath(destPath)}, function(error, parentExists) {
+      if ( error || !parentExists ) {
+        cb(error ? createErrorResult(error) : createResult(409));
+        return;
+      }
+
+      callVFS(server, 'exists', {path: destPath}, function(error, exists) {
+        if ( error ) {
+          cb(createErrorResult(error));
+        } else if ( exists && !overwrite ) {
+          cb(createResult(412));
+        } else if ( exists ) {
+          replace();
+        } else {
+          callVFS(server, method === 'MOVE' ? 'move' : 'copy', {src: vfsPath, dest: destPath}, function(error) {
+            if ( error ) {
+              cb(createErrorResult(error));
+            } else {
+              finish(false);
+            }
+          });
+        }
+      });
+    });
+  }
+
+  function doLock(server, vfsPath, body, cb) {
+    var fullPath = getRealRoot(server, vfsPath);
+    var maxTimeout = getConfig(server).lockTimeout;
+    var timeout = parseInt(((server.request.headers.timeout || '').match(/Second-(\d+)/) || [])[1], 10);
+    timeout = Math.min(timeout > 0 ? timeout : maxTimeout, maxTimeout);
+
+    var href = getHref(vfsPath, false);
+    var tokens = getLockTokens(server.request);
+
+    // Refreshes an existing lock
+    if ( !body ) {
+      var existing = findLocks(fullPath).filter(function(lock) {
+        return tokens.indexOf(lock.token) !== -1;
+      })[0];
+
+      if ( !existing ) {
+        cb(createResult(412));
+        return;
+      }
+
+      existing.expires = Date.now() + (timeout * 1000);
+      cb(createResult(200, {}, '<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:">' + createLockDiscovery(existing, href) + '</D:prop>'));
+      return;
+    }
+
+    if ( isLocked(server, fullPath) ) {
+      cb(createResult(423));
+      return;
+    }
+
+    // Checks the privilege of the user to change the resource before locking
+    callVFS(server, 'exists', {path: getParentPath(vfsPath)}, function(error, parentExists) {
+      if ( error || !parentExists ) {
+        cb(error ? createErrorResult(error) : createResult(409));
+        return;
+      }
+
+      var owner = (body.match(/<(?:\w+:)?owner[^>]*>([\s\S]*?)<\/(?:\w+:)?owner>/) || [])[1];
+      var lock = {
+        root: fullPath,
+        token: createLockToken(),
+        owner: owner ? escapeXML(owner.replace(/<[^>]+>/g, '').trim()) : escapeXML(server.handler.getUserName(server)),
+        depth: server.request.headers.depth === '0' ? '0' : 'infinity',
+        expires: Date.now() + (timeout * 1000)
+      };
+
+      locks[fullPath] = lock;
+
+      cb(createResult(200, {
+        'Lock-Token': '<' + lock.token + '>'
+      }, '<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:">' + createLockDiscovery(lock, href) + '</D:prop>'));
+    });
+  }
+
+  function doUnlock(server, vfsPath, cb) {
+    var token = (server.request.headers['lock-token'] || '').replace(/^\s*<|>\s*$/g, '');
+    var fullPath = getRealRoot(server, vfsPath);
+    var lock = findLocks(fullPath).filter(function(lock) {
+      return lock.token === token;
+    })[0];
+
+    if ( lock ) {
+      delete locks[lock.root];
+      cb(createResult(204));
+    } else {
+      cb(createResult(409));
+    }
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // EXPORTS
+  /////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Checks if the WebDAV endpoint should handle given request path
+   *
+   * @param   {ServerObject}    server        Server object
+   * @param   {String}          path          Request path
+   *
+   * @return  {Boolean}
+   *
+   * @function isRequest
+   * @memberof WebDAV
+   */
+  module.exports.isRequest = function(server, path) {
+    return getConfig(server).enabled && !!path.match(/^\/DAV(\/|$)/);
+  };
+
+  /**
+   * Handles a WebDAV request
+   *
+   * <pre><code>
+   * The callback gets an object with the HTTP status `code`, the `headers`,
+   * the `body` and its `mime` type. For downloads a `file` with the real path
+   * to send is given instead.
+   * </code></pre>
+   *
+   * @param   {ServerObject}    server        Server object
+   * @param   {String}          path          Request path (ex: /DAV/home/file.txt)
+   * @param   {Function}        callback      Callback function => fn(result)
+   *
+   * @function request
+   * @memberof WebDAV
+   */
+  module.exports.request = function(server, path, callback) {
+    var method = server.request.method.toUpperCase();
+    var dav = {'DAV': '1, 2', 'MS-Author-Via': 'DAV'};
+
+    function done(result) {
+      if ( result.headers ) {
+        Object.keys(dav).forEach(function(k) {
+          result.headers[k] = dav[k];
+        });
+      }
+      callback(result);
+    }
+
+    if ( method === 'OPTIONS' ) {
+      server.request.resume();
+      done(createResult(200, {'Allow': METHODS.join(', ')}));
+      return;
+    }
+
+    if ( METHODS.indexOf(method) === -1 ) {
+      server.request.resume();
+      done(createResult(405, {'Allow': METHODS.join(', ')}));
+      return;
+    }
+
+    authenticate(server, function(code) {
+      if ( code ) {
+        server.request.resume();
+        done(createResult(code, code === 401 ? {'WWW-Authenticate': 'Basic realm="OS.js"'} : {}));
+        return;
+      }
+
+      var vfsPath = getVFSPath(server, path);
+      if ( vfsPath === false ) {
+        server.request.resume();
+        done(createResult(404));
+        return;
+      }
+
+      if ( method === 'PUT' ) {
+        if ( vfsPath === null ) {
+          server.request.resume();
+          done(createResult(405));
+        } else if ( isLocked(server, getRealRoot(server, vfsPath)) ) {
+          server.request.resume();
+          done(createResult(423));
+        } else {
+          doPut(server, vfsPath, done);
+        }
+        return;
+      }
+
+      readBody(server.request, function(tooLarge, body) {
+        if ( tooLarge ) {
+          done(createResult(413));
+          return;
+        }
+
+        if ( method === 'PROPFIND' ) {
+          doPropfind(server, vfsPath, done);
+        } else if ( method === 'GET' || method === 'HEAD' ) {
+          doGet(server, vfsPath, done);
+        } else if ( vfsPath === null ) {
+          done(createResult(405, {'Allow': 'OPTIONS, PROPFIND'}));
+        } else if ( method === 'UNLOCK' ) {
+          doUnlock(server, vfsPath, done);
+        } else if ( method === 'LOCK' ) {
+          doLock(server, vfsPath, body.trim(), done);
+        } else if ( isLocked(server, getRealRoot(server, vfsPath)) && method !== 'COPY' ) {
+          done(createResult(423));
+        } else if ( method === 'DELETE' ) {
+          doDelete(server, vfsPath, done);
+        } else if ( method === 'MKCOL' ) {
+          doMkcol(server, vfsPath, body, done);
+        } else {
+          doCopyMove(server, method, vfsPath, done);
+        }
+      });
+    });
+  };
+
+})(
+  require('path'),
+  require('url'),
+  require('node-fs-extra'),
+  require('crypto'),
+  require('./sessions.js')
+);
@@ -241,6 +241,10 @@
       cb();
     };
 
+    MysqlHandler.prototype.query = function(q, a, cb) {
+      query(q, a, cb);
+    };
+
     return new MysqlHandler();
   };
 
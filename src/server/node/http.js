@@ -27,7 +27,7 @@
  * @author  Anders Evenrud <andersevenrud@gmail.com>
  * @licence Simplified BSD License
  */
-(function(_osjs, _path, _url, _util, _fs, _qs, _multipart, _sessions) {
+(function(_osjs, _path, _url, _util, _fs, _qs, _multipart, _sessions, _acl, _webdav) {
   'use strict';
 
   /**
@@ -35,7 +35,6 @@
    */
 
   var instance, server, proxy, httpProxy;
-  var socketConnection = [];
 
   var colored = (function() {
     var colors;
@@ -72,27 +71,85 @@
   // HELPERS
   /////////////////////////////////////////////////////////////////////////////
 
-  function createSessionObject(sid) {
-    return {
-      set: function(k, v) {
-        return _sessions.set(sid, k, v === null ? null : String(v));
-      },
-      get: function(k) {
-        var v = _sessions.get(sid, k);
-        if ( v !== false ) {
-          return v[0];
+  /**
+   * Creates a weak ETag from file stats
+   */
+  function createETag(stat) {
+    return 'W/"' + stat.size.toString(16) + '-' + stat.mtime.getTime().toString(16) + '"';
+  }
+
+  /**
+   * Checks the conditional request headers against a file
+   */
+  function isNotModified(request, etag, mtime) {
+    var noneMatch = request.headers['if-none-match'];
+    if ( noneMatch ) {
+      return noneMatch.split(/\s*,\s*/).some(function(tag) {
+        return tag === '*' || tag.replace(/^W\//, '') === etag.replace(/^W\//, '');
+      });
+    }
+
+    var since = Date.parse(request.headers['if-modified-since']);
+    if ( !isNaN(since) ) {
+      return Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+    }
+
+    return false;
+  }
+
+  /**
+   * Parses the Range header
+   *
+   * Returns `null` if the whole file should be sent, `false` if the range can
+   * not be satisfied, or an object with `start` and `end` (inclusive).
+   * Only a single range is supported, for multiple ranges the whole file is sent.
+   */
+  function parseRange(request, size, etag, mtime) {
+    var header = request.headers.range;
+    if ( !header || request.method !== 'GET' ) {
+      return null;
+    }
+
+    // Only send a part of the file if the client has exactly this version.
+    // This needs a strong validator, so weak ETags always send everything.
+    var ifRange = request.headers['if-range'];
+    if ( ifRange ) {
+      if ( ifRange.match(/^(W\/)?"/) ) {
+        if ( ifRange !== etag || etag.substr(0, 2) === 'W/' ) {
+          return null;
         }
-        return false;
+      } else if ( Date.parse(ifRange) !== Math.floor(mtime.getTime() / 1000) * 1000 ) {
+        return null;
       }
-    };
+    }
+
+    var match = header.match(/^bytes=(\d*)-(\d*)$/);
+    if ( !match || (match[1] === '' && match[2] === '') ) {
+      return null;
+    }
+
+    var start, end;
+    if ( match[1] === '' ) {
+      start = Math.max(0, size - parseInt(match[2], 10));
+      end = size - 1;
+    } else {
+      start = parseInt(match[1], 10);
+      end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if ( start >= size || start > end ) {
+      return false;
+    }
+
+    return {start: start, end: end};
   }
 
   /**
    * Respond to HTTP Call
    */
-  function respond(data, mime, response, headers, code, pipeFile) {
+  function respond(data, mime, response, headers, code, pipeFile, range) {
     if ( instance.config.logging ) {
-      var okCodes = [200, 301, 302, 304];
+      var okCodes = [200, 206, 301, 302, 304];
 
       instance.logger.log(instance.logger.VERBOSE, colored('>>>', 'grey', 'bold'), colored(String(code) + ' ' + mime, okCodes.indexOf(code) >= 0 ? 'green' : 'red'), (pipeFile ? '=> ' + colored(pipeFile.replace(instance.setup.root, '/'), 'magenta') : typeof data));
     }
@@ -114,11 +171,11 @@
     }
 
     function writeHeaders() {
-      headers.forEach(function(h) {
-        response.writeHead.apply(response, h);
+      var wheaders = {};
+      Object.keys(headers || {}).forEach(function(k) {
+        wheaders[k] = headers[k];
       });
 
-      var wheaders = {};
       if ( mime ) {
         wheaders['Content-Type'] = mime;
       }
@@ -128,16 +185,25 @@
 
     if ( checkDir() ) {
       respondError('Invalid request', response);
+      return;
     }
 
     writeHeaders();
 
     if ( pipeFile ) {
-      var stream = _fs.createReadStream(pipeFile, {bufferSize: 64 * 1024});
+      var opts = {bufferSize: 64 * 1024};
+      if ( range ) {
+        opts.start = range.start;
+        opts.end = range.end;
+      }
+
+      var stream = _fs.createReadStream(pipeFile, opts);
       stream.on('end', done);
       stream.pipe(response);
     } else {
-      response.write(data);
+      if ( data !== null ) {
+        response.write(data);
+      }
       done();
     }
   }
@@ -165,12 +231,41 @@
 
     try {
       var fullPath = realPath ? path : instance.vfs.getRealPath(server, path).root;
-      _fs.exists(fullPath, function(exists) {
-        if ( exists ) {
-          var mime = instance.vfs.getMime(fullPath, instance.config);
-          respond(null, mime, response, [], 200, fullPath);
-        } else {
+      _fs.stat(fullPath, function(err, stat) {
+        if ( err ) {
           respondNotFound(null, response, fullPath);
+          return;
+        }
+
+        if ( stat.isDirectory() ) {
+          respond('Invalid request', 'text/plain', response, {}, 500);
+          return;
+        }
+
+        var mime = instance.vfs.getMime(fullPath, instance.config);
+        var etag = createETag(stat);
+        var headers = {
+          'ETag': etag,
+          'Last-Modified': stat.mtime.toUTCString(),
+          'Accept-Ranges': 'bytes'
+        };
+
+        if ( isNotModified(request, etag, stat.mtime) ) {
+          respond(null, null, response, headers, 304);
+          return;
+        }
+
+        var range = parseRange(request, stat.size, etag, stat.mtime);
+        if ( range === false ) {
+          headers['Content-Range'] = 'bytes */' + stat.size;
+          respond(null, null, response, headers, 416);
+        } else if ( range ) {
+          headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + stat.size;
+          headers['Content-Length'] = range.end - range.start + 1;
+          respond(null, mime, response, headers, 206, fullPath, range);
+        } else {
+          headers['Content-Length'] = stat.size;
+          respond(null, mime, response, headers, 200, fullPath);
         }
       });
     } catch ( e ) {
@@ -184,7 +279,7 @@
    * Respond with JSON data
    */
   function respondJSON(data, response, headers, code) {
-    respond(JSON.stringify(data), 'application/json', response, headers || [], code || 200);
+    respond(JSON.stringify(data), 'application/json', response, headers || {}, code || 200);
   }
 
   /**
@@ -195,9 +290,9 @@
 
     if ( json ) {
       message = 'Internal Server Error (HTTP 500): ' + message.toString();
-      respondJSON({result: null, error: message}, response, [], code);
+      respondJSON({result: null, error: message}, response, {}, code);
     } else {
-      respond(message.toString(), 'text/plain', response, [], code);
+      respond(message.toString(), 'text/plain', response, {}, code);
     }
   }
 
@@ -205,7 +300,7 @@
    * Respond with text
    */
   function respondText(response, message) {
-    respond(message, 'text/plain', response, [], 200);
+    respond(message, 'text/plain', response, {}, 200);
   }
 
   /**
@@ -213,7 +308,7 @@
    */
   function respondNotFound(message, response, fullPath) {
     message = message || '404 Not Found';
-    respond(message, null, response, [], 404, false);
+    respond(message, null, response, {}, 404, false);
   }
 
   /**
@@ -232,7 +327,6 @@
    * On WebSocket request
    */
   function wsCall(ws, msg) {
-    var sid = msg.sid;
     var path = msg.path;
     var idx = msg._index;
     var isVfsCall = path.match(/^\/FS/) !== null;
@@ -240,15 +334,20 @@
 
     instance.logger.log(instance.logger.VERBOSE, colored('<<<', 'bold'), '[WS]', path);
 
-    instance.request(isVfsCall, relPath, msg.args, function(error, result) {
-      ws.send(JSON.stringify({
-        _index: idx,
-        result: result,
-        error: error
-      }));
-    }, {
-      session: createSessionObject(sid)
-    }, null, instance.handler);
+    _sessions.get(ws.sessionId, function(session) {
+      ws.sessionId = session.id;
+
+      instance.request(isVfsCall, relPath, msg.args, function(error, result) {
+        ws.send(JSON.stringify({
+          _index: idx,
+          result: result,
+          error: error
+        }));
+      }, {
+        session: session,
+        websocket: ws
+      }, null, instance.handler);
+    });
   }
 
   /**
@@ -363,7 +462,8 @@
               src: files.upload.path,
               name: files.upload.name,
               path: fields.path,
-              overwrite: String(fields.overwrite) === 'true'
+              overwrite: String(fields.overwrite) === 'true',
+              __caller: fields.__caller
             }, function(err, result) {
               if ( err ) {
                 respondError(err, response);
@@ -383,10 +483,33 @@
           respondError(err, response);
           return;
         }
-        respondFile(unescape(dpath), request, response, false);
+
+        _acl.check(server, 'read', {path: unescape(dpath)}, function(err) {
+          if ( err ) {
+            respondError(err, response);
+            return;
+          }
+          respondFile(unescape(dpath), request, response, false);
+        });
       });
     }
 
+    function handleWebDAV(p) {
+      try {
+        _webdav.request(server, p, function(result) {
+          if ( result.file ) {
+            respondFile(result.file, request, response, true);
+          } else {
+            respond(result.body, result.mime, response, result.headers, result.code);
+          }
+        });
+      } catch ( e ) {
+        instance.logger.log(instance.logger.WARNING, 'handleWebDAV exception', e, e.stack);
+
+        respondError(e, response);
+      }
+    }
+
     function handleDistFile(p) {
       var rpath = p.replace(/^\/+/, '');
       var dpath = _path.join(instance.config.distdir, rpath);
@@ -414,25 +537,26 @@
 
     var url  = _url.parse(request.url, true);
     var path = decodeURIComponent(url.pathname);
-    var sid  = _sessions.init(request, response);
-
-    request.session = createSessionObject(sid);
 
     if ( path === '/' ) {
       path += 'index.html';
     }
 
-    instance.logger.log(instance.logger.VERBOSE, colored('<<<', 'bold'), path);
+    _sessions.start(request, response, function(session) {
+      request.session = session;
 
-    if ( instance.handler && instance.handler.onRequestStart ) {
-      instance.handler.onRequestStart(request, response);
-    }
+      instance.logger.log(instance.logger.VERBOSE, colored('<<<', 'bold'), path);
+
+      if ( instance.handler && instance.handler.onRequestStart ) {
+        instance.handler.onRequestStart(request, response);
+      }
 
-    (function() {
       var isVfsCall = path.match(/^\/FS/) !== null;
       var relPath   = path.replace(/^\/(FS|API)\/?/, '');
 
-      if ( request.method === 'POST' ) {
+      if ( _webdav.isRequest(server, path) ) {
+        handleWebDAV(path);
+      } else if ( request.method === 'POST' ) {
         if ( isVfsCall ) {
           if ( relPath === 'upload') {
             handleUpload();
@@ -449,7 +573,7 @@
           handleDistFile(path);
         }
       }
-    })();
+    });
   }
 
   /////////////////////////////////////////////////////////////////////////////
@@ -487,15 +611,43 @@
     }
 
     if ( instance.config.http.connection === 'ws' ) {
-      wss = new (require('ws')).Server({server: server});
-      wss.on('connection', function(ws) {
+      wss = new (require('ws')).Server({
+        server: server,
+        verifyClient: function(info, cb) {
+          _sessions.upgrade(info.req, function(id, cookie) {
+            info.req.sessionId = id;
+            info.req.sessionCookie = cookie;
+            cb(true);
+          });
+        }
+      });
+
+      // A new session gets its cookie in the upgrade response
+      wss.on('headers', function(headers, request) {
+        if ( request && request.sessionCookie ) {
+          headers.push('Set-Cookie: ' + request.sessionCookie);
+        }
+      });
+
+      wss.on('connection', function(ws, request) {
         instance.logger.log(instance.logger.INFO, colored('---', 'bold'), '[WS]', 'WebSocket connection...');
+        instance.sockets.push(ws);
+
+        // The session cookie is HttpOnly, so it is read from the upgrade request
+        ws.sessionId = (request || ws.upgradeReq).sessionId;
 
         ws.on('message', function(msg) {
           wsCall(ws, JSON.parse(msg));
         });
 
         ws.on('close', function() {
+          instance._watcher.unsubscribe(ws);
+
+          var idx = instance.sockets.indexOf(ws);
+          if ( idx >= 0 ) {
+            instance.sockets.splice(idx, 1);
+          }
+
           instance.logger.log(instance.logger.INFO, colored('---', 'bold'), '[WS]', 'WebSocket closed...');
         });
       });
@@ -507,19 +659,25 @@
         port = setup.port || instance.config.http.port;
       } catch ( e ) {}
 
-      server.listen(port);
+      _sessions.init(instance, function(err) {
+        if ( err ) {
+          instance.logger.log(instance.logger.WARNING, 'Session store failed, using memory:', err);
+        }
 
-      _osjs.after(server, instance);
+        server.listen(port);
 
-      var msg = _util.format('OS.js listening on %s:%d (handler:%s dir:%s mode:%s ws:%s)',
-                             addr,
-                             port,
-                             instance.config.handler,
-                             instance.setup.dist,
-                             (httpConfig.mode || 'http'),
-                             String(!!wss));
+        _osjs.after(server, instance);
 
-      instance.logger.lognt(instance.logger.INFO, '\n\n***\n***', msg, '\n***\n');
+        var msg = _util.format('OS.js listening on %s:%d (handler:%s dir:%s mode:%s ws:%s)',
+                               addr,
+                               port,
+                               instance.config.handler,
+                               instance.setup.dist,
+                               (httpConfig.mode || 'http'),
+                               String(!!wss));
+
+        instance.logger.lognt(instance.logger.INFO, '\n\n***\n***', msg, '\n***\n');
+      });
 
     });
 
@@ -537,6 +695,8 @@
     cb = cb || function() {};
 
     instance.handler.onServerEnd(function() {
+      _sessions.close();
+
       if ( proxy ) {
         proxy.close();
       }
@@ -560,5 +720,7 @@
   require('node-fs-extra'),
   require('querystring'),
   require('formidable'),
-  require('simple-session')
+  require('./core/sessions.js'),
+  require('./core/acl.js'),
+  require('./core/webdav.js')
 );
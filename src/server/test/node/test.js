@@ -225,6 +225,697 @@
       });
     });
 
+    describe('#find', function() {
+      function find(args, cb) {
+        instance.vfs.find(serverObject, {path: 'home:///.mocha', args: args}, cb);
+      }
+
+      function paths(list) {
+        return JSON.stringify(list.map(function(iter) {
+          return iter.path;
+        }));
+      }
+
+      it('should find files by name pattern', function(done) {
+        find({name: 'test*.TXT'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(paths([{path: 'home:///.mocha/test2.txt'}, {path: 'home:///.mocha/test3.txt'}]), paths(result));
+          done();
+        });
+      });
+
+      it('should find files by content and metadata', function(done) {
+        find({contains: 'mocha testing', mime: 'text/*', size: {max: 100}, mtime: {from: Date.now() - 3600000}}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(2, result.length);
+          done();
+        });
+      });
+
+      it('should not find files outside of criteria', function(done) {
+        find({contains: 'unicorns'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(0, result.length);
+
+          find({size: {min: 1024}}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(0, result.length);
+            done();
+          });
+        });
+      });
+
+      it('should return results in pages', function(done) {
+        find({name: '*.txt', pageSize: 1}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(paths([{path: 'home:///.mocha/test2.txt'}]), paths(result.entries));
+          assert.equal(1, result.next);
+
+          find({name: '*.txt', pageSize: 1, offset: result.next}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(paths([{path: 'home:///.mocha/test3.txt'}]), paths(result.entries));
+            assert.equal(null, result.next);
+            done();
+          });
+        });
+      });
+
+      it('should find files by regular expression', function(done) {
+        find({regex: '^TEST[23]\\.txt$'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(paths([{path: 'home:///.mocha/test2.txt'}, {path: 'home:///.mocha/test3.txt'}]), paths(result));
+          done();
+        });
+      });
+
+      it('should fail on invalid or unsafe regular expressions', function(done) {
+        find({regex: '(['}, function(error) {
+          assert.notEqual(-1, String(error).indexOf('Invalid regular expression'));
+
+          find({regex: '((a+)b)+$'}, function(error) {
+            assert.notEqual(-1, String(error).indexOf('too complex'));
+
+            find({regex: new Array(102).join('a')}, function(error) {
+              assert.notEqual(-1, String(error).indexOf('too long'));
+              done();
+            });
+          });
+        });
+      });
+
+      it('should not follow symbolic links', function(done) {
+        var link = _path.join(instance.handler.getHomePath(serverObject), '.mocha', 'loop');
+        _fs.symlinkSync('.', link);
+
+        find({name: '*.txt', recursive: true}, function(error, result) {
+          _fs.unlinkSync(link);
+
+          assert.equal(false, error);
+          assert.equal(paths([{path: 'home:///.mocha/test2.txt'}, {path: 'home:///.mocha/test3.txt'}]), paths(result));
+          done();
+        });
+      });
+    });
+
+    describe('#trash', function() {
+      var trashed;
+
+      it('should move file to trash without error', function(done) {
+        instance.vfs.trash(serverObject, {path: 'home:///.mocha/test3.txt'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(true, result);
+          done();
+        });
+      });
+
+      it('should not move files from other mountpoints to trash', function(done) {
+        instance.vfs.trash(serverObject, {path: 'shared:///mocha-trash.txt'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('Only files in the home directory'));
+          done();
+        });
+      });
+
+      it('should find file in trash with original path', function(done) {
+        instance.vfs.scandir(serverObject, {path: 'trash:///'}, function(error, result) {
+          assert.equal(false, error);
+
+          trashed = result.filter(function(f) {
+            return f.original === 'home:///.mocha/test3.txt';
+          })[0];
+
+          assert.notEqual(undefined, trashed);
+          assert.notEqual(undefined, trashed.deleted);
+          done();
+        });
+      });
+
+      it('should restore file from trash without error', function(done) {
+        instance.vfs.untrash(serverObject, {path: trashed.path}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal('home:///.mocha/test3.txt', result);
+          done();
+        });
+      });
+
+      it('should deny writing trash information through home://', function(done) {
+        try {
+          instance.vfs.write(serverObject, {path: 'home:///.Trash/info/forged.trashinfo', data: 'data:text/plain;base64,'}, function(error, result) {
+            assert.notEqual(-1, String(error).indexOf('Access denied'));
+            done();
+          });
+        } catch ( e ) {
+          assert.notEqual(-1, String(e).indexOf('Access denied'));
+          done();
+        }
+      });
+
+      it('should not restore files outside of the original mountpoint', function(done) {
+        var trashPath = _path.join(instance.handler.getHomePath(serverObject), '.Trash');
+        _fs.writeFileSync(_path.join(trashPath, 'files', 'forged.txt'), 'forged');
+        _fs.writeFileSync(_path.join(trashPath, 'info', 'forged.txt.trashinfo'), JSON.stringify({path: 'osjs:///forged.txt'}));
+
+        instance.vfs.untrash(serverObject, {path: 'trash:///forged.txt'}, function(error, result) {
+          assert.notEqual(false, error);
+
+          _fs.writeFileSync(_path.join(trashPath, 'info', 'forged.txt.trashinfo'), JSON.stringify({path: 'home:///../forged.txt'}));
+          instance.vfs.untrash(serverObject, {path: 'trash:///forged.txt'}, function(error, result) {
+            assert.notEqual(false, error);
+            done();
+          });
+        });
+      });
+
+      it('should empty trash without error', function(done) {
+        instance.vfs.trash(serverObject, {path: 'home:///.mocha/test3.txt'}, function(error, result) {
+          assert.equal(false, error);
+
+          instance.vfs.emptyTrash(serverObject, {path: 'trash:///'}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(true, result);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('#watch', function() {
+      var messages = [];
+      var socketObject = {
+        request: {
+          session: request.session,
+          websocket: {
+            send: function(data) {
+              messages.push(JSON.parse(data));
+            }
+          }
+        },
+        response: response,
+        config: instance.config,
+        handler: instance.handler
+      };
+
+      it('should fail without a websocket connection', function(done) {
+        instance.vfs.watch(serverObject, {path: 'home:///.mocha'}, function(error, result) {
+          assert.notEqual(false, error);
+          done();
+        });
+      });
+
+      it('should push changes to subscriber', function(done) {
+        instance.vfs.watch(socketObject, {path: 'home:///.mocha'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(true, result);
+
+          var realPath = instance.vfs.getRealPath(socketObject, 'home:///.mocha/test4.txt').root;
+          _fs.writeFileSync(realPath, 'watched');
+
+          setTimeout(function() {
+            var found = messages.filter(function(m) {
+              return m.event === 'vfs:write' && m.file.path === 'home:///.mocha/test4.txt';
+            });
+
+            assert.equal(true, found.length > 0);
+            _fs.unlinkSync(realPath);
+            done();
+          }, 500);
+        });
+      });
+
+      it('should keep the subscription until unsubscribed as many times', function(done) {
+        var realPath = instance.vfs.getRealPath(socketObject, 'home:///.mocha').root;
+
+        instance.vfs.watch(socketObject, {path: 'home:///.mocha'}, function(error, result) {
+          assert.equal(false, error);
+
+          instance.vfs.unwatch(socketObject, {path: 'home:///.mocha'}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(1, instance._watcher.count(realPath));
+            done();
+          });
+        });
+      });
+
+      it('should unsubscribe without error', function(done) {
+        instance.vfs.unwatch(socketObject, {path: 'home:///.mocha'}, function(error, result) {
+          var realPath = instance.vfs.getRealPath(socketObject, 'home:///.mocha').root;
+
+          assert.equal(false, error);
+          assert.equal(0, instance._watcher.count(realPath));
+          done();
+        });
+      });
+    });
+
+    describe('#quota', function() {
+      after(function() {
+        delete instance.config.vfs.quotas.users.demo;
+      });
+
+      it('should reject writes over the quota', function(done) {
+        instance.config.vfs.quotas.users.demo = 1;
+
+        instance.vfs.write(serverObject, {path: 'home:///.mocha/test5.txt', data: 'data:text/plain;base64,' + (new Buffer('over quota')).toString('base64')}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('Quota exceeded'));
+          done();
+        });
+      });
+
+      it('should reject directories over the quota', function(done) {
+        instance.config.vfs.quotas.users.demo = 1;
+
+        instance.vfs.mkdir(serverObject, {path: 'home:///.mocha/test5'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('Quota exceeded'));
+          instance.vfs.exists(serverObject, {path: 'home:///.mocha/test5'}, function(error, result) {
+            assert.equal(false, result);
+            done();
+          });
+        });
+      });
+
+      it('should not let concurrent writes exceed the quota together', function(done) {
+        var data = 'data:text/plain;base64,' + (new Buffer('0123456789')).toString('base64');
+        var limit = 1024 * 1024 * 1024;
+        var results = [];
+
+        instance.config.vfs.quotas.users.demo = limit;
+        instance.vfs.freeSpace(serverObject, {root: 'home:///'}, function(error, free) {
+          // Room for one of the files
+          instance.config.vfs.quotas.users.demo = limit - free + 15;
+
+          ['test5a.txt', 'test5b.txt'].forEach(function(name) {
+            instance.vfs.write(serverObject, {path: 'home:///.mocha/' + name, data: data}, function(error) {
+              results.push(error);
+              if ( results.length < 2 ) {
+                return;
+              }
+
+              instance.config.vfs.quotas.users.demo = limit;
+              instance.vfs.delete(serverObject, {path: 'home:///.mocha/test5a.txt'}, function() {
+                instance.vfs.delete(serverObject, {path: 'home:///.mocha/test5b.txt'}, function() {
+                  assert.equal(1, results.filter(function(e) {
+                    return e === false;
+                  }).length);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+
+      it('should report remaining quota as free space', function(done) {
+        instance.config.vfs.quotas.users.demo = 1024 * 1024 * 1024;
+
+        instance.vfs.freeSpace(serverObject, {root: 'home:///'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(true, result <= 1024 * 1024 * 1024);
+          done();
+        });
+      });
+    });
+
+    describe('#uploadChunk', function() {
+      var crc32 = require(_path.join(serverRoot, 'core', 'uploads.js')).crc32;
+      var path = 'home:///.mocha/test6.txt';
+      var chunks = [new Buffer('Hello '), new Buffer('chunked world')];
+      var session;
+
+      it('should start upload session without error', function(done) {
+        instance.vfs.uploadStart(serverObject, {path: path, size: 19}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(0, result.offset);
+          session = result.id;
+          done();
+        });
+      });
+
+      it('should reject chunk with invalid checksum', function(done) {
+        instance.vfs.uploadChunk(serverObject, {id: session, path: path, offset: 0, data: chunks[0].toString('base64'), checksum: '00000000'}, function(error, result) {
+          assert.notEqual(false, error);
+          done();
+        });
+      });
+
+      it('should upload chunk without error', function(done) {
+        instance.vfs.uploadChunk(serverObject, {id: session, path: path, offset: 0, data: chunks[0].toString('base64'), checksum: crc32(chunks[0])}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(6, result.offset);
+          done();
+        });
+      });
+
+      it('should resume from last offset', function(done) {
+        instance.vfs.uploadStart(serverObject, {path: path, size: 19, id: session}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(session, result.id);
+          assert.equal(6, result.offset);
+          done();
+        });
+      });
+
+      it('should not finish incomplete upload', function(done) {
+        instance.vfs.uploadFinish(serverObject, {id: session, path: path}, function(error, result) {
+          assert.notEqual(false, error);
+          done();
+        });
+      });
+
+      it('should only write one of concurrent chunks', function(done) {
+        var args = {id: session, path: path, offset: 6, data: chunks[1].toString('base64'), checksum: crc32(chunks[1])};
+        var results = [];
+
+        function cb(error, result) {
+          results.push(error);
+          if ( results.length === 2 ) {
+            assert.equal(1, results.filter(function(e) {
+              return e === false;
+            }).length);
+            done();
+          }
+        }
+
+        instance.vfs.uploadChunk(serverObject, args, cb);
+        instance.vfs.uploadChunk(serverObject, args, cb);
+      });
+
+      it('should finish upload without error', function(done) {
+        instance.vfs.uploadFinish(serverObject, {id: session, path: path}, function(error, result) {
+          assert.equal(false, error);
+
+          var realPath = instance.vfs.getRealPath(serverObject, path).root;
+          assert.equal('Hello chunked world', _fs.readFileSync(realPath).toString());
+          done();
+        });
+      });
+    });
+
+    describe('#archive', function() {
+      it('should create zip archive from folder without error', function(done) {
+        instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/test.zip', files: ['home:///.mocha']}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(true, result);
+          done();
+        });
+      });
+
+      it('should list archive contents', function(done) {
+        instance.vfs.archiveScandir(serverObject, {path: 'home:///.mocha/test.zip', entry: '.mocha'}, function(error, result) {
+          assert.equal(false, error);
+
+          var found = result.filter(function(iter) {
+            return iter.entry === '.mocha/test6.txt';
+          })[0];
+
+          assert.equal('test6.txt', found.filename);
+          assert.equal('text/plain', found.mime);
+          assert.equal(19, found.size);
+          assert.equal(0, result.filter(function(iter) {
+            return iter.filename === 'test.zip';
+          }).length);
+          done();
+        });
+      });
+
+      it('should read single entry', function(done) {
+        instance.vfs.archiveRead(serverObject, {path: 'home:///.mocha/test.zip', entry: '.mocha/test6.txt', options: {raw: true}}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal('Hello chunked world', result.toString());
+          done();
+        });
+      });
+
+      it('should update archive without error', function(done) {
+        instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/test.zip', files: ['home:///.mocha/test6.txt'], update: true}, function(error, result) {
+          assert.equal(false, error);
+
+          instance.vfs.archiveScandir(serverObject, {path: 'home:///.mocha/test.zip'}, function(error, result) {
+            assert.equal(false, error);
+            assert.deepEqual(['.mocha', 'test6.txt'], result.map(function(iter) {
+              return iter.filename;
+            }).sort());
+            done();
+          });
+        });
+      });
+
+      it('should create and read tar.gz archive', function(done) {
+        instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/test.tar.gz', files: ['home:///.mocha/test6.txt']}, function(error, result) {
+          assert.equal(false, error);
+
+          instance.vfs.archiveRead(serverObject, {path: 'home:///.mocha/test.tar.gz', entry: 'test6.txt', options: {raw: true}}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal('Hello chunked world', result.toString());
+            done();
+          });
+        });
+      });
+
+      it('should fail on missing entry', function(done) {
+        instance.vfs.archiveRead(serverObject, {path: 'home:///.mocha/test.tar.gz', entry: 'missing.txt'}, function(error, result) {
+          assert.notEqual(false, error);
+          done();
+        });
+      });
+
+      it('should not overwrite existing archive', function(done) {
+        instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/test.tar.gz', files: ['home:///.mocha/test6.txt']}, function(error, result) {
+          assert.notEqual(false, error);
+
+          instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/test.tar.gz', files: ['home:///.mocha/test6.txt'], overwrite: true}, function(error, result) {
+            assert.equal(false, error);
+            done();
+          });
+        });
+      });
+
+      it('should skip symbolic links', function(done) {
+        var dir = _path.join(instance.handler.getHomePath(serverObject), '.mocha', 'linked');
+        var link = _path.join(dir, 'loop');
+        if ( !_fs.existsSync(dir) ) {
+          _fs.mkdirSync(dir);
+        }
+        _fs.symlinkSync(_path.join(dir, '..'), link);
+
+        instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/linked.tar', files: ['home:///.mocha/linked'], overwrite: true}, function(error, result) {
+          _fs.unlinkSync(link);
+          assert.equal(false, error);
+
+          instance.vfs.archiveScandir(serverObject, {path: 'home:///.mocha/linked.tar', entry: 'linked'}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(0, result.length);
+            done();
+          });
+        });
+      });
+
+      it('should fail on corrupted archive', function(done) {
+        var home = instance.handler.getHomePath(serverObject);
+        var data = _fs.readFileSync(_path.join(home, '.mocha', 'test.zip'));
+
+        // Point the central directory and the first entry outside the file
+        var broken = new Buffer(data);
+        broken.writeUInt32LE(0xFFFFFF00, broken.length - 6);
+        _fs.writeFileSync(_path.join(home, '.mocha', 'broken.zip'), broken);
+
+        instance.vfs.archiveScandir(serverObject, {path: 'home:///.mocha/broken.zip'}, function(error, result) {
+          assert.notEqual(false, error);
+          done();
+        });
+      });
+
+      it('should check quota before writing archive', function(done) {
+        var dir = _path.join(instance.handler.getHomePath(serverObject), '.mocha');
+        instance.config.vfs.quotas.users.demo = 1;
+
+        instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/quota.zip', files: ['home:///.mocha']}, function(error, result) {
+          delete instance.config.vfs.quotas.users.demo;
+
+          assert.notEqual(-1, String(error).indexOf('Quota exceeded'));
+          assert.equal(0, _fs.readdirSync(dir).filter(function(name) {
+            return name.indexOf('quota.zip') !== -1;
+          }).length);
+          done();
+        });
+      });
+    });
+
+    describe('#acl', function() {
+      before(function() {
+        instance.config.vfs.acl = {
+          home: {
+            '/.mocha': {write: ['someone'], delete: ['@staff']},
+            '/.mocha/drop': {write: ['*']}
+          }
+        };
+      });
+
+      after(function() {
+        instance.config.vfs.acl = {};
+      });
+
+      it('should resolve permissions from the most specific rule', function(done) {
+        instance.vfs.permissions(serverObject, {path: 'home:///.mocha/drop/file.txt'}, function(error, result) {
+          assert.equal(false, error);
+          assert.deepEqual({read: true, write: true, delete: false}, result);
+          done();
+        });
+      });
+
+      it('should deny writes without permission', function(done) {
+        instance.vfs.write(serverObject, {path: 'home:///.mocha/acl.txt', data: 'data:text/plain;base64,'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('Access denied'));
+          done();
+        });
+      });
+
+      it('should deny moving files without delete permission', function(done) {
+        instance.vfs.move(serverObject, {src: 'home:///.mocha/test6.txt', dest: 'home:///.mocha/drop/test6.txt'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('Access denied'));
+          done();
+        });
+      });
+
+      it('should include permissions in directory listing', function(done) {
+        instance.vfs.scandir(serverObject, {path: 'home:///.mocha'}, function(error, result) {
+          assert.equal(false, error);
+
+          var found = result.filter(function(iter) {
+            return iter.filename === 'test6.txt';
+          })[0];
+
+          assert.deepEqual({read: true, write: false, delete: false}, found.acl);
+          done();
+        });
+      });
+
+      it('should allow everything for admin group', function(done) {
+        var groups = request.session.get;
+        request.session.get = function(key) {
+          return key === 'groups' ? JSON.stringify(['admin']) : groups(key);
+        };
+
+        instance.vfs.permissions(serverObject, {path: 'home:///.mocha/test6.txt'}, function(error, result) {
+          request.session.get = groups;
+          assert.deepEqual({read: true, write: true, delete: true}, result);
+          done();
+        });
+      });
+
+      describe('with a denied subfolder', function() {
+        before(function(done) {
+          instance.config.vfs.acl = {};
+          instance.vfs.mkdir(serverObject, {path: 'home:///.mocha/acltree'}, function() {
+            instance.vfs.mkdir(serverObject, {path: 'home:///.mocha/acltree/denied'}, function() {
+              instance.vfs.write(serverObject, {path: 'home:///.mocha/acltree/denied/secret.txt', data: 'data:text/plain;base64,'}, function() {
+                instance.config.vfs.acl = {
+                  home: {
+                    '/.mocha/acltree': {read: ['*'], delete: ['*']},
+                    '/.mocha/acltree/denied': {read: ['someone'], delete: ['someone']}
+                  }
+                };
+                done();
+              });
+            });
+          });
+        });
+
+        after(function(done) {
+          instance.config.vfs.acl = {};
+          instance.vfs.delete(serverObject, {path: 'home:///.mocha/acltree'}, function() {
+            done();
+          });
+        });
+
+        it('should deny copying the parent', function(done) {
+          instance.vfs.copy(serverObject, {src: 'home:///.mocha/acltree', dest: 'home:///.mocha/acltree2'}, function(error, result) {
+            assert.notEqual(-1, String(error).indexOf('home:///.mocha/acltree/denied'));
+            done();
+          });
+        });
+
+        it('should deny deleting the parent', function(done) {
+          instance.vfs.delete(serverObject, {path: 'home:///.mocha/acltree'}, function(error, result) {
+            assert.notEqual(-1, String(error).indexOf('Access denied'));
+            done();
+          });
+        });
+
+        it('should deny archiving the parent', function(done) {
+          instance.vfs.archiveCreate(serverObject, {path: 'home:///.mocha/acltree.zip', files: ['home:///.mocha/acltree']}, function(error, result) {
+            assert.notEqual(-1, String(error).indexOf('Access denied'));
+            instance.vfs.exists(serverObject, {path: 'home:///.mocha/acltree.zip'}, function(error, result) {
+              assert.equal(false, result);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('#capabilities', function() {
+      var packages = instance.config.packages;
+      var data = 'data:text/plain;base64,' + (new Buffer('caller')).toString('base64');
+
+      before(function() {
+        instance.config.packages = {permissions: true, undeclared: 'deny', userMetadata: 'home:///.mocha/packages.json'};
+        _fs.writeFileSync(_path.join(instance.handler.getHomePath(serverObject), '.mocha', 'packages.json'), JSON.stringify({
+          MochaReader: {className: 'MochaReader', permissions: {vfs: {home: 'r'}}},
+          MochaWriter: {className: 'MochaWriter', permissions: {vfs: {'*': 'rw'}}},
+          MochaUndeclared: {className: 'MochaUndeclared'}
+        }));
+      });
+
+      after(function() {
+        instance.config.packages = packages;
+        _fs.unlinkSync(_path.join(instance.handler.getHomePath(serverObject), '.mocha', 'packages.json'));
+      });
+
+      it('should allow writes declared by the calling package', function(done) {
+        instance.vfs.write(serverObject, {path: 'home:///.mocha/caller.txt', data: data, __caller: 'MochaWriter'}, function(error, result) {
+          assert.equal(false, error);
+          instance.vfs.delete(serverObject, {path: 'home:///.mocha/caller.txt', __caller: 'MochaWriter'}, function(error, result) {
+            assert.equal(false, error);
+            done();
+          });
+        });
+      });
+
+      it('should deny writes not declared by the calling package', function(done) {
+        instance.vfs.write(serverObject, {path: 'home:///.mocha/caller.txt', data: data, __caller: 'MochaReader'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('vfs:home:write'));
+          done();
+        });
+      });
+
+      it('should deny user packages without declarations', function(done) {
+        instance.vfs.mkdir(serverObject, {path: 'home:///.mocha/caller', __caller: 'MochaUndeclared'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('Permission denied'));
+          done();
+        });
+      });
+
+      it('should deny callers that cannot be identified', function(done) {
+        instance.vfs.write(serverObject, {path: 'home:///.mocha/caller.txt', data: data, __caller: '?'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('could not be identified'));
+          done();
+        });
+      });
+
+      it('should allow reads without declarations', function(done) {
+        instance.vfs.exists(serverObject, {path: 'home:///.mocha', __caller: 'MochaUndeclared'}, function(error, result) {
+          assert.equal(false, error);
+          done();
+        });
+      });
+
+      it('should deny network access not declared by the calling package', function(done) {
+        instance.api.curl(serverObject, {url: 'http://127.0.0.1/', __caller: 'MochaWriter'}, function(error, result) {
+          assert.notEqual(-1, String(error).indexOf('network'));
+          done();
+        });
+      });
+    });
+
     describe('#delete', function() {
       it('should delete file without error', function(done) {
         instance.vfs.delete(serverObject, {path: 'home:///.mocha/test2.txt'}, function(error, result) {
@@ -234,62 +925,628 @@
         });
       });
 
-      it('should delete folder without error', function(done) {
-        instance.vfs.delete(serverObject, {path: 'home:///.mocha'}, function(error, result) {
-          assert.equal(false, error);
-          assert.equal(true, result);
+      it('should delete folder without error', function(done) {
+        instance.vfs.delete(serverObject, {path: 'home:///.mocha'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(true, result);
+          done();
+        });
+      });
+
+      it('should delete copied folder without error', function(done) {
+        instance.vfs.delete(serverObject, {path: 'home:///.mocha-copy'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(true, result);
+          done();
+        });
+      });
+    });
+  });
+
+  /////////////////////////////////////////////////////////////////////////////
+  // APIS
+  /////////////////////////////////////////////////////////////////////////////
+
+  describe('API', function() {
+
+    describe('Application API', function() {
+      describe('#call', function() {
+        it('should return dummy data', function(done) {
+          instance.api.application(serverObject, {
+            path: 'default/Settings',
+            method: 'test',
+            'arguments': {}
+          }, function(error, result) {
+            assert.equal(false, error);
+            assert.equal('test', result);
+            done();
+          });
+        });
+
+        it('should trigger error on invalid method', function(done) {
+          instance.api.application(serverObject, {
+            path: 'default/Settings',
+            method: 'xxx',
+            'arguments': {}
+          }, function(error, result) {
+            assert.notEqual(null, error);
+            done();
+          });
+        });
+
+        it('should trigger error on invalid package', function(done) {
+          instance.api.application(serverObject, {
+            path: 'doesnotexist/PackageName',
+            method: 'xxx',
+            'arguments': {}
+          }, function(error, result) {
+            assert.notEqual(null, error);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('Search API', function() {
+      var file = 'home:///.mocha-search.txt';
+
+      before(function(done) {
+        var data = (new Buffer('Lorem ipsum about unicorns').toString('base64'));
+        instance.vfs.write(serverObject, {path: file, data: 'data:text/plain;base64,' + data}, function() {
+          done();
+        });
+      });
+
+      describe('#search', function() {
+        it('should find file by content', function(done) {
+          instance.api.search(serverObject, {query: 'unicorns', paths: ['home:///']}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(file, result[0].path);
+            done();
+          });
+        });
+
+        it('should find file with fuzzy query', function(done) {
+          instance.api.search(serverObject, {query: 'unicorms', paths: ['home:///']}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(file, result[0].path);
+            done();
+          });
+        });
+
+        it('should rank filename matches and highlight them', function(done) {
+          instance.api.search(serverObject, {query: 'mocha search', paths: ['home:///']}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(file, result[0].path);
+            assert.equal(JSON.stringify([[1, 6], [7, 13]]), JSON.stringify(result[0].highlights.filename));
+            done();
+          });
+        });
+
+        it('should drop least recently used indexes over the document cap', function(done) {
+          var max = instance.config.search.maxDocuments;
+          instance.config.search.maxDocuments = 1;
+
+          instance.api.search(serverObject, {query: 'gitignore', paths: ['shared:///']}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(1, result.length);
+
+            instance.api.search(serverObject, {query: 'gitignore', paths: ['home:///']}, function(error, result) {
+              instance.config.search.maxDocuments = max;
+              assert.equal(false, error);
+              assert.equal(true, result.length <= 1);
+
+              instance.api.reindex(serverObject, {paths: ['home:///']}, function() {
+                done();
+              });
+            });
+          });
+        });
+
+        it('should not find deleted file', function(done) {
+          instance.vfs.delete(serverObject, {path: file}, function() {
+            instance.api.search(serverObject, {query: 'unicorns', paths: ['home:///']}, function(error, result) {
+              assert.equal(false, error);
+              assert.equal(0, result.filter(function(iter) {
+                return iter.path === file;
+              }).length);
+              done();
+            });
+          });
+        });
+      });
+
+      describe('#searchRank', function() {
+        it('should rank documents and highlight them', function(done) {
+          instance.api.searchRank(serverObject, {query: 'unicorns', documents: [
+            {fields: ['Foo', 'Bar', 'About unicorns'], title: 'Foo', description: 'About unicorns'},
+            {fields: ['Unicorns', 'Baz'], title: 'Unicorns', description: 'Baz'},
+            {fields: ['Nothing'], title: 'Nothing', description: ''}
+          ]}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(JSON.stringify([1, 0]), JSON.stringify(result.map(function(iter) {
+              return iter.index;
+            })));
+            assert.equal(JSON.stringify([[6, 14]]), JSON.stringify(result[1].highlights.description));
+            done();
+          });
+        });
+
+        it('should not rank invalid documents', function(done) {
+          instance.api.searchRank(serverObject, {query: 'unicorns'}, function(error, result) {
+            assert.notEqual(false, error);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('Package API', function() {
+      var crypto = require('crypto');
+      var packages = instance.config.packages;
+      var home, keys;
+
+      function createPackage(name, sign) {
+        var dir = _path.join(home, '.mocha-packages', 'staging', name);
+        var files = {
+          'metadata.json': JSON.stringify({className: name}),
+          'main.js': 'void 0;'
+        };
+
+        _fs.mkdirSync(dir, {recursive: true});
+        Object.keys(files).forEach(function(f) {
+          _fs.writeFileSync(_path.join(dir, f), files[f]);
+          files[f] = crypto.createHash('sha256').update(files[f]).digest('hex');
+        });
+
+        if ( sign ) {
+          var manifest = JSON.stringify({className: name, files: files});
+          _fs.writeFileSync(_path.join(dir, 'manifest.json'), manifest);
+          _fs.writeFileSync(_path.join(dir, 'manifest.sig'), JSON.stringify({
+            keyId: 'mocha',
+            signature: crypto.createSign('RSA-SHA256').update(manifest).sign(keys.privateKey, 'base64')
+          }));
+        }
+
+        return 'home:///.mocha-packages/staging/' + name;
+      }
+
+      before(function() {
+        home = instance.handler.getHomePath(serverObject);
+        keys = crypto.generateKeyPairSync('rsa', {
+          modulusLength: 2048,
+          publicKeyEncoding: {type: 'spki', format: 'pem'},
+          privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+        });
+
+        instance.config.packages = {
+          userPackages: 'home:///.mocha-packages/installed',
+          signing: {policy: 'strict', keys: {mocha: keys.publicKey}}
+        };
+        _fs.mkdirSync(_path.join(home, '.mocha-packages', 'installed'), {recursive: true});
+      });
+
+      after(function(done) {
+        instance.config.packages = packages;
+        instance.vfs.delete(serverObject, {path: 'home:///.mocha-packages'}, function() {
+          done();
+        });
+      });
+
+      it('should verify a signed package', function(done) {
+        instance.api.packageVerify(serverObject, {path: createPackage('MochaSigned', true)}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal('verified', result.status);
+          assert.equal('mocha', result.keyId);
+          done();
+        });
+      });
+
+      it('should install a verified package', function(done) {
+        instance.api.packageInstall(serverObject, {path: 'home:///.mocha-packages/staging/MochaSigned', dest: 'home:///.mocha-packages/installed/MochaSigned'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal('verified', result.status);
+          assert.equal(true, _fs.existsSync(_path.join(home, '.mocha-packages', 'installed', 'MochaSigned', 'main.js')));
+          done();
+        });
+      });
+
+      it('should check installed packages again', function(done) {
+        _fs.writeFileSync(_path.join(home, '.mocha-packages', 'installed', 'MochaSigned', 'main.js'), 'alert(1);');
+
+        instance.api.packageVerify(serverObject, {path: 'home:///.mocha-packages/installed/MochaSigned'}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal('invalid', result.status);
+          done();
+        });
+      });
+
+      it('should refuse unsigned packages with the strict policy', function(done) {
+        instance.api.packageInstall(serverObject, {path: createPackage('MochaUnsigned'), dest: 'home:///.mocha-packages/installed/MochaUnsigned'}, function(error, result) {
+          assert.notEqual(false, error);
+          assert.equal('unsigned', result.status);
+          assert.equal(false, _fs.existsSync(_path.join(home, '.mocha-packages', 'installed', 'MochaUnsigned')));
+          done();
+        });
+      });
+
+      it('should only install into the user package directory', function(done) {
+        instance.config.packages.signing.policy = 'permissive';
+
+        instance.api.packageInstall(serverObject, {path: 'home:///.mocha-packages/staging/MochaUnsigned', dest: 'home:///.mocha-packages/MochaUnsigned'}, function(error, result) {
+          instance.config.packages.signing.policy = 'strict';
+          assert.notEqual(false, error);
+          assert.equal(false, _fs.existsSync(_path.join(home, '.mocha-packages', 'MochaUnsigned')));
+          done();
+        });
+      });
+    });
+
+    describe('Session API', function() {
+      var sessions = require(_path.join(serverRoot, 'core', 'sessions.js'));
+      var dir = _path.join(instance.config.tmpdir || '/tmp', 'osjs-mocha-sessions');
+      var config = instance.config.sessions;
+      var cookie, sessionServer;
+
+      function start(cookieHeader, cb) {
+        var headers = {};
+        sessions.start({headers: {cookie: cookieHeader}}, {
+          setHeader: function(k, v) {
+            headers[k] = v;
+          }
+        }, function(session) {
+          cb(session, headers['Set-Cookie']);
+        });
+      }
+
+      function waitForFile(file, cb) {
+        (function check(tries) {
+          if ( _fs.existsSync(file) || !tries ) {
+            cb(_fs.existsSync(file));
+            return;
+          }
+          setTimeout(function() {
+            check(tries - 1);
+          }, 10);
+        })(100);
+      }
+
+      before(function(done) {
+        instance.config.sessions = {store: 'file', expire: 3600, idle: 0, file: {path: dir}};
+        sessions.init(instance, done);
+      });
+
+      after(function(done) {
+        instance.config.sessions = config;
+        sessions.init(instance, function() {
+          _fs.readdirSync(dir).forEach(function(f) {
+            _fs.unlinkSync(_path.join(dir, f));
+          });
+          _fs.rmdirSync(dir);
+          done();
+        });
+      });
+
+      describe('#start', function() {
+        it('should create a session and persist it in the store', function(done) {
+          start('', function(session, setCookie) {
+            cookie = setCookie.split(';')[0];
+            assert.equal('session=' + session.id, cookie);
+            assert.notEqual(-1, setCookie.indexOf('; HttpOnly'));
+            assert.notEqual(-1, setCookie.indexOf('; SameSite=Lax'));
+            assert.equal(false, _fs.existsSync(_path.join(dir, session.id + '.json')));
+
+            session.set('username', 'demo');
+            session.set('groups', JSON.stringify(['demo']));
+            sessionServer = {request: {session: session}, response: response, config: instance.config, handler: instance.handler};
+
+            var file = _path.join(dir, session.id + '.json');
+            waitForFile(file, function(found) {
+              assert.equal(true, found);
+              assert.equal(0, _fs.statSync(file).mode & parseInt('077', 8));
+              assert.equal(0, _fs.statSync(dir).mode & parseInt('077', 8));
+              done();
+            });
+          });
+        });
+
+        it('should load the session from the cookie', function(done) {
+          start(cookie, function(session, setCookie) {
+            assert.equal(undefined, setCookie);
+            assert.equal('demo', session.get('username'));
+            done();
+          });
+        });
+
+        it('should not load an expired session', function(done) {
+          var id = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+          var old = Date.now() - (7200 * 1000);
+          _fs.writeFileSync(_path.join(dir, id + '.json'), JSON.stringify({
+            id: id,
+            username: 'demo',
+            created: old,
+            accessed: old,
+            data: {username: 'demo'}
+          }));
+
+          start('session=' + id, function(session, setCookie) {
+            assert.notEqual(id, session.id);
+            assert.notEqual(undefined, setCookie);
+            assert.equal(false, session.get('username'));
+            done();
+          });
+        });
+      });
+
+      describe('#get', function() {
+        it('should not adopt an unknown session ID', function(done) {
+          var id = 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+          sessions.get(id, function(session) {
+            assert.notEqual(id, session.id);
+            assert.equal(false, session.get('username'));
+            done();
+          });
+        });
+
+        it('should load a session issued by the server', function(done) {
+          start('', function(session) {
+            sessions.get(session.id, function(found) {
+              assert.equal(session.id, found.id);
+              done();
+            });
+          });
+        });
+      });
+
+      describe('#upgrade', function() {
+        it('should create and store a session with a cookie', function(done) {
+          sessions.upgrade({headers: {}}, function(id, setCookie) {
+            assert.equal('session=' + id, setCookie.split(';')[0]);
+            waitForFile(_path.join(dir, id + '.json'), function(found) {
+              assert.equal(true, found);
+              done();
+            });
+          });
+        });
+
+        it('should store the session issued by the page load', function(done) {
+          start('', function(session, setCookie) {
+            sessions.upgrade({headers: {cookie: setCookie.split(';')[0]}}, function(id, upgradeCookie) {
+              assert.equal(session.id, id);
+              assert.equal(null, upgradeCookie);
+              waitForFile(_path.join(dir, id + '.json'), function(found) {
+                assert.equal(true, found);
+                done();
+              });
+            });
+          });
+        });
+
+        it('should not adopt an unknown session ID', function(done) {
+          var unknown = 'cccccccccccccccccccccccccccccccccccccccccccccccc';
+          sessions.upgrade({headers: {cookie: 'session=' + unknown}}, function(id, setCookie) {
+            assert.notEqual(unknown, id);
+            assert.equal('session=' + id, setCookie.split(';')[0]);
+            done();
+          });
+        });
+      });
+
+      describe('#sessions', function() {
+        it('should list the sessions of the user', function(done) {
+          instance.api.sessions(sessionServer, {}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(1, result.length);
+            assert.equal(true, result[0].current);
+            assert.notEqual(sessionServer.request.session.id, result[0].id);
+            done();
+          });
+        });
+
+        it('should not list the sessions of other users', function(done) {
+          instance.api.sessions(sessionServer, {username: 'other'}, function(error, result) {
+            assert.notEqual(false, error);
+            done();
+          });
+        });
+      });
+
+      describe('#revokeSession', function() {
+        it('should revoke a session', function(done) {
+          instance.api.sessions(sessionServer, {}, function(error, list) {
+            instance.api.revokeSession(sessionServer, {id: list[0].id}, function(error, result) {
+              assert.equal(false, error);
+              start(cookie, function(session, setCookie) {
+                assert.notEqual(undefined, setCookie);
+                assert.equal(false, session.get('username'));
+                done();
+              });
+            });
+          });
+        });
+
+        it('should fail on unknown session', function(done) {
+          instance.api.revokeSession(sessionServer, {id: 'unknown'}, function(error, result) {
+            assert.equal('Session not found', error);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('cURL Policy', function() {
+      var http = require('http');
+      var config = instance.config.curl;
+      var auditFile = _path.join(instance.config.tmpdir || '/tmp', 'osjs-mocha-curl.log');
+      var localServer, localUrl;
+
+      function createServer(username) {
+        return {
+          request: {
+            session: {
+              get: function(key) {
+                return key === 'username' ? username : null;
+              },
+              set: function() {
+              }
+            }
+          },
+          response: response,
+          config: instance.config,
+          handler: instance.handler,
+          logger: {INFO: 1, WARNING: 2, log: function() {}}
+        };
+      }
+
+      function curl(args, cb, username) {
+        instance.api.curl(createServer(username || 'demo'), args, cb);
+      }
+
+      before(function(done) {
+        localServer = http.createServer(function(req, res) {
+          if ( req.url === '/large' ) {
+            res.end(new Array(2049).join('x'));
+          } else if ( req.url === '/redirect' ) {
+            res.writeHead(302, {Location: 'http://10.0.0.1/'});
+            res.end();
+          } else {
+            res.end('OS.js Test');
+          }
+        });
+        localServer.listen(0, '127.0.0.1', function() {
+          localUrl = 'http://127.0.0.1:' + localServer.address().port;
+          done();
+        });
+      });
+
+      beforeEach(function() {
+        instance.config.curl = JSON.parse(JSON.stringify(config));
+      });
+
+      after(function(done) {
+        instance.config.curl = config;
+        if ( _fs.existsSync(auditFile) ) {
+          _fs.unlinkSync(auditFile);
+        }
+        localServer.close(done);
+      });
+
+      it('should deny private addresses', function(done) {
+        curl({url: localUrl}, function(error, result) {
+          assert.notEqual(false, error);
+          assert.equal('ERR_CURL_HOST', result.code);
           done();
         });
       });
 
-      it('should delete copied folder without error', function(done) {
-        instance.vfs.delete(serverObject, {path: 'home:///.mocha-copy'}, function(error, result) {
-          assert.equal(false, error);
-          assert.equal(true, result);
+      it('should deny hostnames resolving to private addresses', function(done) {
+        curl({url: 'http://localhost:1/'}, function(error, result) {
+          assert.notEqual(false, error);
+          assert.equal('ERR_CURL_HOST', result.code);
           done();
         });
       });
-    });
-  });
 
-  /////////////////////////////////////////////////////////////////////////////
-  // APIS
-  /////////////////////////////////////////////////////////////////////////////
+      it('should deny unsupported protocols', function(done) {
+        curl({url: 'file:///etc/passwd'}, function(error, result) {
+          assert.equal('ERR_CURL_URL', result.code);
+          done();
+        });
+      });
 
-  describe('API', function() {
+      it('should deny methods and headers not allowed', function(done) {
+        curl({url: 'http://example.com', method: 'TRACE'}, function(error, result) {
+          assert.equal('ERR_CURL_METHOD', result.code);
 
-    describe('Application API', function() {
-      describe('#call', function() {
-        it('should return dummy data', function(done) {
-          instance.api.application(serverObject, {
-            path: 'default/Settings',
-            method: 'test',
-            'arguments': {}
-          }, function(error, result) {
-            assert.equal(false, error);
-            assert.equal('test', result);
+          curl({url: 'http://example.com', headers: {Host: 'internal'}}, function(error, result) {
+            assert.equal('ERR_CURL_HEADER', result.code);
             done();
           });
         });
+      });
 
-        it('should trigger error on invalid method', function(done) {
-          instance.api.application(serverObject, {
-            path: 'default/Settings',
-            method: 'xxx',
-            'arguments': {}
-          }, function(error, result) {
-            assert.notEqual(null, error);
+      it('should deny hosts in the denylist', function(done) {
+        instance.config.curl.deny = ['*.example.com'];
+        curl({url: 'http://www.example.com'}, function(error, result) {
+          assert.equal('ERR_CURL_HOST', result.code);
+          done();
+        });
+      });
+
+      it('should allow ranges in the allowlist and write the audit log', function(done) {
+        instance.config.curl.allow = ['127.0.0.0/8'];
+        instance.config.curl.audit = auditFile;
+        curl({url: localUrl}, function(error, result) {
+          assert.equal(false, error);
+          assert.equal(200, result.httpCode);
+          assert.equal('OS.js Test', result.body);
+
+          setTimeout(function() {
+            var entry = JSON.parse(_fs.readFileSync(auditFile, 'utf8').trim().split('\n').pop());
+            assert.equal('demo', entry.username);
+            assert.equal('allowed', entry.result);
+            assert.equal(localUrl, entry.url);
             done();
-          });
+          }, 50);
         });
+      });
 
-        it('should trigger error on invalid package', function(done) {
-          instance.api.application(serverObject, {
-            path: 'doesnotexist/PackageName',
-            method: 'xxx',
-            'arguments': {}
-          }, function(error, result) {
-            assert.notEqual(null, error);
+      it('should deny redirects to private addresses', function(done) {
+        instance.config.curl.allow = ['127.0.0.1'];
+        curl({url: localUrl + '/redirect'}, function(error, result) {
+          assert.equal('ERR_CURL_HOST', result.code);
+          done();
+        });
+      });
+
+      it('should abort responses that are too large', function(done) {
+        instance.config.curl.allow = ['127.0.0.1'];
+        instance.config.curl.maxSize = 1024;
+        curl({url: localUrl + '/large'}, function(error, result) {
+          assert.equal('ERR_CURL_SIZE', result.code);
+          done();
+        });
+      });
+
+      it('should rate limit users', function(done) {
+        instance.config.curl.allow = ['127.0.0.1'];
+        instance.config.curl.rateLimit = {requests: 1, interval: 60};
+        curl({url: localUrl}, function(error, result) {
+          assert.equal(false, error);
+
+          curl({url: localUrl}, function(error, result) {
+            assert.equal('ERR_CURL_RATE', result.code);
+            assert.equal('number', typeof result.retryAfter);
+            done();
+          }, 'ratelimited');
+        }, 'ratelimited');
+      });
+
+      it('should allow users again after the rate limit interval', function(done) {
+        instance.config.curl.allow = ['127.0.0.1'];
+        instance.config.curl.rateLimit = {requests: 1, interval: 0.05};
+        curl({url: localUrl}, function(error, result) {
+          assert.equal(false, error);
+
+          setTimeout(function() {
+            curl({url: localUrl}, function(error, result) {
+              assert.equal(false, error);
+              done();
+            }, 'expired');
+          }, 100);
+        }, 'expired');
+      });
+    });
+
+    describe('Status API', function() {
+      describe('#status', function() {
+        it('should report server resource usage', function(done) {
+          instance.api.status(serverObject, {}, function(error, result) {
+            assert.equal(false, error);
+            assert.equal(process.version, result.version);
+            assert.equal('number', typeof result.memory.heapUsed);
+            assert.equal('number', typeof result.sessions);
+            assert.equal(0, result.websockets);
             done();
           });
         });
@@ -396,7 +1653,13 @@
         testing: true,
         dist: 'dist-dev',
         logging: false,
-        nw: false
+        nw: false,
+        settings: (function() {
+          var str = _fs.readFileSync(_path.join(serverRoot, '..', 'settings.json')).toString();
+          var settings = JSON.parse(str.replace(/%DROOT%/g, rootDir.replace(/\/$/, '')));
+          settings.webdav = {enabled: true, mounts: ['home'], loginAttempts: 3};
+          return settings;
+        })()
       });
     });
 
@@ -465,6 +1728,304 @@
       });
     });
 
+    describe('#get', function() {
+      var realPath = instance.vfs.getRealPath(serverObject, 'home:///.mocha-get.txt').root;
+      var fileUrl = url + '/FS/get/home:///.mocha-get.txt';
+      var etag;
+
+      function get(headers, cb) {
+        var j = req.jar();
+        j.setCookie(req.cookie(cookie), url);
+
+        req({method: 'GET', url: fileUrl, headers: headers, jar: j}, function(error, res, body) {
+          cb(error || false, res, body);
+        });
+      }
+
+      before(function() {
+        _fs.writeFileSync(realPath, 'Hello range world');
+      });
+
+      after(function() {
+        _fs.unlinkSync(realPath);
+      });
+
+      it('should return 200 with ETag and Last-Modified', function(done) {
+        get({}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(200, res.statusCode);
+          assert.equal('Hello range world', body);
+          assert.equal('bytes', res.headers['accept-ranges']);
+          assert.notEqual(undefined, res.headers['last-modified']);
+          etag = res.headers.etag;
+          assert.notEqual(undefined, etag);
+          done();
+        });
+      });
+
+      it('should return 304 when not modified', function(done) {
+        get({'If-None-Match': etag}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(304, res.statusCode);
+          done();
+        });
+      });
+
+      it('should return 206 with requested range', function(done) {
+        get({'Range': 'bytes=6-10'}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(206, res.statusCode);
+          assert.equal('range', body);
+          assert.equal('bytes 6-10/17', res.headers['content-range']);
+          done();
+        });
+      });
+
+      it('should return 206 with suffix range', function(done) {
+        get({'Range': 'bytes=-5'}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(206, res.statusCode);
+          assert.equal('world', body);
+          done();
+        });
+      });
+
+      it('should return 416 for unsatisfiable range', function(done) {
+        get({'Range': 'bytes=100-'}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(416, res.statusCode);
+          assert.equal('bytes */17', res.headers['content-range']);
+          done();
+        });
+      });
+
+      it('should return 206 when If-Range matches Last-Modified', function(done) {
+        var mtime = _fs.statSync(realPath).mtime.toUTCString();
+        get({'Range': 'bytes=6-10', 'If-Range': mtime}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(206, res.statusCode);
+          done();
+        });
+      });
+
+      it('should return 200 when If-Range does not match exactly', function(done) {
+        var later = new Date(_fs.statSync(realPath).mtime.getTime() + 60000).toUTCString();
+        var tests = [etag, 'not a date', later];
+
+        (function next(i) {
+          if ( i >= tests.length ) {
+            done();
+            return;
+          }
+
+          get({'Range': 'bytes=6-10', 'If-Range': tests[i]}, function(err, res, body) {
+            assert.equal(false, err);
+            assert.equal(200, res.statusCode);
+            assert.equal('Hello range world', body);
+            next(i + 1);
+          });
+        })(0);
+      });
+    });
+
+    describe('#webdav', function() {
+      var dir = url + '/DAV/home/.mocha-dav';
+      var auth = {user: 'demo', pass: 'demo'};
+      var token;
+
+      function dav(method, uurl, opts, cb) {
+        req({
+          method: method,
+          url: uurl,
+          auth: opts.noauth ? undefined : auth,
+          headers: opts.headers || {},
+          body: opts.body
+        }, function(error, res, body) {
+          cb(error || false, res, body);
+        });
+      }
+
+      after(function(done) {
+        instance.vfs.delete(serverObject, {path: 'home:///.mocha-dav'}, function() {
+          done();
+        });
+      });
+
+      it('should announce WebDAV support', function(done) {
+        dav('OPTIONS', url + '/DAV/', {noauth: true}, function(err, res) {
+          assert.equal(false, err);
+          assert.equal(200, res.statusCode);
+          assert.equal('1, 2', res.headers.dav);
+          done();
+        });
+      });
+
+      it('should require authentication', function(done) {
+        dav('PROPFIND', url + '/DAV/', {noauth: true}, function(err, res) {
+          assert.equal(false, err);
+          assert.equal(401, res.statusCode);
+          assert.notEqual(undefined, res.headers['www-authenticate']);
+          done();
+        });
+      });
+
+      it('should not expose other mountpoints', function(done) {
+        dav('PROPFIND', url + '/DAV/osjs/', {}, function(err, res) {
+          assert.equal(false, err);
+          assert.equal(404, res.statusCode);
+          done();
+        });
+      });
+
+      it('should create collection and files', function(done) {
+        dav('MKCOL', dir, {}, function(err, res) {
+          assert.equal(201, res.statusCode);
+
+          dav('PUT', dir + '/file.txt', {body: 'Hello DAV'}, function(err, res) {
+            assert.equal(201, res.statusCode);
+
+            dav('PUT', dir + '/file.txt', {body: 'Hello WebDAV'}, function(err, res) {
+              assert.equal(204, res.statusCode);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should list collection properties', function(done) {
+        dav('PROPFIND', dir + '/', {headers: {'Depth': '1'}}, function(err, res, body) {
+          assert.equal(false, err);
+          assert.equal(207, res.statusCode);
+          assert.notEqual(-1, body.indexOf('<D:href>/DAV/home/.mocha-dav/</D:href>'));
+          assert.notEqual(-1, body.indexOf('<D:href>/DAV/home/.mocha-dav/file.txt</D:href>'));
+          assert.notEqual(-1, body.indexOf('<D:getcontentlength>12</D:getcontentlength>'));
+          done();
+        });
+      });
+
+      it('should read file', function(done) {
+        dav('GET', dir + '/file.txt', {}, function(err, res, body) {
+          assert.equal(200, res.statusCode);
+          assert.equal('Hello WebDAV', body);
+          done();
+        });
+      });
+
+      it('should lock file and deny changes without token', function(done) {
+        var body = '<?xml version="1.0" encoding="utf-8"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockinfo>';
+        dav('LOCK', dir + '/file.txt', {body: body}, function(err, res) {
+          assert.equal(200, res.statusCode);
+          token = res.headers['lock-token'];
+          assert.notEqual(undefined, token);
+
+          dav('PUT', dir + '/file.txt', {body: 'Denied'}, function(err, res) {
+            assert.equal(423, res.statusCode);
+
+            dav('PUT', dir + '/file.txt', {body: 'Locked', headers: {'If': '(' + token + ')'}}, function(err, res) {
+              assert.equal(204, res.statusCode);
+
+              dav('UNLOCK', dir + '/file.txt', {headers: {'Lock-Token': token}}, function(err, res) {
+                assert.equal(204, res.statusCode);
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('should copy and move files', function(done) {
+        dav('COPY', dir + '/file.txt', {headers: {'Destination': dir + '/copy.txt'}}, function(err, res) {
+          assert.equal(201, res.statusCode);
+
+          dav('MOVE', dir + '/copy.txt', {headers: {'Destination': dir + '/file.txt', 'Overwrite': 'F'}}, function(err, res) {
+            assert.equal(412, res.statusCode);
+
+            dav('MOVE', dir + '/copy.txt', {headers: {'Destination': dir + '/moved.txt'}}, function(err, res) {
+              assert.equal(201, res.statusCode);
+
+              dav('GET', dir + '/moved.txt', {}, function(err, res, body) {
+                assert.equal('Locked', body);
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('should replace existing destination', function(done) {
+        var real = _path.join(instance.handler.getHomePath(serverObject), '.mocha-dav');
+
+        dav('COPY', dir + '/moved.txt', {headers: {'Destination': dir + '/file.txt'}}, function(err, res) {
+          assert.equal(204, res.statusCode);
+          assert.equal('Locked', _fs.readFileSync(_path.join(real, 'file.txt')).toString());
+
+          dav('COPY', dir + '/missing.txt', {headers: {'Destination': dir + '/file.txt'}}, function(err, res) {
+            assert.notEqual(204, res.statusCode);
+            assert.equal(true, _fs.existsSync(_path.join(real, 'file.txt')));
+            assert.equal(0, _fs.readdirSync(real).filter(function(name) {
+              return name.match(/\.part$/);
+            }).length);
+            done();
+          });
+        });
+      });
+
+      it('should delete files', function(done) {
+        dav('DELETE', dir + '/moved.txt', {}, function(err, res) {
+          assert.equal(204, res.statusCode);
+
+          dav('GET', dir + '/moved.txt', {}, function(err, res) {
+            assert.equal(404, res.statusCode);
+            done();
+          });
+        });
+      });
+
+      it('should reuse the session of earlier logins', function(done) {
+        var login = instance.api.login;
+        var logins = 0;
+        instance.api.login = function() {
+          logins++;
+          return login.apply(this, arguments);
+        };
+
+        var opts = {headers: {'Depth': '0', 'Authorization': 'Basic ' + new Buffer('demo:reused').toString('base64')}, noauth: true};
+        dav('PROPFIND', url + '/DAV/home/', opts, function(err, res) {
+          assert.equal(207, res.statusCode);
+
+          dav('PROPFIND', url + '/DAV/home/', opts, function(err, res) {
+            instance.api.login = login;
+
+            assert.equal(207, res.statusCode);
+            assert.equal(1, logins);
+            done();
+          });
+        });
+      });
+
+      it('should throttle failed logins', function(done) {
+        var login = instance.api.login;
+        instance.api.login = function(server, args, cb) {
+          cb('Invalid login');
+        };
+
+        var opts = {headers: {'Depth': '0', 'Authorization': 'Basic ' + new Buffer('mocha:wrong').toString('base64')}, noauth: true};
+        (function next(tries) {
+          dav('PROPFIND', url + '/DAV/home/', opts, function(err, res) {
+            if ( tries ) {
+              assert.equal(401, res.statusCode);
+              next(tries - 1);
+              return;
+            }
+
+            instance.api.login = login;
+            assert.equal(429, res.statusCode);
+            done();
+          });
+        })(3);
+      });
+    });
+
     after(function() {
       osjsServer.close();
     });